@@ -0,0 +1,35 @@
+// __tests__/storage/appLock.test.js
+
+import { setPin, verifyPin, loadAppLock } from '../../app/storage/appLock';
+import { createMemoryAdapter } from '../../app/storage/adapters/memoryAdapter';
+import { setStorageAdapter } from '../../app/storage/index';
+
+describe('app lock', () => {
+  beforeEach(async () => {
+    setStorageAdapter(createMemoryAdapter());
+    await setPin('2468');
+  });
+
+  it('accepts the right PIN and turns down a wrong one', async () => {
+    expect(await verifyPin('2468')).toEqual({ ok: true, lockedUntil: null });
+    expect(await verifyPin('1357')).toEqual({ ok: false, lockedUntil: null });
+    expect((await loadAppLock()).failedAttempts).toBe(1);
+  });
+
+  it('counts every wrong attempt, even quick ones', async () => {
+    await Promise.all(['1111', '2222', '3333'].map(verifyPin));
+
+    expect((await loadAppLock()).failedAttempts).toBe(3);
+  });
+
+  it('makes the next attempt wait once the free ones are used up', async () => {
+    for (const pin of ['1111', '2222', '3333', '4444']) {
+      await verifyPin(pin);
+    }
+
+    const { ok, lockedUntil } = await verifyPin('5555');
+    expect(ok).toBe(false);
+    expect(new Date(lockedUntil) > new Date()).toBe(true);
+    expect(await verifyPin('2468')).toEqual({ ok: false, lockedUntil });
+  });
+});
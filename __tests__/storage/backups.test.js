@@ -0,0 +1,43 @@
+// __tests__/storage/backups.test.js
+
+import { createBackup, listSnapshots, restoreFromBackup, findValidSnapshot } from '../../app/storage/backups';
+import { CURRENT_SCHEMA_VERSION } from '../../app/storage/migrations';
+import { createMemoryAdapter } from '../../app/storage/adapters/memoryAdapter';
+import { setStorageAdapter } from '../../app/storage/index';
+import { STORAGE_KEYS } from '../../app/storage/keys';
+
+const BACKUP_KEY = STORAGE_KEYS.BACKUP_ITEMS + 's1';
+
+describe('snapshots', () => {
+  let adapter;
+
+  beforeEach(() => {
+    adapter = createMemoryAdapter({ [STORAGE_KEYS.SETTINGS]: JSON.stringify({ snapshotGenerations: 2 }) });
+    setStorageAdapter(adapter);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  it('keeps the last few generations, newest first', async () => {
+    await createBackup(BACKUP_KEY, [{ id: 'a', text: 'one' }]);
+    await createBackup(BACKUP_KEY, [{ id: 'a', text: 'two' }]);
+    await createBackup(BACKUP_KEY, [{ id: 'a', text: 'three' }]);
+
+    const snapshots = await listSnapshots(BACKUP_KEY);
+    expect(snapshots).toHaveLength(2);
+    expect(snapshots.every(snapshot => snapshot.schemaVersion === CURRENT_SCHEMA_VERSION)).toBe(true);
+    expect(await restoreFromBackup(BACKUP_KEY)).toEqual([{ id: 'a', text: 'three' }]);
+    expect(await restoreFromBackup(BACKUP_KEY, { slot: snapshots[1].slot })).toEqual([{ id: 'a', text: 'two' }]);
+  });
+
+  it("won't restore a snapshot saved under another schema", async () => {
+    await createBackup(BACKUP_KEY, [{ id: 'a', text: 'current' }]);
+    await createBackup(BACKUP_KEY, [{ id: 'a', text: 'older' }]);
+    const [newest, oldest] = await listSnapshots(BACKUP_KEY);
+    await adapter.set(`${BACKUP_KEY}#${newest.slot}`, JSON.stringify({ data: [{ id: 'a', text: 'older' }], timestamp: newest.timestamp }));
+
+    expect(await restoreFromBackup(BACKUP_KEY, { slot: newest.slot })).toBeNull();
+    expect((await findValidSnapshot(BACKUP_KEY)).timestamp).toBe(oldest.timestamp);
+    expect(await restoreFromBackup(BACKUP_KEY)).toEqual([{ id: 'a', text: 'current' }]);
+  });
+});
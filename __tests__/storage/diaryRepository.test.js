@@ -0,0 +1,80 @@
+// __tests__/storage/diaryRepository.test.js
+
+import {
+  loadSections,
+  insertSection,
+  updateSection,
+  reorderSections,
+  setSectionFolder,
+  putItem,
+  loadItems,
+  withEverySectionLocked,
+} from '../../app/storage/diaryRepository';
+import { moveSectionToTrash } from '../../app/storage/trash';
+import { createMemoryAdapter } from '../../app/storage/adapters/memoryAdapter';
+import { setStorageAdapter } from '../../app/storage/index';
+import { STORAGE_KEYS } from '../../app/storage/keys';
+
+const SECTIONS = [
+  { id: 's1', name: 'Herbs', order: 0 },
+  { id: 's2', name: 'Poisons', order: 1 },
+  { id: 's3', name: 'Remedies', order: 2 },
+];
+
+describe('section list changes', () => {
+  beforeEach(() => {
+    setStorageAdapter(createMemoryAdapter({ [STORAGE_KEYS.SECTIONS]: JSON.stringify(SECTIONS) }));
+  });
+
+  it("don't overwrite each other when they overlap", async () => {
+    await Promise.all([
+      reorderSections(['s3', 's2', 's1']),
+      updateSection('s1', { name: 'Healing herbs' }),
+      setSectionFolder(['s2'], 'Dangerous'),
+      insertSection({ id: 's4', name: 'Teas' }, 0),
+    ]);
+
+    expect(await loadSections()).toEqual([
+      { id: 's4', name: 'Teas', order: 0 },
+      { id: 's3', name: 'Remedies', order: 1 },
+      { id: 's2', name: 'Poisons', order: 2, folder: 'Dangerous' },
+      { id: 's1', name: 'Healing herbs', order: 3 },
+    ]);
+  });
+
+  it('keep a change made while a section goes to the Trash', async () => {
+    await Promise.all([
+      moveSectionToTrash('s2'),
+      setSectionFolder(['s3'], 'Kitchen'),
+    ]);
+
+    expect(await loadSections()).toEqual([
+      { id: 's1', name: 'Herbs', order: 0 },
+      { id: 's3', name: 'Remedies', order: 1, folder: 'Kitchen' },
+    ]);
+  });
+});
+
+describe('withEverySectionLocked', () => {
+  beforeEach(() => {
+    setStorageAdapter(createMemoryAdapter({ [STORAGE_KEYS.SECTIONS]: JSON.stringify(SECTIONS) }));
+  });
+
+  const entry = (id) => ({ id, text: id, createdAt: '2024-01-01T00:00:00.000Z', revisions: [] });
+
+  it('waits for entry writes in every section, including one added meanwhile', async () => {
+    const writes = Promise.all([
+      putItem('s2', entry('nightshade')),
+      insertSection({ id: 's4', name: 'Teas' }, 0).then(() => putItem('s4', entry('mint'))),
+    ]);
+
+    const seen = await withEverySectionLocked([], async () => ({
+      s2: (await loadItems('s2')).map(item => item.id),
+      sections: (await loadSections()).map(section => section.id),
+    }));
+    await writes;
+
+    expect(seen.s2).toEqual(['nightshade']);
+    expect(seen.sections).toContain('s4');
+  });
+});
@@ -0,0 +1,122 @@
+// __tests__/storage/encryption.test.js
+
+import { getRandomBytes } from 'expo-crypto';
+import {
+  encryptValue,
+  decryptValue,
+  isEncryptedValue,
+  createEncryptedAdapter,
+} from '../../app/storage/adapters/encryptedAdapter';
+import {
+  enableEncryption,
+  disableEncryption,
+  unlockStorage,
+  isEncryptionEnabled,
+} from '../../app/storage/encryption';
+import { createMemoryAdapter } from '../../app/storage/adapters/memoryAdapter';
+import { storage, setStorageAdapter } from '../../app/storage/index';
+import { STORAGE_KEYS } from '../../app/storage/keys';
+
+describe('encryptValue', () => {
+  const key = getRandomBytes(32);
+
+  it('round-trips a value', () => {
+    const text = JSON.stringify([{ id: 'a', text: 'Lavender 🌿 calms' }]);
+    const sealed = encryptValue(key, text);
+
+    expect(isEncryptedValue(sealed)).toBe(true);
+    expect(sealed).not.toContain('Lavender');
+    expect(decryptValue(key, sealed)).toBe(text);
+  });
+
+  it('seals the same value differently each time', () => {
+    expect(encryptValue(key, 'Mint')).not.toBe(encryptValue(key, 'Mint'));
+  });
+
+  it('fails with the wrong key', () => {
+    expect(() => decryptValue(getRandomBytes(32), encryptValue(key, 'Mint'))).toThrow();
+  });
+
+  it('fails on a tampered value', () => {
+    const sealed = encryptValue(key, 'Mint');
+    const middle = Math.floor(sealed.length / 2);
+    const flipped = sealed.slice(0, middle) + (sealed[middle] === 'A' ? 'B' : 'A') + sealed.slice(middle + 1);
+
+    expect(() => decryptValue(key, flipped)).toThrow();
+  });
+
+  it('fails on a value that was never encrypted', () => {
+    expect(() => decryptValue(key, '"Mint"')).toThrow('Stored value is not encrypted');
+  });
+});
+
+describe('createEncryptedAdapter', () => {
+  it('stores values encrypted, apart from the plain keys', async () => {
+    const inner = createMemoryAdapter();
+    const adapter = createEncryptedAdapter(inner, getRandomBytes(32), ['plain']);
+
+    await adapter.multiSet([['secret', 'Lavender'], ['plain', 'visible']]);
+
+    expect(isEncryptedValue(await inner.get('secret'))).toBe(true);
+    expect(await inner.get('plain')).toBe('visible');
+    expect(await adapter.multiGet(['secret', 'plain', 'missing'])).toEqual([
+      ['secret', 'Lavender'],
+      ['plain', 'visible'],
+      ['missing', null],
+    ]);
+  });
+});
+
+describe('encryption at rest', () => {
+  let base;
+
+  beforeEach(() => {
+    base = createMemoryAdapter({
+      [STORAGE_KEYS.SECTIONS]: JSON.stringify([{ id: 's1', name: 'Herbs' }]),
+      [STORAGE_KEYS.SETTINGS]: JSON.stringify({ snapshotGenerations: 3 }),
+    });
+    setStorageAdapter(base);
+  });
+
+  it('encrypts everything stored and reads it back once unlocked', async () => {
+    await enableEncryption('correct horse');
+
+    expect(await isEncryptionEnabled()).toBe(true);
+    expect(isEncryptedValue(await base.get(STORAGE_KEYS.SECTIONS))).toBe(true);
+    expect(isEncryptedValue(await base.get(STORAGE_KEYS.SETTINGS))).toBe(true);
+    expect(await storage.get(STORAGE_KEYS.SECTIONS)).toBe(JSON.stringify([{ id: 's1', name: 'Herbs' }]));
+
+    // as on the next launch
+    setStorageAdapter(base);
+    await expect(unlockStorage('wrong horse')).rejects.toThrow('Wrong passphrase');
+    await unlockStorage('correct horse');
+    expect(await storage.get(STORAGE_KEYS.SETTINGS)).toBe(JSON.stringify({ snapshotGenerations: 3 }));
+  });
+
+  it('holds back reads until the new key is in use', async () => {
+    const multiSet = base.multiSet;
+    let read;
+    jest.spyOn(base, 'multiSet').mockImplementation(async (pairs) => {
+      await multiSet(pairs);
+      // a read landing right after the values were encrypted
+      read = read || storage.get(STORAGE_KEYS.SECTIONS);
+    });
+
+    await enableEncryption('correct horse');
+
+    expect(await read).toBe(JSON.stringify([{ id: 's1', name: 'Herbs' }]));
+  });
+
+  it('puts everything back in plain text when turned off', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await enableEncryption('correct horse');
+    await storage.set('@diary_items_s1', '[]');
+
+    await expect(disableEncryption('wrong horse')).rejects.toThrow('Wrong passphrase');
+    await disableEncryption('correct horse');
+
+    expect(await isEncryptionEnabled()).toBe(false);
+    expect(await base.get(STORAGE_KEYS.SECTIONS)).toBe(JSON.stringify([{ id: 's1', name: 'Herbs' }]));
+    expect(await base.get('@diary_items_s1')).toBe('[]');
+  });
+});
@@ -0,0 +1,110 @@
+// __tests__/storage/itemChunks.test.js
+
+import {
+  CHUNK_SIZE,
+  itemsIndexKey,
+  chunkKey,
+  planItemList,
+  planChunk,
+  readItemIndex,
+  readItemList,
+  listItemKeys,
+} from '../../app/storage/itemChunks';
+import { createMemoryAdapter } from '../../app/storage/adapters/memoryAdapter';
+import { runAtomic } from '../../app/storage/journal';
+
+const makeItems = (count, prefix = 'item') => Array.from({ length: count }, (_, i) => ({
+  id: `${prefix}-${i}`,
+  text: `Entry ${i}`,
+  pinned: i === 3,
+}));
+
+const store = async (adapter, sectionId, items) => {
+  await runAtomic(await planItemList(sectionId, items, adapter), adapter);
+};
+
+describe('planItemList', () => {
+  it('splits the entries into chunks of at most CHUNK_SIZE, in order', async () => {
+    const adapter = createMemoryAdapter();
+    const items = makeItems(CHUNK_SIZE * 2 + 1);
+
+    await store(adapter, 's1', items);
+
+    const index = await readItemIndex('s1', adapter);
+    expect(index.chunks.map(chunk => chunk.ids.length)).toEqual([CHUNK_SIZE, CHUNK_SIZE, 1]);
+    expect(index.pinned).toEqual(['item-3']);
+    expect(await readItemList('s1', adapter)).toEqual(items);
+  });
+
+  it('removes chunks left over from a longer list', async () => {
+    const adapter = createMemoryAdapter();
+    await store(adapter, 's1', makeItems(CHUNK_SIZE * 3));
+
+    await store(adapter, 's1', makeItems(2));
+
+    expect(await listItemKeys('s1', adapter)).toEqual([itemsIndexKey('s1'), chunkKey('s1', 0)]);
+    expect(await readItemList('s1', adapter)).toEqual(makeItems(2));
+  });
+
+  it("doesn't touch other sections", async () => {
+    const adapter = createMemoryAdapter();
+    await store(adapter, 's1', makeItems(3));
+    await store(adapter, 's10', makeItems(3, 'other'));
+
+    await store(adapter, 's1', []);
+
+    expect(await readItemList('s1', adapter)).toEqual([]);
+    expect(await readItemList('s10', adapter)).toEqual(makeItems(3, 'other'));
+  });
+});
+
+describe('planChunk', () => {
+  it('splits a chunk grown past CHUNK_SIZE in two', async () => {
+    const adapter = createMemoryAdapter();
+    const items = makeItems(CHUNK_SIZE);
+    await store(adapter, 's1', items);
+    const index = await readItemIndex('s1', adapter);
+
+    const grown = [{ id: 'new', text: 'New' }, ...items];
+    const { set, remove } = planChunk('s1', index, 0, grown);
+    await runAtomic({ set, remove }, adapter);
+
+    const nextIndex = await readItemIndex('s1', adapter);
+    expect(nextIndex.chunks.map(chunk => chunk.ids.length)).toEqual([Math.ceil(grown.length / 2), Math.floor(grown.length / 2)]);
+    expect(await readItemList('s1', adapter)).toEqual(grown);
+  });
+
+  it('drops an emptied chunk and its pinned entries', async () => {
+    const adapter = createMemoryAdapter();
+    const items = makeItems(CHUNK_SIZE + 2);
+    await store(adapter, 's1', items);
+    const index = await readItemIndex('s1', adapter);
+
+    await runAtomic(planChunk('s1', index, 0, []), adapter);
+
+    const nextIndex = await readItemIndex('s1', adapter);
+    expect(nextIndex.chunks).toHaveLength(1);
+    expect(nextIndex.pinned).toEqual([]);
+    expect(await readItemList('s1', adapter)).toEqual(items.slice(CHUNK_SIZE));
+  });
+});
+
+describe('readItemList', () => {
+  it('tells nothing stored apart from damaged data', async () => {
+    const adapter = createMemoryAdapter();
+    expect(await readItemList('s1', adapter)).toBeNull();
+
+    await store(adapter, 's1', makeItems(3));
+    await adapter.set(chunkKey('s1', 0), '[{"id"');
+    expect(await readItemList('s1', adapter)).toBeUndefined();
+
+    await adapter.remove(chunkKey('s1', 0));
+    expect(await readItemList('s1', adapter)).toBeUndefined();
+  });
+
+  it('returns a list stored before chunking as it is', async () => {
+    const adapter = createMemoryAdapter({ [itemsIndexKey('s1')]: JSON.stringify(makeItems(2)) });
+
+    expect(await readItemList('s1', adapter)).toEqual(makeItems(2));
+  });
+});
@@ -0,0 +1,99 @@
+// __tests__/storage/journal.test.js
+
+import { runAtomic, revertAtomic, recoverJournal } from '../../app/storage/journal';
+import { createMemoryAdapter } from '../../app/storage/adapters/memoryAdapter';
+import { STORAGE_KEYS } from '../../app/storage/keys';
+
+const contents = async (adapter) => Object.fromEntries(await adapter.multiGet(await adapter.keys()));
+
+describe('runAtomic', () => {
+  it('applies the changes, clears the journal and returns the previous values', async () => {
+    const adapter = createMemoryAdapter({ a: '1', b: '2' });
+
+    const before = await runAtomic({ set: [['a', '10'], ['c', '30']], remove: ['b'] }, adapter);
+
+    expect(await contents(adapter)).toEqual({ a: '10', c: '30' });
+    expect(before).toEqual([['a', '1'], ['c', null], ['b', '2']]);
+  });
+
+  it('can be undone with revertAtomic', async () => {
+    const adapter = createMemoryAdapter({ a: '1', b: '2' });
+
+    const before = await runAtomic({ set: [['a', '10'], ['c', '30']], remove: ['b'] }, adapter);
+    await revertAtomic(before, adapter);
+
+    expect(await contents(adapter)).toEqual({ a: '1', b: '2' });
+  });
+
+  it('runs writes one at a time, in order', async () => {
+    const adapter = createMemoryAdapter();
+
+    await Promise.all([
+      runAtomic({ set: [['a', '1']] }, adapter),
+      runAtomic({ set: [['a', '2']] }, adapter),
+      runAtomic({ set: [['a', '3']] }, adapter),
+    ]);
+
+    expect(await contents(adapter)).toEqual({ a: '3' });
+  });
+
+  it('keeps going after a failed write', async () => {
+    const adapter = createMemoryAdapter();
+    const failing = { ...adapter, set: () => Promise.reject(new Error('disk full')) };
+
+    await expect(runAtomic({ set: [['a', '1']] }, failing)).rejects.toThrow('disk full');
+    await runAtomic({ set: [['b', '2']] }, adapter);
+
+    expect(await contents(adapter)).toEqual({ b: '2' });
+  });
+});
+
+describe('recoverJournal', () => {
+  const journal = (changes) => JSON.stringify({ id: 'j', startedAt: '2024-01-01T00:00:00.000Z', ...changes });
+
+  it('does nothing without a journal', async () => {
+    const adapter = createMemoryAdapter({ a: '1' });
+
+    expect(await recoverJournal(adapter)).toBe('clean');
+    expect(await contents(adapter)).toEqual({ a: '1' });
+  });
+
+  it('discards a journal that was never completely written', async () => {
+    const adapter = createMemoryAdapter({ a: '1', [STORAGE_KEYS.JOURNAL]: '{"set": [["a"' });
+
+    expect(await recoverJournal(adapter)).toBe('discarded');
+    expect(await contents(adapter)).toEqual({ a: '1' });
+  });
+
+  it('replays an interrupted write', async () => {
+    const adapter = createMemoryAdapter({
+      a: '10',
+      b: '2',
+      [STORAGE_KEYS.JOURNAL]: journal({
+        set: [['a', '10'], ['c', '30']],
+        remove: ['b'],
+        before: [['a', '1'], ['c', null], ['b', '2']],
+      }),
+    });
+
+    expect(await recoverJournal(adapter)).toBe('replayed');
+    expect(await contents(adapter)).toEqual({ a: '10', c: '30' });
+  });
+
+  it('rolls back a write that cannot be replayed', async () => {
+    const adapter = createMemoryAdapter({
+      a: '10',
+      b: '2',
+      [STORAGE_KEYS.JOURNAL]: journal({
+        set: [['a', '10'], ['c', '30']],
+        remove: ['b'],
+        before: [['a', '1'], ['c', null], ['b', '2']],
+      }),
+    });
+    const multiSet = jest.fn(adapter.multiSet).mockRejectedValueOnce(new Error('disk full'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await recoverJournal({ ...adapter, multiSet })).toBe('rolled-back');
+    expect(await contents(adapter)).toEqual({ a: '1', b: '2' });
+  });
+});
@@ -0,0 +1,111 @@
+// __tests__/storage/migrations.test.js
+
+import { runMigrations, getSchemaVersion, CURRENT_SCHEMA_VERSION } from '../../app/storage/migrations';
+import { createMemoryAdapter } from '../../app/storage/adapters/memoryAdapter';
+import { readItemList } from '../../app/storage/itemChunks';
+import { STORAGE_KEYS } from '../../app/storage/keys';
+
+const contents = async (adapter) => Object.fromEntries(await adapter.multiGet(await adapter.keys()));
+const read = async (adapter, key) => JSON.parse(await adapter.get(key));
+
+describe('runMigrations', () => {
+  it('upgrades data from before any schema version to the current one', async () => {
+    const adapter = createMemoryAdapter({
+      [STORAGE_KEYS.SECTIONS]: JSON.stringify(['Herbs', '', 'Herbs', 'Poisons']),
+      [STORAGE_KEYS.ITEMS + 'Herbs']: JSON.stringify([
+        { id: 1700000000000, text: 'Lavender calms', lastModified: 1700000500000 },
+        null,
+        { text: 'Mint', pinned: true },
+      ]),
+      [STORAGE_KEYS.BACKUP_ITEMS + 'Herbs']: JSON.stringify({ data: [{ id: 1, text: 'old' }], timestamp: '2023-11-01T00:00:00.000Z' }),
+    });
+
+    const result = await runMigrations(adapter);
+
+    expect(result).toEqual({ success: true, fromVersion: 0, toVersion: CURRENT_SCHEMA_VERSION });
+    expect(await getSchemaVersion(adapter)).toBe(CURRENT_SCHEMA_VERSION);
+
+    const sections = await read(adapter, STORAGE_KEYS.SECTIONS);
+    expect(sections.map(section => section.name)).toEqual(['Herbs', 'Poisons']);
+    expect(sections.map(section => section.order)).toEqual([0, 1]);
+
+    const items = await readItemList(sections[0].id, adapter);
+    expect(items).toHaveLength(2);
+    items.forEach(item => {
+      expect(typeof item.id).toBe('string');
+      expect(item.createdAt).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+      expect(item.revisions).toHaveLength(1);
+    });
+    expect(items[0].createdAt).toBe(new Date(1700000000000).toISOString());
+    expect(await readItemList(sections[1].id, adapter)).toEqual([]);
+
+    // name-keyed keys are gone, and the old-format snapshot can't be restored
+    const keys = await adapter.keys();
+    expect(keys).not.toContain(STORAGE_KEYS.ITEMS + 'Herbs');
+    const snapshots = await read(adapter, STORAGE_KEYS.BACKUP_ITEMS + sections[0].id);
+    expect(snapshots.slots).toEqual([{ slot: 0, timestamp: '2023-11-01T00:00:00.000Z', count: 1 }]);
+  });
+
+  it('only resumes from the stored version', async () => {
+    const adapter = createMemoryAdapter();
+    await runMigrations(adapter);
+    const migrated = await contents(adapter);
+
+    expect(await runMigrations(adapter)).toEqual({
+      success: true,
+      fromVersion: CURRENT_SCHEMA_VERSION,
+      toVersion: CURRENT_SCHEMA_VERSION,
+    });
+    expect(await contents(adapter)).toEqual(migrated);
+  });
+
+  it('leaves the data as the last finished step left it when a step fails', async () => {
+    const adapter = createMemoryAdapter({
+      [STORAGE_KEYS.SCHEMA_VERSION]: '1',
+      [STORAGE_KEYS.SECTIONS]: JSON.stringify(['Herbs', 'Poisons']),
+      [STORAGE_KEYS.ITEMS + 'Herbs']: JSON.stringify([{ text: 'Lavender' }]),
+      [STORAGE_KEYS.ITEMS + 'Poisons']: '{not json',
+    });
+    const before = await contents(adapter);
+
+    const result = await runMigrations(adapter);
+
+    expect(result.success).toBe(false);
+    expect(result.failedVersion).toBe(2);
+    expect(result.error.message).toContain(STORAGE_KEYS.ITEMS + 'Poisons');
+    expect(await contents(adapter)).toEqual(before);
+  });
+
+  it('refuses data from a newer version of the app', async () => {
+    const adapter = createMemoryAdapter({ [STORAGE_KEYS.SCHEMA_VERSION]: String(CURRENT_SCHEMA_VERSION + 1) });
+
+    const result = await runMigrations(adapter);
+
+    expect(result.success).toBe(false);
+    expect(result.failedVersion).toBeNull();
+    expect(await getSchemaVersion(adapter)).toBe(CURRENT_SCHEMA_VERSION + 1);
+  });
+
+  it('records the schema version of snapshots that are already in the current shape', async () => {
+    const current = [{ id: 'a', text: 'Lavender', createdAt: '2024-01-01T00:00:00.000Z', revisions: [] }];
+    const adapter = createMemoryAdapter({
+      [STORAGE_KEYS.SCHEMA_VERSION]: '7',
+      [STORAGE_KEYS.SECTIONS]: '[]',
+      [STORAGE_KEYS.BACKUP_ITEMS + 's1']: JSON.stringify({
+        version: 2,
+        slots: [{ slot: 1, timestamp: 't2', count: 1 }, { slot: 0, timestamp: 't1', count: 1 }],
+      }),
+      [STORAGE_KEYS.BACKUP_ITEMS + 's1#0']: JSON.stringify({ data: current, timestamp: 't1' }),
+      [STORAGE_KEYS.BACKUP_ITEMS + 's1#1']: JSON.stringify({ data: [{ id: 'b', text: 'old' }], timestamp: 't2' }),
+    });
+
+    await runMigrations(adapter);
+
+    expect((await read(adapter, STORAGE_KEYS.BACKUP_ITEMS + 's1')).slots).toEqual([
+      { slot: 1, timestamp: 't2', count: 1 },
+      { slot: 0, timestamp: 't1', count: 1, schemaVersion: 8 },
+    ]);
+    expect(await read(adapter, STORAGE_KEYS.BACKUP_ITEMS + 's1#0')).toEqual({ data: current, timestamp: 't1', schemaVersion: 8 });
+    expect(await read(adapter, STORAGE_KEYS.BACKUP_ITEMS + 's1#1')).toEqual({ data: [{ id: 'b', text: 'old' }], timestamp: 't2' });
+  });
+});
@@ -0,0 +1,66 @@
+// __tests__/storage/recovery.test.js
+
+import {
+  listRecoveryPoints,
+  restoreAllFromSnapshot,
+  restoreSectionSnapshot,
+} from '../../app/storage/recovery';
+import { loadItems, loadSections, insertSection, putItem, removeSection } from '../../app/storage/diaryRepository';
+import { loadTrash } from '../../app/storage/trash';
+import { createBackup } from '../../app/storage/backups';
+import { revertAtomic } from '../../app/storage/journal';
+import { createMemoryAdapter } from '../../app/storage/adapters/memoryAdapter';
+import { setStorageAdapter } from '../../app/storage/index';
+import { STORAGE_KEYS } from '../../app/storage/keys';
+
+const HERBS = { id: 's1', name: 'Herbs', order: 0 };
+const TEAS = { id: 's2', name: 'Teas', order: 1 };
+
+const item = (id, createdAt) => ({ id, text: `Entry ${id}`, createdAt, lastModified: createdAt, revisions: [] });
+
+describe('recovery', () => {
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    setStorageAdapter(createMemoryAdapter({ [STORAGE_KEYS.SECTIONS]: JSON.stringify([HERBS]) }));
+    await putItem(HERBS.id, item('a', '2024-01-01T00:00:00.000Z'));
+    await createBackup(STORAGE_KEYS.BACKUP_SECTIONS, [HERBS]);
+    await createBackup(STORAGE_KEYS.BACKUP_ITEMS + HERBS.id, await loadItems(HERBS.id));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('sends sections created since a snapshot to the Trash when restoring everything', async () => {
+    await insertSection(TEAS, 1);
+    await putItem(TEAS.id, item('mint', '2024-02-01T00:00:00.000Z'));
+    // the oldest one, from before Teas was added
+    const snapshot = (await listRecoveryPoints()).sectionLists.at(-1);
+
+    const before = await restoreAllFromSnapshot(snapshot.slot);
+
+    expect(await loadSections()).toEqual([HERBS]);
+    expect(await loadItems(TEAS.id)).toEqual([]);
+    const [trashEntry] = await loadTrash();
+    expect(trashEntry).toMatchObject({ type: 'section', sectionId: TEAS.id, section: TEAS });
+    expect(trashEntry.items.map(entry => entry.id)).toEqual(['mint']);
+
+    await revertAtomic(before);
+    expect(await loadSections()).toEqual([HERBS, TEAS]);
+    expect((await loadItems(TEAS.id)).map(entry => entry.id)).toEqual(['mint']);
+    expect(await loadTrash()).toEqual([]);
+  });
+
+  it('keeps a section added while a deleted one is re-created', async () => {
+    await removeSection(HERBS.id);
+    const { sections: [{ snapshots: [snapshot] }] } = await listRecoveryPoints();
+
+    await Promise.all([
+      restoreSectionSnapshot(HERBS.id, snapshot.slot),
+      insertSection(TEAS, 0),
+    ]);
+
+    expect((await loadSections()).map(section => section.id).sort()).toEqual([HERBS.id, TEAS.id]);
+    expect((await loadItems(HERBS.id)).map(entry => entry.id)).toEqual(['a']);
+  });
+});
@@ -0,0 +1,100 @@
+// __tests__/storage/statistics.test.js
+
+import { createMemoryAdapter } from '../../app/storage/adapters/memoryAdapter';
+import { STORAGE_KEYS } from '../../app/storage/keys';
+
+const SECTIONS = [
+  { id: 's1', name: 'Herbs', order: 0 },
+  { id: 's2', name: 'Poisons', order: 1 },
+];
+
+const item = (id, text, createdAt) => ({ id, text, createdAt, lastModified: createdAt, revisions: [] });
+
+describe('statistics', () => {
+  let statistics;
+  let adapter;
+
+  // statistics are cached in the module, so each test gets a fresh copy
+  beforeEach(async () => {
+    let index;
+    let itemChunks;
+    jest.isolateModules(() => {
+      index = require('../../app/storage/index');
+      itemChunks = require('../../app/storage/itemChunks');
+      statistics = require('../../app/storage/statistics');
+    });
+
+    adapter = createMemoryAdapter({ [STORAGE_KEYS.SECTIONS]: JSON.stringify(SECTIONS) });
+    index.setStorageAdapter(adapter);
+
+    const storeItems = async (sectionId, items) => {
+      await adapter.multiSet((await itemChunks.planItemList(sectionId, items, adapter)).set);
+    };
+    await storeItems('s1', [
+      item('a', 'Lavender calms the mind', '2024-05-01T10:00:00.000Z'),
+      item('b', 'Mint', '2024-06-01T10:00:00.000Z'),
+    ]);
+    await storeItems('s2', [item('c', 'Foxglove slows the heart', '2024-06-02T10:00:00.000Z')]);
+  });
+
+  it('counts the whole diary the first time', async () => {
+    const summary = await statistics.loadStatistics();
+
+    expect(summary).toEqual({
+      totalEntries: 3,
+      totalWords: 9,
+      lastActivity: '2024-06-02T10:00:00.000Z',
+      activeMonths: 2,
+      sections: {
+        s1: { count: 2, words: 5, lastActivity: '2024-06-01T10:00:00.000Z' },
+        s2: { count: 1, words: 4, lastActivity: '2024-06-02T10:00:00.000Z' },
+      },
+    });
+    expect(JSON.parse(await adapter.get(STORAGE_KEYS.STATISTICS)).version).toBe(1);
+  });
+
+  it('adjusts the totals for an edit or delete without recounting', async () => {
+    await statistics.ensureStatistics();
+    // statistics only change through the calls below from here on
+    await adapter.remove(STORAGE_KEYS.SECTIONS);
+
+    await statistics.recordEntry('s1', { ...item('b', 'Mint cools the tongue', '2024-06-01T10:00:00.000Z'), lastModified: '2024-07-01T10:00:00.000Z' });
+    await statistics.forgetEntry('s2', 'c');
+
+    const summary = await statistics.loadStatistics();
+    expect(summary.totalEntries).toBe(2);
+    expect(summary.totalWords).toBe(8);
+    expect(summary.lastActivity).toBe('2024-07-01T10:00:00.000Z');
+    expect(summary.sections.s2).toBeUndefined();
+  });
+
+  it('recounts a section in place of what was counted for it', async () => {
+    await statistics.ensureStatistics();
+
+    await statistics.recountSection('s1', [item('d', 'Ginger', '2024-06-03T10:00:00.000Z')]);
+    await statistics.forgetSection('s2');
+
+    const records = await statistics.loadEntryRecords();
+    expect(records).toEqual([
+      { sectionId: 's1', words: 1, createdAt: '2024-06-03T10:00:00.000Z', lastModified: '2024-06-03T10:00:00.000Z' },
+    ]);
+  });
+
+  it('rebuilds statistics stored in an older format', async () => {
+    await adapter.set(STORAGE_KEYS.STATISTICS, JSON.stringify({ version: 0, entries: {} }));
+
+    expect((await statistics.loadStatistics()).totalEntries).toBe(3);
+  });
+
+  it('tells subscribers about every change', async () => {
+    const listener = jest.fn();
+    const unsubscribe = statistics.subscribe(listener);
+
+    await statistics.rebuildStatistics();
+    await statistics.forgetEntry('s1', 'a');
+    unsubscribe();
+    await statistics.forgetEntry('s1', 'b');
+
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+});
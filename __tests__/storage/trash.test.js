@@ -0,0 +1,70 @@
+// __tests__/storage/trash.test.js
+
+import {
+  loadTrash,
+  moveAllItemsToTrash,
+  moveSectionToTrash,
+  restoreTrashEntries,
+  restoreTrashEntry,
+} from '../../app/storage/trash';
+import { loadItems, loadSections, putItem } from '../../app/storage/diaryRepository';
+import { planItemList } from '../../app/storage/itemChunks';
+import { createMemoryAdapter } from '../../app/storage/adapters/memoryAdapter';
+import { setStorageAdapter } from '../../app/storage/index';
+import { STORAGE_KEYS } from '../../app/storage/keys';
+
+const SECTION = { id: 's1', name: 'Herbs', order: 0 };
+
+const item = (id, createdAt) => ({ id, text: `Entry ${id}`, createdAt, lastModified: createdAt, revisions: [] });
+
+const ITEMS = [
+  item('c', '2024-03-01T00:00:00.000Z'),
+  item('b', '2024-02-01T00:00:00.000Z'),
+  item('a', '2024-01-01T00:00:00.000Z'),
+];
+
+describe('trash', () => {
+  beforeEach(async () => {
+    const adapter = createMemoryAdapter({ [STORAGE_KEYS.SECTIONS]: JSON.stringify([SECTION]) });
+    await adapter.multiSet((await planItemList(SECTION.id, ITEMS, adapter)).set);
+    setStorageAdapter(adapter);
+  });
+
+  it('trashes every entry of a section on its own and restores them together', async () => {
+    const trashEntries = await moveAllItemsToTrash(SECTION);
+
+    expect(await loadItems(SECTION.id)).toEqual([]);
+    expect(trashEntries.map(entry => [entry.type, entry.item.id])).toEqual([['item', 'c'], ['item', 'b'], ['item', 'a']]);
+    expect(await loadTrash()).toHaveLength(3);
+
+    await putItem(SECTION.id, item('new', '2024-04-01T00:00:00.000Z'));
+    await restoreTrashEntries(trashEntries.map(entry => entry.id));
+
+    expect((await loadItems(SECTION.id)).map(entry => entry.id)).toEqual(['new', 'c', 'b', 'a']);
+    expect(await loadTrash()).toEqual([]);
+  });
+
+  it('skips entries that already left the Trash', async () => {
+    const trashEntries = await moveAllItemsToTrash(SECTION);
+    await restoreTrashEntry(trashEntries[1].id);
+
+    const restored = await restoreTrashEntries(trashEntries.map(entry => entry.id));
+
+    expect(restored.map(entry => entry.item.id)).toEqual(['c', 'a']);
+    expect((await loadItems(SECTION.id)).map(entry => entry.id)).toEqual(['c', 'b', 'a']);
+  });
+
+  it('trashes entries written while a section is being deleted along with it', async () => {
+    await Promise.all([
+      putItem(SECTION.id, item('late', '2024-04-01T00:00:00.000Z')),
+      moveSectionToTrash(SECTION.id),
+    ]);
+
+    const [trashEntry] = await loadTrash();
+    expect(trashEntry.items.map(entry => entry.id)).toEqual(['late', 'c', 'b', 'a']);
+    expect(await loadSections()).toEqual([]);
+
+    await restoreTrashEntry(trashEntry.id);
+    expect((await loadItems(SECTION.id)).map(entry => entry.id)).toEqual(['late', 'c', 'b', 'a']);
+  });
+});
@@ -0,0 +1,75 @@
+// __tests__/utils/commandHistory.test.js
+
+import { recordCommand, undo, redo, clearHistory, getHistoryState } from '../../app/utils/commandHistory';
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(done => {
+    resolve = done;
+  });
+  return { promise, resolve };
+};
+
+const command = (label, overrides = {}) => ({
+  label,
+  undo: jest.fn(() => Promise.resolve()),
+  redo: jest.fn(() => Promise.resolve()),
+  ...overrides,
+});
+
+describe('commandHistory', () => {
+  beforeEach(() => {
+    clearHistory();
+  });
+
+  it('moves commands between the undo and redo stacks', async () => {
+    const add = command('Add entry');
+    recordCommand(add);
+
+    expect(await undo()).toBe(add);
+    expect(getHistoryState()).toEqual({ canUndo: false, canRedo: true, undoLabel: null, redoLabel: 'Add entry' });
+
+    expect(await redo()).toBe(add);
+    expect(add.undo).toHaveBeenCalledTimes(1);
+    expect(add.redo).toHaveBeenCalledTimes(1);
+    expect(getHistoryState().undoLabel).toBe('Add entry');
+  });
+
+  it('runs a command once when undo is tapped twice', async () => {
+    const running = deferred();
+    const first = command('First');
+    const second = command('Second', { undo: jest.fn(() => running.promise) });
+    recordCommand(first);
+    recordCommand(second);
+
+    const tapped = [undo(), undo()];
+    running.resolve();
+    expect(await Promise.all(tapped)).toEqual([second, null]);
+
+    expect(second.undo).toHaveBeenCalledTimes(1);
+    expect(first.undo).not.toHaveBeenCalled();
+    expect(getHistoryState().undoLabel).toBe('First');
+  });
+
+  it('keeps a command that failed to undo', async () => {
+    recordCommand(command('Edit', { undo: () => Promise.reject(new Error('disk full')) }));
+
+    await expect(undo()).rejects.toThrow('disk full');
+
+    expect(getHistoryState()).toMatchObject({ canUndo: true, canRedo: false, undoLabel: 'Edit' });
+  });
+
+  it('forgets everything on clear, including a command still running', async () => {
+    const running = deferred();
+    recordCommand(command('Old', { undo: jest.fn(() => running.promise) }));
+    recordCommand(command('Older'));
+    await undo();
+
+    const undone = undo();
+    clearHistory();
+    running.resolve();
+    await undone;
+
+    expect(getHistoryState()).toEqual({ canUndo: false, canRedo: false, undoLabel: null, redoLabel: null });
+  });
+});
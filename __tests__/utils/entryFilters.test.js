@@ -0,0 +1,43 @@
+// __tests__/utils/entryFilters.test.js
+
+import { arrangeItems, parseDay } from '../../app/utils/entryFilters';
+
+const item = (id, createdAt) => ({ id, text: `Entry ${id}`, createdAt, lastModified: createdAt });
+
+// local times, so the days match wherever the tests run
+const ITEMS = [
+  item('d', new Date(2024, 2, 10, 9).toISOString()),
+  item('c', new Date(2024, 2, 5, 23, 59).toISOString()),
+  item('b', new Date(2024, 2, 1, 0, 0).toISOString()),
+  item('a', new Date(2024, 1, 20, 12).toISOString()),
+];
+
+const ids = (items) => items.map(entry => entry.id);
+
+describe('parseDay', () => {
+  it('reads a YYYY-MM-DD day as local midnight', () => {
+    expect(parseDay('2024-03-05')).toEqual(new Date(2024, 2, 5));
+    expect(parseDay(' 2024-03-05 ')).toEqual(new Date(2024, 2, 5));
+  });
+
+  it('turns down days that are incomplete or not real', () => {
+    expect(parseDay('')).toBeNull();
+    expect(parseDay('2024-03')).toBeNull();
+    expect(parseDay('2024-02-30')).toBeNull();
+    expect(parseDay('05/03/2024')).toBeNull();
+  });
+});
+
+describe('arrangeItems with a custom range', () => {
+  const arrange = (customRange) => ids(arrangeItems(ITEMS, { sort: 'created', ascending: false, range: 'custom', customRange }));
+
+  it('includes both the first and the last day', () => {
+    expect(arrange({ from: '2024-03-01', to: '2024-03-05' })).toEqual(['c', 'b']);
+  });
+
+  it('leaves a side open when its day is empty or incomplete', () => {
+    expect(arrange({ from: '2024-03-02', to: '' })).toEqual(['d', 'c']);
+    expect(arrange({ from: '2024-0', to: '2024-02-29' })).toEqual(['a']);
+    expect(arrange({ from: '', to: '' })).toEqual(['d', 'c', 'b', 'a']);
+  });
+});
@@ -0,0 +1,53 @@
+// __tests__/utils/textDiff.test.js
+
+import { diffWords } from '../../app/utils/textDiff';
+
+const join = (parts, skip) => parts.filter(part => part.type !== skip).map(part => part.value).join('');
+
+describe('diffWords', () => {
+  it('returns one equal part for identical texts', () => {
+    expect(diffWords('Lavender calms the mind', 'Lavender calms the mind')).toEqual([
+      { type: 'equal', value: 'Lavender calms the mind' },
+    ]);
+  });
+
+  it('returns nothing for two empty texts', () => {
+    expect(diffWords('', '')).toEqual([]);
+  });
+
+  it('marks changed words', () => {
+    expect(diffWords('Lavender calms the mind', 'Lavender soothes the mind')).toEqual([
+      { type: 'equal', value: 'Lavender ' },
+      { type: 'removed', value: 'calms' },
+      { type: 'added', value: 'soothes' },
+      { type: 'equal', value: ' the mind' },
+    ]);
+  });
+
+  it('handles text added to or removed from an empty text', () => {
+    expect(diffWords('', 'Mint')).toEqual([{ type: 'added', value: 'Mint' }]);
+    expect(diffWords('Mint', '')).toEqual([{ type: 'removed', value: 'Mint' }]);
+  });
+
+  it('rebuilds both texts from its parts', () => {
+    const oldText = 'Boil the roots for an hour.\nStrain, then add honey and ginger.';
+    const newText = 'Boil the dried roots for two hours.\nStrain and add honey.\nDrink warm.';
+    const parts = diffWords(oldText, newText);
+
+    expect(join(parts, 'added')).toBe(oldText);
+    expect(join(parts, 'removed')).toBe(newText);
+    expect(parts.every(part => part.value !== '')).toBe(true);
+  });
+
+  it('stays quick on long texts with nothing in common', () => {
+    const oldText = Array.from({ length: 20000 }, (_, i) => `a${i}`).join(' ');
+    const newText = Array.from({ length: 20000 }, (_, i) => `b${i}`).join(' ');
+
+    const started = Date.now();
+    const parts = diffWords(oldText, newText);
+
+    expect(Date.now() - started).toBeLessThan(2000);
+    expect(join(parts, 'added')).toBe(oldText);
+    expect(join(parts, 'removed')).toBe(newText);
+  });
+});
@@ -0,0 +1,108 @@
+// __tests__/utils/writingStats.test.js
+
+import { bucketRecords, rankSections, countByHour, dailyGrid } from '../../app/utils/writingStats';
+
+// Local times, so the tests pass in any time zone
+const at = (year, month, day, hour = 12) => new Date(year, month - 1, day, hour).toISOString();
+const record = (sectionId, createdAt, words = 1) => ({ sectionId, createdAt, lastModified: createdAt, words });
+
+// Wednesday 15 May 2024, midday
+const NOW = new Date(2024, 4, 15, 12);
+
+describe('bucketRecords', () => {
+  it('counts entries and words per day, oldest day first', () => {
+    const records = [
+      record('s1', at(2024, 5, 15, 9), 10),
+      record('s1', at(2024, 5, 15, 23), 5),
+      record('s2', at(2024, 5, 13), 7),
+      record('s2', at(2024, 5, 12), 100),
+    ];
+
+    const buckets = bucketRecords(records, 'day', 3, NOW);
+
+    expect(buckets.map(bucket => bucket.start)).toEqual([
+      new Date(2024, 4, 13),
+      new Date(2024, 4, 14),
+      new Date(2024, 4, 15),
+    ]);
+    expect(buckets.map(bucket => [bucket.entries, bucket.words])).toEqual([[1, 7], [0, 0], [2, 15]]);
+  });
+
+  it('starts weeks on Monday', () => {
+    const records = [
+      record('s1', at(2024, 5, 13)),
+      record('s1', at(2024, 5, 12)),
+      record('s1', at(2024, 5, 6)),
+    ];
+
+    const buckets = bucketRecords(records, 'week', 2, NOW);
+
+    expect(buckets.map(bucket => bucket.start)).toEqual([new Date(2024, 4, 6), new Date(2024, 4, 13)]);
+    expect(buckets.map(bucket => bucket.entries)).toEqual([2, 1]);
+  });
+
+  it('counts months across a year boundary', () => {
+    const records = [record('s1', at(2023, 12, 31)), record('s1', at(2024, 1, 1)), record('s1', at(2024, 3, 31))];
+
+    const buckets = bucketRecords(records, 'month', 3, new Date(2024, 1, 10));
+
+    expect(buckets.map(bucket => bucket.start)).toEqual([
+      new Date(2023, 11, 1),
+      new Date(2024, 0, 1),
+      new Date(2024, 1, 1),
+    ]);
+    expect(buckets.map(bucket => bucket.entries)).toEqual([1, 1, 0]);
+  });
+
+  it('skips entries without a readable creation time', () => {
+    const buckets = bucketRecords([record('s1', 'not a date'), record('s1', undefined)], 'day', 1, NOW);
+
+    expect(buckets[0].entries).toBe(0);
+  });
+});
+
+describe('rankSections', () => {
+  it('ranks sections by entries, then by words', () => {
+    const records = [
+      record('quiet', at(2024, 5, 1), 500),
+      record('busy', at(2024, 5, 1), 1),
+      record('busy', at(2024, 5, 2), 1),
+      record('wordy', at(2024, 5, 3), 50),
+      record('wordy', at(2024, 5, 4), 50),
+    ];
+
+    expect(rankSections(records)).toEqual([
+      { sectionId: 'wordy', entries: 2, words: 100 },
+      { sectionId: 'busy', entries: 2, words: 2 },
+      { sectionId: 'quiet', entries: 1, words: 500 },
+    ]);
+  });
+});
+
+describe('countByHour', () => {
+  it('counts entries per local hour', () => {
+    const hours = countByHour([
+      record('s1', at(2024, 5, 1, 0)),
+      record('s1', at(2024, 5, 2, 23)),
+      record('s1', at(2024, 5, 3, 23)),
+      record('s1', 'not a date'),
+    ]);
+
+    expect(hours).toHaveLength(24);
+    expect(hours[0]).toBe(1);
+    expect(hours[23]).toBe(2);
+    expect(hours.reduce((total, count) => total + count, 0)).toBe(3);
+  });
+});
+
+describe('dailyGrid', () => {
+  it('lays out whole weeks from Monday, ending this week, with days to come left empty', () => {
+    const grid = dailyGrid([record('s1', at(2024, 5, 6, 8)), record('s1', at(2024, 5, 6, 20))], 2, NOW);
+
+    expect(grid).toHaveLength(2);
+    expect(grid.every(week => week.length === 7)).toBe(true);
+    expect(grid[0][0]).toEqual({ date: new Date(2024, 4, 6), count: 2 });
+    expect(grid[1][2]).toEqual({ date: new Date(2024, 4, 15), count: 0 });
+    expect(grid[1].slice(3)).toEqual([null, null, null, null]);
+  });
+});
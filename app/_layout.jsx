@@ -1,10 +1,20 @@
 import { Stack } from 'expo-router';
 import { StatusBar } from 'expo-status-bar';
 import { useEffect } from 'react';
-import { Platform } from 'react-native';
+import { Platform, StyleSheet, View, Text, TouchableOpacity, ActivityIndicator } from 'react-native';
 import * as NavigationBar from 'expo-navigation-bar';
+import Ionicons from '@expo/vector-icons/Ionicons';
+import { useStorageMigrations } from './hooks/useStorageMigrations';
+import { purgeExpiredTrash } from './storage/trash';
+import { DiaryStoreProvider } from './context/DiaryStoreContext';
+import { useAppLock } from './hooks/useAppLock';
+import UnlockScreen from './components/UnlockScreen';
+import PinLockScreen from './components/PinLockScreen';
 
 export default function RootLayout() {
+  const { status, error, failedVersion, retry, unlock } = useStorageMigrations();
+  const appLock = useAppLock(status === 'ready');
+
   useEffect(() => {
     if (Platform.OS === 'android') {
       NavigationBar.setVisibilityAsync('hidden');
@@ -12,10 +22,131 @@ export default function RootLayout() {
     }
   }, []);
 
+  useEffect(() => {
+    if (status === 'ready') {
+      purgeExpiredTrash().catch(error => console.error('Error purging trash:', error));
+    }
+  }, [status]);
+
+  if (status === 'running' || (status === 'ready' && appLock.isChecking)) {
+    return (
+      <View style={styles.container}>
+        <ActivityIndicator size="large" color="#6B8E4E" />
+        <Text style={styles.message}>Preparing your diary...</Text>
+        <StatusBar style="light" hidden={true} />
+      </View>
+    );
+  }
+
+  if (status === 'locked') {
+    return (
+      <>
+        <UnlockScreen onUnlock={unlock} />
+        <StatusBar style="light" hidden={true} />
+      </>
+    );
+  }
+
+  if (status === 'failed') {
+    return (
+      <View style={styles.container}>
+        <View style={styles.errorBox}>
+          <Ionicons name="alert-circle" size={48} color="#C85C5C" />
+          <Text style={styles.errorTitle}>Could not upgrade your diary</Text>
+          <Text style={styles.message}>
+            {failedVersion !== null
+              ? `Upgrade step ${failedVersion} failed. Your data has not been changed beyond the last completed step.`
+              : 'Your stored data could not be read.'}
+          </Text>
+          <Text style={styles.errorDetail}>{error ? error.message : 'Unknown error'}</Text>
+          <TouchableOpacity style={styles.retryButton} onPress={retry}>
+            <Ionicons name="refresh" size={20} color="white" />
+            <Text style={styles.retryText}>Try Again</Text>
+          </TouchableOpacity>
+        </View>
+        <StatusBar style="light" hidden={true} />
+      </View>
+    );
+  }
+
   return (
-    <>
-      <Stack screenOptions={{ headerShown: false }} />
+    <DiaryStoreProvider>
+      {/* no route renders before the first unlock; later locks cover the screen
+          so navigation state survives */}
+      {appLock.hasUnlocked ? <Stack screenOptions={{ headerShown: false }} /> : null}
+      {appLock.isLocked && !appLock.lockError ? (
+        <View style={StyleSheet.absoluteFill}>
+          <PinLockScreen digits={appLock.digits} lockedUntil={appLock.lockedUntil} onUnlock={appLock.unlock} />
+        </View>
+      ) : null}
+      {appLock.lockError ? (
+        <View style={[StyleSheet.absoluteFill, styles.container]}>
+          <View style={styles.errorBox}>
+            <Ionicons name="lock-closed" size={48} color="#C85C5C" />
+            <Text style={styles.errorTitle}>Could not check your PIN lock</Text>
+            <Text style={styles.message}>Your diary stays locked until the lock can be read.</Text>
+            <Text style={styles.errorDetail}>{appLock.lockError.message}</Text>
+            <TouchableOpacity style={styles.retryButton} onPress={appLock.retry}>
+              <Ionicons name="refresh" size={20} color="white" />
+              <Text style={styles.retryText}>Try Again</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      ) : null}
       <StatusBar style="light" hidden={true} />
-    </>
+    </DiaryStoreProvider>
   );
-}
\ No newline at end of file
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F5EFE6',
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 24,
+  },
+  message: {
+    marginTop: 16,
+    fontSize: 15,
+    color: '#8B8680',
+    textAlign: 'center',
+    lineHeight: 22,
+  },
+  errorBox: {
+    backgroundColor: 'white',
+    borderRadius: 28,
+    padding: 32,
+    alignItems: 'center',
+    borderWidth: 3,
+    borderColor: '#C85C5C',
+  },
+  errorTitle: {
+    marginTop: 12,
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#4A403A',
+    textAlign: 'center',
+  },
+  errorDetail: {
+    marginTop: 12,
+    fontSize: 13,
+    color: '#C85C5C',
+    textAlign: 'center',
+  },
+  retryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginTop: 24,
+    backgroundColor: '#6B8E4E',
+    paddingVertical: 14,
+    paddingHorizontal: 28,
+    borderRadius: 20,
+  },
+  retryText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '700',
+  },
+});
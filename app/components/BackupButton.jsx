@@ -14,11 +14,11 @@ import Ionicons from '@expo/vector-icons/Ionicons';
 import { useBackupManager } from '../hooks/useBackupManager';
 import { Image } from 'react-native';
 
-const BackupButton = ({ onDataRefresh }) => {
+const BackupButton = () => {
   const [modalVisible, setModalVisible] = useState(false);
   const [backupInfo, setBackupInfo] = useState(null);
   
-  const { exportBackup, importBackup, getBackupInfo, isProcessing } = useBackupManager(onDataRefresh);
+  const { exportBackup, importBackup, getBackupInfo, isProcessing } = useBackupManager();
 
   useEffect(() => {
     if (modalVisible) {
@@ -125,7 +125,7 @@ const BackupButton = ({ onDataRefresh }) => {
                   <Text style={styles.sectionTitle}>Preserve Knowledge</Text>
                 </View>
                 <Text style={styles.sectionDescription}>
-                  Create a precious archive of your medicinal notes. Store them safely like Maomao's treasured herbal remedies.
+                  Create a precious archive of your medicinal notes. Store them safely like Maomao&apos;s treasured herbal remedies.
                 </Text>
                 <TouchableOpacity
                   style={[styles.actionButton, styles.exportButton]}
@@ -0,0 +1,83 @@
+// app/components/BarChart.jsx - Maomao Aesthetic
+
+import { StyleSheet, Text, View } from 'react-native';
+import React from 'react';
+
+/**
+ * Column chart of `data` ([{ label, value }]), scaled to the largest
+ * value. Only every `labelEvery`-th label is shown, so dense charts
+ * stay readable.
+ */
+const BarChart = ({ data, color = '#6B8E4E', height = 140, labelEvery = 1 }) => {
+  const max = Math.max(1, ...data.map(point => point.value));
+
+  return (
+    <View>
+      <View style={[styles.bars, { height }]}>
+        {data.map((point, index) => (
+          <View key={index} style={styles.column}>
+            {point.value > 0 && data.length <= 14 ? (
+              <Text style={styles.value} numberOfLines={1}>{point.value}</Text>
+            ) : null}
+            <View
+              style={[
+                styles.bar,
+                { height: Math.max(point.value > 0 ? 3 : 0, (point.value / max) * (height - 18)), backgroundColor: color },
+              ]}
+            />
+          </View>
+        ))}
+      </View>
+      <View style={styles.axis} />
+      <View style={styles.labels}>
+        {data.map((point, index) => (
+          <Text key={index} style={styles.label} numberOfLines={1}>
+            {index % labelEvery === 0 ? point.label : ''}
+          </Text>
+        ))}
+      </View>
+    </View>
+  );
+};
+
+export default BarChart;
+
+const styles = StyleSheet.create({
+  bars: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    gap: 3,
+  },
+  column: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'flex-end',
+  },
+  value: {
+    fontSize: 10,
+    fontWeight: '700',
+    color: '#8B8680',
+    marginBottom: 2,
+  },
+  bar: {
+    width: '100%',
+    borderTopLeftRadius: 4,
+    borderTopRightRadius: 4,
+  },
+  axis: {
+    height: 2,
+    backgroundColor: '#EDE7F6',
+  },
+  labels: {
+    flexDirection: 'row',
+    gap: 3,
+    marginTop: 4,
+  },
+  label: {
+    flex: 1,
+    fontSize: 9,
+    color: '#8B8680',
+    textAlign: 'center',
+    overflow: 'visible',
+  },
+});
@@ -0,0 +1,170 @@
+// app/components/DraggableList.jsx - Maomao Aesthetic
+
+import { StyleSheet, View, Animated, PanResponder } from 'react-native';
+import React, { useRef, useState } from 'react';
+
+// One row; its drag handle reports the finger's vertical travel
+const DraggableRow = ({
+  index,
+  isDragging,
+  marker,
+  dragY,
+  onLayout,
+  onDragStart,
+  onDragMove,
+  onDragEnd,
+  children,
+}) => {
+  // the responder is created once, so it reads the latest props through a ref
+  const latest = useRef({});
+  latest.current = { index, onDragStart, onDragMove, onDragEnd };
+
+  const responder = useRef(PanResponder.create({
+    onStartShouldSetPanResponder: () => true,
+    onMoveShouldSetPanResponder: () => true,
+    // keep the gesture even when the surrounding list wants to scroll
+    onPanResponderTerminationRequest: () => false,
+    onPanResponderGrant: () => latest.current.onDragStart(latest.current.index),
+    onPanResponderMove: (event, gesture) => latest.current.onDragMove(gesture.dy),
+    onPanResponderRelease: (event, gesture) => latest.current.onDragEnd(gesture.dy),
+    onPanResponderTerminate: (event, gesture) => latest.current.onDragEnd(gesture.dy),
+  })).current;
+
+  return (
+    <Animated.View
+      onLayout={onLayout}
+      style={isDragging ? [styles.dragging, { transform: [{ translateY: dragY }] }] : null}
+    >
+      {children(responder.panHandlers)}
+      {marker ? <View style={[styles.dropMarker, marker === 'before' ? styles.markerBefore : styles.markerAfter]} /> : null}
+    </Animated.View>
+  );
+};
+
+/**
+ * A list whose rows can be dragged into a new order. `renderItem(item,
+ * dragHandlers)` spreads `dragHandlers` on the row's drag handle; on drop,
+ * `onReorder(fromIndex, toIndex)` gets the row's old and new position.
+ * `onDragChange(isDragging)` lets a scrolling parent stop scrolling meanwhile.
+ */
+const DraggableList = ({ data, keyExtractor, renderItem, onReorder, onDragChange }) => {
+  const layouts = useRef({});
+  const dragY = useRef(new Animated.Value(0)).current;
+  // the drag lives in a ref for the gesture callbacks and in state for rendering
+  const dragRef = useRef(null);
+  const [drag, setDrag] = useState(null);
+
+  const updateDrag = (next) => {
+    dragRef.current = next;
+    setDrag(next);
+  };
+
+  const keys = data.map(keyExtractor);
+
+  // Where the dragged row would land: past every other row whose middle it has passed
+  const findTarget = (fromIndex, dy) => {
+    const dragged = layouts.current[keys[fromIndex]];
+    if (!dragged) {
+      return fromIndex;
+    }
+
+    const center = dragged.y + dragged.height / 2 + dy;
+    return keys.filter((key, index) => {
+      const layout = layouts.current[key];
+      return index !== fromIndex && layout && center > layout.y + layout.height / 2;
+    }).length;
+  };
+
+  const handleDragStart = (fromIndex) => {
+    dragY.setValue(0);
+    updateDrag({ fromIndex, toIndex: fromIndex });
+    onDragChange?.(true);
+  };
+
+  const handleDragMove = (dy) => {
+    const current = dragRef.current;
+    dragY.setValue(dy);
+    if (current) {
+      const toIndex = findTarget(current.fromIndex, dy);
+      if (toIndex !== current.toIndex) {
+        updateDrag({ ...current, toIndex });
+      }
+    }
+  };
+
+  const handleDragEnd = (dy) => {
+    const current = dragRef.current;
+    updateDrag(null);
+    dragY.setValue(0);
+    onDragChange?.(false);
+
+    if (current) {
+      const toIndex = findTarget(current.fromIndex, dy);
+      if (toIndex !== current.fromIndex) {
+        onReorder(current.fromIndex, toIndex);
+      }
+    }
+  };
+
+  // The drop marker goes above the row the dragged one will land before,
+  // or below the last row when it lands at the end
+  const markerFor = (index) => {
+    if (!drag || drag.toIndex === drag.fromIndex || index === drag.fromIndex) {
+      return null;
+    }
+    const others = keys.filter((key, keyIndex) => keyIndex !== drag.fromIndex);
+    if (others[drag.toIndex] === keys[index]) {
+      return 'before';
+    }
+    return drag.toIndex === others.length && keys[index] === others[others.length - 1] ? 'after' : null;
+  };
+
+  return (
+    <View>
+      {data.map((item, index) => {
+        const key = keys[index];
+        return (
+          <DraggableRow
+            key={key}
+            index={index}
+            isDragging={drag?.fromIndex === index}
+            marker={markerFor(index)}
+            dragY={dragY}
+            onLayout={(event) => {
+              layouts.current[key] = event.nativeEvent.layout;
+            }}
+            onDragStart={handleDragStart}
+            onDragMove={handleDragMove}
+            onDragEnd={handleDragEnd}
+          >
+            {(dragHandlers) => renderItem(item, dragHandlers)}
+          </DraggableRow>
+        );
+      })}
+    </View>
+  );
+};
+
+export default DraggableList;
+
+const styles = StyleSheet.create({
+  dragging: {
+    zIndex: 10,
+    elevation: 8,
+    opacity: 0.85,
+  },
+  dropMarker: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    height: 3,
+    borderRadius: 2,
+    backgroundColor: '#D4A574',
+  },
+  markerBefore: {
+    top: -2,
+  },
+  markerAfter: {
+    bottom: -2,
+  },
+});
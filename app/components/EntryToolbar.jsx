@@ -0,0 +1,251 @@
+// app/components/EntryToolbar.jsx - Maomao Aesthetic
+
+import { StyleSheet, Text, View, TextInput, TouchableOpacity, ScrollView } from 'react-native';
+import React, { useState } from 'react';
+import Ionicons from '@expo/vector-icons/Ionicons';
+import { SORT_MODES, DATE_RANGES, parseDay } from '../utils/entryFilters';
+
+const Chip = ({ label, icon, isActive, onPress }) => (
+  <TouchableOpacity style={[styles.chip, isActive && styles.chipActive]} onPress={onPress}>
+    {icon ? <Ionicons name={icon} size={14} color={isActive ? 'white' : '#7B5E7B'} /> : null}
+    <Text style={[styles.chipText, isActive && styles.chipTextActive]}>{label}</Text>
+  </TouchableOpacity>
+);
+
+// A YYYY-MM-DD day for a custom range; flagged once it can't become a day
+const DayInput = ({ label, value, onChange }) => {
+  const isInvalid = value.length >= 10 && !parseDay(value);
+
+  return (
+    <View style={styles.dayField}>
+      <Text style={styles.dayLabel}>{label}</Text>
+      <TextInput
+        style={[styles.dayInput, isInvalid && styles.dayInputInvalid]}
+        placeholder="YYYY-MM-DD"
+        placeholderTextColor="#B8A5B8"
+        value={value}
+        onChangeText={onChange}
+        keyboardType="numbers-and-punctuation"
+        maxLength={10}
+        autoCorrect={false}
+      />
+    </View>
+  );
+};
+
+/**
+ * Filter box plus sort and date-range choices for a section's entries.
+ * A custom range is typed in as the first and last day to show.
+ */
+const EntryToolbar = ({
+  query,
+  onQueryChange,
+  sort,
+  ascending,
+  onSort,
+  range,
+  onRangeChange,
+  customRange,
+  onCustomRangeChange,
+  shownCount,
+  totalCount,
+}) => {
+  const [showOptions, setShowOptions] = useState(false);
+  const isFiltered = query.trim() !== '' || range !== 'all';
+
+  return (
+    <View style={styles.toolbar}>
+      <View style={styles.filterRow}>
+        <View style={styles.filterBox}>
+          <Ionicons name="search" size={18} color="#B8A5B8" />
+          <TextInput
+            style={styles.filterInput}
+            placeholder="Filter entries..."
+            placeholderTextColor="#B8A5B8"
+            value={query}
+            onChangeText={onQueryChange}
+            autoCorrect={false}
+          />
+          {query ? (
+            <TouchableOpacity onPress={() => onQueryChange('')}>
+              <Ionicons name="close-circle" size={18} color="#B8A5B8" />
+            </TouchableOpacity>
+          ) : null}
+        </View>
+        <TouchableOpacity
+          style={[styles.optionsButton, showOptions && styles.optionsButtonActive]}
+          onPress={() => setShowOptions(prev => !prev)}
+        >
+          <Ionicons name="options" size={22} color={showOptions ? 'white' : '#7B5E7B'} />
+        </TouchableOpacity>
+      </View>
+
+      {showOptions ? (
+        <View style={styles.options}>
+          <Text style={styles.optionsLabel}>Sort by</Text>
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chips}>
+            {SORT_MODES.map(mode => (
+              <Chip
+                key={mode.key}
+                label={mode.label}
+                icon={mode.key === sort ? (ascending ? 'arrow-up' : 'arrow-down') : mode.icon}
+                isActive={mode.key === sort}
+                onPress={() => onSort(mode.key)}
+              />
+            ))}
+          </ScrollView>
+
+          <Text style={styles.optionsLabel}>Written</Text>
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chips}>
+            {DATE_RANGES.map(option => (
+              <Chip
+                key={option.key}
+                label={option.label}
+                isActive={option.key === range}
+                onPress={() => onRangeChange(option.key)}
+              />
+            ))}
+          </ScrollView>
+
+          {range === 'custom' ? (
+            <View style={styles.dayRow}>
+              <DayInput
+                label="From"
+                value={customRange.from}
+                onChange={from => onCustomRangeChange({ ...customRange, from })}
+              />
+              <DayInput
+                label="To"
+                value={customRange.to}
+                onChange={to => onCustomRangeChange({ ...customRange, to })}
+              />
+            </View>
+          ) : null}
+        </View>
+      ) : null}
+
+      {isFiltered ? (
+        <Text style={styles.countText}>
+          Showing {shownCount} of {totalCount} {totalCount === 1 ? 'entry' : 'entries'}
+        </Text>
+      ) : null}
+    </View>
+  );
+};
+
+export default EntryToolbar;
+
+const styles = StyleSheet.create({
+  toolbar: {
+    paddingHorizontal: 10,
+    paddingTop: 12,
+  },
+  filterRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  filterBox: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    backgroundColor: '#fff',
+    paddingHorizontal: 14,
+    borderRadius: 20,
+    borderWidth: 2,
+    borderColor: '#EDE7F6',
+  },
+  filterInput: {
+    flex: 1,
+    paddingVertical: 10,
+    fontSize: 15,
+    color: '#4A403A',
+  },
+  optionsButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: '#EDE7F6',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  optionsButtonActive: {
+    backgroundColor: '#7B5E7B',
+  },
+  options: {
+    backgroundColor: '#fff',
+    borderRadius: 20,
+    padding: 14,
+    paddingTop: 10,
+    marginTop: 10,
+  },
+  optionsLabel: {
+    fontSize: 12,
+    fontWeight: '700',
+    color: '#8B8680',
+    textTransform: 'uppercase',
+    letterSpacing: 0.5,
+    marginTop: 4,
+    marginBottom: 8,
+  },
+  chips: {
+    gap: 8,
+    paddingBottom: 6,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingHorizontal: 12,
+    paddingVertical: 7,
+    borderRadius: 14,
+    backgroundColor: '#F5EFE6',
+  },
+  chipActive: {
+    backgroundColor: '#7B5E7B',
+  },
+  chipText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#4A403A',
+  },
+  chipTextActive: {
+    color: 'white',
+  },
+  dayRow: {
+    flexDirection: 'row',
+    gap: 10,
+    marginTop: 6,
+  },
+  dayField: {
+    flex: 1,
+  },
+  dayLabel: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#8B8680',
+    marginBottom: 4,
+    marginLeft: 4,
+  },
+  dayInput: {
+    backgroundColor: '#F5EFE6',
+    borderRadius: 14,
+    borderWidth: 2,
+    borderColor: '#F5EFE6',
+    paddingHorizontal: 12,
+    paddingVertical: 7,
+    fontSize: 14,
+    color: '#4A403A',
+  },
+  dayInputInvalid: {
+    borderColor: '#C85C5C',
+  },
+  countText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#8B8680',
+    marginTop: 10,
+    marginLeft: 6,
+  },
+});
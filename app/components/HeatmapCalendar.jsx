@@ -0,0 +1,125 @@
+// app/components/HeatmapCalendar.jsx - Maomao Aesthetic
+
+import { StyleSheet, Text, View, ScrollView } from 'react-native';
+import React from 'react';
+
+const CELL_SIZE = 14;
+const CELL_GAP = 3;
+const WEEKDAY_LABELS = ['Mon', '', 'Wed', '', 'Fri', '', ''];
+
+// Shade of a day with `count` entries, on a scale up to `max`
+const cellOpacity = (count, max) => (count === 0 ? 0 : 0.25 + 0.75 * (count / max));
+
+/**
+ * Calendar heatmap of `weeks` (from `dailyGrid`): one column per week,
+ * days shaded by how many entries were started. A month's name sits
+ * above the week it starts in.
+ */
+const HeatmapCalendar = ({ weeks, color = '#6B8E4E' }) => {
+  const max = Math.max(1, ...weeks.flat().map(day => (day ? day.count : 0)));
+
+  return (
+    <View>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+        <View style={styles.grid}>
+          <View style={styles.weekdays}>
+            {WEEKDAY_LABELS.map((label, index) => (
+              <Text key={index} style={styles.weekdayLabel}>{label}</Text>
+            ))}
+          </View>
+
+          {weeks.map((days, index) => {
+            const firstOfMonth = days.find(day => day && day.date.getDate() === 1);
+
+            return (
+              <View key={index} style={styles.week}>
+                <Text style={styles.monthLabel} numberOfLines={1}>
+                  {firstOfMonth ? firstOfMonth.date.toLocaleDateString(undefined, { month: 'short' }) : ''}
+                </Text>
+                {days.map((day, weekday) => (
+                  <View key={weekday} style={[styles.cell, !day && styles.cellFuture]}>
+                    {day && day.count > 0 ? (
+                      <View
+                        style={[
+                          StyleSheet.absoluteFill,
+                          styles.cellFill,
+                          { backgroundColor: color, opacity: cellOpacity(day.count, max) },
+                        ]}
+                      />
+                    ) : null}
+                  </View>
+                ))}
+              </View>
+            );
+          })}
+        </View>
+      </ScrollView>
+
+      <View style={styles.legend}>
+        <Text style={styles.legendText}>Less</Text>
+        {[0, 0.25, 0.5, 0.75, 1].map(level => (
+          <View key={level} style={styles.cell}>
+            {level > 0 ? (
+              <View style={[StyleSheet.absoluteFill, styles.cellFill, { backgroundColor: color, opacity: level }]} />
+            ) : null}
+          </View>
+        ))}
+        <Text style={styles.legendText}>More</Text>
+      </View>
+    </View>
+  );
+};
+
+export default HeatmapCalendar;
+
+const styles = StyleSheet.create({
+  grid: {
+    flexDirection: 'row',
+    gap: CELL_GAP,
+  },
+  weekdays: {
+    marginTop: 16,
+    gap: CELL_GAP,
+  },
+  weekdayLabel: {
+    height: CELL_SIZE,
+    fontSize: 9,
+    lineHeight: CELL_SIZE,
+    color: '#8B8680',
+    marginRight: 4,
+  },
+  week: {
+    gap: CELL_GAP,
+  },
+  monthLabel: {
+    height: 13,
+    width: CELL_SIZE * 2,
+    fontSize: 9,
+    color: '#8B8680',
+  },
+  cell: {
+    width: CELL_SIZE,
+    height: CELL_SIZE,
+    borderRadius: 3,
+    backgroundColor: '#EDE7F6',
+    overflow: 'hidden',
+  },
+  cellFuture: {
+    backgroundColor: 'transparent',
+  },
+  cellFill: {
+    borderRadius: 3,
+  },
+  legend: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'flex-end',
+    gap: CELL_GAP,
+    marginTop: 10,
+  },
+  legendText: {
+    fontSize: 10,
+    color: '#8B8680',
+    marginHorizontal: 4,
+  },
+});
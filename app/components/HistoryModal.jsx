@@ -0,0 +1,348 @@
+// app/components/HistoryModal.jsx - Maomao Aesthetic
+
+import {
+  StyleSheet,
+  Text,
+  View,
+  TouchableOpacity,
+  Modal,
+  ScrollView,
+  Alert,
+} from 'react-native';
+import React, { useState, useEffect, useMemo } from 'react';
+import Ionicons from '@expo/vector-icons/Ionicons';
+import { diffWords } from '../utils/textDiff';
+import { formatAbsolute, formatRelative } from '../utils/dateFormat';
+
+const HistoryModal = ({ visible, item, onClose, onRestore }) => {
+  const revisions = useMemo(
+    () => (item && Array.isArray(item.revisions) ? item.revisions : []),
+    [item]
+  );
+
+  const [oldId, setOldId] = useState(null);
+  const [newId, setNewId] = useState(null);
+
+  // Default to comparing the latest save with the one before it
+  useEffect(() => {
+    if (visible && revisions.length > 0) {
+      const latest = revisions[revisions.length - 1];
+      const previous = revisions[revisions.length - 2] || latest;
+      setNewId(latest.id);
+      setOldId(previous.id);
+    }
+  }, [visible, revisions]);
+
+  const oldRevision = revisions.find(rev => rev.id === oldId);
+  const newRevision = revisions.find(rev => rev.id === newId);
+
+  const diff = useMemo(() => {
+    if (!oldRevision || !newRevision) {
+      return [];
+    }
+    return diffWords(oldRevision.text, newRevision.text);
+  }, [oldRevision, newRevision]);
+
+  const latestId = revisions.length > 0 ? revisions[revisions.length - 1].id : null;
+
+  const handleRestore = (revision) => {
+    Alert.alert(
+      'Restore Version',
+      `Replace the current text with the version saved ${formatRelative(revision.savedAt)}? The current text stays in the history.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Restore', onPress: () => onRestore(revision) },
+      ]
+    );
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent={false}
+      onRequestClose={onClose}
+    >
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+            <Ionicons name="arrow-back" size={26} color="#7B5E7B" />
+          </TouchableOpacity>
+          <View style={styles.headerTitleContainer}>
+            <Ionicons name="git-compare" size={24} color="#6B8E4E" />
+            <Text style={styles.headerTitle}>Entry History</Text>
+          </View>
+          <View style={styles.headerSpacer} />
+        </View>
+
+        <ScrollView style={styles.body} contentContainerStyle={styles.bodyContent}>
+          <View style={styles.diffCard}>
+            <View style={styles.diffHeader}>
+              <Text style={styles.diffLabel}>
+                {oldRevision ? formatAbsolute(oldRevision.savedAt) : '-'}
+              </Text>
+              <Ionicons name="arrow-forward" size={16} color="#8B8680" />
+              <Text style={styles.diffLabel}>
+                {newRevision ? formatAbsolute(newRevision.savedAt) : '-'}
+              </Text>
+            </View>
+            {oldId === newId ? (
+              <Text style={styles.diffHint}>Pick two different versions to compare them.</Text>
+            ) : null}
+            <Text style={styles.diffText}>
+              {diff.map((part, index) => (
+                <Text
+                  key={index}
+                  style={
+                    part.type === 'added'
+                      ? styles.added
+                      : part.type === 'removed'
+                        ? styles.removed
+                        : null
+                  }
+                >
+                  {part.value}
+                </Text>
+              ))}
+            </Text>
+          </View>
+
+          <Text style={styles.listTitle}>
+            {revisions.length} {revisions.length === 1 ? 'version' : 'versions'} saved
+          </Text>
+
+          {[...revisions].reverse().map(revision => {
+            const isLatest = revision.id === latestId;
+
+            return (
+              <View key={revision.id} style={styles.revisionCard}>
+                <View style={styles.revisionHeader}>
+                  <View style={styles.revisionDate}>
+                    <Ionicons name="time-outline" size={14} color="#B8A5B8" />
+                    <Text style={styles.revisionDateText}>{formatAbsolute(revision.savedAt)}</Text>
+                  </View>
+                  {isLatest ? <Text style={styles.currentBadge}>Current</Text> : null}
+                </View>
+
+                <Text style={styles.revisionText} numberOfLines={2}>
+                  {revision.text}
+                </Text>
+
+                <View style={styles.revisionActions}>
+                  <TouchableOpacity
+                    style={[styles.pickChip, oldId === revision.id && styles.pickChipActive]}
+                    onPress={() => setOldId(revision.id)}
+                  >
+                    <Text style={[styles.pickChipText, oldId === revision.id && styles.pickChipTextActive]}>
+                      Compare from
+                    </Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    style={[styles.pickChip, newId === revision.id && styles.pickChipActive]}
+                    onPress={() => setNewId(revision.id)}
+                  >
+                    <Text style={[styles.pickChipText, newId === revision.id && styles.pickChipTextActive]}>
+                      Compare to
+                    </Text>
+                  </TouchableOpacity>
+                  {!isLatest ? (
+                    <TouchableOpacity
+                      style={styles.restoreButton}
+                      onPress={() => handleRestore(revision)}
+                    >
+                      <Ionicons name="arrow-undo" size={16} color="white" />
+                      <Text style={styles.restoreText}>Restore</Text>
+                    </TouchableOpacity>
+                  ) : null}
+                </View>
+              </View>
+            );
+          })}
+        </ScrollView>
+      </View>
+    </Modal>
+  );
+};
+
+export default HistoryModal;
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F5EFE6',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingTop: 50,
+    paddingBottom: 20,
+    backgroundColor: '#fff',
+    borderBottomWidth: 3,
+    borderBottomColor: '#D4A574',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 4,
+  },
+  closeButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: '#EDE7F6',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  headerTitleContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#4A403A',
+  },
+  headerSpacer: {
+    width: 44,
+  },
+  body: {
+    flex: 1,
+  },
+  bodyContent: {
+    padding: 16,
+    paddingBottom: 40,
+  },
+  diffCard: {
+    backgroundColor: '#fff',
+    borderRadius: 24,
+    padding: 18,
+    marginBottom: 20,
+    borderWidth: 2,
+    borderColor: '#9CAF88',
+  },
+  diffHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    gap: 8,
+    marginBottom: 12,
+    paddingBottom: 10,
+    borderBottomWidth: 2,
+    borderBottomColor: '#F5EFE6',
+  },
+  diffLabel: {
+    flex: 1,
+    fontSize: 12,
+    color: '#8B8680',
+    fontWeight: '600',
+    textAlign: 'center',
+  },
+  diffHint: {
+    fontSize: 13,
+    color: '#B8A5B8',
+    fontStyle: 'italic',
+    marginBottom: 8,
+  },
+  diffText: {
+    fontSize: 16,
+    color: '#4A403A',
+    lineHeight: 24,
+  },
+  added: {
+    backgroundColor: '#E8F5E9',
+    color: '#4A7C59',
+    fontWeight: '600',
+  },
+  removed: {
+    backgroundColor: '#FFEBEE',
+    color: '#C85C5C',
+    textDecorationLine: 'line-through',
+  },
+  listTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#4A403A',
+    marginBottom: 12,
+  },
+  revisionCard: {
+    backgroundColor: '#fff',
+    borderRadius: 20,
+    padding: 16,
+    marginBottom: 12,
+    borderLeftWidth: 5,
+    borderLeftColor: '#7B5E7B',
+  },
+  revisionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  revisionDate: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+  },
+  revisionDateText: {
+    fontSize: 12,
+    color: '#8B8680',
+    fontWeight: '500',
+  },
+  currentBadge: {
+    fontSize: 12,
+    fontWeight: '700',
+    color: '#6B8E4E',
+    backgroundColor: '#E8F5E9',
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 10,
+    overflow: 'hidden',
+  },
+  revisionText: {
+    fontSize: 15,
+    color: '#4A403A',
+    lineHeight: 22,
+    marginBottom: 12,
+  },
+  revisionActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  pickChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 12,
+    backgroundColor: '#F5EFE6',
+  },
+  pickChipActive: {
+    backgroundColor: '#7B5E7B',
+  },
+  pickChipText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#7B5E7B',
+  },
+  pickChipTextActive: {
+    color: '#fff',
+  },
+  restoreButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    marginLeft: 'auto',
+    backgroundColor: '#6B8E4E',
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 12,
+  },
+  restoreText: {
+    fontSize: 13,
+    fontWeight: '700',
+    color: '#fff',
+  },
+});
@@ -0,0 +1,115 @@
+// app/components/LineChart.jsx - Maomao Aesthetic
+
+import { StyleSheet, Text, View } from 'react-native';
+import React, { useState } from 'react';
+
+const LINE_WIDTH = 3;
+const DOT_SIZE = 8;
+const LABEL_WIDTH = 40;
+
+/**
+ * Line chart of `data` ([{ label, value }]), scaled to the largest value.
+ * Segments are thin rotated views, so no drawing library is needed; the
+ * chart measures its own width before drawing.
+ */
+const LineChart = ({ data, color = '#7B5E7B', height = 140, labelEvery = 1 }) => {
+  const [width, setWidth] = useState(0);
+  const max = Math.max(1, ...data.map(point => point.value));
+
+  const step = data.length > 1 ? (width - DOT_SIZE) / (data.length - 1) : 0;
+  const points = data.map((point, index) => ({
+    x: DOT_SIZE / 2 + index * step,
+    y: DOT_SIZE / 2 + (1 - point.value / max) * (height - DOT_SIZE),
+  }));
+
+  return (
+    <View>
+      <View
+        style={[styles.plot, { height }]}
+        onLayout={event => setWidth(event.nativeEvent.layout.width)}
+      >
+        {width > 0 ? points.slice(1).map((point, index) => {
+          const from = points[index];
+          const dx = point.x - from.x;
+          const dy = point.y - from.y;
+          const length = Math.sqrt(dx * dx + dy * dy);
+
+          return (
+            <View
+              key={`segment-${index}`}
+              style={[
+                styles.segment,
+                {
+                  width: length,
+                  left: (from.x + point.x) / 2 - length / 2,
+                  top: (from.y + point.y) / 2 - LINE_WIDTH / 2,
+                  backgroundColor: color,
+                  transform: [{ rotate: `${Math.atan2(dy, dx)}rad` }],
+                },
+              ]}
+            />
+          );
+        }) : null}
+
+        {width > 0 ? points.map((point, index) => (
+          <View
+            key={`dot-${index}`}
+            style={[
+              styles.dot,
+              { left: point.x - DOT_SIZE / 2, top: point.y - DOT_SIZE / 2, borderColor: color },
+            ]}
+          />
+        )) : null}
+      </View>
+
+      <View style={styles.axis} />
+      <View style={styles.labels}>
+        {width > 0 ? points.map((point, index) => (index % labelEvery === 0 ? (
+          <Text
+            key={index}
+            style={[styles.label, { left: point.x - LABEL_WIDTH / 2 }]}
+            numberOfLines={1}
+          >
+            {data[index].label}
+          </Text>
+        ) : null)) : null}
+      </View>
+    </View>
+  );
+};
+
+export default LineChart;
+
+const styles = StyleSheet.create({
+  plot: {
+    position: 'relative',
+  },
+  segment: {
+    position: 'absolute',
+    height: LINE_WIDTH,
+    borderRadius: LINE_WIDTH / 2,
+  },
+  dot: {
+    position: 'absolute',
+    width: DOT_SIZE,
+    height: DOT_SIZE,
+    borderRadius: DOT_SIZE / 2,
+    borderWidth: 2,
+    backgroundColor: '#fff',
+  },
+  axis: {
+    height: 2,
+    backgroundColor: '#EDE7F6',
+  },
+  labels: {
+    height: 14,
+    marginTop: 4,
+  },
+  label: {
+    position: 'absolute',
+    width: LABEL_WIDTH,
+    fontSize: 9,
+    color: '#8B8680',
+    textAlign: 'center',
+  },
+});
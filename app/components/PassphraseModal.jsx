@@ -0,0 +1,262 @@
+// app/components/PassphraseModal.jsx - Maomao Aesthetic
+
+import {
+  StyleSheet,
+  Text,
+  View,
+  TextInput,
+  TouchableOpacity,
+  Modal,
+  ActivityIndicator,
+} from 'react-native';
+import React, { useState, useEffect } from 'react';
+import Ionicons from '@expo/vector-icons/Ionicons';
+
+const MIN_LENGTH = 8;
+
+const MODES = {
+  enable: {
+    title: 'Encrypt Diary',
+    icon: 'lock-closed',
+    askCurrent: false,
+    askNext: true,
+    submitLabel: 'Encrypt',
+    note: "You'll need this passphrase every time the diary opens. If you forget it, your entries can't be recovered.",
+  },
+  change: {
+    title: 'Change Passphrase',
+    icon: 'key',
+    askCurrent: true,
+    askNext: true,
+    submitLabel: 'Change',
+    note: 'Everything is encrypted again under the new passphrase.',
+  },
+  disable: {
+    title: 'Remove Encryption',
+    icon: 'lock-open',
+    askCurrent: true,
+    askNext: false,
+    submitLabel: 'Decrypt',
+    note: 'Your entries will be stored readable on this device again.',
+  },
+};
+
+const PassphraseField = ({ value, onChangeText, placeholder, autoFocus, editable }) => (
+  <TextInput
+    style={styles.input}
+    value={value}
+    onChangeText={onChangeText}
+    placeholder={placeholder}
+    placeholderTextColor="#B8A5B8"
+    secureTextEntry
+    autoFocus={autoFocus}
+    autoCapitalize="none"
+    autoCorrect={false}
+    editable={editable}
+  />
+);
+
+/**
+ * Collects the passphrases for `mode` ('enable', 'change' or 'disable')
+ * and passes them on as onSubmit({ current, next }). A rejected onSubmit
+ * shows its error and keeps the modal open.
+ */
+const PassphraseModal = ({ mode, onSubmit, onClose }) => {
+  const [current, setCurrent] = useState('');
+  const [next, setNext] = useState('');
+  const [confirm, setConfirm] = useState('');
+  const [message, setMessage] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+
+  const config = mode ? MODES[mode] : null;
+
+  useEffect(() => {
+    setCurrent('');
+    setNext('');
+    setConfirm('');
+    setMessage(null);
+    setIsWorking(false);
+  }, [mode]);
+
+  const validate = () => {
+    if (config.askCurrent && !current) {
+      return 'Enter your current passphrase.';
+    }
+    if (config.askNext && next.length < MIN_LENGTH) {
+      return `Use at least ${MIN_LENGTH} characters for the new passphrase.`;
+    }
+    if (config.askNext && next !== confirm) {
+      return "The new passphrases don't match.";
+    }
+    return null;
+  };
+
+  const handleSubmit = async () => {
+    const problem = validate();
+    if (problem) {
+      setMessage(problem);
+      return;
+    }
+
+    setIsWorking(true);
+    setMessage(null);
+    try {
+      await onSubmit({ current, next });
+    } catch (error) {
+      setMessage(error.message === 'Wrong passphrase'
+        ? 'The current passphrase is not right.'
+        : 'Your diary could not be rewritten. Nothing was changed.');
+      setIsWorking(false);
+    }
+  };
+
+  const handleClose = () => {
+    if (!isWorking) {
+      onClose();
+    }
+  };
+
+  return (
+    <Modal visible={config !== null} transparent={true} animationType="fade" onRequestClose={handleClose}>
+      <TouchableOpacity style={styles.overlay} activeOpacity={1} onPress={handleClose}>
+        {config ? (
+          <View style={styles.card} onStartShouldSetResponder={() => true}>
+            <View style={styles.header}>
+              <Ionicons name={config.icon} size={26} color="#7B5E7B" />
+              <Text style={styles.title}>{config.title}</Text>
+            </View>
+
+            {config.askCurrent ? (
+              <PassphraseField
+                value={current}
+                onChangeText={setCurrent}
+                placeholder="Current passphrase"
+                autoFocus
+                editable={!isWorking}
+              />
+            ) : null}
+
+            {config.askNext ? (
+              <>
+                <PassphraseField
+                  value={next}
+                  onChangeText={setNext}
+                  placeholder="New passphrase"
+                  autoFocus={!config.askCurrent}
+                  editable={!isWorking}
+                />
+                <PassphraseField
+                  value={confirm}
+                  onChangeText={setConfirm}
+                  placeholder="New passphrase again"
+                  editable={!isWorking}
+                />
+              </>
+            ) : null}
+
+            <Text style={styles.note}>{config.note}</Text>
+            {message ? <Text style={styles.errorText}>{message}</Text> : null}
+
+            <View style={styles.buttons}>
+              <TouchableOpacity
+                style={[styles.button, styles.cancelButton, isWorking && styles.buttonDisabled]}
+                onPress={handleClose}
+                disabled={isWorking}
+              >
+                <Text style={styles.buttonText}>Cancel</Text>
+              </TouchableOpacity>
+
+              <TouchableOpacity
+                style={[styles.button, styles.submitButton, isWorking && styles.buttonDisabled]}
+                onPress={handleSubmit}
+                disabled={isWorking}
+              >
+                {isWorking
+                  ? <ActivityIndicator color="white" />
+                  : <Text style={styles.buttonText}>{config.submitLabel}</Text>}
+              </TouchableOpacity>
+            </View>
+          </View>
+        ) : null}
+      </TouchableOpacity>
+    </Modal>
+  );
+};
+
+export default PassphraseModal;
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(74, 64, 58, 0.75)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  card: {
+    backgroundColor: '#F5EFE6',
+    borderRadius: 28,
+    padding: 24,
+    width: '85%',
+    maxWidth: 360,
+    borderWidth: 3,
+    borderColor: '#9CAF88',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    marginBottom: 20,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#4A403A',
+  },
+  input: {
+    borderWidth: 2,
+    borderColor: '#9CAF88',
+    borderRadius: 16,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 16,
+    marginBottom: 12,
+    backgroundColor: '#fff',
+    color: '#4A403A',
+  },
+  note: {
+    fontSize: 13,
+    color: '#8B8680',
+    lineHeight: 18,
+    marginTop: 4,
+  },
+  errorText: {
+    fontSize: 13,
+    color: '#C85C5C',
+    marginTop: 10,
+  },
+  buttons: {
+    flexDirection: 'row',
+    gap: 12,
+    marginTop: 20,
+  },
+  button: {
+    flex: 1,
+    padding: 16,
+    borderRadius: 16,
+    alignItems: 'center',
+  },
+  cancelButton: {
+    backgroundColor: '#8B8680',
+  },
+  submitButton: {
+    backgroundColor: '#6B8E4E',
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '700',
+  },
+});
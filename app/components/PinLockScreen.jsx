@@ -0,0 +1,212 @@
+// app/components/PinLockScreen.jsx - Maomao Aesthetic
+
+import { StyleSheet, Text, View, TouchableOpacity, ActivityIndicator, BackHandler } from 'react-native';
+import React, { useState, useEffect } from 'react';
+import Ionicons from '@expo/vector-icons/Ionicons';
+
+const KEYS = ['1', '2', '3', '4', '5', '6', '7', '8', '9', null, '0', 'back'];
+
+const secondsUntil = (isoString) =>
+  isoString ? Math.max(0, Math.ceil((new Date(isoString) - Date.now()) / 1000)) : 0;
+
+const formatWait = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  const rest = String(seconds % 60).padStart(2, '0');
+  return `${minutes}:${rest}`;
+};
+
+/**
+ * Keypad that asks for the app PIN. The PIN is checked as soon as it
+ * has `digits` digits; `onUnlock(pin)` resolves to whether it was right.
+ * While `lockedUntil` is in the future the keypad is disabled.
+ */
+const PinLockScreen = ({ digits, lockedUntil, onUnlock }) => {
+  const [pin, setPin] = useState('');
+  const [isChecking, setIsChecking] = useState(false);
+  const [isWrong, setIsWrong] = useState(false);
+  const [waitSeconds, setWaitSeconds] = useState(() => secondsUntil(lockedUntil));
+
+  // the back button must not reach the screens underneath
+  useEffect(() => {
+    const subscription = BackHandler.addEventListener('hardwareBackPress', () => true);
+    return () => subscription.remove();
+  }, []);
+
+  // count down the wait after too many wrong PINs
+  useEffect(() => {
+    setWaitSeconds(secondsUntil(lockedUntil));
+    if (secondsUntil(lockedUntil) === 0) {
+      return;
+    }
+
+    const timer = setInterval(() => {
+      const remaining = secondsUntil(lockedUntil);
+      setWaitSeconds(remaining);
+      if (remaining === 0) {
+        clearInterval(timer);
+      }
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [lockedUntil]);
+
+  const submit = async (candidate) => {
+    setIsChecking(true);
+    try {
+      const ok = await onUnlock(candidate);
+      if (!ok) {
+        setIsWrong(true);
+      }
+    } catch (error) {
+      console.error('Error checking PIN:', error);
+      setIsWrong(true);
+    } finally {
+      setPin('');
+      setIsChecking(false);
+    }
+  };
+
+  const pressKey = (key) => {
+    if (key === 'back') {
+      setPin(current => current.slice(0, -1));
+      return;
+    }
+
+    if (pin.length >= digits) {
+      return;
+    }
+
+    const next = pin + key;
+    setIsWrong(false);
+    setPin(next);
+    if (next.length === digits) {
+      submit(next);
+    }
+  };
+
+  const isWaiting = waitSeconds > 0;
+  const isDisabled = isWaiting || isChecking;
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.iconCircle}>
+        <Ionicons name="lock-closed" size={36} color="#7B5E7B" />
+      </View>
+      <Text style={styles.title}>Enter your PIN</Text>
+
+      <View style={styles.dots}>
+        {Array.from({ length: digits || 4 }, (_, index) => (
+          <View
+            key={index}
+            style={[styles.dot, index < pin.length && styles.dotFilled, isWrong && styles.dotWrong]}
+          />
+        ))}
+      </View>
+
+      <View style={styles.messageRow}>
+        {isChecking ? <ActivityIndicator color="#6B8E4E" /> : null}
+        {!isChecking && isWaiting ? (
+          <Text style={styles.errorText}>Too many wrong PINs. Try again in {formatWait(waitSeconds)}</Text>
+        ) : null}
+        {!isChecking && !isWaiting && isWrong ? <Text style={styles.errorText}>Wrong PIN</Text> : null}
+      </View>
+
+      <View style={[styles.keypad, isDisabled && styles.keypadDisabled]}>
+        {KEYS.map((key, index) => (key === null ? (
+          <View key={index} style={styles.key} />
+        ) : (
+          <TouchableOpacity
+            key={index}
+            style={[styles.key, key !== 'back' && styles.digitKey]}
+            onPress={() => pressKey(key)}
+            disabled={isDisabled || (key === 'back' && pin.length === 0)}
+          >
+            {key === 'back'
+              ? <Ionicons name="backspace-outline" size={28} color="#7B5E7B" />
+              : <Text style={styles.keyText}>{key}</Text>}
+          </TouchableOpacity>
+        )))}
+      </View>
+    </View>
+  );
+};
+
+export default PinLockScreen;
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F5EFE6',
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 24,
+  },
+  iconCircle: {
+    width: 76,
+    height: 76,
+    borderRadius: 38,
+    backgroundColor: '#EDE7F6',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#4A403A',
+  },
+  dots: {
+    flexDirection: 'row',
+    gap: 14,
+    marginTop: 24,
+  },
+  dot: {
+    width: 16,
+    height: 16,
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: '#7B5E7B',
+  },
+  dotFilled: {
+    backgroundColor: '#7B5E7B',
+  },
+  dotWrong: {
+    borderColor: '#C85C5C',
+  },
+  messageRow: {
+    height: 40,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#C85C5C',
+    textAlign: 'center',
+  },
+  keypad: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    width: 276,
+    gap: 18,
+  },
+  keypadDisabled: {
+    opacity: 0.4,
+  },
+  key: {
+    width: 76,
+    height: 76,
+    borderRadius: 38,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  digitKey: {
+    backgroundColor: '#fff',
+    borderWidth: 2,
+    borderColor: '#D4A574',
+  },
+  keyText: {
+    fontSize: 28,
+    fontWeight: '600',
+    color: '#4A403A',
+  },
+});
@@ -0,0 +1,240 @@
+// app/components/PinModal.jsx - Maomao Aesthetic
+
+import {
+  StyleSheet,
+  Text,
+  View,
+  TextInput,
+  TouchableOpacity,
+  Modal,
+  ActivityIndicator,
+} from 'react-native';
+import React, { useState, useEffect } from 'react';
+import Ionicons from '@expo/vector-icons/Ionicons';
+import { PIN_LENGTH, isValidPin } from '../storage/appLock';
+import { formatAbsolute } from '../utils/dateFormat';
+
+const MODES = {
+  set: { title: 'Set PIN', icon: 'keypad', askCurrent: false, askNext: true, submitLabel: 'Save' },
+  change: { title: 'Change PIN', icon: 'keypad', askCurrent: true, askNext: true, submitLabel: 'Save' },
+  remove: { title: 'Remove PIN', icon: 'lock-open', askCurrent: true, askNext: false, submitLabel: 'Remove' },
+};
+
+const PinField = ({ value, onChangeText, placeholder, autoFocus, editable }) => (
+  <TextInput
+    style={styles.input}
+    value={value}
+    onChangeText={text => onChangeText(text.replace(/\D/g, ''))}
+    placeholder={placeholder}
+    placeholderTextColor="#B8A5B8"
+    keyboardType="number-pad"
+    maxLength={PIN_LENGTH.max}
+    secureTextEntry
+    autoFocus={autoFocus}
+    editable={editable}
+  />
+);
+
+/**
+ * Collects PINs for `mode` ('set', 'change' or 'remove') and passes them
+ * on as onSubmit({ current, next }). A rejected onSubmit shows its error
+ * and keeps the modal open.
+ */
+const PinModal = ({ mode, onSubmit, onClose }) => {
+  const [current, setCurrent] = useState('');
+  const [next, setNext] = useState('');
+  const [confirm, setConfirm] = useState('');
+  const [message, setMessage] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+
+  const config = mode ? MODES[mode] : null;
+
+  useEffect(() => {
+    setCurrent('');
+    setNext('');
+    setConfirm('');
+    setMessage(null);
+    setIsWorking(false);
+  }, [mode]);
+
+  const validate = () => {
+    if (config.askCurrent && !current) {
+      return 'Enter your current PIN.';
+    }
+    if (config.askNext && !isValidPin(next)) {
+      return `A PIN is ${PIN_LENGTH.min} to ${PIN_LENGTH.max} digits.`;
+    }
+    if (config.askNext && next !== confirm) {
+      return "The new PINs don't match.";
+    }
+    return null;
+  };
+
+  const handleSubmit = async () => {
+    const problem = validate();
+    if (problem) {
+      setMessage(problem);
+      return;
+    }
+
+    setIsWorking(true);
+    setMessage(null);
+    try {
+      await onSubmit({ current, next });
+    } catch (error) {
+      if (error.lockedUntil) {
+        setMessage(`Too many wrong PINs. Try again after ${formatAbsolute(error.lockedUntil)}.`);
+      } else if (error.message === 'Wrong PIN') {
+        setMessage('The current PIN is not right.');
+      } else {
+        setMessage('The PIN could not be saved. Please try again.');
+      }
+      setCurrent('');
+      setIsWorking(false);
+    }
+  };
+
+  const handleClose = () => {
+    if (!isWorking) {
+      onClose();
+    }
+  };
+
+  return (
+    <Modal visible={config !== null} transparent={true} animationType="fade" onRequestClose={handleClose}>
+      <TouchableOpacity style={styles.overlay} activeOpacity={1} onPress={handleClose}>
+        {config ? (
+          <View style={styles.card} onStartShouldSetResponder={() => true}>
+            <View style={styles.header}>
+              <Ionicons name={config.icon} size={26} color="#7B5E7B" />
+              <Text style={styles.title}>{config.title}</Text>
+            </View>
+
+            {config.askCurrent ? (
+              <PinField
+                value={current}
+                onChangeText={setCurrent}
+                placeholder="Current PIN"
+                autoFocus
+                editable={!isWorking}
+              />
+            ) : null}
+
+            {config.askNext ? (
+              <>
+                <PinField
+                  value={next}
+                  onChangeText={setNext}
+                  placeholder={`New PIN (${PIN_LENGTH.min}-${PIN_LENGTH.max} digits)`}
+                  autoFocus={!config.askCurrent}
+                  editable={!isWorking}
+                />
+                <PinField
+                  value={confirm}
+                  onChangeText={setConfirm}
+                  placeholder="New PIN again"
+                  editable={!isWorking}
+                />
+              </>
+            ) : null}
+
+            {message ? <Text style={styles.errorText}>{message}</Text> : null}
+
+            <View style={styles.buttons}>
+              <TouchableOpacity
+                style={[styles.button, styles.cancelButton, isWorking && styles.buttonDisabled]}
+                onPress={handleClose}
+                disabled={isWorking}
+              >
+                <Text style={styles.buttonText}>Cancel</Text>
+              </TouchableOpacity>
+
+              <TouchableOpacity
+                style={[styles.button, styles.submitButton, isWorking && styles.buttonDisabled]}
+                onPress={handleSubmit}
+                disabled={isWorking}
+              >
+                {isWorking
+                  ? <ActivityIndicator color="white" />
+                  : <Text style={styles.buttonText}>{config.submitLabel}</Text>}
+              </TouchableOpacity>
+            </View>
+          </View>
+        ) : null}
+      </TouchableOpacity>
+    </Modal>
+  );
+};
+
+export default PinModal;
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(74, 64, 58, 0.75)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  card: {
+    backgroundColor: '#F5EFE6',
+    borderRadius: 28,
+    padding: 24,
+    width: '85%',
+    maxWidth: 360,
+    borderWidth: 3,
+    borderColor: '#9CAF88',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    marginBottom: 20,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#4A403A',
+  },
+  input: {
+    borderWidth: 2,
+    borderColor: '#9CAF88',
+    borderRadius: 16,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 18,
+    letterSpacing: 4,
+    marginBottom: 12,
+    backgroundColor: '#fff',
+    color: '#4A403A',
+  },
+  errorText: {
+    fontSize: 13,
+    color: '#C85C5C',
+    marginTop: 4,
+  },
+  buttons: {
+    flexDirection: 'row',
+    gap: 12,
+    marginTop: 20,
+  },
+  button: {
+    flex: 1,
+    padding: 16,
+    borderRadius: 16,
+    alignItems: 'center',
+  },
+  cancelButton: {
+    backgroundColor: '#8B8680',
+  },
+  submitButton: {
+    backgroundColor: '#6B8E4E',
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '700',
+  },
+});
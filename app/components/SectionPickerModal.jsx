@@ -0,0 +1,192 @@
+// app/components/SectionPickerModal.jsx - Maomao Aesthetic
+
+import { StyleSheet, Text, View, TouchableOpacity, Modal, ScrollView } from 'react-native';
+import React, { useState, useEffect } from 'react';
+import Ionicons from '@expo/vector-icons/Ionicons';
+
+const MODES = [
+  { key: 'move', label: 'Move', icon: 'arrow-forward' },
+  { key: 'copy', label: 'Copy', icon: 'copy-outline' },
+];
+
+/**
+ * Picks a section to move or copy an entry to.
+ * Calls onPick(section, mode) with mode 'move' or 'copy'.
+ */
+const SectionPickerModal = ({ visible, sections, onPick, onClose }) => {
+  const [mode, setMode] = useState('move');
+
+  // every time the picker opens, start from Move
+  useEffect(() => {
+    if (visible) {
+      setMode('move');
+    }
+  }, [visible]);
+
+  return (
+    <Modal visible={visible} transparent={true} animationType="fade" onRequestClose={onClose}>
+      <TouchableOpacity style={styles.overlay} activeOpacity={1} onPress={onClose}>
+        <View style={styles.card} onStartShouldSetResponder={() => true}>
+          <View style={styles.header}>
+            <Ionicons name="git-branch-outline" size={24} color="#6B8E4E" />
+            <Text style={styles.title}>File Entry</Text>
+          </View>
+
+          <View style={styles.modeRow}>
+            {MODES.map(option => (
+              <TouchableOpacity
+                key={option.key}
+                style={[styles.modeButton, mode === option.key && styles.modeButtonActive]}
+                onPress={() => setMode(option.key)}
+              >
+                <Ionicons name={option.icon} size={16} color={mode === option.key ? 'white' : '#7B5E7B'} />
+                <Text style={[styles.modeText, mode === option.key && styles.modeTextActive]}>
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <Text style={styles.hint}>
+            {mode === 'move'
+              ? 'The entry leaves this section, history and all. It stays the same entry.'
+              : 'A copy with the same history goes to the other section. From then on it is an entry of its own, so changing one leaves the other as it is.'}
+          </Text>
+
+          <ScrollView style={styles.list}>
+            {sections.length === 0 ? (
+              <Text style={styles.emptyText}>There are no other sections yet.</Text>
+            ) : (
+              sections.map(section => (
+                <TouchableOpacity
+                  key={section.id}
+                  style={[styles.sectionRow, { borderLeftColor: section.color || '#6B8E4E' }]}
+                  onPress={() => onPick(section, mode)}
+                >
+                  <Ionicons name={section.icon || 'calendar'} size={20} color={section.color || '#6B8E4E'} />
+                  <Text style={styles.sectionName} numberOfLines={1}>{section.name}</Text>
+                  {section.folder ? (
+                    <Text style={styles.folderName} numberOfLines={1}>{section.folder}</Text>
+                  ) : null}
+                </TouchableOpacity>
+              ))
+            )}
+          </ScrollView>
+
+          <TouchableOpacity style={styles.cancelButton} onPress={onClose}>
+            <Text style={styles.cancelText}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      </TouchableOpacity>
+    </Modal>
+  );
+};
+
+export default SectionPickerModal;
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(74, 64, 58, 0.75)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  card: {
+    backgroundColor: '#F5EFE6',
+    borderRadius: 24,
+    padding: 20,
+    width: '85%',
+    maxWidth: 360,
+    maxHeight: '80%',
+    borderWidth: 3,
+    borderColor: '#D4A574',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    marginBottom: 16,
+    paddingBottom: 14,
+    borderBottomWidth: 2,
+    borderBottomColor: '#D4A574',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#4A403A',
+  },
+  modeRow: {
+    flexDirection: 'row',
+    gap: 8,
+    marginBottom: 10,
+  },
+  modeButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 6,
+    paddingVertical: 10,
+    borderRadius: 14,
+    backgroundColor: '#EDE7F6',
+  },
+  modeButtonActive: {
+    backgroundColor: '#7B5E7B',
+  },
+  modeText: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#7B5E7B',
+  },
+  modeTextActive: {
+    color: 'white',
+  },
+  hint: {
+    fontSize: 13,
+    color: '#8B8680',
+    marginBottom: 12,
+  },
+  list: {
+    flexGrow: 0,
+  },
+  sectionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    backgroundColor: '#fff',
+    borderRadius: 16,
+    padding: 14,
+    marginBottom: 10,
+    borderLeftWidth: 4,
+  },
+  sectionName: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#4A403A',
+  },
+  folderName: {
+    maxWidth: 90,
+    fontSize: 12,
+    color: '#D4A574',
+    fontWeight: '600',
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#8B8680',
+    textAlign: 'center',
+    paddingVertical: 20,
+  },
+  cancelButton: {
+    padding: 14,
+    alignItems: 'center',
+    backgroundColor: '#E0E0E0',
+    borderRadius: 16,
+    marginTop: 8,
+  },
+  cancelText: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#8B8680',
+  },
+});
@@ -13,31 +13,58 @@ import {
   Alert,
   ScrollView,
 } from 'react-native';
-import React, { useRef, useState, useEffect } from 'react';
+import React, { useRef, useState } from 'react';
 import Ionicons from '@expo/vector-icons/Ionicons';
 import { Link } from 'expo-router';
 import { useDiarySections } from '../hooks/useDiaryStorage';
+import { useStatistics } from '../hooks/useStatistics';
+import UndoBanner from './UndoBanner';
+import DraggableList from './DraggableList';
+import {
+  SECTION_ICONS,
+  SECTION_COLORS,
+  groupSections,
+  flattenGroups,
+  listFolders,
+  moveInList,
+} from '../utils/sections';
 
 const SIDEBAR_WIDTH = 280;
 
-const Sidebar = ({ refreshRef }) => {
+const Sidebar = () => {
   const [isOpen, setIsOpen] = useState(false);
   const [sectionText, setSectionText] = useState('');
   const [selectedSection, setSelectedSection] = useState(null);
   const [isContextMenuVisible, setIsContextMenuVisible] = useState(false);
   const [isRenameModalVisible, setIsRenameModalVisible] = useState(false);
   const [renameText, setRenameText] = useState('');
+  const [editIcon, setEditIcon] = useState(SECTION_ICONS[0]);
+  const [editColor, setEditColor] = useState(SECTION_COLORS[0]);
+  const [isFolderPickerVisible, setIsFolderPickerVisible] = useState(false);
+  const [selectedFolder, setSelectedFolder] = useState(null);
+  // { type: 'new', section } to name a new folder, { type: 'rename', folder } to rename one
+  const [folderNaming, setFolderNaming] = useState(null);
+  const [folderNameText, setFolderNameText] = useState('');
+  const [collapsedFolders, setCollapsedFolders] = useState({});
+  const [isDragging, setIsDragging] = useState(false);
+
+  const {
+    sections,
+    addSection,
+    deleteSection,
+    updateSection,
+    reorderSections,
+    moveSectionToFolder,
+    renameFolder,
+    ungroupFolder,
+    isLoading
+  } = useDiarySections();
+  const { statistics } = useStatistics();
 
-  const { sections, addSection, deleteSection, renameSection, refreshSections, isLoading } = useDiarySections();
+  const rows = groupSections(sections);
   
   const slideAnim = useRef(new Animated.Value(-SIDEBAR_WIDTH)).current;
 
-  useEffect(() => {
-    if (refreshRef) {
-      refreshRef.current = refreshSections;
-    }
-  }, [refreshRef, refreshSections]);
-
   const toggleSidebar = () => {
     const toValue = isOpen ? -SIDEBAR_WIDTH : 0;
     Animated.timing(slideAnim, {
@@ -55,7 +82,11 @@ const Sidebar = ({ refreshRef }) => {
         setSectionText('');
       } catch (error) {
         console.error('Error adding section:', error);
-        Alert.alert('Error', 'Failed to add section. Please try again.');
+        if (error.message === 'Section name already exists') {
+          Alert.alert('Error', 'A section with this name already exists!');
+        } else {
+          Alert.alert('Error', 'Failed to add section. Please try again.');
+        }
       }
     }
   };
@@ -74,19 +105,25 @@ const Sidebar = ({ refreshRef }) => {
   };
 
   const openRenameModal = () => {
-    setRenameText(selectedSection);
+    setRenameText(selectedSection.name);
+    setEditIcon(selectedSection.icon || SECTION_ICONS[0]);
+    setEditColor(selectedSection.color || SECTION_COLORS[0]);
     setIsContextMenuVisible(false);
     setIsRenameModalVisible(true);
   };
 
   const handleRename = async () => {
-    if (renameText.trim() && renameText !== selectedSection) {
+    if (renameText.trim()) {
       try {
-        await renameSection(selectedSection, renameText);
+        const changes = { icon: editIcon, color: editColor };
+        if (renameText.trim() !== selectedSection.name) {
+          changes.name = renameText;
+        }
+
+        await updateSection(selectedSection.id, changes);
         setIsRenameModalVisible(false);
         setRenameText('');
         setSelectedSection(null);
-        Alert.alert('Success', `Section renamed to "${renameText}"`);
       } catch (error) {
         console.error('Error renaming section:', error);
         if (error.message === 'Section name already exists') {
@@ -104,7 +141,7 @@ const Sidebar = ({ refreshRef }) => {
     setIsContextMenuVisible(false);
     Alert.alert(
       'Delete Section',
-      `Are you sure you want to delete "${selectedSection}"? All items in this section will also be deleted.`,
+      `Move "${selectedSection.name}" and all of its entries to the Trash? You can restore it from there.`,
       [
         {
           text: 'Cancel',
@@ -116,10 +153,8 @@ const Sidebar = ({ refreshRef }) => {
           style: 'destructive',
           onPress: async () => {
             try {
-              const sectionToDelete = selectedSection;
-              await deleteSection(selectedSection);
+              await deleteSection(selectedSection.id);
               setSelectedSection(null);
-              Alert.alert('Deleted', `Section "${sectionToDelete}" has been deleted.`);
             } catch (error) {
               console.error('Error deleting section:', error);
               Alert.alert('Error', 'Failed to delete section. Please try again.');
@@ -130,6 +165,189 @@ const Sidebar = ({ refreshRef }) => {
     );
   };
 
+  const saveOrder = async (orderedSections) => {
+    try {
+      await reorderSections(orderedSections);
+    } catch {
+      Alert.alert('Error', 'Failed to save the new order. Please try again.');
+    }
+  };
+
+  // Top-level rows are folders and sections outside any folder
+  const handleReorderRows = (fromIndex, toIndex) => {
+    saveOrder(flattenGroups(moveInList(rows, fromIndex, toIndex)));
+  };
+
+  const handleReorderInFolder = (folderRow, fromIndex, toIndex) => {
+    saveOrder(flattenGroups(rows.map(row => (
+      row === folderRow ? { ...row, sections: moveInList(row.sections, fromIndex, toIndex) } : row
+    ))));
+  };
+
+  const folderKey = (name) => name.trim().toLowerCase();
+
+  const toggleFolder = (name) => {
+    setCollapsedFolders(prev => ({ ...prev, [folderKey(name)]: !prev[folderKey(name)] }));
+  };
+
+  const openFolderPicker = () => {
+    setIsContextMenuVisible(false);
+    setIsFolderPickerVisible(true);
+  };
+
+  const closeFolderPicker = () => {
+    setIsFolderPickerVisible(false);
+    setSelectedSection(null);
+  };
+
+  const handleMoveToFolder = async (folder) => {
+    const section = selectedSection;
+    setIsFolderPickerVisible(false);
+    setSelectedSection(null);
+    try {
+      await moveSectionToFolder(section.id, folder);
+    } catch {
+      Alert.alert('Error', 'Failed to move the section. Please try again.');
+    }
+  };
+
+  const openNewFolder = () => {
+    setFolderNaming({ type: 'new', section: selectedSection });
+    setFolderNameText('');
+    setIsFolderPickerVisible(false);
+    setSelectedSection(null);
+  };
+
+  const openFolderMenu = (folder) => {
+    setSelectedFolder(folder);
+  };
+
+  const openRenameFolder = () => {
+    setFolderNaming({ type: 'rename', folder: selectedFolder });
+    setFolderNameText(selectedFolder);
+    setSelectedFolder(null);
+  };
+
+  const closeFolderNaming = () => {
+    setFolderNaming(null);
+    setFolderNameText('');
+  };
+
+  const handleFolderName = async () => {
+    if (!folderNameText.trim()) {
+      Alert.alert('Error', 'Folder name cannot be empty!');
+      return;
+    }
+
+    const naming = folderNaming;
+    closeFolderNaming();
+    try {
+      if (naming.type === 'new') {
+        await moveSectionToFolder(naming.section.id, folderNameText);
+      } else {
+        await renameFolder(naming.folder, folderNameText);
+        // keep the folder open or closed under its new name
+        setCollapsedFolders(prev => ({
+          ...prev,
+          [folderKey(folderNameText)]: prev[folderKey(naming.folder)],
+        }));
+      }
+    } catch (error) {
+      console.error('Error naming folder:', error);
+      Alert.alert('Error', 'Failed to save the folder. Please try again.');
+    }
+  };
+
+  const handleUngroupFolder = async () => {
+    const folder = selectedFolder;
+    setSelectedFolder(null);
+    try {
+      await ungroupFolder(folder);
+    } catch {
+      Alert.alert('Error', 'Failed to ungroup the folder. Please try again.');
+    }
+  };
+
+  const renderSection = (section, dragHandlers) => (
+    <View style={[styles.categoryRow, { borderLeftColor: section.color || '#6B8E4E' }]}>
+      <View {...dragHandlers} style={styles.dragHandle}>
+        <Ionicons name="reorder-three" size={22} color="#B8A5B8" />
+      </View>
+
+      <Link
+        href={`/diary/${section.id}`}
+        asChild
+        style={styles.categoryTouchable}
+      >
+        <Pressable style={styles.categoryItem} onPress={toggleSidebar}>
+          <View style={styles.categoryContent}>
+            <View style={styles.iconCircle}>
+              <Ionicons
+                name={section.icon || 'calendar'}
+                size={20}
+                color={section.color || '#6B8E4E'}
+              />
+            </View>
+            <Text style={styles.categoryText} numberOfLines={1}>
+              {section.name}
+            </Text>
+            <View style={styles.countBadge}>
+              <Text style={styles.countBadgeText}>
+                {statistics.sections[section.id] ? statistics.sections[section.id].count : 0}
+              </Text>
+            </View>
+          </View>
+        </Pressable>
+      </Link>
+
+      <TouchableOpacity
+        onPress={(e) => openContextMenu(section, e)}
+        style={styles.menuButton}
+      >
+        <Ionicons name="ellipsis-vertical" size={22} color="#7B5E7B" />
+      </TouchableOpacity>
+    </View>
+  );
+
+  const renderFolder = (row, dragHandlers) => {
+    const isCollapsed = Boolean(collapsedFolders[folderKey(row.name)]);
+
+    return (
+      <View style={styles.folder}>
+        <View style={styles.folderRow}>
+          <View {...dragHandlers} style={styles.dragHandle}>
+            <Ionicons name="reorder-three" size={22} color="#B8A5B8" />
+          </View>
+          <Pressable style={styles.folderHeader} onPress={() => toggleFolder(row.name)}>
+            <Ionicons name={isCollapsed ? 'chevron-forward' : 'chevron-down'} size={16} color="#7B5E7B" />
+            <Ionicons name={isCollapsed ? 'folder' : 'folder-open'} size={20} color="#D4A574" />
+            <Text style={styles.folderName} numberOfLines={1}>{row.name}</Text>
+            <Text style={styles.folderCount}>{row.sections.length}</Text>
+          </Pressable>
+          <TouchableOpacity onPress={() => openFolderMenu(row.name)} style={styles.menuButton}>
+            <Ionicons name="ellipsis-vertical" size={22} color="#7B5E7B" />
+          </TouchableOpacity>
+        </View>
+
+        {!isCollapsed ? (
+          <View style={styles.folderSections}>
+            <DraggableList
+              data={row.sections}
+              keyExtractor={section => section.id}
+              renderItem={renderSection}
+              onReorder={(fromIndex, toIndex) => handleReorderInFolder(row, fromIndex, toIndex)}
+              onDragChange={setIsDragging}
+            />
+          </View>
+        ) : null}
+      </View>
+    );
+  };
+
+  const otherFolders = selectedSection
+    ? listFolders(sections).filter(folder => folder !== selectedSection.folder)
+    : [];
+
   return (
     <View style={styles.container}>
       <TouchableOpacity style={styles.toggleButton} onPress={toggleSidebar}>
@@ -171,6 +389,7 @@ const Sidebar = ({ refreshRef }) => {
         <ScrollView 
           style={styles.scrollContainer}
           showsVerticalScrollIndicator={true}
+          scrollEnabled={!isDragging}
         >
           <View style={styles.categories}>
             {isLoading ? (
@@ -186,38 +405,55 @@ const Sidebar = ({ refreshRef }) => {
                 <Text style={styles.emptySubtext}>Begin your apothecary journal</Text>
               </View>
             ) : (
-              sections.map((section, index) => (
-                <View key={index} style={styles.categoryRow}>
-                  <Link
-                    href={`/diary/${encodeURIComponent(section)}`}
-                    asChild
-                    style={styles.categoryTouchable}
-                  >
-                    <Pressable style={styles.categoryItem} onPress={toggleSidebar}>
-                      <View style={styles.categoryContent}>
-                        <View style={styles.iconCircle}>
-                          <Ionicons name="calendar" size={20} color="#6B8E4E" />
-                        </View>
-                        <Text style={styles.categoryText} numberOfLines={1}>
-                          {section}
-                        </Text>
-                      </View>
-                    </Pressable>
-                  </Link>
-
-                  <TouchableOpacity
-                    onPress={(e) => openContextMenu(section, e)}
-                    style={styles.menuButton}
-                  >
-                    <Ionicons name="ellipsis-vertical" size={22} color="#7B5E7B" />
-                  </TouchableOpacity>
-                </View>
-              ))
+              <DraggableList
+                data={rows}
+                keyExtractor={row => (row.type === 'folder' ? `folder:${folderKey(row.name)}` : row.section.id)}
+                renderItem={(row, dragHandlers) => (
+                  row.type === 'folder' ? renderFolder(row, dragHandlers) : renderSection(row.section, dragHandlers)
+                )}
+                onReorder={handleReorderRows}
+                onDragChange={setIsDragging}
+              />
             )}
           </View>
         </ScrollView>
+
+        <View style={styles.sidebarFooter}>
+          <Link href="/search" asChild>
+            <Pressable style={styles.footerLink} onPress={toggleSidebar}>
+              <Ionicons name="search-outline" size={22} color="#6B8E4E" />
+              <Text style={styles.footerLinkText}>Search</Text>
+            </Pressable>
+          </Link>
+          <Link href="/tags" asChild>
+            <Pressable style={styles.footerLink} onPress={toggleSidebar}>
+              <Ionicons name="pricetags-outline" size={22} color="#7B5E7B" />
+              <Text style={styles.footerLinkText}>Tags</Text>
+            </Pressable>
+          </Link>
+          <Link href="/stats" asChild>
+            <Pressable style={styles.footerLink} onPress={toggleSidebar}>
+              <Ionicons name="stats-chart-outline" size={22} color="#6B8E4E" />
+              <Text style={styles.footerLinkText}>Stats</Text>
+            </Pressable>
+          </Link>
+          <Link href="/settings" asChild>
+            <Pressable style={styles.footerLink} onPress={toggleSidebar}>
+              <Ionicons name="settings-outline" size={22} color="#7B5E7B" />
+              <Text style={styles.footerLinkText}>Settings</Text>
+            </Pressable>
+          </Link>
+          <Link href="/trash" asChild>
+            <Pressable style={styles.footerLink} onPress={toggleSidebar}>
+              <Ionicons name="trash-outline" size={22} color="#C85C5C" />
+              <Text style={styles.footerLinkText}>Trash</Text>
+            </Pressable>
+          </Link>
+        </View>
       </Animated.View>
 
+      <UndoBanner />
+
       {/* Context Menu Modal */}
       <Modal
         visible={isContextMenuVisible}
@@ -233,14 +469,21 @@ const Sidebar = ({ refreshRef }) => {
           <View style={styles.contextMenu} onStartShouldSetResponder={() => true}>
             <View style={styles.contextMenuHeader}>
               <Ionicons name="leaf" size={24} color="#6B8E4E" />
-              <Text style={styles.contextMenuTitle}>{selectedSection}</Text>
+              <Text style={styles.contextMenuTitle}>{selectedSection?.name}</Text>
             </View>
 
             <TouchableOpacity style={styles.menuItem} onPress={openRenameModal}>
               <View style={styles.menuIconCircle}>
                 <Ionicons name="create-outline" size={20} color="#7B5E7B" />
               </View>
-              <Text style={styles.menuItemText}>Rename Section</Text>
+              <Text style={styles.menuItemText}>Edit Section</Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity style={styles.menuItem} onPress={openFolderPicker}>
+              <View style={styles.menuIconCircle}>
+                <Ionicons name="folder-outline" size={20} color="#D4A574" />
+              </View>
+              <Text style={styles.menuItemText}>Move to Folder</Text>
             </TouchableOpacity>
 
             <TouchableOpacity
@@ -260,6 +503,148 @@ const Sidebar = ({ refreshRef }) => {
         </TouchableOpacity>
       </Modal>
 
+      {/* Folder Picker Modal */}
+      <Modal
+        visible={isFolderPickerVisible}
+        transparent={true}
+        animationType="fade"
+        onRequestClose={closeFolderPicker}
+      >
+        <TouchableOpacity
+          style={styles.modalOverlay}
+          activeOpacity={1}
+          onPress={closeFolderPicker}
+        >
+          <View style={styles.contextMenu} onStartShouldSetResponder={() => true}>
+            <View style={styles.contextMenuHeader}>
+              <Ionicons name="folder-open" size={24} color="#D4A574" />
+              <Text style={styles.contextMenuTitle} numberOfLines={1}>
+                Move &quot;{selectedSection?.name}&quot;
+              </Text>
+            </View>
+
+            <ScrollView style={styles.folderList}>
+              {otherFolders.map(folder => (
+                <TouchableOpacity key={folder} style={styles.menuItem} onPress={() => handleMoveToFolder(folder)}>
+                  <View style={styles.menuIconCircle}>
+                    <Ionicons name="folder" size={20} color="#D4A574" />
+                  </View>
+                  <Text style={styles.menuItemText} numberOfLines={1}>{folder}</Text>
+                </TouchableOpacity>
+              ))}
+
+              {selectedSection?.folder ? (
+                <TouchableOpacity style={styles.menuItem} onPress={() => handleMoveToFolder(null)}>
+                  <View style={styles.menuIconCircle}>
+                    <Ionicons name="exit-outline" size={20} color="#7B5E7B" />
+                  </View>
+                  <Text style={styles.menuItemText}>Out of &quot;{selectedSection.folder}&quot;</Text>
+                </TouchableOpacity>
+              ) : null}
+
+              <TouchableOpacity style={styles.menuItem} onPress={openNewFolder}>
+                <View style={styles.menuIconCircle}>
+                  <Ionicons name="add" size={20} color="#6B8E4E" />
+                </View>
+                <Text style={styles.menuItemText}>New Folder...</Text>
+              </TouchableOpacity>
+            </ScrollView>
+
+            <TouchableOpacity style={styles.cancelMenuItem} onPress={closeFolderPicker}>
+              <Text style={styles.cancelText}>Cancel</Text>
+            </TouchableOpacity>
+          </View>
+        </TouchableOpacity>
+      </Modal>
+
+      {/* Folder Menu Modal */}
+      <Modal
+        visible={selectedFolder !== null}
+        transparent={true}
+        animationType="fade"
+        onRequestClose={() => setSelectedFolder(null)}
+      >
+        <TouchableOpacity
+          style={styles.modalOverlay}
+          activeOpacity={1}
+          onPress={() => setSelectedFolder(null)}
+        >
+          <View style={styles.contextMenu} onStartShouldSetResponder={() => true}>
+            <View style={styles.contextMenuHeader}>
+              <Ionicons name="folder" size={24} color="#D4A574" />
+              <Text style={styles.contextMenuTitle} numberOfLines={1}>{selectedFolder}</Text>
+            </View>
+
+            <TouchableOpacity style={styles.menuItem} onPress={openRenameFolder}>
+              <View style={styles.menuIconCircle}>
+                <Ionicons name="create-outline" size={20} color="#7B5E7B" />
+              </View>
+              <Text style={styles.menuItemText}>Rename Folder</Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity style={styles.menuItem} onPress={handleUngroupFolder}>
+              <View style={styles.menuIconCircle}>
+                <Ionicons name="albums-outline" size={20} color="#7B5E7B" />
+              </View>
+              <Text style={styles.menuItemText}>Ungroup Sections</Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity style={styles.cancelMenuItem} onPress={() => setSelectedFolder(null)}>
+              <Text style={styles.cancelText}>Cancel</Text>
+            </TouchableOpacity>
+          </View>
+        </TouchableOpacity>
+      </Modal>
+
+      {/* Folder Name Modal */}
+      <Modal
+        visible={folderNaming !== null}
+        transparent={true}
+        animationType="fade"
+        onRequestClose={closeFolderNaming}
+      >
+        <TouchableOpacity
+          style={styles.modalOverlay}
+          activeOpacity={1}
+          onPress={closeFolderNaming}
+        >
+          <View style={styles.renameModal} onStartShouldSetResponder={() => true}>
+            <View style={styles.renameHeader}>
+              <Ionicons name="folder" size={28} color="#D4A574" />
+              <Text style={styles.modalTitle}>
+                {folderNaming?.type === 'rename' ? 'Rename Folder' : 'New Folder'}
+              </Text>
+            </View>
+
+            <TextInput
+              style={styles.modalInput}
+              value={folderNameText}
+              onChangeText={setFolderNameText}
+              placeholder="Folder name, e.g. 2024..."
+              placeholderTextColor="#B8A5B8"
+              autoFocus
+              onSubmitEditing={handleFolderName}
+            />
+
+            <View style={styles.modalButtons}>
+              <TouchableOpacity
+                style={[styles.modalButton, styles.cancelButton]}
+                onPress={closeFolderNaming}
+              >
+                <Text style={styles.buttonText}>Cancel</Text>
+              </TouchableOpacity>
+
+              <TouchableOpacity
+                style={[styles.modalButton, styles.saveButton]}
+                onPress={handleFolderName}
+              >
+                <Text style={styles.buttonText}>Save</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </TouchableOpacity>
+      </Modal>
+
       {/* Rename Modal */}
       <Modal
         visible={isRenameModalVisible}
@@ -275,7 +660,7 @@ const Sidebar = ({ refreshRef }) => {
           <View style={styles.renameModal} onStartShouldSetResponder={() => true}>
             <View style={styles.renameHeader}>
               <Ionicons name="create" size={28} color="#6B8E4E" />
-              <Text style={styles.modalTitle}>Rename Section</Text>
+              <Text style={styles.modalTitle}>Edit Section</Text>
             </View>
 
             <TextInput
@@ -288,6 +673,32 @@ const Sidebar = ({ refreshRef }) => {
               onSubmitEditing={handleRename}
             />
 
+            <View style={styles.pickerRow}>
+              {SECTION_ICONS.map(icon => (
+                <TouchableOpacity
+                  key={icon}
+                  style={[styles.iconOption, editIcon === icon && { borderColor: editColor }]}
+                  onPress={() => setEditIcon(icon)}
+                >
+                  <Ionicons name={icon} size={20} color={editColor} />
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            <View style={styles.pickerRow}>
+              {SECTION_COLORS.map(color => (
+                <TouchableOpacity
+                  key={color}
+                  style={[
+                    styles.colorOption,
+                    { backgroundColor: color },
+                    editColor === color && styles.colorOptionSelected,
+                  ]}
+                  onPress={() => setEditColor(color)}
+                />
+              ))}
+            </View>
+
             <View style={styles.modalButtons}>
               <TouchableOpacity
                 style={[styles.modalButton, styles.cancelButton]}
@@ -433,7 +844,50 @@ const styles = StyleSheet.create({
   categoryItem: {
     flex: 1,
     paddingVertical: 16,
-    paddingLeft: 16,
+  },
+  dragHandle: {
+    paddingVertical: 16,
+    paddingLeft: 10,
+    paddingRight: 6,
+  },
+  folder: {
+    marginBottom: 14,
+  },
+  folderRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFF8E1',
+    borderRadius: 20,
+    borderWidth: 2,
+    borderColor: '#F0E0C0',
+  },
+  folderHeader: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    paddingVertical: 14,
+  },
+  folderName: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#4A403A',
+  },
+  folderCount: {
+    fontSize: 13,
+    fontWeight: '700',
+    color: '#D4A574',
+  },
+  folderSections: {
+    marginTop: 10,
+    marginLeft: 14,
+    paddingLeft: 8,
+    borderLeftWidth: 2,
+    borderLeftColor: '#F0E0C0',
+  },
+  folderList: {
+    maxHeight: 320,
   },
   categoryContent: {
     flexDirection: 'row',
@@ -454,9 +908,46 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     flex: 1,
   },
+  countBadge: {
+    minWidth: 26,
+    paddingHorizontal: 7,
+    paddingVertical: 2,
+    borderRadius: 12,
+    backgroundColor: '#EDE7F6',
+    alignItems: 'center',
+  },
+  countBadgeText: {
+    fontSize: 12,
+    fontWeight: '700',
+    color: '#7B5E7B',
+  },
   menuButton: {
     padding: 16,
   },
+  sidebarFooter: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    paddingHorizontal: 20,
+    paddingTop: 12,
+    paddingBottom: 24,
+    borderTopWidth: 2,
+    borderTopColor: '#D4A574',
+  },
+  footerLink: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    paddingVertical: 10,
+    paddingHorizontal: 14,
+    backgroundColor: '#fff',
+    borderRadius: 16,
+  },
+  footerLinkText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#4A403A',
+  },
   emptyState: {
     alignItems: 'center',
     justifyContent: 'center',
@@ -593,6 +1084,32 @@ const styles = StyleSheet.create({
     backgroundColor: '#fff',
     color: '#4A403A',
   },
+  pickerRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 16,
+  },
+  iconOption: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#fff',
+    justifyContent: 'center',
+    alignItems: 'center',
+    borderWidth: 2,
+    borderColor: 'transparent',
+  },
+  colorOption: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    borderWidth: 3,
+    borderColor: 'transparent',
+  },
+  colorOptionSelected: {
+    borderColor: '#4A403A',
+  },
   modalButtons: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -0,0 +1,196 @@
+// app/components/SnapshotPreviewModal.jsx - Maomao Aesthetic
+
+import {
+  StyleSheet,
+  Text,
+  View,
+  TouchableOpacity,
+  Modal,
+  ScrollView,
+  ActivityIndicator,
+} from 'react-native';
+import React from 'react';
+import Ionicons from '@expo/vector-icons/Ionicons';
+import { formatAbsolute } from '../utils/dateFormat';
+
+/**
+ * Read-only look inside one internal snapshot. `data` is a section list
+ * when `kind` is 'sections', otherwise a list of entries; null while loading.
+ */
+const SnapshotPreviewModal = ({ visible, title, kind, timestamp, data, onClose }) => {
+  const isSections = kind === 'sections';
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent={false}
+      onRequestClose={onClose}
+    >
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+            <Ionicons name="arrow-back" size={26} color="#7B5E7B" />
+          </TouchableOpacity>
+          <View style={styles.headerTitleContainer}>
+            <Ionicons name="eye" size={24} color="#6B8E4E" />
+            <Text style={styles.headerTitle} numberOfLines={1}>{title}</Text>
+          </View>
+          <View style={styles.headerSpacer} />
+        </View>
+
+        {data === null ? (
+          <View style={styles.loading}>
+            <ActivityIndicator size="large" color="#6B8E4E" />
+          </View>
+        ) : (
+          <ScrollView style={styles.body} contentContainerStyle={styles.bodyContent}>
+            <Text style={styles.listTitle}>
+              {timestamp ? `Taken ${formatAbsolute(timestamp)}` : ''}
+            </Text>
+
+            {data.length === 0 ? (
+              <Text style={styles.emptyText}>
+                {isSections ? 'No sections in this snapshot' : 'No entries in this snapshot'}
+              </Text>
+            ) : isSections ? (
+              data.map(section => (
+                <View key={section.id} style={styles.rowCard}>
+                  <Ionicons name={section.icon || 'leaf'} size={20} color={section.color || '#6B8E4E'} />
+                  <Text style={styles.rowTitle} numberOfLines={1}>{section.name}</Text>
+                </View>
+              ))
+            ) : (
+              data.map(item => (
+                <View key={item.id} style={styles.entryCard}>
+                  <View style={styles.entryDate}>
+                    <Ionicons name="time-outline" size={14} color="#B8A5B8" />
+                    <Text style={styles.entryDateText}>{formatAbsolute(item.createdAt)}</Text>
+                  </View>
+                  <Text style={styles.entryText} numberOfLines={4}>{item.text}</Text>
+                </View>
+              ))
+            )}
+          </ScrollView>
+        )}
+      </View>
+    </Modal>
+  );
+};
+
+export default SnapshotPreviewModal;
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F5EFE6',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingTop: 50,
+    paddingBottom: 20,
+    backgroundColor: '#fff',
+    borderBottomWidth: 3,
+    borderBottomColor: '#D4A574',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 4,
+  },
+  closeButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: '#EDE7F6',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  headerTitleContainer: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 10,
+    marginHorizontal: 12,
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#4A403A',
+    flexShrink: 1,
+  },
+  headerSpacer: {
+    width: 44,
+  },
+  loading: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  body: {
+    flex: 1,
+  },
+  bodyContent: {
+    padding: 16,
+    paddingBottom: 40,
+  },
+  listTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#8B8680',
+    textAlign: 'center',
+    marginBottom: 16,
+  },
+  emptyText: {
+    fontSize: 15,
+    color: '#8B8680',
+    fontStyle: 'italic',
+    textAlign: 'center',
+    marginTop: 40,
+  },
+  rowCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    backgroundColor: '#fff',
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 10,
+    borderLeftWidth: 5,
+    borderLeftColor: '#9CAF88',
+  },
+  rowTitle: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#4A403A',
+  },
+  entryCard: {
+    backgroundColor: '#fff',
+    borderRadius: 20,
+    padding: 16,
+    marginBottom: 12,
+    borderLeftWidth: 5,
+    borderLeftColor: '#7B5E7B',
+  },
+  entryDate: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    marginBottom: 8,
+  },
+  entryDateText: {
+    fontSize: 12,
+    color: '#8B8680',
+    fontWeight: '500',
+  },
+  entryText: {
+    fontSize: 15,
+    color: '#4A403A',
+    lineHeight: 22,
+  },
+});
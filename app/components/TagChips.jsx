@@ -0,0 +1,44 @@
+// app/components/TagChips.jsx - Maomao Aesthetic
+
+import { StyleSheet, Text, View, TouchableOpacity } from 'react-native';
+import React from 'react';
+
+/**
+ * A row of #tag chips; tapping one calls onPress with the tag
+ */
+const TagChips = ({ tags, onPress, style }) => {
+  if (!tags || tags.length === 0) {
+    return null;
+  }
+
+  return (
+    <View style={[styles.chips, style]}>
+      {tags.map(tag => (
+        <TouchableOpacity key={tag} style={styles.chip} onPress={() => onPress(tag)}>
+          <Text style={styles.chipText}>#{tag}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+};
+
+export default TagChips;
+
+const styles = StyleSheet.create({
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+  },
+  chip: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    backgroundColor: '#EDE7F6',
+  },
+  chipText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#7B5E7B',
+  },
+});
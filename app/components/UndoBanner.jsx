@@ -0,0 +1,109 @@
+// app/components/UndoBanner.jsx - Maomao Aesthetic
+
+import { StyleSheet, Text, TouchableOpacity, Animated, Alert } from 'react-native';
+import React, { useRef, useState, useEffect, useCallback } from 'react';
+import Ionicons from '@expo/vector-icons/Ionicons';
+import { useCommandHistory } from '../hooks/useCommandHistory';
+
+const VISIBLE_MS = 5000;
+
+/**
+ * Transient "Entry deleted — Undo" banner, shown after destructive commands
+ */
+const UndoBanner = () => {
+  const [message, setMessage] = useState(null);
+  const fadeAnim = useRef(new Animated.Value(0)).current;
+  const hideTimer = useRef(null);
+
+  const hide = useCallback(() => {
+    clearTimeout(hideTimer.current);
+    Animated.timing(fadeAnim, {
+      toValue: 0,
+      duration: 200,
+      useNativeDriver: true,
+    }).start(() => setMessage(null));
+  }, [fadeAnim]);
+
+  const handleEvent = useCallback((event) => {
+    if (event.type === 'record' && event.command.destructive) {
+      clearTimeout(hideTimer.current);
+      setMessage(event.command.label);
+      Animated.timing(fadeAnim, {
+        toValue: 1,
+        duration: 200,
+        useNativeDriver: true,
+      }).start();
+      hideTimer.current = setTimeout(hide, VISIBLE_MS);
+    } else if (event.type === 'undo' || event.type === 'clear') {
+      hide();
+    }
+  }, [fadeAnim, hide]);
+
+  const { undo } = useCommandHistory(handleEvent);
+
+  useEffect(() => () => clearTimeout(hideTimer.current), []);
+
+  const handleUndo = async () => {
+    try {
+      await undo();
+    } catch {
+      Alert.alert('Error', 'Could not undo. Please try again.');
+    }
+  };
+
+  if (!message) {
+    return null;
+  }
+
+  return (
+    <Animated.View style={[styles.banner, { opacity: fadeAnim }]}>
+      <Ionicons name="trash-outline" size={20} color="#F5EFE6" />
+      <Text style={styles.message} numberOfLines={1}>{message}</Text>
+      <TouchableOpacity onPress={handleUndo} style={styles.undoButton}>
+        <Text style={styles.undoText}>Undo</Text>
+      </TouchableOpacity>
+    </Animated.View>
+  );
+};
+
+export default UndoBanner;
+
+const styles = StyleSheet.create({
+  banner: {
+    position: 'absolute',
+    left: 16,
+    right: 16,
+    bottom: 32,
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    backgroundColor: '#4A403A',
+    borderRadius: 20,
+    paddingVertical: 12,
+    paddingLeft: 18,
+    paddingRight: 8,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.3,
+    shadowRadius: 8,
+    elevation: 12,
+    zIndex: 2000,
+  },
+  message: {
+    flex: 1,
+    color: '#F5EFE6',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  undoButton: {
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+    borderRadius: 14,
+    backgroundColor: '#D4A574',
+  },
+  undoText: {
+    color: '#4A403A',
+    fontSize: 15,
+    fontWeight: '700',
+  },
+});
@@ -0,0 +1,168 @@
+// app/components/UnlockScreen.jsx - Maomao Aesthetic
+
+import { StyleSheet, Text, View, TextInput, TouchableOpacity, ActivityIndicator } from 'react-native';
+import React, { useState } from 'react';
+import Ionicons from '@expo/vector-icons/Ionicons';
+
+/**
+ * Asks for the passphrase of an encrypted diary before anything loads.
+ * `onUnlock(passphrase)` rejects when the passphrase is wrong.
+ */
+const UnlockScreen = ({ onUnlock }) => {
+  const [passphrase, setPassphrase] = useState('');
+  const [isUnlocking, setIsUnlocking] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const handleUnlock = async () => {
+    if (!passphrase || isUnlocking) {
+      return;
+    }
+
+    setIsUnlocking(true);
+    setMessage(null);
+    try {
+      await onUnlock(passphrase);
+    } catch (error) {
+      setMessage(error.message === 'Wrong passphrase'
+        ? 'That passphrase is not right. Please try again.'
+        : 'Your diary could not be unlocked.');
+      setPassphrase('');
+      setIsUnlocking(false);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.card}>
+        <View style={styles.iconCircle}>
+          <Ionicons name="lock-closed" size={40} color="#7B5E7B" />
+        </View>
+        <Text style={styles.title}>Your diary is locked</Text>
+        <Text style={styles.subtitle}>Enter your passphrase to open it</Text>
+
+        <TextInput
+          style={styles.input}
+          value={passphrase}
+          onChangeText={setPassphrase}
+          placeholder="Passphrase"
+          placeholderTextColor="#B8A5B8"
+          secureTextEntry
+          autoFocus
+          autoCapitalize="none"
+          autoCorrect={false}
+          editable={!isUnlocking}
+          returnKeyType="go"
+          onSubmitEditing={handleUnlock}
+        />
+
+        {message ? <Text style={styles.errorText}>{message}</Text> : null}
+
+        <TouchableOpacity
+          style={[styles.unlockButton, (!passphrase || isUnlocking) && styles.unlockButtonDisabled]}
+          onPress={handleUnlock}
+          disabled={!passphrase || isUnlocking}
+        >
+          {isUnlocking ? (
+            <ActivityIndicator color="white" />
+          ) : (
+            <>
+              <Ionicons name="lock-open" size={20} color="white" />
+              <Text style={styles.unlockText}>Unlock</Text>
+            </>
+          )}
+        </TouchableOpacity>
+
+        <Text style={styles.note}>
+          Forgotten passphrases can&apos;t be recovered - without it, the diary stays unreadable.
+        </Text>
+      </View>
+    </View>
+  );
+};
+
+export default UnlockScreen;
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F5EFE6',
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 24,
+  },
+  card: {
+    width: '100%',
+    maxWidth: 380,
+    backgroundColor: 'white',
+    borderRadius: 28,
+    padding: 28,
+    alignItems: 'center',
+    borderWidth: 3,
+    borderColor: '#D4A574',
+  },
+  iconCircle: {
+    width: 80,
+    height: 80,
+    borderRadius: 40,
+    backgroundColor: '#EDE7F6',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#4A403A',
+    textAlign: 'center',
+  },
+  subtitle: {
+    marginTop: 6,
+    fontSize: 15,
+    color: '#8B8680',
+    textAlign: 'center',
+  },
+  input: {
+    alignSelf: 'stretch',
+    marginTop: 20,
+    borderWidth: 2,
+    borderColor: '#D4A574',
+    borderRadius: 16,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 16,
+    color: '#4A403A',
+    backgroundColor: '#F5EFE6',
+  },
+  errorText: {
+    marginTop: 10,
+    fontSize: 13,
+    color: '#C85C5C',
+    textAlign: 'center',
+  },
+  unlockButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    alignSelf: 'stretch',
+    marginTop: 20,
+    backgroundColor: '#6B8E4E',
+    paddingVertical: 14,
+    borderRadius: 20,
+  },
+  unlockButtonDisabled: {
+    opacity: 0.5,
+  },
+  unlockText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '700',
+  },
+  note: {
+    marginTop: 18,
+    fontSize: 12,
+    color: '#B8A5B8',
+    textAlign: 'center',
+    lineHeight: 18,
+  },
+});
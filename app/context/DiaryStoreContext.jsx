@@ -0,0 +1,253 @@
+// app/context/DiaryStoreContext.jsx
+
+import { createContext, useContext, useEffect, useRef, useSyncExternalStore } from 'react';
+import { Alert } from 'react-native';
+import * as repository from '../storage/diaryRepository';
+import {
+  ensureSearchIndex,
+  rebuildSearchIndex,
+  indexEntry,
+  unindexEntry,
+  reindexSection,
+} from '../storage/searchIndex';
+import {
+  ensureStatistics,
+  rebuildStatistics,
+  recordEntry,
+  forgetEntry,
+  recountSection,
+} from '../storage/statistics';
+import { subscribe as subscribeToHistory } from '../utils/commandHistory';
+import { subscribe as subscribeToRecovery } from '../utils/recoveryNotices';
+import { formatAbsolute } from '../utils/dateFormat';
+
+const NO_ITEMS = [];
+
+// Brings the search index and statistics in line with one stored entry
+const syncEntry = async (sectionId, itemId) => {
+  try {
+    const item = await repository.loadItem(sectionId, itemId);
+    await Promise.all(item
+      ? [indexEntry(sectionId, item), recordEntry(sectionId, item)]
+      : [unindexEntry(sectionId, itemId), forgetEntry(sectionId, itemId)]);
+  } catch (error) {
+    console.error('Error updating search index and statistics:', error);
+  }
+};
+
+// The same for every entry of a section (none, if it's gone)
+const syncSection = async (sectionId) => {
+  try {
+    const items = await repository.loadItems(sectionId);
+    await Promise.all([reindexSection(sectionId, items), recountSection(sectionId, items)]);
+  } catch (error) {
+    console.error('Error updating search index and statistics:', error);
+  }
+};
+
+/**
+ * Holds the one in-memory copy of the diary: the section list and the
+ * entries of every section opened so far. Entries are loaded a page at a
+ * time, so `items` holds the first entries of a section in stored order
+ * and `itemCounts` how many it has in all. The hooks in useDiaryStorage
+ * read and update it, and every subscribed screen re-renders on change.
+ */
+const createDiaryStore = () => {
+  let state = {
+    sections: [],
+    sectionsLoaded: false,
+    items: {},        // section id -> entries loaded so far
+    itemCounts: {},   // section id -> number of entries stored
+    itemsLoaded: {},  // section id -> true once read from storage
+  };
+  const listeners = new Set();
+  // sections with a next page on its way
+  const loadingMore = new Set();
+
+  const setState = (changes) => {
+    state = { ...state, ...changes };
+    listeners.forEach(listener => listener());
+  };
+
+  const setSections = (sections) => setState({ sections });
+
+  // `count` defaults to the stored count changing as much as the list did
+  const setItems = (sectionId, items, count) => {
+    const previous = state.items[sectionId] || NO_ITEMS;
+    const nextCount = count ?? (state.itemCounts[sectionId] || 0) + items.length - previous.length;
+    setState({
+      items: { ...state.items, [sectionId]: items },
+      itemCounts: { ...state.itemCounts, [sectionId]: Math.max(nextCount, items.length) },
+    });
+  };
+
+  const loadSections = async () => {
+    try {
+      setState({ sections: await repository.loadSections(), sectionsLoaded: true });
+    } catch (error) {
+      console.error('Error loading sections:', error);
+      setState({ sections: [], sectionsLoaded: true });
+    }
+  };
+
+  // Loads the section's first entries: at least as many as are loaded
+  // now (one page to begin with), and down to every id in `throughIds`
+  const loadItems = async (sectionId, minCount, throughIds = []) => {
+    const loadedCount = (state.items[sectionId] || NO_ITEMS).length;
+    let page;
+    try {
+      page = await repository.loadItemPage(sectionId, 0, {
+        minCount: minCount ?? Math.max(repository.ITEMS_PAGE_SIZE, loadedCount),
+        throughIds,
+      });
+    } catch (error) {
+      console.error('Error loading items:', error);
+      page = { items: [], total: 0 };
+    }
+    setState({
+      items: { ...state.items, [sectionId]: page.items },
+      itemCounts: { ...state.itemCounts, [sectionId]: page.total },
+      itemsLoaded: { ...state.itemsLoaded, [sectionId]: true },
+    });
+  };
+
+  // Appends the next page of a section's entries, unless it is all in
+  const loadMoreItems = async (sectionId) => {
+    const loaded = state.items[sectionId] || NO_ITEMS;
+    if (loadingMore.has(sectionId) || loaded.length >= (state.itemCounts[sectionId] || 0)) {
+      return;
+    }
+
+    loadingMore.add(sectionId);
+    try {
+      const page = await repository.loadItemPage(sectionId, loaded.length);
+      // an entry added or removed meanwhile shifted the page; the next scroll asks again
+      if (state.items[sectionId] === loaded) {
+        setState({
+          items: { ...state.items, [sectionId]: [...loaded, ...page.items] },
+          itemCounts: { ...state.itemCounts, [sectionId]: page.total },
+        });
+      }
+    } catch (error) {
+      console.error('Error loading more items:', error);
+    } finally {
+      loadingMore.delete(sectionId);
+    }
+  };
+
+  const loadAllItems = (sectionId) => loadItems(sectionId, Infinity);
+
+  // Re-reads everything already loaded, after something wrote to
+  // storage without going through the store (undo, restores, imports).
+  // The search index and statistics missed those writes too.
+  const reload = () => Promise.all([
+    loadSections(),
+    ...Object.keys(state.itemsLoaded).map(sectionId => loadItems(sectionId)),
+    rebuildSearchIndex().catch(error => console.error('Error rebuilding search index:', error)),
+    rebuildStatistics().catch(error => console.error('Error rebuilding statistics:', error)),
+  ]);
+
+  // Re-reads only what an undone or redone command changed (its
+  // `affects`, see commandHistory), and updates the search index and
+  // statistics for just those entries
+  const refresh = ({ sections = false, sectionIds = [], entries = [] }) => {
+    const touched = new Set([...sectionIds, ...entries.map(entry => entry.sectionId)]);
+    return Promise.all([
+      sections ? loadSections() : null,
+      ...[...touched].filter(sectionId => state.itemsLoaded[sectionId]).map(sectionId => loadItems(sectionId)),
+      ...sectionIds.map(syncSection),
+      ...entries.map(({ sectionId, itemId }) => syncEntry(sectionId, itemId)),
+    ]);
+  };
+
+  return {
+    getState: () => state,
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    setSections,
+    setItems,
+    loadSections,
+    loadItems,
+    loadMoreItems,
+    loadAllItems,
+    reload,
+    refresh,
+  };
+};
+
+const DiaryStoreContext = createContext(null);
+
+export const DiaryStoreProvider = ({ children }) => {
+  const storeRef = useRef(null);
+  if (!storeRef.current) {
+    storeRef.current = createDiaryStore();
+  }
+  const store = storeRef.current;
+
+  useEffect(() => {
+    store.loadSections();
+    ensureSearchIndex().catch(error => console.error('Error building search index:', error));
+    ensureStatistics().catch(error => console.error('Error building statistics:', error));
+  }, [store]);
+
+  // Undo/redo write to storage directly, so pick up what they changed
+  useEffect(() => subscribeToHistory((event) => {
+    if (event.type === 'record' || event.type === 'clear') {
+      return;
+    }
+    if (event.command.affects) {
+      store.refresh(event.command.affects);
+    } else {
+      store.reload();
+    }
+  }), [store]);
+
+  // Damaged data is swapped for a snapshot while loading; let the user know
+  useEffect(() => subscribeToRecovery(({ kind, sectionId, timestamp }) => {
+    const section = store.getState().sections.find(candidate => candidate.id === sectionId);
+    const what = kind === 'sections'
+      ? 'your section list'
+      : `the entries of ${section ? `"${section.name}"` : 'a section'}`;
+
+    if (timestamp) {
+      Alert.alert(
+        'Diary Recovered',
+        `Stored data for ${what} was damaged and has been replaced with a snapshot taken ${formatAbsolute(timestamp)}. Changes made after that may be missing.`
+      );
+    } else {
+      Alert.alert(
+        'Damaged Data',
+        `Stored data for ${what} is damaged and no usable snapshot was found.`
+      );
+    }
+  }), [store]);
+
+  return (
+    <DiaryStoreContext.Provider value={store}>
+      {children}
+    </DiaryStoreContext.Provider>
+  );
+};
+
+export const useDiaryStore = () => {
+  const store = useContext(DiaryStoreContext);
+  if (!store) {
+    throw new Error('useDiaryStore must be used inside DiaryStoreProvider');
+  }
+  return store;
+};
+
+/**
+ * Subscribes to part of the store. `selector` must return data from the
+ * state itself (not a new object) so unrelated changes don't re-render.
+ */
+export const useDiaryState = (selector) => {
+  const store = useDiaryStore();
+  return useSyncExternalStore(store.subscribe, () => selector(store.getState()));
+};
+
+export const selectItems = (sectionId) => (state) => state.items[sectionId] || NO_ITEMS;
+
+export const selectItemCount = (sectionId) => (state) => state.itemCounts[sectionId] || 0;
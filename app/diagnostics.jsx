@@ -0,0 +1,358 @@
+// app/diagnostics.jsx - Maomao Aesthetic
+import {
+  StyleSheet,
+  Text,
+  View,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import React from 'react';
+import { useRouter } from 'expo-router';
+import Ionicons from '@expo/vector-icons/Ionicons';
+import { useDiagnostics } from './hooks/useDiagnostics';
+import UndoBanner from './components/UndoBanner';
+
+const ISSUE_ICONS = {
+  'sections-unreadable': 'alert-circle',
+  'malformed-sections': 'construct',
+  'duplicate-section-ids': 'copy',
+  'duplicate-name': 'copy',
+  'missing-items': 'document-outline',
+  'items-unreadable': 'alert-circle',
+  'malformed-entries': 'construct',
+  'orphan-items': 'help-buoy',
+};
+
+const Diagnostics = () => {
+  const router = useRouter();
+  const { keyCount, issues, scan, repair, repairAll, isScanning } = useDiagnostics();
+
+  const handleScan = async () => {
+    try {
+      await scan();
+    } catch {
+      Alert.alert('Error', 'Failed to scan your diary. Please try again.');
+    }
+  };
+
+  const handleRepair = async (issue, action) => {
+    try {
+      await repair(issue, action);
+    } catch {
+      Alert.alert('Error', 'This repair could not be applied. Please try again.');
+    }
+  };
+
+  const handleRepairAll = () => {
+    Alert.alert(
+      'Repair All',
+      `Apply the first suggested fix to ${issues.length === 1 ? 'the problem' : `all ${issues.length} problems`}? You can undo this right after.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Repair',
+          onPress: async () => {
+            try {
+              await repairAll();
+            } catch {
+              Alert.alert('Error', 'Some repairs could not be applied. Please try again.');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const confirmRepair = (issue, repairOption) => {
+    // dropping orphaned entries is the one repair that throws data away
+    if (repairOption.action !== 'drop') {
+      handleRepair(issue, repairOption.action);
+      return;
+    }
+
+    Alert.alert(
+      'Delete Entries',
+      'Delete these entries that belong to no section? Their snapshots stay in Recovery.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Delete', style: 'destructive', onPress: () => handleRepair(issue, repairOption.action) },
+      ]
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => router.back()} style={styles.backButton}>
+          <Ionicons name="arrow-back" size={26} color="#7B5E7B" />
+        </TouchableOpacity>
+        <View style={styles.headerTitleContainer}>
+          <Ionicons name="pulse" size={24} color="#6B8E4E" />
+          <Text style={styles.headerTitle}>Diagnostics</Text>
+        </View>
+        <TouchableOpacity
+          onPress={handleScan}
+          style={[styles.scanButton, isScanning && styles.disabled]}
+          disabled={isScanning}
+        >
+          <Ionicons name="refresh" size={22} color="#6B8E4E" />
+        </TouchableOpacity>
+      </View>
+
+      {isScanning ? (
+        <View style={styles.loading}>
+          <ActivityIndicator size="large" color="#6B8E4E" />
+          <Text style={styles.loadingText}>Examining your diary...</Text>
+        </View>
+      ) : (
+        <ScrollView style={styles.scrollView} contentContainerStyle={styles.scrollContent}>
+          <View style={[styles.summaryCard, issues.length > 0 && styles.summaryCardWarning]}>
+            <Ionicons
+              name={issues.length === 0 ? 'checkmark-circle' : 'warning'}
+              size={40}
+              color={issues.length === 0 ? '#6B8E4E' : '#D4A574'}
+            />
+            <View style={styles.summaryText}>
+              <Text style={styles.summaryTitle}>
+                {issues.length === 0
+                  ? 'Everything looks healthy'
+                  : `${issues.length} ${issues.length === 1 ? 'problem' : 'problems'} found`}
+              </Text>
+              <Text style={styles.summaryMeta}>{keyCount} stored keys checked</Text>
+            </View>
+          </View>
+
+          {issues.length > 0 ? (
+            <TouchableOpacity style={styles.repairAllButton} onPress={handleRepairAll}>
+              <Ionicons name="construct" size={20} color="white" />
+              <Text style={styles.repairAllText}>Repair All</Text>
+            </TouchableOpacity>
+          ) : null}
+
+          {issues.map(issue => (
+            <View key={issue.id} style={styles.issueCard}>
+              <View style={styles.issueHeader}>
+                <View style={styles.issueIconCircle}>
+                  <Ionicons name={ISSUE_ICONS[issue.type] || 'alert-circle'} size={18} color="#C85C5C" />
+                </View>
+                <Text style={styles.issueTitle}>{issue.title}</Text>
+              </View>
+
+              <Text style={styles.issueDetail}>{issue.detail}</Text>
+
+              {issue.repairs.length > 0 ? (
+                <View style={styles.repairButtons}>
+                  {issue.repairs.map(repairOption => (
+                    <TouchableOpacity
+                      key={repairOption.action}
+                      style={[styles.repairButton, repairOption.action === 'drop' && styles.dropButton]}
+                      onPress={() => confirmRepair(issue, repairOption)}
+                    >
+                      <Text style={[styles.repairText, repairOption.action === 'drop' && styles.dropText]}>
+                        {repairOption.label}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              ) : (
+                <Text style={styles.noRepair}>No automatic repair. Try the Recovery screen.</Text>
+              )}
+            </View>
+          ))}
+        </ScrollView>
+      )}
+
+      <UndoBanner />
+    </View>
+  );
+};
+
+export default Diagnostics;
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F5EFE6',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingTop: 30,
+    paddingBottom: 20,
+    backgroundColor: '#fff',
+    borderBottomWidth: 3,
+    borderBottomColor: '#D4A574',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 4,
+  },
+  backButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: '#EDE7F6',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  headerTitleContainer: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 10,
+    marginHorizontal: 12,
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#4A403A',
+    letterSpacing: 0.5,
+  },
+  scanButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: '#E8F5E9',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  disabled: {
+    opacity: 0.4,
+  },
+  loading: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  loadingText: {
+    marginTop: 16,
+    fontSize: 15,
+    color: '#8B8680',
+  },
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    padding: 10,
+    paddingBottom: 40,
+  },
+  summaryCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 16,
+    backgroundColor: '#fff',
+    borderRadius: 24,
+    padding: 20,
+    marginTop: 6,
+    marginBottom: 16,
+    borderWidth: 3,
+    borderColor: '#9CAF88',
+  },
+  summaryCardWarning: {
+    borderColor: '#D4A574',
+  },
+  summaryText: {
+    flex: 1,
+  },
+  summaryTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#4A403A',
+  },
+  summaryMeta: {
+    fontSize: 13,
+    color: '#8B8680',
+    marginTop: 4,
+  },
+  repairAllButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    backgroundColor: '#6B8E4E',
+    paddingVertical: 14,
+    borderRadius: 20,
+    marginBottom: 16,
+  },
+  repairAllText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '700',
+  },
+  issueCard: {
+    backgroundColor: '#fff',
+    borderRadius: 24,
+    padding: 18,
+    paddingTop: 14,
+    marginBottom: 16,
+    shadowColor: '#6B8E4E',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.12,
+    shadowRadius: 8,
+    elevation: 4,
+    borderLeftWidth: 5,
+    borderLeftColor: '#D4A574',
+  },
+  issueHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    marginBottom: 8,
+  },
+  issueIconCircle: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: '#FFEBEE',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  issueTitle: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#4A403A',
+  },
+  issueDetail: {
+    fontSize: 14,
+    color: '#8B8680',
+    lineHeight: 20,
+    marginBottom: 12,
+  },
+  repairButtons: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    borderTopWidth: 2,
+    borderTopColor: '#F5EFE6',
+    paddingTop: 12,
+  },
+  repairButton: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 12,
+    backgroundColor: '#E8F5E9',
+  },
+  dropButton: {
+    backgroundColor: '#FFEBEE',
+  },
+  repairText: {
+    fontSize: 13,
+    fontWeight: '700',
+    color: '#6B8E4E',
+  },
+  dropText: {
+    color: '#C85C5C',
+  },
+  noRepair: {
+    fontSize: 13,
+    color: '#B8A5B8',
+    fontStyle: 'italic',
+  },
+});
@@ -5,6 +5,7 @@ import {
   View, 
   TextInput, 
   ScrollView, 
+  FlatList,
   TouchableOpacity,
   Modal,
   KeyboardAvoidingView,
@@ -12,22 +13,158 @@ import {
   ActivityIndicator,
   Alert
 } from 'react-native'
-import React, { useState } from 'react'
+import React, { useState, useEffect, useMemo, useRef } from 'react'
 import { useLocalSearchParams, useRouter } from 'expo-router'
 import Ionicons from '@expo/vector-icons/Ionicons'
-import { useDiaryItems } from '../hooks/useDiaryStorage';
+import { useDiaryItems, useDiarySections } from '../hooks/useDiaryStorage';
+import { formatTimestamp } from '../utils/dateFormat';
+import HistoryModal from '../components/HistoryModal';
+import TagChips from '../components/TagChips';
+import SectionPickerModal from '../components/SectionPickerModal';
+import EntryToolbar from '../components/EntryToolbar';
+import { itemTags } from '../utils/tags';
+import { arrangeItems } from '../utils/entryFilters';
+import { useSectionView } from '../hooks/useSectionView';
+import { DEFAULT_SECTION_VIEW } from '../storage/sectionViews';
+import UndoBanner from '../components/UndoBanner';
+import { useCommandHistory } from '../hooks/useCommandHistory';
+import { rememberScroll, recallScroll } from '../utils/scrollPositions';
 import { Image } from 'react-native';
 
 const DiarySections = () => {
-  const { section } = useLocalSearchParams();
+  // the route param is the section's id; `entry` (from search) is an entry to open
+  const { section: sectionId, entry: entryId } = useLocalSearchParams();
   const router = useRouter();
   
-  const { items, addItem, updateItem, deleteItem, isLoading } = useDiaryItems(section);
+  const { sections } = useDiarySections();
+  const section = sections.find(candidate => candidate.id === sectionId);
+  const sectionName = section ? section.name : '';
+
+  const {
+    items,
+    totalCount,
+    hasMore,
+    loadMore,
+    loadAll,
+    loadThrough,
+    addItem,
+    updateItem,
+    restoreRevision,
+    togglePinned,
+    toggleFavourite,
+    moveItem,
+    copyItem,
+    deleteItem,
+    isLoading
+  } = useDiaryItems(sectionId);
+  
+  const { canUndo, canRedo, undo, redo } = useCommandHistory();
+  const { view, chooseSort } = useSectionView(sectionId);
   
   const [expandedItems, setExpandedItems] = useState({});
   const [isModalVisible, setIsModalVisible] = useState(false);
   const [currentItem, setCurrentItem] = useState('');
-  const [editingIndex, setEditingIndex] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [dateMode, setDateMode] = useState('relative');
+  const [historyItemId, setHistoryItemId] = useState(null);
+  const [fileItemId, setFileItemId] = useState(null);
+  const [filterQuery, setFilterQuery] = useState('');
+  const [dateRange, setDateRange] = useState('all');
+  const [customRange, setCustomRange] = useState({ from: '', to: '' });
+  // the entry to bring into view once it is in the list
+  const [scrollTargetId, setScrollTargetId] = useState(null);
+
+  const listRef = useRef(null);
+  // where the list was left last time, until it has been scrolled back there
+  const pendingOffset = useRef(entryId ? null : recallScroll(sectionId) || null);
+
+  const historyItem = items.find(item => item.id === historyItemId) || null;
+  // rows re-render when any of these change
+  const listState = useMemo(() => ({ expandedItems, dateMode }), [expandedItems, dateMode]);
+
+  // the section's saved sort, this visit's filters, pinned entries first
+  const shownItems = useMemo(() => arrangeItems(items, {
+    sort: view.sort,
+    ascending: view.ascending,
+    range: dateRange,
+    customRange,
+    query: filterQuery,
+  }), [items, view, dateRange, customRange, filterQuery]);
+
+  // Entries come a page at a time in stored order (newest first), which
+  // only works while the screen shows them in that order
+  const isStoredOrder = view.sort === DEFAULT_SECTION_VIEW.sort
+    && view.ascending === DEFAULT_SECTION_VIEW.ascending
+    && dateRange === 'all'
+    && filterQuery.trim() === '';
+
+  useEffect(() => {
+    if (!isLoading && hasMore && !isStoredOrder) {
+      loadAll();
+    }
+  }, [isLoading, hasMore, isStoredOrder, loadAll]);
+
+  const handleEndReached = () => {
+    if (hasMore && isStoredOrder) {
+      loadMore();
+    }
+  };
+
+  const handleScroll = ({ nativeEvent }) => {
+    rememberScroll(sectionId, nativeEvent.contentOffset.y);
+  };
+
+  // Puts the list back where it was left, as soon as it is tall enough.
+  // Scrolling by hand first cancels that.
+  const handleContentSizeChange = (width, height) => {
+    if (pendingOffset.current !== null && height >= pendingOffset.current) {
+      listRef.current?.scrollToOffset({ offset: pendingOffset.current, animated: false });
+      pendingOffset.current = null;
+    }
+  };
+
+  // Cards vary in height, so an entry far down may not be measured yet;
+  // jump close to it by the average height and try again
+  const handleScrollToIndexFailed = ({ index, averageItemLength }) => {
+    listRef.current?.scrollToOffset({ offset: index * averageItemLength, animated: false });
+    setTimeout(() => {
+      listRef.current?.scrollToIndex({ index, animated: true, viewPosition: 0 });
+    }, 100);
+  };
+
+  // open the entry we were sent to once the section has loaded, reading
+  // pages down to it if it isn't among the first ones
+  useEffect(() => {
+    if (!entryId || isLoading) {
+      return;
+    }
+
+    let cancelled = false;
+    loadThrough(entryId)
+      .catch(error => console.error('Error loading entry:', error))
+      .finally(() => {
+        if (!cancelled) {
+          setExpandedItems(prev => ({ ...prev, [entryId]: true }));
+          setScrollTargetId(entryId);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [entryId, isLoading, loadThrough]);
+
+  useEffect(() => {
+    if (!scrollTargetId) {
+      return;
+    }
+
+    const index = shownItems.findIndex(item => item.id === scrollTargetId);
+    if (index !== -1) {
+      listRef.current?.scrollToIndex({ index, animated: true, viewPosition: 0 });
+    }
+    setScrollTargetId(null);
+  }, [scrollTargetId, shownItems]);
 
   const toggleExpand = (id) => {
     setExpandedItems(prev => ({
@@ -36,30 +173,38 @@ const DiarySections = () => {
     }));
   };
 
+  const openTag = (tag) => {
+    router.push({ pathname: '/tags/[tag]', params: { tag } });
+  };
+
+  const toggleDateMode = () => {
+    setDateMode(prev => (prev === 'relative' ? 'absolute' : 'relative'));
+  };
+
   const openNewItem = () => {
     setCurrentItem('');
-    setEditingIndex(null);
+    setEditingId(null);
     setIsModalVisible(true);
   };
 
-  const openEditItem = (index) => {
-    setCurrentItem(items[index].text);
-    setEditingIndex(index);
+  const openEditItem = (item) => {
+    setCurrentItem(item.text);
+    setEditingId(item.id);
     setIsModalVisible(true);
   };
 
   const saveItem = async () => {
     if (currentItem.trim()) {
       try {
-        if (editingIndex !== null) {
-          await updateItem(editingIndex, currentItem);
+        if (editingId !== null) {
+          await updateItem(editingId, currentItem);
         } else {
           await addItem(currentItem);
         }
         
         setIsModalVisible(false);
         setCurrentItem('');
-        setEditingIndex(null);
+        setEditingId(null);
       } catch (error) {
         console.error('Error saving item:', error);
         alert('Failed to save item. Please try again.');
@@ -67,12 +212,62 @@ const DiarySections = () => {
     }
   };
 
-  const handleDeleteItem = (index) => {
-    const itemToDelete = items[index];
-    
+  const handleRestoreRevision = async (revision) => {
+    try {
+      await restoreRevision(historyItemId, revision.id);
+    } catch (error) {
+      console.error('Error restoring revision:', error);
+      Alert.alert('Error', 'Failed to restore this version. Please try again.');
+    }
+  };
+
+  const handleToggleFlag = async (toggle, id) => {
+    try {
+      await toggle(id);
+    } catch {
+      Alert.alert('Error', 'Failed to update this entry. Please try again.');
+    }
+  };
+
+  const handleFileItem = async (targetSection, mode) => {
+    const id = fileItemId;
+    setFileItemId(null);
+    try {
+      if (mode === 'copy') {
+        await copyItem(id, targetSection);
+      } else {
+        await moveItem(id, targetSection);
+      }
+    } catch (error) {
+      Alert.alert(
+        'Error',
+        error.message === 'Entry already exists in that section'
+          ? `"${targetSection.name}" already has this entry.`
+          : `Failed to ${mode} this entry. Please try again.`
+      );
+    }
+  };
+
+  const handleUndo = async () => {
+    try {
+      await undo();
+    } catch {
+      Alert.alert('Error', 'Could not undo. Please try again.');
+    }
+  };
+
+  const handleRedo = async () => {
+    try {
+      await redo();
+    } catch {
+      Alert.alert('Error', 'Could not redo. Please try again.');
+    }
+  };
+
+  const handleDeleteItem = (itemToDelete) => {
     Alert.alert(
       'Delete Entry',
-      'Are you sure you want to delete this diary entry? This action cannot be undone.',
+      'Move this diary entry to the Trash? You can restore it from there until it is purged.',
       [
         {
           text: 'Cancel',
@@ -83,7 +278,7 @@ const DiarySections = () => {
           style: 'destructive',
           onPress: async () => {
             try {
-              await deleteItem(index);
+              await deleteItem(itemToDelete.id);
               
               // Remove from expanded items
               setExpandedItems(prev => {
@@ -101,12 +296,119 @@ const DiarySections = () => {
     );
   };
 
+  const renderItem = ({ item }) => {
+    const isExpanded = expandedItems[item.id];
+    
+    return (
+      <View style={[styles.itemCard, item.pinned && styles.pinnedCard]}>
+        <TouchableOpacity 
+          style={styles.itemContent}
+          onPress={() => toggleExpand(item.id)}
+          activeOpacity={0.7}
+        >
+          <View style={styles.itemHeader}>
+            <View style={styles.itemIconCircle}>
+              <Ionicons name="document-text" size={18} color="#7B5E7B" />
+            </View>
+            <View style={styles.itemHeaderRight}>
+              <TouchableOpacity
+                style={styles.flagButton}
+                onPress={() => handleToggleFlag(togglePinned, item.id)}
+              >
+                <Ionicons
+                  name={item.pinned ? 'pin' : 'pin-outline'}
+                  size={20}
+                  color={item.pinned ? '#7B5E7B' : '#B8A5B8'}
+                />
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.flagButton}
+                onPress={() => handleToggleFlag(toggleFavourite, item.id)}
+              >
+                <Ionicons
+                  name={item.favourite ? 'star' : 'star-outline'}
+                  size={20}
+                  color={item.favourite ? '#D4A574' : '#B8A5B8'}
+                />
+              </TouchableOpacity>
+              <View style={styles.expandIndicator}>
+                <Ionicons 
+                  name={isExpanded ? "chevron-up-circle" : "chevron-down-circle"} 
+                  size={20} 
+                  color="#6B8E4E" 
+                />
+              </View>
+            </View>
+          </View>
+          
+          <Text 
+            style={styles.itemText} 
+            numberOfLines={isExpanded ? undefined : 1}
+          >
+            {item.text}
+          </Text>
+
+          <TagChips tags={itemTags(item)} onPress={openTag} style={styles.itemTags} />
+          
+          <View style={styles.itemFooter}>
+            <TouchableOpacity style={styles.dateContainer} onPress={toggleDateMode}>
+              <Ionicons name="time-outline" size={14} color="#B8A5B8" />
+              <Text style={styles.itemDate}>
+                {formatTimestamp(item.lastModified, dateMode)}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        </TouchableOpacity>
+
+        <View style={styles.actionButtons}>
+          <TouchableOpacity 
+            style={styles.editButton}
+            onPress={() => openEditItem(item)}
+          >
+            <Ionicons name="create-outline" size={20} color="#7B5E7B" />
+            <Text style={styles.actionText}>Edit</Text>
+          </TouchableOpacity>
+          
+          <View style={styles.buttonDivider} />
+
+          <TouchableOpacity 
+            style={styles.editButton}
+            onPress={() => setHistoryItemId(item.id)}
+          >
+            <Ionicons name="git-compare-outline" size={20} color="#7B5E7B" />
+            <Text style={styles.actionText}>History</Text>
+          </TouchableOpacity>
+
+          <View style={styles.buttonDivider} />
+
+          <TouchableOpacity 
+            style={styles.editButton}
+            onPress={() => setFileItemId(item.id)}
+          >
+            <Ionicons name="swap-horizontal" size={20} color="#7B5E7B" />
+            <Text style={styles.actionText}>Move</Text>
+          </TouchableOpacity>
+
+          <View style={styles.buttonDivider} />
+          
+          <TouchableOpacity 
+            style={styles.deleteButton}
+            onPress={() => handleDeleteItem(item)}
+          >
+            <Ionicons name="trash-outline" size={20} color="#C85C5C" />
+            <Text style={[styles.actionText, { color: '#C85C5C' }]}>Delete</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  };
+
   if (isLoading) {
     return (
       <View style={[styles.container, styles.loadingContainer]}>
         <View style={styles.loadingBox}>
           <ActivityIndicator size="large" color="#6B8E4E" />
-          <Text style={styles.loadingText}>Loading {section}...</Text>
+          <Text style={styles.loadingText}>Loading {sectionName}...</Text>
         </View>
       </View>
     );
@@ -121,18 +423,63 @@ const DiarySections = () => {
         </TouchableOpacity>
         
         <View style={styles.headerTitleContainer}>
-          <Ionicons name="leaf" size={24} color="#6B8E4E" />
-          <Text style={styles.headerTitle} numberOfLines={1}>{section}</Text>
+          <Ionicons
+            name={section?.icon || 'leaf'}
+            size={24}
+            color={section?.color || '#6B8E4E'}
+          />
+          <Text style={styles.headerTitle} numberOfLines={1}>{sectionName}</Text>
         </View>
         
-        <TouchableOpacity onPress={openNewItem} style={styles.addButton}>
-          <Ionicons name="add-circle" size={32} color="#6B8E4E" />
-        </TouchableOpacity>
+        <View style={styles.headerActions}>
+          <TouchableOpacity onPress={handleUndo} disabled={!canUndo} style={styles.historyButton}>
+            <Ionicons name="arrow-undo" size={22} color={canUndo ? '#7B5E7B' : '#D8CFD8'} />
+          </TouchableOpacity>
+          <TouchableOpacity onPress={handleRedo} disabled={!canRedo} style={styles.historyButton}>
+            <Ionicons name="arrow-redo" size={22} color={canRedo ? '#7B5E7B' : '#D8CFD8'} />
+          </TouchableOpacity>
+          <TouchableOpacity onPress={openNewItem} style={styles.addButton}>
+            <Ionicons name="add-circle" size={32} color="#6B8E4E" />
+          </TouchableOpacity>
+        </View>
       </View>
 
+      {items.length > 0 ? (
+        <EntryToolbar
+          query={filterQuery}
+          onQueryChange={setFilterQuery}
+          sort={view.sort}
+          ascending={view.ascending}
+          onSort={chooseSort}
+          range={dateRange}
+          onRangeChange={setDateRange}
+          customRange={customRange}
+          onCustomRangeChange={setCustomRange}
+          shownCount={shownItems.length}
+          totalCount={totalCount}
+        />
+      ) : null}
+
       {/* Items List */}
-      <ScrollView style={styles.scrollView}>
-        {items.length === 0 ? (
+      <FlatList
+        ref={listRef}
+        style={styles.scrollView}
+        contentContainerStyle={styles.listContent}
+        data={shownItems}
+        keyExtractor={item => item.id}
+        renderItem={renderItem}
+        extraData={listState}
+        keyboardShouldPersistTaps="handled"
+        onScroll={handleScroll}
+        scrollEventThrottle={100}
+        onScrollBeginDrag={() => {
+          pendingOffset.current = null;
+        }}
+        onContentSizeChange={handleContentSizeChange}
+        onEndReached={handleEndReached}
+        onEndReachedThreshold={1.5}
+        onScrollToIndexFailed={handleScrollToIndexFailed}
+        ListEmptyComponent={items.length === 0 ? (
           <View style={styles.emptyState}>
             <View style={styles.emptyImageContainer}>
               <Image 
@@ -148,68 +495,34 @@ const DiarySections = () => {
             </TouchableOpacity>
           </View>
         ) : (
-          items.map((item, index) => {
-            const isExpanded = expandedItems[item.id];
-            
-            return (
-              <View key={item.id} style={styles.itemCard}>
-                <TouchableOpacity 
-                  style={styles.itemContent}
-                  onPress={() => toggleExpand(item.id)}
-                  activeOpacity={0.7}
-                >
-                  <View style={styles.itemHeader}>
-                    <View style={styles.itemIconCircle}>
-                      <Ionicons name="document-text" size={18} color="#7B5E7B" />
-                    </View>
-                    <View style={styles.expandIndicator}>
-                      <Ionicons 
-                        name={isExpanded ? "chevron-up-circle" : "chevron-down-circle"} 
-                        size={20} 
-                        color="#6B8E4E" 
-                      />
-                    </View>
-                  </View>
-                  
-                  <Text 
-                    style={styles.itemText} 
-                    numberOfLines={isExpanded ? undefined : 1}
-                  >
-                    {item.text}
-                  </Text>
-                  
-                  <View style={styles.itemFooter}>
-                    <View style={styles.dateContainer}>
-                      <Ionicons name="time-outline" size={14} color="#B8A5B8" />
-                      <Text style={styles.itemDate}>{item.lastModified}</Text>
-                    </View>
-                  </View>
-                </TouchableOpacity>
-
-                <View style={styles.actionButtons}>
-                  <TouchableOpacity 
-                    style={styles.editButton}
-                    onPress={() => openEditItem(index)}
-                  >
-                    <Ionicons name="create-outline" size={20} color="#7B5E7B" />
-                    <Text style={styles.actionText}>Edit</Text>
-                  </TouchableOpacity>
-                  
-                  <View style={styles.buttonDivider} />
-                  
-                  <TouchableOpacity 
-                    style={styles.deleteButton}
-                    onPress={() => handleDeleteItem(index)}
-                  >
-                    <Ionicons name="trash-outline" size={20} color="#C85C5C" />
-                    <Text style={[styles.actionText, { color: '#C85C5C' }]}>Delete</Text>
-                  </TouchableOpacity>
-                </View>
-              </View>
-            );
-          })
+          <View style={styles.noMatches}>
+            <Ionicons name="funnel-outline" size={40} color="#D4A574" />
+            <Text style={styles.noMatchesText}>No entries match these filters</Text>
+          </View>
         )}
-      </ScrollView>
+        ListFooterComponent={hasMore ? (
+          <View style={styles.loadingMore}>
+            <ActivityIndicator color="#6B8E4E" />
+            <Text style={styles.loadingMoreText}>Loading more entries...</Text>
+          </View>
+        ) : null}
+      />
+
+      <UndoBanner />
+
+      <SectionPickerModal
+        visible={fileItemId !== null}
+        sections={sections.filter(candidate => candidate.id !== sectionId)}
+        onPick={handleFileItem}
+        onClose={() => setFileItemId(null)}
+      />
+
+      <HistoryModal
+        visible={historyItem !== null}
+        item={historyItem}
+        onClose={() => setHistoryItemId(null)}
+        onRestore={handleRestoreRevision}
+      />
 
       {/* Modal for Adding/Editing Items */}
       <Modal
@@ -233,12 +546,12 @@ const DiarySections = () => {
             
             <View style={styles.modalTitleContainer}>
               <Ionicons 
-                name={editingIndex !== null ? "create" : "flask"} 
+                name={editingId !== null ? "create" : "flask"} 
                 size={24} 
                 color="#6B8E4E" 
               />
               <Text style={styles.modalTitle}>
-                {editingIndex !== null ? 'Edit Entry' : 'New Entry'}
+                {editingId !== null ? 'Edit Entry' : 'New Entry'}
               </Text>
             </View>
             
@@ -337,6 +650,13 @@ const styles = StyleSheet.create({
     color: '#4A403A',
     letterSpacing: 0.5,
   },
+  headerActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  historyButton: {
+    padding: 4,
+  },
   addButton: {
     padding: 4,
   },
@@ -344,6 +664,30 @@ const styles = StyleSheet.create({
     flex: 1,
     padding: 10,
   },
+  listContent: {
+    paddingBottom: 20,
+  },
+  loadingMore: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    gap: 10,
+    paddingTop: 10,
+    paddingBottom: 30,
+  },
+  loadingMoreText: {
+    fontSize: 14,
+    color: '#8B8680',
+  },
+  noMatches: {
+    alignItems: 'center',
+    paddingVertical: 50,
+    gap: 12,
+  },
+  noMatchesText: {
+    fontSize: 15,
+    color: '#8B8680',
+  },
   emptyState: {
     alignItems: 'center',
     justifyContent: 'center',
@@ -417,6 +761,10 @@ const styles = StyleSheet.create({
     borderLeftWidth: 5,
     borderLeftColor: '#7B5E7B',
   },
+  pinnedCard: {
+    backgroundColor: '#FBF8F3',
+    borderLeftColor: '#D4A574',
+  },
   itemContent: {
     marginBottom: 12,
   },
@@ -434,6 +782,14 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     alignItems: 'center',
   },
+  itemHeaderRight: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  flagButton: {
+    padding: 4,
+  },
   expandIndicator: {
     padding: 4,
   },
@@ -443,6 +799,9 @@ const styles = StyleSheet.create({
     lineHeight: 24,
     marginBottom: 12,
   },
+  itemTags: {
+    marginBottom: 12,
+  },
   itemFooter: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -0,0 +1,185 @@
+// app/hooks/useAppLock.js
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { AppState } from 'react-native';
+import { loadAppLock, verifyPin, setPin, removePin } from '../storage/appLock';
+import { loadSettings } from '../storage/settings';
+
+// Thrown when a PIN can't be checked yet; `lockedUntil` says until when
+const waitError = (lockedUntil) => {
+  const error = new Error('Too many wrong PINs');
+  error.lockedUntil = lockedUntil;
+  return error;
+};
+
+// Throws unless `currentPin` is the PIN
+const checkCurrentPin = async (currentPin) => {
+  const result = await verifyPin(currentPin);
+  if (!result.ok) {
+    throw result.lockedUntil ? waitError(result.lockedUntil) : new Error('Wrong PIN');
+  }
+};
+
+/**
+ * Hook for the PIN gate in the root layout. Once storage is ready it
+ * locks if a PIN is set, and locks again when the app comes back after
+ * `autoLockMinutes` in the background.
+ * `hasUnlocked` stays false until the first unlock, so no screen renders
+ * before the PIN is entered. If the lock can't be read, the app stays
+ * locked with `lockError` set until `retry` manages to read it.
+ */
+export const useAppLock = (isReady) => {
+  const [isChecking, setIsChecking] = useState(true);
+  const [isLocked, setIsLocked] = useState(false);
+  const [hasUnlocked, setHasUnlocked] = useState(false);
+  const [digits, setDigits] = useState(null);
+  const [lockedUntil, setLockedUntil] = useState(null);
+  const [lockError, setLockError] = useState(null);
+  // when the app went to the background and how long it may stay there
+  const lockDeadline = useRef(null);
+
+  // Locks if a PIN is set; resolves to whether it did. When the lock
+  // can't be read the app locks anyway, since a PIN may well be set.
+  const lock = useCallback(async () => {
+    let record;
+    try {
+      record = await loadAppLock();
+    } catch (error) {
+      setLockError(error);
+      setIsLocked(true);
+      throw error;
+    }
+
+    setLockError(null);
+    if (record) {
+      setDigits(record.digits);
+      setLockedUntil(record.lockedUntil);
+      setIsLocked(true);
+    }
+    return Boolean(record);
+  }, []);
+
+  useEffect(() => {
+    if (!isReady) {
+      return;
+    }
+
+    lock()
+      .then(locked => setHasUnlocked(!locked))
+      .catch(error => console.error('Error checking app lock:', error))
+      .finally(() => setIsChecking(false));
+  }, [isReady, lock]);
+
+  useEffect(() => {
+    if (!isReady) {
+      return;
+    }
+
+    const subscription = AppState.addEventListener('change', async (nextState) => {
+      if (nextState === 'background') {
+        const { autoLockMinutes } = await loadSettings();
+        if (autoLockMinutes === 0) {
+          // lock right away, so the diary isn't on screen when the app returns
+          lock().catch(error => console.error('Error locking app:', error));
+        } else {
+          lockDeadline.current = Date.now() + autoLockMinutes * 60 * 1000;
+        }
+        return;
+      }
+
+      if (nextState === 'active' && lockDeadline.current !== null) {
+        const isDue = Date.now() >= lockDeadline.current;
+        lockDeadline.current = null;
+        if (isDue) {
+          lock().catch(error => console.error('Error locking app:', error));
+        }
+      }
+    });
+
+    return () => subscription.remove();
+  }, [isReady, lock]);
+
+  /**
+   * Tries a PIN; resolves to whether it was right. A wrong one may set
+   * `lockedUntil`, and no PIN is checked until then.
+   */
+  const unlock = useCallback(async (pin) => {
+    const result = await verifyPin(pin);
+    setLockedUntil(result.lockedUntil);
+    if (result.ok) {
+      setIsLocked(false);
+      setHasUnlocked(true);
+    }
+    return result.ok;
+  }, []);
+
+  /**
+   * Reads the lock again after it failed to load. With no PIN set after
+   * all, the app opens; otherwise the PIN is asked for as usual.
+   */
+  const retry = useCallback(async () => {
+    try {
+      if (!(await lock())) {
+        setIsLocked(false);
+        setHasUnlocked(true);
+      }
+    } catch (error) {
+      console.error('Error checking app lock:', error);
+    }
+  }, [lock]);
+
+  return {
+    isChecking,
+    isLocked,
+    hasUnlocked,
+    digits,
+    lockedUntil,
+    lockError,
+    unlock,
+    retry,
+  };
+};
+
+/**
+ * Hook for setting, changing and removing the PIN in Settings. Changing
+ * or removing it needs the current PIN, which counts towards the same
+ * wrong-attempt waits as the lock screen.
+ */
+export const usePinSettings = () => {
+  const [hasPin, setHasPin] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    loadAppLock()
+      .then(record => !cancelled && setHasPin(Boolean(record)))
+      .catch(() => {})
+      .finally(() => !cancelled && setIsLoading(false));
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const changePin = useCallback(async (currentPin, nextPin) => {
+    if (hasPin) {
+      await checkCurrentPin(currentPin);
+    }
+    await setPin(nextPin);
+    setHasPin(true);
+  }, [hasPin]);
+
+  const clearPin = useCallback(async (currentPin) => {
+    await checkCurrentPin(currentPin);
+    await removePin();
+    setHasPin(false);
+  }, []);
+
+  return {
+    hasPin,
+    isLoading,
+    changePin,
+    clearPin,
+  };
+};
@@ -1,19 +1,24 @@
 //app/hooks/useBackupManager.js
 
 import { useState } from 'react';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import * as FileSystem from 'expo-file-system/legacy';
 import * as Sharing from 'expo-sharing';
 import * as DocumentPicker from 'expo-document-picker';
 import { Alert } from 'react-native';
-
-const STORAGE_KEYS = {
-  SECTIONS: '@diary_sections',
-  ITEMS: '@diary_items_',
-};
-
-export const useBackupManager = (onDataChanged) => {  // ← add callback parameter
+import { storage, readJSON } from '../storage';
+import { STORAGE_KEYS } from '../storage/keys';
+import { runAtomic } from '../storage/journal';
+import { loadItems, withEverySectionLocked } from '../storage/diaryRepository';
+import { readItemList, planItemList, listItemKeys } from '../storage/itemChunks';
+import { createMemoryAdapter } from '../storage/adapters/memoryAdapter';
+import { CURRENT_SCHEMA_VERSION, runMigrations } from '../storage/migrations';
+import { withOrder, sortByOrder, findSectionByName } from '../utils/sections';
+import { clearHistory } from '../utils/commandHistory';
+import { useDiaryStore } from '../context/DiaryStoreContext';
+
+export const useBackupManager = () => {
   const [isProcessing, setIsProcessing] = useState(false);
+  const store = useDiaryStore();
 
   const exportBackup = async () => {
     setIsProcessing(true);
@@ -102,13 +107,16 @@ export const useBackupManager = (onDataChanged) => {  // ← add callback parame
         return { success: false, cancelled: true };
       }
 
+      // bring older backups up to the current schema before writing them
+      const upgradedData = await upgradeBackupData(backupData);
+
       // restore the data
-      await restoreData(backupData, replaceExisting);
+      await restoreData(upgradedData, replaceExisting);
+      // earlier commands would run against data that's been replaced
+      clearHistory();
 
-      // call the callback to reload data
-      if (onDataChanged) {
-        await onDataChanged();
-      }
+      // every screen picks up the restored data through the store
+      await store.reload();
 
       Alert.alert(
         'Restore Complete',
@@ -130,24 +138,26 @@ export const useBackupManager = (onDataChanged) => {  // ← add callback parame
     }
   };
 
-  const collectAllData = async () => {
-    const sectionsString = await AsyncStorage.getItem(STORAGE_KEYS.SECTIONS);
-    const sections = sectionsString ? JSON.parse(sectionsString) : [];
+  const collectAllData = async (adapter = storage) => {
+    const sections = await readJSON(STORAGE_KEYS.SECTIONS, [], adapter);
 
     const allItems = {};
     let totalItems = 0;
 
+    // entries are keyed by section id
     for (const section of sections) {
-      const itemsKey = STORAGE_KEYS.ITEMS + section;
-      const itemsString = await AsyncStorage.getItem(itemsKey);
-      const items = itemsString ? JSON.parse(itemsString) : [];
-      allItems[section] = items;
-      totalItems += items.length;
+      const items = await readItemList(section.id, adapter);
+      if (items === undefined) {
+        throw new Error(`Entries of section "${section.name}" could not be read`);
+      }
+      allItems[section.id] = items || [];
+      totalItems += allItems[section.id].length;
     }
 
     return {
       metadata: {
         version: '1.0',
+        schemaVersion: CURRENT_SCHEMA_VERSION,
         timestamp: new Date().toISOString(),
         appName: 'Diary App',
         totalSections: sections.length,
@@ -159,6 +169,35 @@ export const useBackupManager = (onDataChanged) => {  // ← add callback parame
     };
   };
 
+  // Runs the storage migrations over a scratch copy of the backup, so
+  // files exported by older app versions restore in the current format.
+  const upgradeBackupData = async (backupData) => {
+    const fromVersion = backupData.metadata.schemaVersion || 0;
+    if (fromVersion >= CURRENT_SCHEMA_VERSION) {
+      return backupData;
+    }
+
+    const scratch = createMemoryAdapter({
+      [STORAGE_KEYS.SCHEMA_VERSION]: String(fromVersion),
+      [STORAGE_KEYS.SECTIONS]: JSON.stringify(backupData.sections),
+    });
+
+    await scratch.multiSet(
+      Object.entries(backupData.items).map(([section, items]) => [
+        STORAGE_KEYS.ITEMS + section,
+        JSON.stringify(items),
+      ])
+    );
+
+    const result = await runMigrations(scratch);
+    if (!result.success) {
+      throw result.error;
+    }
+
+    const upgraded = await collectAllData(scratch);
+    return { ...upgraded, metadata: { ...upgraded.metadata, timestamp: backupData.metadata.timestamp } };
+  };
+
   const validateBackupData = (data) => {
     try {
       if (!data) {
@@ -169,6 +208,10 @@ export const useBackupManager = (onDataChanged) => {  // ← add callback parame
         return { isValid: false, error: 'Missing required fields' };
       }
 
+      if (data.metadata.schemaVersion > CURRENT_SCHEMA_VERSION) {
+        return { isValid: false, error: 'Backup was made by a newer version of the app' };
+      }
+
       if (!Array.isArray(data.sections)) {
         return { isValid: false, error: 'Sections must be an array' };
       }
@@ -178,8 +221,16 @@ export const useBackupManager = (onDataChanged) => {  // ← add callback parame
       }
 
       for (const section of data.sections) {
-        if (data.items[section] && !Array.isArray(data.items[section])) {
-          return { isValid: false, error: `Items for section "${section}" must be an array` };
+        // older backups list bare section names and key their items by name
+        const isRecord = section && typeof section === 'object';
+        if (!isRecord && typeof section !== 'string') {
+          return { isValid: false, error: 'Sections must be names or section records' };
+        }
+
+        const key = isRecord ? section.id : section;
+        const label = isRecord ? section.name : section;
+        if (data.items[key] && !Array.isArray(data.items[key])) {
+          return { isValid: false, error: `Items for section "${label}" must be an array` };
         }
       }
 
@@ -191,48 +242,77 @@ export const useBackupManager = (onDataChanged) => {  // ← add callback parame
 
   const restoreData = async (backupData, replaceExisting) => {
     try {
-      if (replaceExisting) {
-        const currentSectionsString = await AsyncStorage.getItem(STORAGE_KEYS.SECTIONS);
-        const currentSections = currentSectionsString ? JSON.parse(currentSectionsString) : [];
-        
-        for (const section of currentSections) {
-          const itemsKey = STORAGE_KEYS.ITEMS + section;
-          await AsyncStorage.removeItem(itemsKey);
-        }
-
-        await AsyncStorage.setItem(
-          STORAGE_KEYS.SECTIONS,
-          JSON.stringify(backupData.sections)
-        );
-
-        for (const [section, items] of Object.entries(backupData.items)) {
-          const itemsKey = STORAGE_KEYS.ITEMS + section;
-          await AsyncStorage.setItem(itemsKey, JSON.stringify(items));
-        }
-      } else {
-        const currentSectionsString = await AsyncStorage.getItem(STORAGE_KEYS.SECTIONS);
-        const currentSections = currentSectionsString ? JSON.parse(currentSectionsString) : [];
-
-        const mergedSections = [...new Set([...currentSections, ...backupData.sections])];
-
-        await AsyncStorage.setItem(
-          STORAGE_KEYS.SECTIONS,
-          JSON.stringify(mergedSections)
-        );
-
-        for (const [section, newItems] of Object.entries(backupData.items)) {
-          const itemsKey = STORAGE_KEYS.ITEMS + section;
-          
-          const existingItemsString = await AsyncStorage.getItem(itemsKey);
-          const existingItems = existingItemsString ? JSON.parse(existingItemsString) : [];
-
-          const existingIds = new Set(existingItems.map(item => item.id));
-          const itemsToAdd = newItems.filter(item => !existingIds.has(item.id));
-          const mergedItems = [...existingItems, ...itemsToAdd];
-
-          await AsyncStorage.setItem(itemsKey, JSON.stringify(mergedItems));
+      // Held from reading the current data until it's written over, so
+      // nothing saved in between is lost
+      await withEverySectionLocked(backupData.sections.map(section => section.id), async () => {
+        const currentSections = sortByOrder(await readJSON(STORAGE_KEYS.SECTIONS, []));
+
+        // Everything is written in one journaled step, so a crash midway
+        // can't leave the diary half restored
+        if (replaceExisting) {
+          const restoredIds = new Set(backupData.sections.map(section => section.id));
+          const set = [[STORAGE_KEYS.SECTIONS, JSON.stringify(withOrder(backupData.sections))]];
+          const remove = [];
+
+          for (const section of backupData.sections) {
+            const writes = await planItemList(section.id, backupData.items[section.id] || []);
+            set.push(...writes.set);
+            remove.push(...writes.remove);
+          }
+          for (const section of currentSections) {
+            if (!restoredIds.has(section.id)) {
+              remove.push(...await listItemKeys(section.id));
+            }
+          }
+
+          await runAtomic({ set, remove });
+        } else {
+          // A backup section joins the section with the same id, or failing
+          // that the same name, so re-importing never duplicates. Several
+          // backup sections can join one section, so their entries are
+          // gathered per section before anything is planned.
+          const mergedSections = [...currentSections];
+          const newItemsByTarget = new Map();
+
+          for (const section of backupData.sections) {
+            const existing = mergedSections.find(current => current.id === section.id)
+              || findSectionByName(mergedSections, section.name);
+            const targetId = existing ? existing.id : section.id;
+
+            if (!existing) {
+              mergedSections.push(section);
+            }
+
+            newItemsByTarget.set(targetId, [
+              ...(newItemsByTarget.get(targetId) || []),
+              ...(backupData.items[section.id] || []),
+            ]);
+          }
+
+          const set = [];
+          const remove = [];
+
+          for (const [targetId, newItems] of newItemsByTarget) {
+            const existingItems = await loadItems(targetId);
+            const knownIds = new Set(existingItems.map(item => item.id));
+            const itemsToAdd = [];
+
+            for (const item of newItems) {
+              if (!knownIds.has(item.id)) {
+                knownIds.add(item.id);
+                itemsToAdd.push(item);
+              }
+            }
+
+            const writes = await planItemList(targetId, [...existingItems, ...itemsToAdd]);
+            set.push(...writes.set);
+            remove.push(...writes.remove);
+          }
+
+          set.push([STORAGE_KEYS.SECTIONS, JSON.stringify(withOrder(mergedSections))]);
+          await runAtomic({ set, remove });
         }
-      }
+      });
 
       return { success: true };
     } catch (error) {
@@ -0,0 +1,48 @@
+// app/hooks/useCommandHistory.js
+
+import { useState, useEffect, useCallback } from 'react';
+import {
+  getHistoryState,
+  subscribe,
+  undo as undoCommand,
+  redo as redoCommand,
+} from '../utils/commandHistory';
+
+/**
+ * Hook exposing the app-wide undo/redo history
+ * @param {Function} onEvent - optional, called with every record/undo/redo event
+ */
+export const useCommandHistory = (onEvent) => {
+  const [historyState, setHistoryState] = useState(getHistoryState);
+
+  useEffect(() => subscribe((event) => {
+    setHistoryState(getHistoryState());
+    if (onEvent) {
+      onEvent(event);
+    }
+  }), [onEvent]);
+
+  const undo = useCallback(async () => {
+    try {
+      return await undoCommand();
+    } catch (error) {
+      console.error('Error undoing:', error);
+      throw error;
+    }
+  }, []);
+
+  const redo = useCallback(async () => {
+    try {
+      return await redoCommand();
+    } catch (error) {
+      console.error('Error redoing:', error);
+      throw error;
+    }
+  }, []);
+
+  return {
+    ...historyState,
+    undo,
+    redo,
+  };
+};
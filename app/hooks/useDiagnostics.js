@@ -0,0 +1,109 @@
+// app/hooks/useDiagnostics.js
+
+import { useState, useEffect, useCallback } from 'react';
+import { scanIntegrity, repairIssue } from '../storage/integrity';
+import { revertAtomic } from '../storage/journal';
+import { recordCommand } from '../utils/commandHistory';
+import { useDiaryStore } from '../context/DiaryStoreContext';
+
+/**
+ * Hook for the Diagnostics screen - scans storage and repairs what it finds
+ */
+export const useDiagnostics = () => {
+  const [report, setReport] = useState({ keyCount: 0, issues: [] });
+  const [isScanning, setIsScanning] = useState(true);
+  const store = useDiaryStore();
+
+  const scan = useCallback(async () => {
+    setIsScanning(true);
+    try {
+      setReport(await scanIntegrity());
+    } catch (error) {
+      console.error('Error scanning storage:', error);
+      throw error;
+    } finally {
+      setIsScanning(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    scan().catch(() => {});
+  }, [scan]);
+
+  const repair = async (issue, action) => {
+    try {
+      let before = await repairIssue(issue, action);
+      await store.reload();
+
+      recordCommand({
+        label: `Repaired: ${issue.title}`,
+        destructive: true,
+        undo: () => revertAtomic(before),
+        redo: async () => {
+          before = await repairIssue(issue, action);
+        },
+      });
+
+      await scan();
+    } catch (error) {
+      console.error('Error repairing storage:', error);
+      throw error;
+    }
+  };
+
+  // Applies each issue's first repair, rescanning in between since one
+  // fix can resolve or change the next issue
+  const applyAllRepairs = async () => {
+    const befores = [];
+    let { issues } = await scanIntegrity();
+
+    // a repair that doesn't clear its issue must not loop forever
+    while (befores.length < 50) {
+      const next = issues.find(issue => issue.repairs.length > 0);
+      if (!next) {
+        break;
+      }
+      befores.push(await repairIssue(next, next.repairs[0].action));
+      ({ issues } = await scanIntegrity());
+    }
+
+    return befores;
+  };
+
+  const repairAll = async () => {
+    try {
+      let befores = await applyAllRepairs();
+      await store.reload();
+
+      if (befores.length > 0) {
+        recordCommand({
+          label: `Applied ${befores.length} ${befores.length === 1 ? 'repair' : 'repairs'}`,
+          destructive: true,
+          undo: async () => {
+            for (const before of [...befores].reverse()) {
+              await revertAtomic(before);
+            }
+          },
+          redo: async () => {
+            befores = await applyAllRepairs();
+          },
+        });
+      }
+
+      await scan();
+      return befores.length;
+    } catch (error) {
+      console.error('Error repairing storage:', error);
+      throw error;
+    }
+  };
+
+  return {
+    keyCount: report.keyCount,
+    issues: report.issues,
+    scan,
+    repair,
+    repairAll,
+    isScanning
+  };
+};
@@ -1,180 +1,260 @@
 // app/hooks/useDiaryStorage.js
 
-import { useState, useEffect, useCallback } from 'react';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-
-const STORAGE_KEYS = {
-  SECTIONS: '@diary_sections',
-  ITEMS: '@diary_items_',
-  BACKUP_SECTIONS: '@backup_diary_sections',
-  BACKUP_ITEMS: '@backup_diary_items_',
-  BACKUP_METADATA: '@backup_metadata',
+import { useEffect, useCallback } from 'react';
+import { STORAGE_KEYS } from '../storage/keys';
+import { createBackup, restoreFromBackup, getBackupInfo } from '../storage/backups';
+import * as repository from '../storage/diaryRepository';
+import { generateId } from '../utils/ids';
+import { createSection, withOrder, findSectionByName, findFolderName } from '../utils/sections';
+import { appendRevision, createRevision } from '../utils/revisions';
+import { extractTags } from '../utils/tags';
+import { recordCommand } from '../utils/commandHistory';
+import { revertAtomic } from '../storage/journal';
+import { loadSettings } from '../storage/settings';
+import {
+  moveItemToTrash,
+  moveAllItemsToTrash,
+  moveSectionToTrash,
+  restoreTrashEntry,
+  restoreTrashEntries,
+} from '../storage/trash';
+import { indexEntry, unindexEntry, unindexSection } from '../storage/searchIndex';
+import { recordEntry, forgetEntry, forgetSection } from '../storage/statistics';
+import { useDiaryStore, useDiaryState, selectItems, selectItemCount } from '../context/DiaryStoreContext';
+
+const preview = (text) => (text.length > 24 ? `${text.slice(0, 24)}...` : text);
+
+// The search index trails the diary; a failed update must not fail the save
+const keepIndexed = (update) => {
+  update.catch(error => console.error('Error updating search index:', error));
 };
 
-const createBackup = async (backupKey, data) => {
-  try {
-    const backupData = {
-      data: data,
-      timestamp: new Date().toISOString(),
-      version: 1,
-    };
-
-    await AsyncStorage.setItem(backupKey, JSON.stringify(backupData));
-
-    const metadata = {
-      lastBackup: new Date().toISOString(),
-      backupKey: backupKey,
-      status: 'success',
-    };
-
-    await AsyncStorage.setItem(STORAGE_KEYS.BACKUP_METADATA, JSON.stringify(metadata));
-
-    return true;
-  } catch (error) {
-    console.error('Backup failed:', error);
-    return false;
-  }
-};
-
-const restoreFromBackup = async (backupKey) => {
-  try {
-    const backupData = await AsyncStorage.getItem(backupKey);
-
-    if (backupData === null) {
-      console.warn('No backup found for key:', backupKey);
-      return null;
-    }
-
-    const parsed = JSON.parse(backupData);
-    console.log(`Restored from backup made at: ${parsed.timestamp}`);
-
-    return parsed.data;
-  } catch (error) {
-    console.error('Restore failed:', error);
-    return null;
-  }
-};
-
-const getBackupInfo = async () => {
-  try {
-    const metadata = await AsyncStorage.getItem(STORAGE_KEYS.BACKUP_METADATA);
-    return metadata ? JSON.parse(metadata) : null;
-  } catch (error) {
-    console.error('Error getting backup info:', error);
-    return null;
-  }
+// Same for the statistics
+const keepCounted = (update) => {
+  update.catch(error => console.error('Error updating statistics:', error));
 };
 
 /**
  * Hook for managing diary sections (sidebar)
- * NOW WITH REFRESH FUNCTION!
+ * Every screen shares the sections held in the diary store.
  */
 export const useDiarySections = () => {
-  const [sections, setSections] = useState([]);
-  const [isLoading, setIsLoading] = useState(true);
-
-  // Load sections from storage
-  const loadSections = useCallback(async () => {
-    setIsLoading(true);
-    try {
-      const storedSections = await AsyncStorage.getItem(STORAGE_KEYS.SECTIONS);
-      
-      if (storedSections !== null) {
-        setSections(JSON.parse(storedSections));
-      } else {
-        setSections([]);
-      }
-    } catch (error) {
-      console.error('Error loading sections:', error);
-      setSections([]);
-    } finally {
-      setIsLoading(false);
-    }
-  }, []);
-
-  // Load sections on mount
-  useEffect(() => {
-    loadSections();
-  }, [loadSections]);
+  const store = useDiaryStore();
+  const sections = useDiaryState(state => state.sections);
+  const isLoading = useDiaryState(state => !state.sectionsLoaded);
+  const setSections = store.setSections;
 
   // force reload sections from storage
   const refreshSections = useCallback(async () => {
-    await loadSections();
-  }, [loadSections]);
+    await store.loadSections();
+  }, [store]);
 
-  const addSection = async (sectionName) => {
+  const addSection = async (sectionName, details = {}) => {
+    const currentSections = store.getState().sections;
     try {
-      const newSections = [sectionName, ...sections];
-      setSections(newSections);
+      if (findSectionByName(currentSections, sectionName)) {
+        throw new Error('Section name already exists');
+      }
 
-      await AsyncStorage.setItem(
-        STORAGE_KEYS.SECTIONS,
-        JSON.stringify(newSections)
-      );
+      const section = createSection(sectionName, details);
+      setSections(withOrder([section, ...currentSections]));
+
+      // added to the list as stored, in case another change landed meanwhile
+      setSections(await repository.insertSection(section, 0));
+
+      recordCommand({
+        label: `Add section "${section.name}"`,
+        undo: () => repository.removeSection(section.id),
+        redo: () => repository.insertSection(section, 0),
+        affects: { sections: true, sectionIds: [section.id] },
+      });
 
-      await createBackup(STORAGE_KEYS.BACKUP_SECTIONS, newSections);
+      return section;
     } catch (error) {
       console.error('Error adding section:', error);
-      setSections(sections);
+      setSections(currentSections);
+      throw error;
     }
   };
 
-  const deleteSection = async (sectionName) => {
+  // Moves the section and all of its entries to the Trash
+  const deleteSection = async (sectionId) => {
+    const currentSections = store.getState().sections;
     try {
-      const newSections = sections.filter(section => section !== sectionName);
-      setSections(newSections);
-
-      await AsyncStorage.setItem(
-        STORAGE_KEYS.SECTIONS,
-        JSON.stringify(newSections)
-      );
-
-      await createBackup(STORAGE_KEYS.BACKUP_SECTIONS, newSections);
+      const index = currentSections.findIndex(section => section.id === sectionId);
+      const section = currentSections[index];
+      if (!section) {
+        throw new Error('Section not found');
+      }
 
-      const itemsKey = STORAGE_KEYS.ITEMS + sectionName;
-      await AsyncStorage.removeItem(itemsKey);
+      let trashEntry = await moveSectionToTrash(sectionId);
+
+      setSections(currentSections.filter(existing => existing.id !== sectionId));
+      keepIndexed(unindexSection(sectionId));
+      keepCounted(forgetSection(sectionId));
+
+      recordCommand({
+        label: `Section "${section.name}" deleted`,
+        destructive: true,
+        undo: () => restoreTrashEntry(trashEntry.id, { index }),
+        redo: async () => {
+          // trashes the section as it is by then, with any entries added since the undo
+          trashEntry = await moveSectionToTrash(sectionId);
+        },
+        affects: { sections: true, sectionIds: [sectionId] },
+      });
     } catch (error) {
       console.error('Error deleting section:', error);
+      throw error;
     }
   };
 
-  const renameSection = async (oldName, newName) => {
+  // Changes a section's name, icon or colour
+  const updateSection = async (sectionId, changes) => {
+    const currentSections = store.getState().sections;
     try {
-      if (sections.includes(newName)) {
-        throw new Error('Section name already exists');
+      const before = currentSections.find(section => section.id === sectionId);
+      if (!before) {
+        throw new Error('Section not found');
       }
 
-      const newSections = sections.map(section => 
-        section === oldName ? newName : section
-      );
-      setSections(newSections);
+      const cleanChanges = changes.name !== undefined
+        ? { ...changes, name: changes.name.trim() }
+        : changes;
+
+      if (cleanChanges.name !== undefined) {
+        const clash = findSectionByName(currentSections, cleanChanges.name);
+        if (clash && clash.id !== sectionId) {
+          throw new Error('Section name already exists');
+        }
+      }
 
-      await AsyncStorage.setItem(
-        STORAGE_KEYS.SECTIONS,
-        JSON.stringify(newSections)
+      setSections(currentSections.map(section =>
+        section.id === sectionId ? { ...section, ...cleanChanges } : section
+      ));
+
+      await repository.updateSection(sectionId, cleanChanges);
+
+      const previousValues = Object.fromEntries(
+        Object.keys(cleanChanges).map(key => [key, before[key]])
       );
+      recordCommand({
+        label: cleanChanges.name !== undefined && cleanChanges.name !== before.name
+          ? `Rename "${before.name}" to "${cleanChanges.name}"`
+          : `Edit section "${before.name}"`,
+        undo: () => repository.updateSection(sectionId, previousValues),
+        redo: () => repository.updateSection(sectionId, cleanChanges),
+        affects: { sections: true },
+      });
+    } catch (error) {
+      console.error('Error updating section:', error);
+      setSections(currentSections);
+      throw error;
+    }
+  };
 
-      const oldItemsKey = STORAGE_KEYS.ITEMS + oldName;
-      const newItemsKey = STORAGE_KEYS.ITEMS + newName;
-      
-      const items = await AsyncStorage.getItem(oldItemsKey);
-      if (items) {
-        await AsyncStorage.setItem(newItemsKey, items);
-        await AsyncStorage.removeItem(oldItemsKey);
-      }
+  const renameSection = (sectionId, newName) => updateSection(sectionId, { name: newName });
 
-      await createBackup(STORAGE_KEYS.BACKUP_SECTIONS, newSections);
+  // Saves a new order for the whole list, e.g. after a drag in the sidebar
+  const reorderSections = async (orderedSections) => {
+    const currentSections = store.getState().sections;
+    try {
+      const nextSections = withOrder(orderedSections);
+      setSections(nextSections);
+
+      const previousIds = currentSections.map(section => section.id);
+      const nextIds = nextSections.map(section => section.id);
+      // orders the list as stored, in case another change landed meanwhile
+      setSections(await repository.reorderSections(nextIds));
+      recordCommand({
+        label: 'Reorder sections',
+        undo: () => repository.reorderSections(previousIds),
+        redo: () => repository.reorderSections(nextIds),
+        affects: { sections: true },
+      });
     } catch (error) {
-      console.error('Error renaming section:', error);
+      console.error('Error reordering sections:', error);
+      setSections(currentSections);
       throw error;
     }
   };
 
+  // Puts sections in a folder (matching the spelling of another folder
+  // with that name), or takes them out of theirs when `folderName` is empty
+  const assignFolder = async (sectionIds, folderName, label) => {
+    const currentSections = store.getState().sections;
+    try {
+      const others = currentSections.filter(section => !sectionIds.includes(section.id));
+      const folder = folderName && folderName.trim()
+        ? findFolderName(others, folderName) || folderName.trim()
+        : null;
+
+      // sections that shared a folder go back together on undo
+      const previousFolders = new Map();
+      currentSections
+        .filter(section => sectionIds.includes(section.id))
+        .forEach(section => {
+          const previous = section.folder || null;
+          previousFolders.set(previous, [...(previousFolders.get(previous) || []), section.id]);
+        });
+
+      setSections(currentSections.map(section =>
+        sectionIds.includes(section.id) ? { ...section, folder } : section
+      ));
+      await repository.setSectionFolder(sectionIds, folder);
+
+      recordCommand({
+        label,
+        undo: async () => {
+          for (const [previous, ids] of previousFolders) {
+            await repository.setSectionFolder(ids, previous);
+          }
+        },
+        redo: () => repository.setSectionFolder(sectionIds, folder),
+        affects: { sections: true },
+      });
+
+      return folder;
+    } catch (error) {
+      console.error('Error moving sections to folder:', error);
+      setSections(currentSections);
+      throw error;
+    }
+  };
+
+  const sectionsInFolder = (folder) => store.getState().sections
+    .filter(section => section.folder === folder)
+    .map(section => section.id);
+
+  const moveSectionToFolder = (sectionId, folderName) => {
+    const section = store.getState().sections.find(candidate => candidate.id === sectionId);
+    const name = section ? section.name : 'section';
+    return assignFolder(
+      [sectionId],
+      folderName,
+      folderName && folderName.trim()
+        ? `Move "${name}" to folder "${folderName.trim()}"`
+        : `Move "${name}" out of its folder`
+    );
+  };
+
+  const renameFolder = (folder, newName) =>
+    assignFolder(sectionsInFolder(folder), newName, `Rename folder "${folder}" to "${newName.trim()}"`);
+
+  // Keeps the sections, just without the folder around them
+  const ungroupFolder = (folder) =>
+    assignFolder(sectionsInFolder(folder), null, `Ungroup folder "${folder}"`);
+
   return {
     sections,
     addSection,
     deleteSection,
     renameSection,
+    updateSection,
+    reorderSections,
+    moveSectionToFolder,
+    renameFolder,
+    ungroupFolder,
     refreshSections,  // ← Export the refresh function
     isLoading
   };
@@ -182,120 +262,305 @@ export const useDiarySections = () => {
 
 /**
  * Hook for managing items within a specific diary section
- * NOW WITH REFRESH FUNCTION!
+ * Entries are read from storage a page at a time and then shared through
+ * the diary store. `items` are the ones loaded so far, `totalCount` how
+ * many the section has; `loadMore` reads the next page.
  */
-export const useDiaryItems = (sectionName) => {
-  const [items, setItems] = useState([]);
-  const [isLoading, setIsLoading] = useState(true);
+export const useDiaryItems = (sectionId) => {
+  const store = useDiaryStore();
+  const items = useDiaryState(selectItems(sectionId));
+  const totalCount = useDiaryState(selectItemCount(sectionId));
+  const isLoading = useDiaryState(state => !state.itemsLoaded[sectionId]);
 
-  const loadItems = useCallback(async () => {
-    setIsLoading(true);
-    try {
-      const itemsKey = STORAGE_KEYS.ITEMS + sectionName;
-      const storedItems = await AsyncStorage.getItem(itemsKey);
+  // Always the latest entries, so back-to-back operations build on each
+  // other's result instead of on a stale render's copy.
+  const currentItems = () => selectItems(sectionId)(store.getState());
 
-      if (storedItems !== null) {
-        setItems(JSON.parse(storedItems));
-      } else {
-        setItems([]);
-      }
-    } catch (error) {
-      console.error('Error loading items:', error);
-      setItems([]);
-    } finally {
-      setIsLoading(false);
-    }
-  }, [sectionName]);
+  const setItems = (nextItems, count) => store.setItems(sectionId, nextItems, count);
 
   useEffect(() => {
-    if (sectionName) {
-      loadItems();
+    if (sectionId && !store.getState().itemsLoaded[sectionId]) {
+      store.loadItems(sectionId);
     }
-  }, [sectionName, loadItems]);
+  }, [store, sectionId]);
 
   // force reload items from storage
   const refreshItems = useCallback(async () => {
-    await loadItems();
-  }, [loadItems]);
+    await store.loadItems(sectionId);
+  }, [store, sectionId]);
 
-  const saveItems = async (itemsToSave) => {
-    try {
-      const itemsKey = STORAGE_KEYS.ITEMS + sectionName;
-      await AsyncStorage.setItem(itemsKey, JSON.stringify(itemsToSave));
+  const loadMore = useCallback(() => store.loadMoreItems(sectionId), [store, sectionId]);
 
-      const backupKey = STORAGE_KEYS.BACKUP_ITEMS + sectionName;
-      await createBackup(backupKey, itemsToSave);
-    } catch (error) {
-      console.error('Error saving items:', error);
-      throw error;
+  // Every entry, for views that sort or filter the whole section
+  const loadAll = useCallback(() => store.loadAllItems(sectionId), [store, sectionId]);
+
+  // Loads pages down to the entry with this id, e.g. to open it from a link
+  const loadThrough = useCallback(async (id) => {
+    if (!selectItems(sectionId)(store.getState()).some(item => item.id === id)) {
+      await store.loadItems(sectionId, undefined, [id]);
     }
-  };
+  }, [store, sectionId]);
 
   const addItem = async (text) => {
+    const previousItems = currentItems();
     try {
+      const now = new Date().toISOString();
       const newItem = {
-        id: Date.now(),
+        id: generateId(),
         text: text,
-        createdAt: new Date().toLocaleString(),
-        lastModified: new Date().toLocaleString()
+        tags: extractTags(text),
+        createdAt: now,
+        lastModified: now,
+        revisions: [createRevision(text, now)]
       };
-      
-      const newItems = [newItem, ...items];
-      setItems(newItems);
-      await saveItems(newItems);
-      
+
+      setItems([newItem, ...previousItems]);
+      await repository.putItem(sectionId, newItem, 0);
+      keepIndexed(indexEntry(sectionId, newItem));
+      keepCounted(recordEntry(sectionId, newItem));
+
+      recordCommand({
+        label: 'Add entry',
+        undo: () => repository.removeItem(sectionId, newItem.id),
+        redo: () => repository.putItem(sectionId, newItem, 0),
+        affects: { entries: [{ sectionId, itemId: newItem.id }] },
+      });
+
       return newItem;
     } catch (error) {
       console.error('Error adding item:', error);
-      setItems(items);
+      setItems(previousItems);
       throw error;
     }
   };
 
-  const updateItem = async (index, text) => {
+  const updateItem = async (id, text) => {
+    const previousItems = currentItems();
     try {
-      const updatedItems = [...items];
-      updatedItems[index] = {
-        ...updatedItems[index],
-        text: text,
-        lastModified: new Date().toLocaleString()
-      };
-      
+      const before = previousItems.find(item => item.id === id);
+      if (!before) {
+        throw new Error('Entry not found');
+      }
+
+      const { revisionLimit } = await loadSettings();
+      const now = new Date().toISOString();
+
+      // read the store again - another operation may have landed while settings loaded
+      const updatedItems = currentItems().map(item =>
+        item.id === id
+          ? {
+              ...item,
+              text: text,
+              tags: extractTags(text),
+              lastModified: now,
+              revisions: appendRevision(item, text, now, revisionLimit)
+            }
+          : item
+      );
+
+      const after = updatedItems.find(item => item.id === id);
       setItems(updatedItems);
-      await saveItems(updatedItems);
+      await repository.putItem(sectionId, after);
+
+      keepIndexed(indexEntry(sectionId, after));
+      keepCounted(recordEntry(sectionId, after));
+      recordCommand({
+        label: `Edit "${preview(before.text)}"`,
+        undo: () => repository.putItem(sectionId, before),
+        redo: () => repository.putItem(sectionId, after),
+        affects: { entries: [{ sectionId, itemId: id }] },
+      });
     } catch (error) {
       console.error('Error updating item:', error);
-      setItems(items);
+      setItems(previousItems);
       throw error;
     }
   };
 
-  const deleteItem = async (index) => {
+  // Saves an older version's text as a new revision, so restoring is itself undoable
+  const restoreRevision = async (id, revisionId) => {
+    const item = currentItems().find(entry => entry.id === id);
+    const revision = item && (item.revisions || []).find(rev => rev.id === revisionId);
+
+    if (!revision) {
+      throw new Error('Revision not found');
+    }
+
+    await updateItem(id, revision.text);
+  };
+
+  // Flips a yes/no flag on an entry. Flags aren't edits, so the entry's
+  // text, revisions and lastModified stay as they are.
+  const toggleFlag = async (id, flag, labels) => {
+    const previousItems = currentItems();
     try {
-      const updatedItems = items.filter((_, i) => i !== index);
+      const before = previousItems.find(item => item.id === id);
+      if (!before) {
+        throw new Error('Entry not found');
+      }
+
+      const after = { ...before, [flag]: !before[flag] };
+      const updatedItems = previousItems.map(item => (item.id === id ? after : item));
+
       setItems(updatedItems);
-      await saveItems(updatedItems);
+      await repository.putItem(sectionId, after);
+      keepIndexed(indexEntry(sectionId, after));
+      keepCounted(recordEntry(sectionId, after));
+
+      recordCommand({
+        label: `${after[flag] ? labels[0] : labels[1]} "${preview(before.text)}"`,
+        undo: () => repository.putItem(sectionId, before),
+        redo: () => repository.putItem(sectionId, after),
+        affects: { entries: [{ sectionId, itemId: id }] },
+      });
+    } catch (error) {
+      console.error(`Error changing ${flag}:`, error);
+      setItems(previousItems);
+      throw error;
+    }
+  };
+
+  // Pinned entries are listed above the rest of their section
+  const togglePinned = (id) => toggleFlag(id, 'pinned', ['Pin', 'Unpin']);
+
+  // Favourites are collected from every section on the Favourites screen
+  const toggleFavourite = (id) => toggleFlag(id, 'favourite', ['Favourite', 'Unfavourite']);
+
+  // Files the entry under another section, keeping its history. A move
+  // keeps the entry's id; a copy is filed under a new id, as an entry of
+  // its own, and the original stays here as it was.
+  const fileItem = async (id, targetSection, { copy }) => {
+    const previousItems = currentItems();
+    try {
+      const item = previousItems.find(entry => entry.id === id);
+      if (!item) {
+        throw new Error('Entry not found');
+      }
+
+      const transfer = await repository.transferItem(sectionId, targetSection.id, id, { copy });
+      const filed = transfer.item;
+      let { before } = transfer;
+
+      if (!copy) {
+        setItems(currentItems().filter(entry => entry.id !== id));
+        keepIndexed(unindexEntry(sectionId, id));
+        keepCounted(forgetEntry(sectionId, id));
+      }
+      keepIndexed(indexEntry(targetSection.id, filed));
+      keepCounted(recordEntry(targetSection.id, filed));
+      // another screen may be showing the target section already
+      if (store.getState().itemsLoaded[targetSection.id]) {
+        await store.loadItems(targetSection.id);
+      }
+
+      recordCommand({
+        label: `${copy ? 'Copied' : 'Moved'} "${preview(item.text)}" to "${targetSection.name}"`,
+        destructive: !copy,
+        undo: () => revertAtomic(before),
+        redo: async () => {
+          // a copy comes back under the same id, so `affects` stays right
+          ({ before } = await repository.transferItem(sectionId, targetSection.id, id, { copy, copyId: filed.id }));
+        },
+        affects: {
+          entries: [
+            ...(copy ? [] : [{ sectionId, itemId: id }]),
+            { sectionId: targetSection.id, itemId: filed.id },
+          ],
+        },
+      });
+    } catch (error) {
+      console.error(`Error ${copy ? 'copying' : 'moving'} item:`, error);
+      setItems(previousItems);
+      throw error;
+    }
+  };
+
+  const moveItem = (id, targetSection) => fileItem(id, targetSection, { copy: false });
+
+  const copyItem = (id, targetSection) => fileItem(id, targetSection, { copy: true });
+
+  // Moves the entry to the Trash, where it can be restored until purged
+  const deleteItem = async (id) => {
+    const previousItems = currentItems();
+    try {
+      const index = previousItems.findIndex(item => item.id === id);
+      const itemToDelete = previousItems[index];
+      if (!itemToDelete) {
+        return;
+      }
+
+      const section = await repository.loadSection(sectionId);
+      if (!section) {
+        throw new Error('Section not found');
+      }
+
+      setItems(previousItems.filter(item => item.id !== id));
+      let trashEntry = await moveItemToTrash(section, itemToDelete);
+      keepIndexed(unindexEntry(sectionId, id));
+      keepCounted(forgetEntry(sectionId, id));
+
+      recordCommand({
+        label: 'Entry deleted',
+        destructive: true,
+        undo: () => restoreTrashEntry(trashEntry.id, { index }),
+        redo: async () => {
+          trashEntry = await moveItemToTrash(section, itemToDelete);
+        },
+        affects: { entries: [{ sectionId, itemId: id }] },
+      });
     } catch (error) {
       console.error('Error deleting item:', error);
-      setItems(items);
+      setItems(previousItems);
       throw error;
     }
   };
 
+  // Moves every entry to the Trash, each restorable on its own
   const clearAllItems = async () => {
+    const previousItems = currentItems();
+    const previousCount = selectItemCount(sectionId)(store.getState());
     try {
-      setItems([]);
-      await saveItems([]);
+      const section = await repository.loadSection(sectionId);
+      if (!section) {
+        throw new Error('Section not found');
+      }
+
+      setItems([], 0);
+      let trashEntries = await moveAllItemsToTrash(section);
+      keepIndexed(unindexSection(sectionId));
+      keepCounted(forgetSection(sectionId));
+
+      recordCommand({
+        label: `Cleared ${trashEntries.length} entries`,
+        destructive: true,
+        // entries added since the clear stay where they are
+        undo: () => restoreTrashEntries(trashEntries.map(entry => entry.id)),
+        redo: async () => {
+          trashEntries = await moveAllItemsToTrash(section);
+        },
+        affects: { sectionIds: [sectionId] },
+      });
     } catch (error) {
       console.error('Error clearing items:', error);
+      setItems(previousItems, previousCount);
       throw error;
     }
   };
 
   return {
     items,
+    totalCount,
+    hasMore: items.length < totalCount,
+    loadMore,
+    loadAll,
+    loadThrough,
     addItem,
     updateItem,
+    restoreRevision,
+    togglePinned,
+    toggleFavourite,
+    moveItem,
+    copyItem,
     deleteItem,
     clearAllItems,
     refreshItems,  // export the refresh function
@@ -303,4 +568,4 @@ export const useDiaryItems = (sectionName) => {
   };
 };
 
-export { createBackup, restoreFromBackup, getBackupInfo, STORAGE_KEYS };
\ No newline at end of file
+export { createBackup, restoreFromBackup, getBackupInfo, STORAGE_KEYS };
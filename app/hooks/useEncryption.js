@@ -0,0 +1,62 @@
+// app/hooks/useEncryption.js
+
+import { useState, useEffect, useCallback } from 'react';
+import {
+  isEncryptionEnabled,
+  enableEncryption,
+  changePassphrase as changeStoredPassphrase,
+  disableEncryption,
+} from '../storage/encryption';
+
+/**
+ * Hook for turning passphrase encryption on and off and changing the
+ * passphrase. Each of these rewrites the whole diary, so they can take
+ * a few seconds.
+ */
+export const useEncryption = () => {
+  const [isEnabled, setIsEnabled] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    isEncryptionEnabled()
+      .then(enabled => {
+        if (!cancelled) {
+          setIsEnabled(enabled);
+        }
+      })
+      .catch(error => console.error('Error reading encryption status:', error))
+      .finally(() => {
+        if (!cancelled) {
+          setIsLoading(false);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const work = useCallback(async (task) => {
+    await task();
+    setIsEnabled(await isEncryptionEnabled());
+  }, []);
+
+  const enable = useCallback((passphrase) => work(() => enableEncryption(passphrase)), [work]);
+
+  const changePassphrase = useCallback(
+    (currentPassphrase, nextPassphrase) => work(() => changeStoredPassphrase(currentPassphrase, nextPassphrase)),
+    [work]
+  );
+
+  const disable = useCallback((passphrase) => work(() => disableEncryption(passphrase)), [work]);
+
+  return {
+    isEnabled,
+    isLoading,
+    enable,
+    changePassphrase,
+    disable,
+  };
+};
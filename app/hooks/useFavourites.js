@@ -0,0 +1,41 @@
+// app/hooks/useFavourites.js
+
+import { useState, useEffect } from 'react';
+import { findFavouriteEntries } from '../storage/searchIndex';
+import { useDiaryState } from '../context/DiaryStoreContext';
+import { useSearchIndexVersion } from './useSearchIndexVersion';
+
+/**
+ * Hook for the Favourites collection - starred entries from every section.
+ * Re-reads the index whenever it changes, since starring an entry
+ * reaches the index only after the store.
+ */
+export const useFavourites = () => {
+  const [entries, setEntries] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const indexVersion = useSearchIndexVersion();
+  const sections = useDiaryState(state => state.sections);
+
+  useEffect(() => {
+    let isCurrent = true;
+
+    findFavouriteEntries()
+      .then(found => isCurrent && setEntries(found))
+      .catch(error => {
+        console.error('Error loading favourites:', error);
+        if (isCurrent) {
+          setEntries([]);
+        }
+      })
+      .finally(() => isCurrent && setIsLoading(false));
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [indexVersion, sections]);
+
+  return {
+    entries,
+    isLoading
+  };
+};
@@ -0,0 +1,90 @@
+// app/hooks/useRecovery.js
+
+import { useState, useEffect, useCallback } from 'react';
+import { STORAGE_KEYS } from '../storage/keys';
+import { loadSnapshot } from '../storage/backups';
+import { revertAtomic } from '../storage/journal';
+import {
+  listRecoveryPoints,
+  restoreSectionSnapshot,
+  restoreAllFromSnapshot,
+} from '../storage/recovery';
+import { recordCommand, clearHistory } from '../utils/commandHistory';
+import { useDiaryStore } from '../context/DiaryStoreContext';
+
+/**
+ * Hook for the Recovery Center - lists internal snapshots and restores from them
+ */
+export const useRecovery = () => {
+  const [points, setPoints] = useState({ sectionLists: [], sections: [] });
+  const [isLoading, setIsLoading] = useState(true);
+  const store = useDiaryStore();
+
+  const loadPoints = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      setPoints(await listRecoveryPoints());
+    } catch (error) {
+      console.error('Error listing snapshots:', error);
+      setPoints({ sectionLists: [], sections: [] });
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPoints();
+  }, [loadPoints]);
+
+  // sectionId null means the section list
+  const previewSnapshot = async (sectionId, slot) => {
+    const backupKey = sectionId === null
+      ? STORAGE_KEYS.BACKUP_SECTIONS
+      : STORAGE_KEYS.BACKUP_ITEMS + sectionId;
+    const snapshot = await loadSnapshot(backupKey, slot);
+    return snapshot ? snapshot.data : null;
+  };
+
+  // Both restores can be undone from the undo banner
+  const runRestore = async (label, restore) => {
+    try {
+      let before = await restore();
+      await store.reload();
+
+      // earlier commands would run against data that's been replaced;
+      // the restore itself can still be undone
+      clearHistory();
+      recordCommand({
+        label,
+        destructive: true,
+        undo: () => revertAtomic(before),
+        redo: async () => {
+          before = await restore();
+        },
+      });
+    } catch (error) {
+      console.error('Error restoring snapshot:', error);
+      throw error;
+    }
+  };
+
+  const restoreSection = (section, slot) => runRestore(
+    `Restored "${section.name}" from a snapshot`,
+    () => restoreSectionSnapshot(section.sectionId, slot)
+  );
+
+  const restoreEverything = (slot) => runRestore(
+    'Restored diary from a snapshot',
+    () => restoreAllFromSnapshot(slot)
+  );
+
+  return {
+    sectionLists: points.sectionLists,
+    sections: points.sections,
+    previewSnapshot,
+    restoreSection,
+    restoreEverything,
+    refreshSnapshots: loadPoints,
+    isLoading
+  };
+};
@@ -0,0 +1,67 @@
+// app/hooks/useSearch.js
+
+import { useState, useEffect, useRef } from 'react';
+import { searchEntries } from '../storage/searchIndex';
+import { useDiaryState } from '../context/DiaryStoreContext';
+import { useSearchIndexVersion } from './useSearchIndexVersion';
+
+const SEARCH_DELAY = 250;
+
+/**
+ * Hook for the Search screen - searches as the user types, optionally
+ * within one section. Results refresh when the index or the sections change.
+ */
+export const useSearch = () => {
+  const [query, setQuery] = useState('');
+  const [sectionId, setSectionId] = useState(null);
+  const [results, setResults] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const latestSearch = useRef(0);
+
+  // edits reach the index after the store, so results follow the index;
+  // sections still matter for renames
+  const indexVersion = useSearchIndexVersion();
+  const sections = useDiaryState(state => state.sections);
+
+  useEffect(() => {
+    const searchId = latestSearch.current + 1;
+    latestSearch.current = searchId;
+
+    if (!query.trim()) {
+      setResults([]);
+      setIsSearching(false);
+      return undefined;
+    }
+
+    setIsSearching(true);
+    const timer = setTimeout(async () => {
+      try {
+        const found = await searchEntries(query, { sectionId });
+        // a slow search must not overwrite the results of a newer one
+        if (latestSearch.current === searchId) {
+          setResults(found);
+        }
+      } catch (error) {
+        console.error('Error searching entries:', error);
+        if (latestSearch.current === searchId) {
+          setResults([]);
+        }
+      } finally {
+        if (latestSearch.current === searchId) {
+          setIsSearching(false);
+        }
+      }
+    }, SEARCH_DELAY);
+
+    return () => clearTimeout(timer);
+  }, [query, sectionId, indexVersion, sections]);
+
+  return {
+    query,
+    setQuery,
+    sectionId,
+    setSectionId,
+    results,
+    isSearching
+  };
+};
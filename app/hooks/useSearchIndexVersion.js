@@ -0,0 +1,16 @@
+// app/hooks/useSearchIndexVersion.js
+
+import { useState, useEffect } from 'react';
+import { subscribe } from '../storage/searchIndex';
+
+/**
+ * A number that goes up whenever the search index changes, for effects
+ * that query the index to depend on.
+ */
+export const useSearchIndexVersion = () => {
+  const [version, setVersion] = useState(0);
+
+  useEffect(() => subscribe(() => setVersion(current => current + 1)), []);
+
+  return version;
+};
@@ -0,0 +1,50 @@
+// app/hooks/useSectionView.js
+
+import { useState, useEffect, useCallback } from 'react';
+import { DEFAULT_SECTION_VIEW, loadSectionView, saveSectionView } from '../storage/sectionViews';
+import { SORT_MODES } from '../utils/entryFilters';
+
+/**
+ * Hook for a section's remembered sort order
+ */
+export const useSectionView = (sectionId) => {
+  const [view, setView] = useState(DEFAULT_SECTION_VIEW);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    loadSectionView(sectionId).then(loaded => {
+      if (!cancelled) {
+        setView(loaded);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [sectionId]);
+
+  const updateView = useCallback(async (changes) => {
+    // show the new order straight away; saving it can catch up
+    setView(current => ({ ...current, ...changes }));
+    try {
+      await saveSectionView(sectionId, changes);
+    } catch (error) {
+      console.error('Error saving section view:', error);
+    }
+  }, [sectionId]);
+
+  // Picking the current mode again flips its direction
+  const chooseSort = useCallback((sort) => {
+    if (sort === view.sort) {
+      return updateView({ ascending: !view.ascending });
+    }
+    const mode = SORT_MODES.find(candidate => candidate.key === sort);
+    return updateView({ sort, ascending: mode ? mode.ascending : false });
+  }, [view, updateView]);
+
+  return {
+    view,
+    chooseSort
+  };
+};
@@ -0,0 +1,39 @@
+// app/hooks/useSettings.js
+
+import { useState, useEffect, useCallback } from 'react';
+import { DEFAULT_SETTINGS, loadSettings, saveSettings } from '../storage/settings';
+
+/**
+ * Hook for reading and changing app settings
+ */
+export const useSettings = () => {
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    loadSettings().then(loaded => {
+      if (!cancelled) {
+        setSettings(loaded);
+        setIsLoading(false);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const updateSetting = useCallback(async (key, value) => {
+    const next = await saveSettings({ [key]: value });
+    setSettings(next);
+    return next;
+  }, []);
+
+  return {
+    settings,
+    updateSetting,
+    isLoading
+  };
+};
@@ -0,0 +1,58 @@
+// app/hooks/useStatistics.js
+
+import { useState, useEffect } from 'react';
+import { EMPTY_STATISTICS, loadStatistics, loadEntryRecords, subscribe } from '../storage/statistics';
+
+const NO_RECORDS = [];
+
+// Reads with `load` now and again whenever the statistics change
+const useLiveStatistics = (load, initial) => {
+  const [value, setValue] = useState(initial);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    let isCurrent = true;
+
+    const refresh = () => {
+      load()
+        .then(loaded => isCurrent && setValue(loaded))
+        .catch(error => console.error('Error loading statistics:', error))
+        .finally(() => isCurrent && setIsLoading(false));
+    };
+
+    refresh();
+    const unsubscribe = subscribe(refresh);
+
+    return () => {
+      isCurrent = false;
+      unsubscribe();
+    };
+  }, [load]);
+
+  return { value, isLoading };
+};
+
+/**
+ * Hook for the diary's writing statistics - entry and word counts and
+ * last activity, overall and per section. Updates whenever they change.
+ */
+export const useStatistics = () => {
+  const { value, isLoading } = useLiveStatistics(loadStatistics, EMPTY_STATISTICS);
+
+  return {
+    statistics: value,
+    isLoading
+  };
+};
+
+/**
+ * Hook for every entry's statistics record, for the Stats charts
+ */
+export const useEntryRecords = () => {
+  const { value, isLoading } = useLiveStatistics(loadEntryRecords, NO_RECORDS);
+
+  return {
+    records: value,
+    isLoading
+  };
+};
@@ -0,0 +1,86 @@
+// app/hooks/useStorageMigrations.js
+
+import { useState, useEffect, useCallback } from 'react';
+import { initStorage } from '../storage';
+import { runMigrations } from '../storage/migrations';
+import { recoverJournal } from '../storage/journal';
+import { recoverPlainJournal, isEncryptionEnabled, unlockStorage } from '../storage/encryption';
+
+const logRecovery = (recovery) => {
+  if (recovery !== 'clean') {
+    console.log(`Interrupted write found on launch: ${recovery}`);
+  }
+};
+
+/**
+ * Hook that selects the storage backend, finishes or rolls back any write
+ * interrupted by a crash, and upgrades stored diary data on app start.
+ * An encrypted diary stops at status 'locked' until `unlock(passphrase)`
+ * succeeds. Screens must not read storage until status is 'ready'.
+ */
+export const useStorageMigrations = () => {
+  const [status, setStatus] = useState('running');
+  const [result, setResult] = useState(null);
+
+  // Everything past the lock: the rest of recovery, then the upgrades
+  const finish = useCallback(async () => {
+    let outcome;
+    try {
+      logRecovery(await recoverJournal());
+      outcome = await runMigrations();
+    } catch (error) {
+      outcome = { success: false, fromVersion: null, failedVersion: null, error };
+    }
+    setResult(outcome);
+
+    if (outcome.success) {
+      setStatus('ready');
+    } else {
+      console.error(
+        `Storage migration failed (from v${outcome.fromVersion}, step v${outcome.failedVersion}):`,
+        outcome.error
+      );
+      setStatus('failed');
+    }
+  }, []);
+
+  const migrate = useCallback(async () => {
+    setStatus('running');
+
+    try {
+      await initStorage();
+      logRecovery(await recoverPlainJournal());
+
+      if (await isEncryptionEnabled()) {
+        setStatus('locked');
+        return;
+      }
+    } catch (error) {
+      setResult({ success: false, fromVersion: null, failedVersion: null, error });
+      console.error('Storage could not be opened:', error);
+      setStatus('failed');
+      return;
+    }
+
+    await finish();
+  }, [finish]);
+
+  // Throws 'Wrong passphrase' and stays locked if it doesn't match
+  const unlock = useCallback(async (passphrase) => {
+    await unlockStorage(passphrase);
+    setStatus('running');
+    await finish();
+  }, [finish]);
+
+  useEffect(() => {
+    migrate();
+  }, [migrate]);
+
+  return {
+    status,
+    error: result && !result.success ? result.error : null,
+    failedVersion: result ? result.failedVersion : null,
+    retry: migrate,
+    unlock,
+  };
+};
@@ -0,0 +1,72 @@
+// app/hooks/useTags.js
+
+import { useState, useEffect } from 'react';
+import { listTags, findTaggedEntries } from '../storage/searchIndex';
+import { useDiaryState } from '../context/DiaryStoreContext';
+import { useSearchIndexVersion } from './useSearchIndexVersion';
+
+/**
+ * Hook for the Tags screen - every tag with its entry count.
+ * Re-reads the index whenever it changes.
+ */
+export const useTags = () => {
+  const [tags, setTags] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const indexVersion = useSearchIndexVersion();
+
+  useEffect(() => {
+    let isCurrent = true;
+
+    listTags()
+      .then(found => isCurrent && setTags(found))
+      .catch(error => {
+        console.error('Error loading tags:', error);
+        if (isCurrent) {
+          setTags([]);
+        }
+      })
+      .finally(() => isCurrent && setIsLoading(false));
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [indexVersion]);
+
+  return {
+    tags,
+    isLoading
+  };
+};
+
+/**
+ * Hook for one tag's page - its entries from every section
+ */
+export const useTaggedEntries = (tag) => {
+  const [entries, setEntries] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const indexVersion = useSearchIndexVersion();
+  const sections = useDiaryState(state => state.sections);
+
+  useEffect(() => {
+    let isCurrent = true;
+
+    findTaggedEntries(tag)
+      .then(found => isCurrent && setEntries(found))
+      .catch(error => {
+        console.error('Error loading tagged entries:', error);
+        if (isCurrent) {
+          setEntries([]);
+        }
+      })
+      .finally(() => isCurrent && setIsLoading(false));
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [tag, indexVersion, sections]);
+
+  return {
+    entries,
+    isLoading
+  };
+};
@@ -0,0 +1,78 @@
+// app/hooks/useTrash.js
+
+import { useState, useEffect, useCallback } from 'react';
+import {
+  loadTrash,
+  restoreTrashEntry,
+  deleteTrashEntry,
+  emptyTrash,
+  purgeExpiredTrash,
+} from '../storage/trash';
+import { useDiaryStore } from '../context/DiaryStoreContext';
+
+/**
+ * Hook for the Trash screen - lists deleted entries and sections
+ */
+export const useTrash = () => {
+  const [entries, setEntries] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const store = useDiaryStore();
+
+  const loadEntries = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      await purgeExpiredTrash();
+      setEntries(await loadTrash());
+    } catch (error) {
+      console.error('Error loading trash:', error);
+      setEntries([]);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  const restoreEntry = async (entryId) => {
+    try {
+      const restored = await restoreTrashEntry(entryId);
+      setEntries(prev => prev.filter(entry => entry.id !== entryId));
+      await store.reload();
+      return restored;
+    } catch (error) {
+      console.error('Error restoring from trash:', error);
+      throw error;
+    }
+  };
+
+  const deleteEntry = async (entryId) => {
+    try {
+      await deleteTrashEntry(entryId);
+      setEntries(prev => prev.filter(entry => entry.id !== entryId));
+    } catch (error) {
+      console.error('Error deleting from trash:', error);
+      throw error;
+    }
+  };
+
+  const clearTrash = async () => {
+    try {
+      await emptyTrash();
+      setEntries([]);
+    } catch (error) {
+      console.error('Error emptying trash:', error);
+      throw error;
+    }
+  };
+
+  return {
+    entries,
+    restoreEntry,
+    deleteEntry,
+    clearTrash,
+    refreshTrash: loadEntries,
+    isLoading
+  };
+};
@@ -6,11 +6,15 @@ import { Link } from 'expo-router';
 import Sidebar from './components/Sidebar';
 import BackupButton from './components/BackupButton';
 import { useDiarySections } from './hooks/useDiaryStorage';
+import { useFavourites } from './hooks/useFavourites';
+import { useStatistics } from './hooks/useStatistics';
+import { formatRelative } from './utils/dateFormat';
 import { getRandomQuote } from './utils/maomaoQuotes';
 
 export default function Home() {
-  const sidebarRefreshRef = useRef(null);
-  const { sections, items } = useDiarySections();
+  const { sections } = useDiarySections();
+  const { statistics } = useStatistics();
+  const { entries: favourites } = useFavourites();
   const [greeting, setGreeting] = useState('');
   const [currentQuote, setCurrentQuote] = useState({ text: '', context: '' });
   
@@ -43,14 +47,6 @@ export default function Home() {
     ]).start();
   }, []);
 
-  const handleDataRefresh = async () => {
-    console.log('🔄 Refreshing data after import...');
-    
-    if (sidebarRefreshRef.current) {
-      await sidebarRefreshRef.current();
-    }
-  };
-
   const refreshQuote = () => {
     setCurrentQuote(getRandomQuote());
   };
@@ -100,28 +96,59 @@ export default function Home() {
             </View>
           </View>
 
-          {/* Stats Section */}
-          <View style={styles.statsSection}>
-            <View style={styles.statCard}>
-              <View style={styles.statIconCircle}>
-                <Ionicons name="folder-open" size={28} color="#7B5E7B" />
+          {/* Search */}
+          <Link href="/search" asChild>
+            <TouchableOpacity style={styles.searchLink} activeOpacity={0.8}>
+              <Ionicons name="search" size={20} color="#7B5E7B" />
+              <Text style={styles.searchLinkText}>Search your diary...</Text>
+            </TouchableOpacity>
+          </Link>
+
+          {/* Stats Section - opens the Stats charts */}
+          <Link href="/stats" asChild>
+            <TouchableOpacity style={styles.statsSection} activeOpacity={0.8}>
+              <View style={styles.statCard}>
+                <View style={styles.statIconCircle}>
+                  <Ionicons name="folder-open" size={28} color="#7B5E7B" />
+                </View>
+                <Text style={styles.statNumber}>{statistics.activeMonths}</Text>
+                <Text style={styles.statLabel}>Months</Text>
               </View>
-              <Text style={styles.statNumber}>{sections.length}</Text>
-              <Text style={styles.statLabel}>Months</Text>
-            </View>
 
-            <View style={styles.statCard}>
-              <View style={[styles.statIconCircle, { backgroundColor: '#E8F5E9' }]}>
-                <Ionicons name="book" size={28} color="#6B8E4E" />
+              <View style={styles.statCard}>
+                <View style={[styles.statIconCircle, { backgroundColor: '#E8F5E9' }]}>
+                  <Ionicons name="book" size={28} color="#6B8E4E" />
+                </View>
+                <Text style={styles.statNumber}>{statistics.totalEntries}</Text>
+                <Text style={styles.statLabel}>Diaries</Text>
+              </View>
+            </TouchableOpacity>
+          </Link>
+
+          {statistics.totalEntries > 0 ? (
+            <Text style={styles.statsSummary}>
+              {statistics.totalWords.toLocaleString()} {statistics.totalWords === 1 ? 'word' : 'words'} written
+              {statistics.lastActivity ? ` · last written ${formatRelative(statistics.lastActivity)}` : ''}
+            </Text>
+          ) : null}
+
+          {/* Favourites */}
+          <Link href="/favourites" asChild>
+            <TouchableOpacity style={styles.favouritesCard} activeOpacity={0.8}>
+              <View style={[styles.statIconCircle, styles.favouritesIcon]}>
+                <Ionicons name="star" size={26} color="#D4A574" />
               </View>
-              <Text style={styles.statNumber}>
-                {sections.reduce((total, section) => {
-                  return total;
-                }, 0) || '∞'}
-              </Text>
-              <Text style={styles.statLabel}>Diaries</Text>
-            </View>
-          </View>
+              <View style={styles.favouritesText}>
+                <Text style={styles.favouritesTitle}>Favourites</Text>
+                <Text style={styles.favouritesMeta}>
+                  {favourites.length === 0
+                    ? 'Star entries to gather them here'
+                    : `${favourites.length} starred ${favourites.length === 1 ? 'entry' : 'entries'}`}
+                </Text>
+              </View>
+              <Ionicons name="chevron-forward" size={22} color="#B8A5B8" />
+            </TouchableOpacity>
+          </Link>
 
           {/* Maomao's Quote of the Moment */}
           <View style={styles.quoteCard}>
@@ -139,7 +166,7 @@ export default function Home() {
             </View>
             
             <View style={styles.quoteBubble}>
-              <Text style={styles.quoteText}>"{currentQuote.text}"</Text>
+              <Text style={styles.quoteText}>&quot;{currentQuote.text}&quot;</Text>
             </View>
             
             <View style={styles.quoteFooter}>
@@ -155,18 +182,18 @@ export default function Home() {
             
             <View style={styles.actionGrid}>
               {sections.length > 0 ? (
-                sections.slice(0, 4).map((section, index) => (
+                sections.slice(0, 4).map((section) => (
                   <Link
-                    key={index}
-                    href={`/diary/${encodeURIComponent(section)}`}
+                    key={section.id}
+                    href={`/diary/${section.id}`}
                     asChild
                   >
                     <TouchableOpacity style={styles.actionCard}>
                       <View style={styles.actionIconCircle}>
-                        <Ionicons name="leaf" size={24} color="#6B8E4E" />
+                        <Ionicons name={section.icon || 'leaf'} size={24} color={section.color || '#6B8E4E'} />
                       </View>
                       <Text style={styles.actionText} numberOfLines={2}>
-                        {section}
+                        {section.name}
                       </Text>
                     </TouchableOpacity>
                   </Link>
@@ -237,8 +264,8 @@ export default function Home() {
         </Animated.View>
       </ScrollView>
 
-      <Sidebar refreshRef={sidebarRefreshRef} />
-      <BackupButton onDataRefresh={handleDataRefresh} />
+      <Sidebar />
+      <BackupButton />
     </View>
   );
 }
@@ -347,12 +374,63 @@ const styles = StyleSheet.create({
     backgroundColor: '#D4A574',
     marginHorizontal: 12,
   },
+  searchLink: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    backgroundColor: '#fff',
+    paddingHorizontal: 20,
+    paddingVertical: 14,
+    borderRadius: 24,
+    marginBottom: 20,
+    borderWidth: 2,
+    borderColor: '#EDE7F6',
+  },
+  searchLinkText: {
+    fontSize: 16,
+    color: '#B8A5B8',
+  },
+  favouritesCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 16,
+    backgroundColor: 'white',
+    borderRadius: 24,
+    padding: 16,
+    marginBottom: 32,
+    borderWidth: 2,
+    borderColor: '#D4A574',
+  },
+  favouritesIcon: {
+    marginBottom: 0,
+    backgroundColor: '#FFF8E1',
+  },
+  favouritesText: {
+    flex: 1,
+  },
+  favouritesTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#4A403A',
+  },
+  favouritesMeta: {
+    fontSize: 13,
+    color: '#8B8680',
+    marginTop: 2,
+  },
   statsSection: {
     flexDirection: 'row',
     justifyContent: 'center',
     gap: 16,
     marginBottom: 32,
   },
+  statsSummary: {
+    fontSize: 14,
+    color: '#8B8680',
+    textAlign: 'center',
+    marginTop: -20,
+    marginBottom: 28,
+  },
   statCard: {
     backgroundColor: 'white',
     borderRadius: 24,
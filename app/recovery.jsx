@@ -0,0 +1,381 @@
+// app/recovery.jsx - Maomao Aesthetic
+import {
+  StyleSheet,
+  Text,
+  View,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import React, { useState } from 'react';
+import { useRouter } from 'expo-router';
+import Ionicons from '@expo/vector-icons/Ionicons';
+import { useRecovery } from './hooks/useRecovery';
+import SnapshotPreviewModal from './components/SnapshotPreviewModal';
+import UndoBanner from './components/UndoBanner';
+import { formatAbsolute, formatRelative } from './utils/dateFormat';
+
+const plural = (count, one, many) => `${count} ${count === 1 ? one : many}`;
+
+const SnapshotRow = ({ snapshot, countLabel, restoreLabel, onPreview, onRestore }) => (
+  <View style={styles.snapshotRow}>
+    <View style={styles.snapshotInfo}>
+      <Text style={styles.snapshotDate}>{formatAbsolute(snapshot.timestamp)}</Text>
+      <Text style={styles.snapshotMeta}>
+        {formatRelative(snapshot.timestamp)}
+        {snapshot.count !== null ? ` · ${countLabel(snapshot.count)}` : ''}
+      </Text>
+    </View>
+    <TouchableOpacity style={styles.previewButton} onPress={onPreview}>
+      <Ionicons name="eye-outline" size={18} color="#7B5E7B" />
+    </TouchableOpacity>
+    <TouchableOpacity style={styles.restoreButton} onPress={onRestore}>
+      <Ionicons name="arrow-undo" size={16} color="white" />
+      <Text style={styles.restoreText}>{restoreLabel}</Text>
+    </TouchableOpacity>
+  </View>
+);
+
+const Recovery = () => {
+  const router = useRouter();
+  const {
+    sectionLists,
+    sections,
+    previewSnapshot,
+    restoreSection,
+    restoreEverything,
+    refreshSnapshots,
+    isLoading,
+  } = useRecovery();
+  const [preview, setPreview] = useState(null);
+
+  const openPreview = async (title, kind, sectionId, snapshot) => {
+    setPreview({ title, kind, timestamp: snapshot.timestamp, data: null });
+    try {
+      const data = await previewSnapshot(sectionId, snapshot.slot);
+      setPreview(current => current && { ...current, data: data || [] });
+    } catch {
+      setPreview(null);
+      Alert.alert('Error', 'This snapshot could not be read.');
+    }
+  };
+
+  const handleRestoreEverything = (snapshot) => {
+    Alert.alert(
+      'Restore Everything',
+      `Put the whole diary back as it was ${formatAbsolute(snapshot.timestamp)}? Sections created since then go to the Trash. You can undo this right after.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Restore',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await restoreEverything(snapshot.slot);
+              await refreshSnapshots();
+            } catch {
+              Alert.alert('Error', 'Failed to restore from this snapshot. Please try another one.');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const handleRestoreSection = (section, snapshot) => {
+    Alert.alert(
+      'Restore Section',
+      `Replace the entries of "${section.name}" with the ${plural(snapshot.count || 0, 'entry', 'entries')} saved ${formatAbsolute(snapshot.timestamp)}? You can undo this right after.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Restore',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await restoreSection(section, snapshot.slot);
+              await refreshSnapshots();
+            } catch {
+              Alert.alert('Error', 'Failed to restore from this snapshot. Please try another one.');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => router.back()} style={styles.backButton}>
+          <Ionicons name="arrow-back" size={26} color="#7B5E7B" />
+        </TouchableOpacity>
+        <View style={styles.headerTitleContainer}>
+          <Ionicons name="medkit" size={24} color="#6B8E4E" />
+          <Text style={styles.headerTitle}>Recovery</Text>
+        </View>
+        <View style={styles.headerSpacer} />
+      </View>
+
+      {isLoading ? (
+        <View style={styles.loading}>
+          <ActivityIndicator size="large" color="#6B8E4E" />
+        </View>
+      ) : (
+        <ScrollView style={styles.scrollView} contentContainerStyle={styles.scrollContent}>
+          <Text style={styles.notice}>
+            The diary keeps recent copies of your data on this device. Restore one if something went missing.
+          </Text>
+
+          {sectionLists.length === 0 && sections.length === 0 ? (
+            <View style={styles.emptyState}>
+              <Ionicons name="leaf-outline" size={64} color="#D4A574" />
+              <Text style={styles.emptyText}>No snapshots yet</Text>
+              <Text style={styles.emptySubtext}>They are taken as you write</Text>
+            </View>
+          ) : null}
+
+          {sectionLists.length > 0 ? (
+            <View style={styles.groupCard}>
+              <View style={styles.groupHeader}>
+                <View style={styles.groupIconCircle}>
+                  <Ionicons name="albums" size={18} color="#6B8E4E" />
+                </View>
+                <View style={styles.groupTitleContainer}>
+                  <Text style={styles.groupTitle}>Whole diary</Text>
+                  <Text style={styles.groupMeta}>Section list with each section&apos;s entries</Text>
+                </View>
+              </View>
+              {sectionLists.map(snapshot => (
+                <SnapshotRow
+                  key={snapshot.slot}
+                  snapshot={snapshot}
+                  countLabel={(count) => plural(count, 'section', 'sections')}
+                  restoreLabel="Restore All"
+                  onPreview={() => openPreview('Section List', 'sections', null, snapshot)}
+                  onRestore={() => handleRestoreEverything(snapshot)}
+                />
+              ))}
+            </View>
+          ) : null}
+
+          {sections.map(section => (
+            <View key={section.sectionId} style={[styles.groupCard, !section.isLive && styles.deletedCard]}>
+              <View style={styles.groupHeader}>
+                <View style={[styles.groupIconCircle, styles.sectionIconCircle]}>
+                  <Ionicons name="folder" size={18} color="#7B5E7B" />
+                </View>
+                <View style={styles.groupTitleContainer}>
+                  <Text style={styles.groupTitle} numberOfLines={1}>{section.name}</Text>
+                  <Text style={styles.groupMeta}>
+                    {section.isLive ? plural(section.snapshots.length, 'snapshot', 'snapshots') : 'No longer in the diary'}
+                  </Text>
+                </View>
+              </View>
+              {section.snapshots.map(snapshot => (
+                <SnapshotRow
+                  key={snapshot.slot}
+                  snapshot={snapshot}
+                  countLabel={(count) => plural(count, 'entry', 'entries')}
+                  restoreLabel="Restore"
+                  onPreview={() => openPreview(section.name, 'items', section.sectionId, snapshot)}
+                  onRestore={() => handleRestoreSection(section, snapshot)}
+                />
+              ))}
+            </View>
+          ))}
+        </ScrollView>
+      )}
+
+      <SnapshotPreviewModal
+        visible={preview !== null}
+        title={preview ? preview.title : ''}
+        kind={preview ? preview.kind : 'items'}
+        timestamp={preview ? preview.timestamp : null}
+        data={preview ? preview.data : null}
+        onClose={() => setPreview(null)}
+      />
+
+      <UndoBanner />
+    </View>
+  );
+};
+
+export default Recovery;
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F5EFE6',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingTop: 30,
+    paddingBottom: 20,
+    backgroundColor: '#fff',
+    borderBottomWidth: 3,
+    borderBottomColor: '#D4A574',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 4,
+  },
+  backButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: '#EDE7F6',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  headerTitleContainer: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 10,
+    marginHorizontal: 12,
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#4A403A',
+    letterSpacing: 0.5,
+  },
+  headerSpacer: {
+    width: 44,
+  },
+  loading: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    padding: 10,
+    paddingBottom: 40,
+  },
+  notice: {
+    fontSize: 13,
+    color: '#8B8680',
+    textAlign: 'center',
+    fontStyle: 'italic',
+    marginVertical: 12,
+    paddingHorizontal: 12,
+  },
+  emptyState: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginTop: 80,
+    paddingHorizontal: 32,
+  },
+  emptyText: {
+    fontSize: 22,
+    fontWeight: '700',
+    color: '#4A403A',
+    marginTop: 16,
+  },
+  emptySubtext: {
+    fontSize: 15,
+    color: '#8B8680',
+    marginTop: 8,
+    textAlign: 'center',
+  },
+  groupCard: {
+    backgroundColor: '#fff',
+    borderRadius: 24,
+    padding: 18,
+    paddingTop: 14,
+    marginBottom: 16,
+    shadowColor: '#6B8E4E',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.12,
+    shadowRadius: 8,
+    elevation: 4,
+    borderLeftWidth: 5,
+    borderLeftColor: '#6B8E4E',
+  },
+  deletedCard: {
+    borderLeftColor: '#C85C5C',
+  },
+  groupHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    marginBottom: 8,
+  },
+  groupIconCircle: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: '#E8F5E9',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  sectionIconCircle: {
+    backgroundColor: '#EDE7F6',
+  },
+  groupTitleContainer: {
+    flex: 1,
+  },
+  groupTitle: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#4A403A',
+  },
+  groupMeta: {
+    fontSize: 12,
+    color: '#8B8680',
+    marginTop: 2,
+  },
+  snapshotRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+    paddingVertical: 10,
+    borderTopWidth: 2,
+    borderTopColor: '#F5EFE6',
+  },
+  snapshotInfo: {
+    flex: 1,
+  },
+  snapshotDate: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#4A403A',
+  },
+  snapshotMeta: {
+    fontSize: 12,
+    color: '#8B8680',
+    marginTop: 2,
+  },
+  previewButton: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: '#EDE7F6',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  restoreButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    backgroundColor: '#6B8E4E',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 12,
+  },
+  restoreText: {
+    fontSize: 13,
+    fontWeight: '700',
+    color: '#fff',
+  },
+});
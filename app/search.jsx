@@ -0,0 +1,352 @@
+// app/search.jsx - Maomao Aesthetic
+import {
+  StyleSheet,
+  Text,
+  View,
+  TextInput,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+} from 'react-native';
+import React from 'react';
+import { useRouter } from 'expo-router';
+import Ionicons from '@expo/vector-icons/Ionicons';
+import { useSearch } from './hooks/useSearch';
+import { useDiarySections } from './hooks/useDiaryStorage';
+import { formatRelative } from './utils/dateFormat';
+
+const SectionChip = ({ label, icon, color, isActive, onPress }) => (
+  <TouchableOpacity
+    style={[styles.chip, isActive && { backgroundColor: color, borderColor: color }]}
+    onPress={onPress}
+  >
+    {icon ? <Ionicons name={icon} size={14} color={isActive ? 'white' : color} /> : null}
+    <Text style={[styles.chipText, isActive && styles.chipTextActive]} numberOfLines={1}>
+      {label}
+    </Text>
+  </TouchableOpacity>
+);
+
+const Search = () => {
+  const router = useRouter();
+  const { sections } = useDiarySections();
+  const { query, setQuery, sectionId, setSectionId, results, isSearching } = useSearch();
+
+  const openResult = ({ section, item }) => {
+    router.push({
+      pathname: '/diary/[section]',
+      params: { section: section.id, entry: item.id },
+    });
+  };
+
+  const renderResults = () => {
+    if (!query.trim()) {
+      return (
+        <View style={styles.emptyState}>
+          <View style={styles.emptyIconContainer}>
+            <Ionicons name="search" size={56} color="#D4A574" />
+          </View>
+          <Text style={styles.emptyText}>Search your diary</Text>
+          <Text style={styles.emptySubtext}>
+            Words match the start of any word - &quot;lav&quot; finds lavender.{'\n'}
+            Put words in quotes to find an exact phrase.
+          </Text>
+        </View>
+      );
+    }
+
+    if (isSearching && results.length === 0) {
+      return (
+        <View style={styles.emptyState}>
+          <ActivityIndicator size="large" color="#6B8E4E" />
+        </View>
+      );
+    }
+
+    if (results.length === 0) {
+      return (
+        <View style={styles.emptyState}>
+          <View style={styles.emptyIconContainer}>
+            <Ionicons name="leaf-outline" size={56} color="#D4A574" />
+          </View>
+          <Text style={styles.emptyText}>Nothing found</Text>
+          <Text style={styles.emptySubtext}>Try fewer or shorter words</Text>
+        </View>
+      );
+    }
+
+    return (
+      <>
+        <Text style={styles.resultCount}>
+          {results.length} {results.length === 1 ? 'entry' : 'entries'}
+        </Text>
+        {results.map(result => (
+          <TouchableOpacity
+            key={`${result.section.id}-${result.item.id}`}
+            style={[styles.resultCard, { borderLeftColor: result.section.color || '#6B8E4E' }]}
+            onPress={() => openResult(result)}
+            activeOpacity={0.7}
+          >
+            <View style={styles.resultHeader}>
+              <Ionicons
+                name={result.section.icon || 'calendar'}
+                size={16}
+                color={result.section.color || '#6B8E4E'}
+              />
+              <Text style={styles.resultSection} numberOfLines={1}>{result.section.name}</Text>
+              <Text style={styles.resultDate}>{formatRelative(result.item.lastModified)}</Text>
+            </View>
+            <Text style={styles.snippet}>
+              {result.snippet.map((part, index) => (
+                <Text key={index} style={part.match ? styles.highlight : null}>{part.text}</Text>
+              ))}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => router.back()} style={styles.backButton}>
+          <Ionicons name="arrow-back" size={26} color="#7B5E7B" />
+        </TouchableOpacity>
+        <View style={styles.headerTitleContainer}>
+          <Ionicons name="search" size={24} color="#6B8E4E" />
+          <Text style={styles.headerTitle}>Search</Text>
+        </View>
+        <View style={styles.headerSpacer} />
+      </View>
+
+      <View style={styles.searchBar}>
+        <Ionicons name="search" size={20} color="#B8A5B8" />
+        <TextInput
+          style={styles.searchInput}
+          placeholder='Search entries, or "an exact phrase"'
+          placeholderTextColor="#B8A5B8"
+          value={query}
+          onChangeText={setQuery}
+          autoFocus
+          autoCorrect={false}
+          returnKeyType="search"
+        />
+        {query ? (
+          <TouchableOpacity onPress={() => setQuery('')}>
+            <Ionicons name="close-circle" size={20} color="#B8A5B8" />
+          </TouchableOpacity>
+        ) : null}
+      </View>
+
+      <View>
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          contentContainerStyle={styles.chips}
+          keyboardShouldPersistTaps="handled"
+        >
+          <SectionChip
+            label="All sections"
+            color="#7B5E7B"
+            isActive={sectionId === null}
+            onPress={() => setSectionId(null)}
+          />
+          {sections.map(section => (
+            <SectionChip
+              key={section.id}
+              label={section.name}
+              icon={section.icon || 'calendar'}
+              color={section.color || '#6B8E4E'}
+              isActive={sectionId === section.id}
+              onPress={() => setSectionId(sectionId === section.id ? null : section.id)}
+            />
+          ))}
+        </ScrollView>
+      </View>
+
+      <ScrollView
+        style={styles.scrollView}
+        contentContainerStyle={styles.scrollContent}
+        keyboardShouldPersistTaps="handled"
+      >
+        {renderResults()}
+      </ScrollView>
+    </View>
+  );
+};
+
+export default Search;
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F5EFE6',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingTop: 30,
+    paddingBottom: 20,
+    backgroundColor: '#fff',
+    borderBottomWidth: 3,
+    borderBottomColor: '#D4A574',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 4,
+  },
+  backButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: '#EDE7F6',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  headerTitleContainer: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 10,
+    marginHorizontal: 12,
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#4A403A',
+    letterSpacing: 0.5,
+  },
+  headerSpacer: {
+    width: 44,
+  },
+  searchBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+    backgroundColor: '#fff',
+    marginHorizontal: 10,
+    marginTop: 16,
+    paddingHorizontal: 16,
+    borderRadius: 20,
+    borderWidth: 2,
+    borderColor: '#D4A574',
+  },
+  searchInput: {
+    flex: 1,
+    paddingVertical: 12,
+    fontSize: 16,
+    color: '#4A403A',
+  },
+  chips: {
+    paddingHorizontal: 10,
+    paddingVertical: 12,
+    gap: 8,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    maxWidth: 180,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 16,
+    backgroundColor: '#fff',
+    borderWidth: 2,
+    borderColor: '#EDE7F6',
+  },
+  chipText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#4A403A',
+  },
+  chipTextActive: {
+    color: 'white',
+  },
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    padding: 10,
+    paddingTop: 0,
+    paddingBottom: 40,
+  },
+  resultCount: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#8B8680',
+    marginBottom: 10,
+    marginLeft: 6,
+  },
+  resultCard: {
+    backgroundColor: '#fff',
+    borderRadius: 24,
+    padding: 18,
+    paddingTop: 14,
+    marginBottom: 16,
+    shadowColor: '#6B8E4E',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.12,
+    shadowRadius: 8,
+    elevation: 4,
+    borderLeftWidth: 5,
+  },
+  resultHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginBottom: 8,
+  },
+  resultSection: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#4A403A',
+  },
+  resultDate: {
+    fontSize: 12,
+    color: '#B8A5B8',
+  },
+  snippet: {
+    fontSize: 15,
+    color: '#4A403A',
+    lineHeight: 22,
+  },
+  highlight: {
+    backgroundColor: '#F3E5C8',
+    color: '#4A403A',
+    fontWeight: '700',
+  },
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: 60,
+    paddingHorizontal: 30,
+  },
+  emptyIconContainer: {
+    width: 110,
+    height: 110,
+    borderRadius: 55,
+    backgroundColor: '#fff',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: 20,
+    borderWidth: 3,
+    borderColor: '#D4A574',
+  },
+  emptyText: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#4A403A',
+    marginBottom: 8,
+  },
+  emptySubtext: {
+    fontSize: 14,
+    color: '#8B8680',
+    textAlign: 'center',
+    lineHeight: 20,
+  },
+});
@@ -0,0 +1,412 @@
+// app/settings.jsx - Maomao Aesthetic
+import {
+  StyleSheet,
+  Text,
+  View,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import React, { useState } from 'react';
+import { useRouter } from 'expo-router';
+import Ionicons from '@expo/vector-icons/Ionicons';
+import { useSettings } from './hooks/useSettings';
+import { useEncryption } from './hooks/useEncryption';
+import { usePinSettings } from './hooks/useAppLock';
+import { SETTING_LIMITS } from './storage/settings';
+import PassphraseModal from './components/PassphraseModal';
+import PinModal from './components/PinModal';
+
+const Stepper = ({ value, onChange, min, max, step = 1 }) => (
+  <View style={styles.stepper}>
+    <TouchableOpacity
+      style={[styles.stepButton, value <= min && styles.stepButtonDisabled]}
+      onPress={() => onChange(value - step)}
+      disabled={value <= min}
+    >
+      <Ionicons name="remove" size={20} color="#7B5E7B" />
+    </TouchableOpacity>
+    <Text style={styles.stepValue}>{value}</Text>
+    <TouchableOpacity
+      style={[styles.stepButton, value >= max && styles.stepButtonDisabled]}
+      onPress={() => onChange(value + step)}
+      disabled={value >= max}
+    >
+      <Ionicons name="add" size={20} color="#7B5E7B" />
+    </TouchableOpacity>
+  </View>
+);
+
+const Settings = () => {
+  const router = useRouter();
+  const { settings, updateSetting, isLoading } = useSettings();
+  const encryption = useEncryption();
+  // 'enable', 'change' or 'disable' while the passphrase modal is open
+  const [passphraseMode, setPassphraseMode] = useState(null);
+  const pinSettings = usePinSettings();
+  // 'set', 'change' or 'remove' while the PIN modal is open
+  const [pinMode, setPinMode] = useState(null);
+
+  const handlePassphrase = async ({ current, next }) => {
+    const mode = passphraseMode;
+    if (mode === 'enable') {
+      await encryption.enable(next);
+    } else if (mode === 'change') {
+      await encryption.changePassphrase(current, next);
+    } else {
+      await encryption.disable(current);
+    }
+
+    setPassphraseMode(null);
+    Alert.alert(
+      'Done',
+      mode === 'disable'
+        ? 'Your diary is no longer encrypted.'
+        : 'Your diary is encrypted. Keep your passphrase somewhere safe.'
+    );
+  };
+
+  const handlePin = async ({ current, next }) => {
+    if (pinMode === 'remove') {
+      await pinSettings.clearPin(current);
+    } else {
+      await pinSettings.changePin(current, next);
+    }
+    setPinMode(null);
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => router.back()} style={styles.backButton}>
+          <Ionicons name="arrow-back" size={26} color="#7B5E7B" />
+        </TouchableOpacity>
+        <View style={styles.headerTitleContainer}>
+          <Ionicons name="settings" size={24} color="#6B8E4E" />
+          <Text style={styles.headerTitle}>Settings</Text>
+        </View>
+        <View style={styles.headerSpacer} />
+      </View>
+
+      {isLoading ? (
+        <View style={styles.loading}>
+          <ActivityIndicator size="large" color="#6B8E4E" />
+        </View>
+      ) : (
+        <ScrollView style={styles.scrollView} contentContainerStyle={styles.scrollContent}>
+          <View style={styles.settingCard}>
+            <View style={styles.settingIconCircle}>
+              <Ionicons name="git-compare" size={22} color="#7B5E7B" />
+            </View>
+            <View style={styles.settingText}>
+              <Text style={styles.settingTitle}>Versions per entry</Text>
+              <Text style={styles.settingDescription}>
+                Older versions beyond this are dropped from an entry&apos;s history
+              </Text>
+            </View>
+            <Stepper
+              value={settings.revisionLimit}
+              min={SETTING_LIMITS.revisionLimit.min}
+              max={SETTING_LIMITS.revisionLimit.max}
+              onChange={(value) => updateSetting('revisionLimit', value)}
+            />
+          </View>
+
+          <View style={styles.settingCard}>
+            <View style={[styles.settingIconCircle, { backgroundColor: '#FFEBEE' }]}>
+              <Ionicons name="trash" size={22} color="#C85C5C" />
+            </View>
+            <View style={styles.settingText}>
+              <Text style={styles.settingTitle}>Days kept in Trash</Text>
+              <Text style={styles.settingDescription}>
+                Deleted entries and sections are purged after this many days
+              </Text>
+            </View>
+            <Stepper
+              value={settings.trashRetentionDays}
+              min={SETTING_LIMITS.trashRetentionDays.min}
+              max={SETTING_LIMITS.trashRetentionDays.max}
+              onChange={(value) => updateSetting('trashRetentionDays', value)}
+            />
+          </View>
+
+          <View style={styles.settingCard}>
+            <View style={[styles.settingIconCircle, { backgroundColor: '#E8F5E9' }]}>
+              <Ionicons name="layers" size={22} color="#6B8E4E" />
+            </View>
+            <View style={styles.settingText}>
+              <Text style={styles.settingTitle}>Snapshots kept</Text>
+              <Text style={styles.settingDescription}>
+                Recent copies of each section, used to recover damaged data
+              </Text>
+            </View>
+            <Stepper
+              value={settings.snapshotGenerations}
+              min={SETTING_LIMITS.snapshotGenerations.min}
+              max={SETTING_LIMITS.snapshotGenerations.max}
+              onChange={(value) => updateSetting('snapshotGenerations', value)}
+            />
+          </View>
+
+          <Text style={styles.groupTitle}>Privacy</Text>
+
+          <TouchableOpacity
+            style={styles.settingCard}
+            onPress={() => setPassphraseMode(encryption.isEnabled ? 'change' : 'enable')}
+            disabled={encryption.isLoading}
+          >
+            <View style={styles.settingIconCircle}>
+              <Ionicons name={encryption.isEnabled ? 'key' : 'lock-closed'} size={22} color="#7B5E7B" />
+            </View>
+            <View style={styles.settingText}>
+              <Text style={styles.settingTitle}>
+                {encryption.isEnabled ? 'Change passphrase' : 'Encrypt with a passphrase'}
+              </Text>
+              <Text style={styles.settingDescription}>
+                {encryption.isEnabled
+                  ? 'Your entries are encrypted and unlocked with your passphrase'
+                  : 'Store your entries encrypted and ask for a passphrase on every launch'}
+              </Text>
+            </View>
+            <Ionicons name="chevron-forward" size={22} color="#B8A5B8" />
+          </TouchableOpacity>
+
+          {encryption.isEnabled ? (
+            <TouchableOpacity style={styles.settingCard} onPress={() => setPassphraseMode('disable')}>
+              <View style={[styles.settingIconCircle, { backgroundColor: '#FFEBEE' }]}>
+                <Ionicons name="lock-open" size={22} color="#C85C5C" />
+              </View>
+              <View style={styles.settingText}>
+                <Text style={styles.settingTitle}>Remove encryption</Text>
+                <Text style={styles.settingDescription}>
+                  Store your entries readable again and stop asking for the passphrase
+                </Text>
+              </View>
+              <Ionicons name="chevron-forward" size={22} color="#B8A5B8" />
+            </TouchableOpacity>
+          ) : null}
+
+          <TouchableOpacity
+            style={styles.settingCard}
+            onPress={() => setPinMode(pinSettings.hasPin ? 'change' : 'set')}
+            disabled={pinSettings.isLoading}
+          >
+            <View style={styles.settingIconCircle}>
+              <Ionicons name="keypad" size={22} color="#7B5E7B" />
+            </View>
+            <View style={styles.settingText}>
+              <Text style={styles.settingTitle}>{pinSettings.hasPin ? 'Change PIN' : 'Lock with a PIN'}</Text>
+              <Text style={styles.settingDescription}>
+                {pinSettings.hasPin
+                  ? 'The diary asks for your PIN when it opens'
+                  : 'Ask for a PIN whenever the diary opens'}
+              </Text>
+            </View>
+            <Ionicons name="chevron-forward" size={22} color="#B8A5B8" />
+          </TouchableOpacity>
+
+          {pinSettings.hasPin ? (
+            <>
+              <View style={styles.settingCard}>
+                <View style={styles.settingIconCircle}>
+                  <Ionicons name="timer" size={22} color="#7B5E7B" />
+                </View>
+                <View style={styles.settingText}>
+                  <Text style={styles.settingTitle}>Auto-lock after (minutes)</Text>
+                  <Text style={styles.settingDescription}>
+                    Time away from the app before the PIN is needed again; 0 locks at once
+                  </Text>
+                </View>
+                <Stepper
+                  value={settings.autoLockMinutes}
+                  min={SETTING_LIMITS.autoLockMinutes.min}
+                  max={SETTING_LIMITS.autoLockMinutes.max}
+                  onChange={(value) => updateSetting('autoLockMinutes', value)}
+                />
+              </View>
+
+              <TouchableOpacity style={styles.settingCard} onPress={() => setPinMode('remove')}>
+                <View style={[styles.settingIconCircle, { backgroundColor: '#FFEBEE' }]}>
+                  <Ionicons name="lock-open" size={22} color="#C85C5C" />
+                </View>
+                <View style={styles.settingText}>
+                  <Text style={styles.settingTitle}>Remove PIN</Text>
+                  <Text style={styles.settingDescription}>Open the diary without a PIN</Text>
+                </View>
+                <Ionicons name="chevron-forward" size={22} color="#B8A5B8" />
+              </TouchableOpacity>
+            </>
+          ) : null}
+
+          <Text style={styles.groupTitle}>Your data</Text>
+
+          <TouchableOpacity style={styles.settingCard} onPress={() => router.push('/recovery')}>
+            <View style={[styles.settingIconCircle, { backgroundColor: '#E8F5E9' }]}>
+              <Ionicons name="medkit" size={22} color="#6B8E4E" />
+            </View>
+            <View style={styles.settingText}>
+              <Text style={styles.settingTitle}>Recovery</Text>
+              <Text style={styles.settingDescription}>
+                Browse snapshots and restore a section or the whole diary
+              </Text>
+            </View>
+            <Ionicons name="chevron-forward" size={22} color="#B8A5B8" />
+          </TouchableOpacity>
+
+          <TouchableOpacity style={styles.settingCard} onPress={() => router.push('/diagnostics')}>
+            <View style={styles.settingIconCircle}>
+              <Ionicons name="pulse" size={22} color="#7B5E7B" />
+            </View>
+            <View style={styles.settingText}>
+              <Text style={styles.settingTitle}>Diagnostics</Text>
+              <Text style={styles.settingDescription}>
+                Check stored data for damage, orphans and duplicates, and repair it
+              </Text>
+            </View>
+            <Ionicons name="chevron-forward" size={22} color="#B8A5B8" />
+          </TouchableOpacity>
+        </ScrollView>
+      )}
+
+      <PassphraseModal
+        mode={passphraseMode}
+        onSubmit={handlePassphrase}
+        onClose={() => setPassphraseMode(null)}
+      />
+
+      <PinModal mode={pinMode} onSubmit={handlePin} onClose={() => setPinMode(null)} />
+    </View>
+  );
+};
+
+export default Settings;
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F5EFE6',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingTop: 30,
+    paddingBottom: 20,
+    backgroundColor: '#fff',
+    borderBottomWidth: 3,
+    borderBottomColor: '#D4A574',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 4,
+  },
+  backButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: '#EDE7F6',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  headerTitleContainer: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 10,
+    marginHorizontal: 12,
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#4A403A',
+    letterSpacing: 0.5,
+  },
+  headerSpacer: {
+    width: 44,
+  },
+  loading: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    padding: 16,
+    paddingBottom: 40,
+  },
+  groupTitle: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#8B8680',
+    textTransform: 'uppercase',
+    letterSpacing: 1,
+    marginTop: 12,
+    marginBottom: 10,
+    marginLeft: 6,
+  },
+  settingCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 14,
+    backgroundColor: '#fff',
+    borderRadius: 20,
+    padding: 16,
+    marginBottom: 12,
+    shadowColor: '#6B8E4E',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 6,
+    elevation: 3,
+  },
+  settingIconCircle: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: '#EDE7F6',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  settingText: {
+    flex: 1,
+  },
+  settingTitle: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#4A403A',
+    marginBottom: 4,
+  },
+  settingDescription: {
+    fontSize: 13,
+    color: '#8B8680',
+    lineHeight: 18,
+  },
+  stepper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  stepButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: '#F5EFE6',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  stepButtonDisabled: {
+    opacity: 0.4,
+  },
+  stepValue: {
+    minWidth: 28,
+    textAlign: 'center',
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#4A403A',
+  },
+});
@@ -0,0 +1,358 @@
+// app/stats.jsx - Maomao Aesthetic
+import {
+  StyleSheet,
+  Text,
+  View,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+} from 'react-native';
+import React, { useState, useMemo } from 'react';
+import { useRouter } from 'expo-router';
+import Ionicons from '@expo/vector-icons/Ionicons';
+import { useDiarySections } from './hooks/useDiaryStorage';
+import { useStatistics, useEntryRecords } from './hooks/useStatistics';
+import BarChart from './components/BarChart';
+import LineChart from './components/LineChart';
+import HeatmapCalendar from './components/HeatmapCalendar';
+import { PERIODS, bucketRecords, rankSections, countByHour, dailyGrid } from './utils/writingStats';
+import { formatRelative } from './utils/dateFormat';
+
+const HEATMAP_WEEKS = 17;
+const TOP_SECTIONS = 5;
+
+const ChartCard = ({ icon, color, title, children }) => (
+  <View style={styles.card}>
+    <View style={styles.cardHeader}>
+      <Ionicons name={icon} size={20} color={color} />
+      <Text style={styles.cardTitle}>{title}</Text>
+    </View>
+    {children}
+  </View>
+);
+
+const Stats = () => {
+  const router = useRouter();
+  const { sections } = useDiarySections();
+  const { statistics } = useStatistics();
+  const { records, isLoading } = useEntryRecords();
+  const [periodKey, setPeriodKey] = useState('day');
+
+  const period = PERIODS.find(candidate => candidate.key === periodKey);
+
+  const buckets = useMemo(
+    () => bucketRecords(records, period.key, period.count),
+    [records, period]
+  );
+  const calendar = useMemo(() => dailyGrid(records, HEATMAP_WEEKS), [records]);
+  const hours = useMemo(() => countByHour(records), [records]);
+
+  // sections no longer in the diary are left out
+  const busiest = useMemo(() => rankSections(records)
+    .map(totals => ({ ...totals, section: sections.find(section => section.id === totals.sectionId) }))
+    .filter(totals => totals.section)
+    .slice(0, TOP_SECTIONS), [records, sections]);
+  const busiestMax = busiest.length > 0 ? busiest[0].entries : 1;
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => router.back()} style={styles.backButton}>
+          <Ionicons name="arrow-back" size={26} color="#7B5E7B" />
+        </TouchableOpacity>
+        <View style={styles.headerTitleContainer}>
+          <Ionicons name="stats-chart" size={24} color="#6B8E4E" />
+          <Text style={styles.headerTitle}>Statistics</Text>
+        </View>
+        <View style={styles.headerSpacer} />
+      </View>
+
+      {isLoading ? (
+        <View style={styles.loading}>
+          <ActivityIndicator size="large" color="#6B8E4E" />
+        </View>
+      ) : records.length === 0 ? (
+        <View style={styles.emptyState}>
+          <View style={styles.emptyIconContainer}>
+            <Ionicons name="stats-chart-outline" size={56} color="#D4A574" />
+          </View>
+          <Text style={styles.emptyText}>Nothing to chart yet</Text>
+          <Text style={styles.emptySubtext}>Write a few entries and your habits will show up here</Text>
+        </View>
+      ) : (
+        <ScrollView style={styles.scrollView} contentContainerStyle={styles.scrollContent}>
+          <View style={styles.totals}>
+            <View style={styles.total}>
+              <Text style={styles.totalNumber}>{statistics.totalEntries}</Text>
+              <Text style={styles.totalLabel}>Entries</Text>
+            </View>
+            <View style={styles.total}>
+              <Text style={styles.totalNumber}>{statistics.totalWords.toLocaleString()}</Text>
+              <Text style={styles.totalLabel}>Words</Text>
+            </View>
+            <View style={styles.total}>
+              <Text style={styles.totalNumber} numberOfLines={1}>
+                {statistics.lastActivity ? formatRelative(statistics.lastActivity) : '-'}
+              </Text>
+              <Text style={styles.totalLabel}>Last written</Text>
+            </View>
+          </View>
+
+          <View style={styles.periods}>
+            {PERIODS.map(candidate => (
+              <TouchableOpacity
+                key={candidate.key}
+                style={[styles.periodChip, candidate.key === periodKey && styles.periodChipActive]}
+                onPress={() => setPeriodKey(candidate.key)}
+              >
+                <Text style={[styles.periodText, candidate.key === periodKey && styles.periodTextActive]}>
+                  {candidate.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <ChartCard icon="bar-chart" color="#6B8E4E" title={`Entries per ${period.key}`}>
+            <BarChart
+              data={buckets.map(bucket => ({ label: bucket.label, value: bucket.entries }))}
+              labelEvery={period.key === 'day' ? 2 : 1}
+            />
+          </ChartCard>
+
+          <ChartCard icon="trending-up" color="#7B5E7B" title={`Words written per ${period.key}`}>
+            <LineChart
+              data={buckets.map(bucket => ({ label: bucket.label, value: bucket.words }))}
+              labelEvery={period.key === 'month' ? 1 : 2}
+            />
+          </ChartCard>
+
+          <ChartCard icon="calendar" color="#6B8E4E" title="Writing calendar">
+            <HeatmapCalendar weeks={calendar} />
+          </ChartCard>
+
+          <ChartCard icon="folder-open" color="#D4A574" title="Busiest sections">
+            {busiest.map(({ section, entries, words }) => (
+              <View key={section.id} style={styles.sectionRow}>
+                <View style={styles.sectionName}>
+                  <Ionicons name={section.icon || 'calendar'} size={16} color={section.color || '#6B8E4E'} />
+                  <Text style={styles.sectionNameText} numberOfLines={1}>{section.name}</Text>
+                  <Text style={styles.sectionCount}>
+                    {entries} · {words.toLocaleString()} {words === 1 ? 'word' : 'words'}
+                  </Text>
+                </View>
+                <View style={styles.sectionTrack}>
+                  <View
+                    style={[
+                      styles.sectionBar,
+                      { width: `${(entries / busiestMax) * 100}%`, backgroundColor: section.color || '#6B8E4E' },
+                    ]}
+                  />
+                </View>
+              </View>
+            ))}
+          </ChartCard>
+
+          <ChartCard icon="time" color="#7B5E7B" title="Time of day">
+            <BarChart
+              data={hours.map((count, hour) => ({ label: `${hour}h`, value: count }))}
+              color="#B8A5B8"
+              labelEvery={6}
+            />
+          </ChartCard>
+        </ScrollView>
+      )}
+    </View>
+  );
+};
+
+export default Stats;
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F5EFE6',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingTop: 30,
+    paddingBottom: 20,
+    backgroundColor: '#fff',
+    borderBottomWidth: 3,
+    borderBottomColor: '#D4A574',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 4,
+  },
+  backButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: '#EDE7F6',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  headerTitleContainer: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 10,
+    marginHorizontal: 12,
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#4A403A',
+    letterSpacing: 0.5,
+  },
+  headerSpacer: {
+    width: 44,
+  },
+  loading: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    padding: 16,
+    paddingBottom: 40,
+  },
+  totals: {
+    flexDirection: 'row',
+    gap: 10,
+    marginBottom: 16,
+  },
+  total: {
+    flex: 1,
+    backgroundColor: '#fff',
+    borderRadius: 20,
+    paddingVertical: 14,
+    paddingHorizontal: 8,
+    alignItems: 'center',
+    borderWidth: 2,
+    borderColor: '#E8F5E9',
+  },
+  totalNumber: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#4A403A',
+  },
+  totalLabel: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#8B8680',
+    marginTop: 2,
+  },
+  periods: {
+    flexDirection: 'row',
+    gap: 8,
+    marginBottom: 16,
+  },
+  periodChip: {
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+    borderRadius: 16,
+    backgroundColor: '#fff',
+    borderWidth: 2,
+    borderColor: '#EDE7F6',
+  },
+  periodChipActive: {
+    backgroundColor: '#7B5E7B',
+    borderColor: '#7B5E7B',
+  },
+  periodText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#7B5E7B',
+  },
+  periodTextActive: {
+    color: '#fff',
+  },
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 24,
+    padding: 18,
+    marginBottom: 16,
+    shadowColor: '#6B8E4E',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.12,
+    shadowRadius: 8,
+    elevation: 4,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginBottom: 14,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#4A403A',
+  },
+  sectionRow: {
+    marginBottom: 12,
+  },
+  sectionName: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    marginBottom: 4,
+  },
+  sectionNameText: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#4A403A',
+  },
+  sectionCount: {
+    fontSize: 12,
+    color: '#8B8680',
+  },
+  sectionTrack: {
+    height: 10,
+    borderRadius: 5,
+    backgroundColor: '#EDE7F6',
+    overflow: 'hidden',
+  },
+  sectionBar: {
+    height: '100%',
+    borderRadius: 5,
+  },
+  emptyState: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingHorizontal: 40,
+  },
+  emptyIconContainer: {
+    width: 100,
+    height: 100,
+    borderRadius: 50,
+    backgroundColor: '#fff',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: 20,
+    borderWidth: 3,
+    borderColor: '#D4A574',
+  },
+  emptyText: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#4A403A',
+    marginBottom: 8,
+  },
+  emptySubtext: {
+    fontSize: 15,
+    color: '#8B8680',
+    textAlign: 'center',
+  },
+});
@@ -0,0 +1,40 @@
+// app/storage/adapters/asyncStorageAdapter.js
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+/**
+ * Default adapter, backed by AsyncStorage.
+ */
+export const createAsyncStorageAdapter = () => ({
+  name: 'async-storage',
+
+  get: (key) => AsyncStorage.getItem(key),
+
+  set: (key, value) => AsyncStorage.setItem(key, value),
+
+  remove: (key) => AsyncStorage.removeItem(key),
+
+  multiGet: async (keys) => {
+    if (keys.length === 0) {
+      return [];
+    }
+    const pairs = await AsyncStorage.multiGet(keys);
+    return pairs.map(([key, value]) => [key, value]);
+  },
+
+  multiSet: async (pairs) => {
+    if (pairs.length === 0) {
+      return;
+    }
+    await AsyncStorage.multiSet(pairs);
+  },
+
+  multiRemove: async (keys) => {
+    if (keys.length === 0) {
+      return;
+    }
+    await AsyncStorage.multiRemove(keys);
+  },
+
+  keys: async () => [...(await AsyncStorage.getAllKeys())],
+});
@@ -0,0 +1,74 @@
+// app/storage/adapters/encryptedAdapter.js
+
+import { xchacha20poly1305 } from '@noble/ciphers/chacha';
+import { utf8ToBytes, bytesToUtf8 } from '@noble/ciphers/utils';
+import { getRandomBytes } from 'expo-crypto';
+import { bytesToBase64, base64ToBytes } from '../../utils/base64';
+
+const PREFIX = 'enc1:';
+const NONCE_LENGTH = 24;
+
+export const isEncryptedValue = (value) => typeof value === 'string' && value.startsWith(PREFIX);
+
+/**
+ * Seals a string with XChaCha20-Poly1305 under a 32-byte key.
+ * Stored as "enc1:" + base64(nonce + ciphertext + tag).
+ */
+export const encryptValue = (key, plaintext) => {
+  const nonce = getRandomBytes(NONCE_LENGTH);
+  const sealed = xchacha20poly1305(key, nonce).encrypt(utf8ToBytes(plaintext));
+
+  const bytes = new Uint8Array(NONCE_LENGTH + sealed.length);
+  bytes.set(nonce);
+  bytes.set(sealed, NONCE_LENGTH);
+  return PREFIX + bytesToBase64(bytes);
+};
+
+/**
+ * Opens a value from `encryptValue`. Throws if the key is wrong or the
+ * value was tampered with - including a plain value put in its place,
+ * which would otherwise get past the authentication.
+ */
+export const decryptValue = (key, stored) => {
+  if (!isEncryptedValue(stored)) {
+    throw new Error('Stored value is not encrypted');
+  }
+
+  const bytes = base64ToBytes(stored.slice(PREFIX.length));
+  const opened = xchacha20poly1305(key, bytes.subarray(0, NONCE_LENGTH)).decrypt(bytes.subarray(NONCE_LENGTH));
+  return bytesToUtf8(opened);
+};
+
+/**
+ * Wraps another adapter so every value is encrypted on the way in and
+ * decrypted on the way out. Keys stay readable, as do the values of
+ * `plainKeys` (what the app needs to know before it is unlocked); any
+ * other value that isn't encrypted fails to read.
+ */
+export const createEncryptedAdapter = (inner, key, plainKeys = []) => {
+  const isPlain = (storageKey) => plainKeys.includes(storageKey);
+
+  const seal = (storageKey, value) => (isPlain(storageKey) ? value : encryptValue(key, value));
+  const open = (storageKey, value) => (value === null || isPlain(storageKey) ? value : decryptValue(key, value));
+
+  return {
+    name: `encrypted-${inner.name}`,
+    inner,
+
+    get: async (storageKey) => open(storageKey, await inner.get(storageKey)),
+
+    set: (storageKey, value) => inner.set(storageKey, seal(storageKey, String(value))),
+
+    remove: (storageKey) => inner.remove(storageKey),
+
+    multiGet: async (storageKeys) =>
+      (await inner.multiGet(storageKeys)).map(([storageKey, value]) => [storageKey, open(storageKey, value)]),
+
+    multiSet: (pairs) =>
+      inner.multiSet(pairs.map(([storageKey, value]) => [storageKey, seal(storageKey, String(value))])),
+
+    multiRemove: (storageKeys) => inner.multiRemove(storageKeys),
+
+    keys: () => inner.keys(),
+  };
+};
@@ -0,0 +1,37 @@
+// app/storage/adapters/memoryAdapter.js
+
+/**
+ * In-memory adapter. Nothing survives a reload, which makes it handy
+ * for tests and as a scratch space (e.g. upgrading an imported backup).
+ */
+export const createMemoryAdapter = (initialData = {}) => {
+  const data = new Map(Object.entries(initialData));
+
+  return {
+    name: 'memory',
+
+    get: async (key) => (data.has(key) ? data.get(key) : null),
+
+    set: async (key, value) => {
+      data.set(key, String(value));
+    },
+
+    remove: async (key) => {
+      data.delete(key);
+    },
+
+    multiGet: async (keys) => keys.map(key => [key, data.has(key) ? data.get(key) : null]),
+
+    multiSet: async (pairs) => {
+      for (const [key, value] of pairs) {
+        data.set(key, String(value));
+      }
+    },
+
+    multiRemove: async (keys) => {
+      keys.forEach(key => data.delete(key));
+    },
+
+    keys: async () => [...data.keys()],
+  };
+};
@@ -0,0 +1,106 @@
+// app/storage/adapters/sqliteAdapter.js
+
+import * as SQLite from 'expo-sqlite';
+
+// SQLite caps the number of bound parameters per statement
+const MAX_PARAMS = 500;
+
+const chunk = (list, size) => {
+  const chunks = [];
+  for (let i = 0; i < list.length; i += size) {
+    chunks.push(list.slice(i, i + size));
+  }
+  return chunks;
+};
+
+/**
+ * SQLite-backed adapter. Keeps the same key/value model as AsyncStorage
+ * but without its per-entry size limits, so it suits very large diaries.
+ */
+export const createSQLiteAdapter = (databaseName = 'maomao-diaries.db') => {
+  let dbPromise = null;
+
+  const getDb = () => {
+    if (!dbPromise) {
+      dbPromise = (async () => {
+        const db = await SQLite.openDatabaseAsync(databaseName);
+        await db.execAsync(`
+          PRAGMA journal_mode = WAL;
+          CREATE TABLE IF NOT EXISTS kv (
+            key TEXT PRIMARY KEY NOT NULL,
+            value TEXT NOT NULL
+          );
+        `);
+        return db;
+      })();
+    }
+    return dbPromise;
+  };
+
+  return {
+    name: 'sqlite',
+
+    get: async (key) => {
+      const db = await getDb();
+      const row = await db.getFirstAsync('SELECT value FROM kv WHERE key = ?', [key]);
+      return row ? row.value : null;
+    },
+
+    set: async (key, value) => {
+      const db = await getDb();
+      await db.runAsync('INSERT OR REPLACE INTO kv (key, value) VALUES (?, ?)', [key, String(value)]);
+    },
+
+    remove: async (key) => {
+      const db = await getDb();
+      await db.runAsync('DELETE FROM kv WHERE key = ?', [key]);
+    },
+
+    multiGet: async (keys) => {
+      const db = await getDb();
+      const found = new Map();
+
+      for (const batch of chunk(keys, MAX_PARAMS)) {
+        const placeholders = batch.map(() => '?').join(', ');
+        const rows = await db.getAllAsync(
+          `SELECT key, value FROM kv WHERE key IN (${placeholders})`,
+          batch
+        );
+        rows.forEach(row => found.set(row.key, row.value));
+      }
+
+      return keys.map(key => [key, found.has(key) ? found.get(key) : null]);
+    },
+
+    multiSet: async (pairs) => {
+      if (pairs.length === 0) {
+        return;
+      }
+      const db = await getDb();
+      await db.withTransactionAsync(async () => {
+        for (const [key, value] of pairs) {
+          await db.runAsync('INSERT OR REPLACE INTO kv (key, value) VALUES (?, ?)', [key, String(value)]);
+        }
+      });
+    },
+
+    multiRemove: async (keys) => {
+      if (keys.length === 0) {
+        return;
+      }
+      const db = await getDb();
+      await db.withTransactionAsync(async () => {
+        for (const batch of chunk(keys, MAX_PARAMS)) {
+          const placeholders = batch.map(() => '?').join(', ');
+          await db.runAsync(`DELETE FROM kv WHERE key IN (${placeholders})`, batch);
+        }
+      });
+    },
+
+    keys: async () => {
+      const db = await getDb();
+      const rows = await db.getAllAsync('SELECT key FROM kv');
+      return rows.map(row => row.key);
+    },
+  };
+};
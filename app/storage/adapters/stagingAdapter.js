@@ -0,0 +1,60 @@
+// app/storage/adapters/stagingAdapter.js
+
+/**
+ * Adapter that reads through to `inner` but keeps every write to itself,
+ * so a series of writes can be collected with `changes()` and applied
+ * to `inner` as one atomic write (see `runAtomic`).
+ */
+export const createStagingAdapter = (inner) => {
+  // key -> staged value, or null when the key is staged for removal
+  const staged = new Map();
+
+  const multiGet = async (keys) => {
+    const unstaged = keys.filter(key => !staged.has(key));
+    const current = new Map(unstaged.length > 0 ? await inner.multiGet(unstaged) : []);
+    return keys.map(key => [key, staged.has(key) ? staged.get(key) : (current.get(key) ?? null)]);
+  };
+
+  return {
+    name: `staging-${inner.name}`,
+
+    get: async (key) => (await multiGet([key]))[0][1],
+
+    set: async (key, value) => {
+      staged.set(key, String(value));
+    },
+
+    remove: async (key) => {
+      staged.set(key, null);
+    },
+
+    multiGet,
+
+    multiSet: async (pairs) => {
+      for (const [key, value] of pairs) {
+        staged.set(key, String(value));
+      }
+    },
+
+    multiRemove: async (keys) => {
+      keys.forEach(key => staged.set(key, null));
+    },
+
+    keys: async () => {
+      const keys = new Set(await inner.keys());
+      staged.forEach((value, key) => (value === null ? keys.delete(key) : keys.add(key)));
+      return [...keys];
+    },
+
+    /**
+     * Everything written so far, as { set, remove } for `runAtomic`.
+     */
+    changes: () => {
+      const entries = [...staged];
+      return {
+        set: entries.filter(([, value]) => value !== null),
+        remove: entries.filter(([, value]) => value === null).map(([key]) => key),
+      };
+    },
+  };
+};
@@ -0,0 +1,123 @@
+// app/storage/appLock.js
+
+import { scryptAsync } from '@noble/hashes/scrypt';
+import { utf8ToBytes, equalBytes } from '@noble/ciphers/utils';
+import { getRandomBytes } from 'expo-crypto';
+import { readJSON, writeJSON, storage } from './index';
+import { STORAGE_KEYS } from './keys';
+import { withLock } from './journal';
+import { bytesToBase64, base64ToBytes } from '../utils/base64';
+
+/**
+ * The optional PIN lock. Only a salted scrypt hash of the PIN is kept:
+ *   { version: 1, N, r, p, salt, hash, digits, failedAttempts, lockedUntil }
+ * `digits` lets the lock screen check a PIN as soon as it's complete.
+ * Wrong attempts are counted here rather than in memory, so restarting
+ * the app doesn't reset the wait.
+ */
+const RECORD_VERSION = 1;
+const HASH_LENGTH = 32;
+const SALT_LENGTH = 16;
+const HASH_PARAMS = { N: 2 ** 14, r: 8, p: 1 };
+
+export const PIN_LENGTH = { min: 4, max: 8 };
+
+// Held while the lock record is read and rewritten (see `withLock`), so
+// two quick attempts can't both count from the same number, and an
+// attempt still being checked can't write back over a new PIN
+const APP_LOCK_LOCK = 'appLock';
+
+// Wrong attempts allowed before waits start; each one after that
+// doubles the wait, up to an hour
+const FREE_ATTEMPTS = 5;
+const FIRST_WAIT_MS = 30 * 1000;
+const MAX_WAIT_MS = 60 * 60 * 1000;
+
+const hashPin = async (pin, record) => bytesToBase64(await scryptAsync(
+  utf8ToBytes(pin),
+  base64ToBytes(record.salt),
+  { N: record.N, r: record.r, p: record.p, dkLen: HASH_LENGTH }
+));
+
+const waitAfter = (failedAttempts) => {
+  if (failedAttempts < FREE_ATTEMPTS) {
+    return 0;
+  }
+  return Math.min(MAX_WAIT_MS, FIRST_WAIT_MS * 2 ** (failedAttempts - FREE_ATTEMPTS));
+};
+
+export const isValidPin = (pin) =>
+  /^\d+$/.test(pin) && pin.length >= PIN_LENGTH.min && pin.length <= PIN_LENGTH.max;
+
+/**
+ * The stored lock, or null when no PIN is set.
+ */
+export const loadAppLock = async () => {
+  try {
+    return await readJSON(STORAGE_KEYS.APP_LOCK, null);
+  } catch (error) {
+    console.error('Error reading app lock:', error);
+    throw error;
+  }
+};
+
+export const setPin = async (pin) => {
+  if (!isValidPin(pin)) {
+    throw new Error(`A PIN is ${PIN_LENGTH.min} to ${PIN_LENGTH.max} digits`);
+  }
+
+  try {
+    const record = {
+      version: RECORD_VERSION,
+      ...HASH_PARAMS,
+      salt: bytesToBase64(getRandomBytes(SALT_LENGTH)),
+      digits: pin.length,
+      failedAttempts: 0,
+      lockedUntil: null,
+    };
+    const hash = await hashPin(pin, record);
+    await withLock([APP_LOCK_LOCK], () => writeJSON(STORAGE_KEYS.APP_LOCK, { ...record, hash }));
+  } catch (error) {
+    console.error('Error setting PIN:', error);
+    throw error;
+  }
+};
+
+export const removePin = async () => {
+  try {
+    await withLock([APP_LOCK_LOCK], () => storage.remove(STORAGE_KEYS.APP_LOCK));
+  } catch (error) {
+    console.error('Error removing PIN:', error);
+    throw error;
+  }
+};
+
+/**
+ * Checks a PIN, counting wrong attempts. While a wait from earlier
+ * attempts is running, the PIN isn't even checked.
+ * @returns {{ ok: boolean, lockedUntil: string | null }} lockedUntil is
+ *   when the next attempt is allowed, if it has to wait
+ */
+export const verifyPin = (pin) => withLock([APP_LOCK_LOCK], async () => {
+  const record = await loadAppLock();
+  if (!record) {
+    return { ok: true, lockedUntil: null };
+  }
+
+  if (record.lockedUntil && new Date(record.lockedUntil) > new Date()) {
+    return { ok: false, lockedUntil: record.lockedUntil };
+  }
+
+  const ok = equalBytes(
+    base64ToBytes(await hashPin(pin, record)),
+    base64ToBytes(record.hash)
+  );
+  const failedAttempts = ok ? 0 : record.failedAttempts + 1;
+  const wait = waitAfter(failedAttempts);
+  const lockedUntil = wait > 0 ? new Date(Date.now() + wait).toISOString() : null;
+
+  if (failedAttempts !== record.failedAttempts || lockedUntil !== record.lockedUntil) {
+    await writeJSON(STORAGE_KEYS.APP_LOCK, { ...record, failedAttempts, lockedUntil });
+  }
+  return { ok, lockedUntil };
+});
@@ -0,0 +1,158 @@
+// app/storage/backups.js
+
+import { storage } from './index';
+import { STORAGE_KEYS } from './keys';
+import { loadSettings } from './settings';
+import { CURRENT_SCHEMA_VERSION } from './migrations';
+
+/**
+ * Internal snapshots. Every backup key keeps several generations:
+ *   `<backupKey>`         -> { version: 2, slots: [{ slot, timestamp, count, schemaVersion }] }, newest first
+ *   `<backupKey>#<slot>`  -> { data, timestamp, schemaVersion }
+ * Each save writes into the oldest slot, so the last N saves survive.
+ * `schemaVersion` is the schema the data was saved under. Snapshots are
+ * written back as they are, so only those saved under the current schema
+ * are ever restored; a migration that changes the shape of sections or
+ * entries has to convert the snapshots too.
+ */
+export const snapshotKey = (backupKey, slot) => `${backupKey}#${slot}`;
+
+/**
+ * Whether a snapshot (or its entry in the index) was saved under the
+ * current schema and so can be restored.
+ */
+export const isCurrentSnapshot = (snapshot) => snapshot.schemaVersion === CURRENT_SCHEMA_VERSION;
+
+const readSnapshotIndex = async (backupKey) => {
+  try {
+    const raw = await storage.get(backupKey);
+    const index = raw === null ? null : JSON.parse(raw);
+    return index && Array.isArray(index.slots) ? index.slots : [];
+  } catch (error) {
+    console.error('Snapshot index unreadable, starting over:', backupKey, error);
+    return [];
+  }
+};
+
+const createBackup = async (backupKey, data) => {
+  try {
+    const { snapshotGenerations } = await loadSettings();
+    const slots = await readSnapshotIndex(backupKey);
+    const timestamp = new Date().toISOString();
+
+    // a free slot if there is one, otherwise the oldest
+    const used = new Set(slots.map(entry => entry.slot));
+    let slot = 0;
+    while (used.has(slot) && slot < snapshotGenerations) {
+      slot += 1;
+    }
+    if (slot >= snapshotGenerations) {
+      slot = slots[slots.length - 1].slot;
+    }
+
+    const nextSlots = [
+      {
+        slot,
+        timestamp,
+        count: Array.isArray(data) ? data.length : null,
+        schemaVersion: CURRENT_SCHEMA_VERSION,
+      },
+      ...slots.filter(entry => entry.slot !== slot),
+    ];
+    const kept = nextSlots.slice(0, snapshotGenerations);
+    const dropped = nextSlots.slice(snapshotGenerations);
+
+    await storage.multiSet([
+      [snapshotKey(backupKey, slot), JSON.stringify({ data, timestamp, schemaVersion: CURRENT_SCHEMA_VERSION })],
+      [backupKey, JSON.stringify({ version: 2, slots: kept })],
+    ]);
+    await storage.multiRemove(dropped.map(entry => snapshotKey(backupKey, entry.slot)));
+
+    const metadata = {
+      lastBackup: timestamp,
+      backupKey: backupKey,
+      status: 'success',
+    };
+
+    await storage.set(STORAGE_KEYS.BACKUP_METADATA, JSON.stringify(metadata));
+
+    return true;
+  } catch (error) {
+    console.error('Backup failed:', error);
+    return false;
+  }
+};
+
+/**
+ * Lists the snapshots kept for a key, newest first.
+ * @returns {{ slot: number, timestamp: string, count: number | null, schemaVersion?: number }[]}
+ */
+const listSnapshots = (backupKey) => readSnapshotIndex(backupKey);
+
+const loadSnapshot = async (backupKey, slot) => {
+  try {
+    const raw = await storage.get(snapshotKey(backupKey, slot));
+    return raw === null ? null : JSON.parse(raw);
+  } catch (error) {
+    console.error('Snapshot unreadable:', snapshotKey(backupKey, slot), error);
+    return null;
+  }
+};
+
+/**
+ * Finds the newest snapshot saved under the current schema that parses
+ * and passes `isValid`.
+ * @returns {{ data: any, timestamp: string, schemaVersion: number } | null}
+ */
+const findValidSnapshot = async (backupKey, isValid = () => true) => {
+  for (const { slot } of await listSnapshots(backupKey)) {
+    const snapshot = await loadSnapshot(backupKey, slot);
+    if (snapshot && isCurrentSnapshot(snapshot) && isValid(snapshot.data)) {
+      return snapshot;
+    }
+  }
+  return null;
+};
+
+/**
+ * Returns the data of one snapshot (`slot`), or of the newest valid one.
+ * Null if there is none, or if it was saved under another schema.
+ */
+const restoreFromBackup = async (backupKey, { slot, isValid = () => true } = {}) => {
+  let snapshot;
+  if (slot === undefined) {
+    snapshot = await findValidSnapshot(backupKey, isValid);
+  } else {
+    snapshot = await loadSnapshot(backupKey, slot);
+    if (snapshot && !(isCurrentSnapshot(snapshot) && isValid(snapshot.data))) {
+      snapshot = null;
+    }
+  }
+
+  if (!snapshot) {
+    console.warn('No usable backup found for key:', backupKey);
+    return null;
+  }
+
+  console.log(`Restored from backup made at: ${snapshot.timestamp}`);
+  return snapshot.data;
+};
+
+const getBackupInfo = async () => {
+  try {
+    const metadata = await storage.get(STORAGE_KEYS.BACKUP_METADATA);
+    return metadata ? JSON.parse(metadata) : null;
+  } catch (error) {
+    console.error('Error getting backup info:', error);
+    return null;
+  }
+};
+
+export {
+  createBackup,
+  listSnapshots,
+  loadSnapshot,
+  findValidSnapshot,
+  restoreFromBackup,
+  getBackupInfo,
+};
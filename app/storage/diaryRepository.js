@@ -0,0 +1,479 @@
+// app/storage/diaryRepository.js
+
+import { storage, writeJSON } from './index';
+import { STORAGE_KEYS } from './keys';
+import { createBackup, findValidSnapshot, listSnapshots } from './backups';
+import { runAtomic, withLock } from './journal';
+import {
+  CHUNK_SIZE,
+  emptyItemIndex,
+  countItems,
+  readItemIndex,
+  readChunks,
+  planItemList,
+  planChunk,
+  listItemKeys,
+} from './itemChunks';
+import { withOrder, sortByOrder, findSectionByName } from '../utils/sections';
+import { reportRecovery } from '../utils/recoveryNotices';
+import { generateId } from '../utils/ids';
+
+/**
+ * Storage-level diary operations. The hooks use these for their writes,
+ * and undo/redo commands use them directly, since the hook that made a
+ * change may no longer be mounted when it is undone.
+ *
+ * Sections are records ({ id, name, createdAt, icon, color, order });
+ * a section's entries are stored in chunks (see itemChunks.js).
+ */
+
+export const isValidSectionList = (data) => Array.isArray(data) && data.every(section =>
+  section && typeof section.id === 'string' && typeof section.name === 'string'
+);
+
+export const isValidItemList = (data) => Array.isArray(data) && data.every(item =>
+  item && typeof item.id === 'string' && typeof item.text === 'string'
+);
+
+// Reads a list, and if it is unparseable or malformed puts back the
+// newest snapshot that passes `isValid` and tells the user about it.
+const readChecked = async (key, backupKey, isValid, notice) => {
+  const raw = await storage.get(key);
+  if (raw === null) {
+    return [];
+  }
+
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch {
+    data = undefined;
+  }
+  if (isValid(data)) {
+    return data;
+  }
+
+  console.error('Stored data is damaged, looking for a snapshot:', key);
+  const snapshot = await findValidSnapshot(backupKey, isValid);
+
+  if (!snapshot) {
+    reportRecovery({ ...notice, timestamp: null });
+    throw new Error(`Stored data under "${key}" is damaged and no valid snapshot was found`);
+  }
+
+  await writeJSON(key, snapshot.data);
+  reportRecovery({ ...notice, timestamp: snapshot.timestamp });
+  return snapshot.data;
+};
+
+export const loadSections = async () => sortByOrder(await readChecked(
+  STORAGE_KEYS.SECTIONS,
+  STORAGE_KEYS.BACKUP_SECTIONS,
+  isValidSectionList,
+  { kind: 'sections', sectionId: null }
+));
+
+/**
+ * Name of the lock (see `withLock`) held while the section list is read
+ * and rewritten, so two section changes (say a rename while a reorder is
+ * saving) can't plan from the same list and undo each other.
+ */
+export const SECTIONS_LOCK = 'sections';
+
+// Callers hold SECTIONS_LOCK
+const writeSections = async (sections) => {
+  const ordered = withOrder(sections);
+  await writeJSON(STORAGE_KEYS.SECTIONS, ordered);
+  await createBackup(STORAGE_KEYS.BACKUP_SECTIONS, ordered);
+  return ordered;
+};
+
+export const saveSections = (sections) => withLock([SECTIONS_LOCK], () => writeSections(sections));
+
+export const loadSection = async (sectionId) => {
+  const sections = await loadSections();
+  return sections.find(section => section.id === sectionId) || null;
+};
+
+// Entry saves snapshot a section at most this often, so typing in a big
+// section doesn't copy all of it on every save. Bulk writes always do.
+const SNAPSHOT_INTERVAL = 10 * 60 * 1000;
+
+// Entries loaded per page when a section is opened or scrolled
+export const ITEMS_PAGE_SIZE = CHUNK_SIZE;
+
+/**
+ * Name of the lock (see `withLock`) held while a section's entries are
+ * read and rewritten. Every entry write plans from the chunk it changes,
+ * so two writes to one section must not overlap.
+ */
+export const itemsLock = (sectionId) => `items/${sectionId}`;
+
+/**
+ * Runs `task` holding SECTIONS_LOCK, `extraLocks` and the items lock of
+ * every section in the diary and in `sectionIds`, for writes that replace
+ * the section list along with the entries of many sections. Which sections
+ * exist is only certain once the sections lock is held, so if one was
+ * added in between, it goes again with that one locked too.
+ */
+export const withEverySectionLocked = async (sectionIds, task, extraLocks = []) => {
+  // a damaged list is read again by `task`; only the ids matter here
+  const listIds = async () => (await loadSections().catch(() => [])).map(section => section.id);
+  let result;
+  let done = false;
+
+  while (!done) {
+    const lockedIds = new Set([...sectionIds, ...await listIds()]);
+    const lockNames = [...extraLocks, SECTIONS_LOCK, ...[...lockedIds].map(itemsLock)];
+
+    await withLock(lockNames, async () => {
+      if ((await listIds()).every(id => lockedIds.has(id))) {
+        result = await task();
+        done = true;
+      }
+    });
+  }
+
+  return result;
+};
+
+// Puts back a section's entries from the newest valid snapshot, after
+// its index or one of its chunks turned out damaged
+const recoverItems = async (sectionId) => {
+  console.error('Stored entries are damaged, looking for a snapshot:', sectionId);
+  const notice = { kind: 'items', sectionId };
+  const snapshot = await findValidSnapshot(STORAGE_KEYS.BACKUP_ITEMS + sectionId, isValidItemList);
+
+  if (!snapshot) {
+    reportRecovery({ ...notice, timestamp: null });
+    throw new Error(`Stored entries of section "${sectionId}" are damaged and no valid snapshot was found`);
+  }
+
+  await runAtomic(await planItemList(sectionId, snapshot.data));
+  reportRecovery({ ...notice, timestamp: snapshot.timestamp });
+};
+
+// The section's chunk index; a section still stored as one array is
+// chunked on the spot, and a damaged index is recovered from a snapshot
+const loadItemIndex = async (sectionId) => {
+  const stored = await readItemIndex(sectionId);
+
+  if (stored === null) {
+    return emptyItemIndex();
+  }
+  if (stored === undefined || (Array.isArray(stored) && !isValidItemList(stored))) {
+    await recoverItems(sectionId);
+  } else if (Array.isArray(stored)) {
+    await runAtomic(await planItemList(sectionId, stored));
+  } else {
+    return stored;
+  }
+  return readItemIndex(sectionId);
+};
+
+// Reads chunks [from, to) of `index`, or undefined if any is damaged
+const loadChunks = async (sectionId, index, from, to) => {
+  const items = await readChunks(sectionId, index, from, to);
+  return isValidItemList(items) ? items : undefined;
+};
+
+/**
+ * Every entry of a section, in list order.
+ */
+export const loadItems = async (sectionId) => {
+  const index = await loadItemIndex(sectionId);
+  const items = await loadChunks(sectionId, index, 0, index.chunks.length);
+  if (items) {
+    return items;
+  }
+
+  await recoverItems(sectionId);
+  return loadItems(sectionId);
+};
+
+/**
+ * Loads whole chunks from the one holding entry number `offset` until
+ * at least `minCount` entries past `offset` are in, along with every
+ * entry in `throughIds`. From the start of the list, pinned entries
+ * count as wanted too, since they are listed first.
+ * @returns {{ items: object[], total: number }} the entries from
+ *   `offset` on, and how many entries the section has in all
+ */
+export const loadItemPage = async (sectionId, offset = 0, { minCount = ITEMS_PAGE_SIZE, throughIds = [] } = {}) => {
+  const index = await loadItemIndex(sectionId);
+  const wanted = new Set(offset === 0 ? [...throughIds, ...index.pinned] : throughIds);
+
+  let from = 0;
+  let start = 0;
+  while (from < index.chunks.length && start + index.chunks[from].ids.length <= offset) {
+    start += index.chunks[from].ids.length;
+    from += 1;
+  }
+
+  const lastWanted = index.chunks.reduce(
+    (last, chunk, position) => (chunk.ids.some(id => wanted.has(id)) ? position : last),
+    -1
+  );
+
+  let to = from;
+  let end = start;
+  while (to < index.chunks.length && (end - offset < minCount || to <= lastWanted)) {
+    end += index.chunks[to].ids.length;
+    to += 1;
+  }
+
+  const items = await loadChunks(sectionId, index, from, to);
+  if (!items) {
+    await recoverItems(sectionId);
+    return loadItemPage(sectionId, offset, { minCount, throughIds });
+  }
+
+  return { items: items.slice(offset - start), total: countItems(index) };
+};
+
+/**
+ * Snapshots a section's entries, unless it was snapshotted less than
+ * SNAPSHOT_INTERVAL ago.
+ */
+export const snapshotItems = async (sectionId) => {
+  const backupKey = STORAGE_KEYS.BACKUP_ITEMS + sectionId;
+  const [latest] = await listSnapshots(backupKey);
+  if (latest && Date.now() - Date.parse(latest.timestamp) < SNAPSHOT_INTERVAL) {
+    return;
+  }
+  await createBackup(backupKey, await loadItems(sectionId));
+};
+
+/**
+ * Replaces the section's whole entry list.
+ */
+export const saveItems = (sectionId, items) => withLock([itemsLock(sectionId)], async () => {
+  await runAtomic(await planItemList(sectionId, items));
+  await createBackup(STORAGE_KEYS.BACKUP_ITEMS + sectionId, items);
+});
+
+// Loads the chunk at `position`, recovering the section if it is damaged
+// (after which the caller has to look the entry up again)
+const loadChunkAt = async (sectionId, index, position) => {
+  const chunkItems = await loadChunks(sectionId, index, position, position + 1);
+  if (!chunkItems) {
+    await recoverItems(sectionId);
+  }
+  return chunkItems;
+};
+
+const findChunkOf = (index, id) => index.chunks.findIndex(chunk => chunk.ids.includes(id));
+
+/**
+ * One entry of a section, or null if the section has none with that id.
+ * Only the chunk holding it is read.
+ */
+export const loadItem = async (sectionId, id) => {
+  const index = await loadItemIndex(sectionId);
+  const position = findChunkOf(index, id);
+  if (position === -1) {
+    return null;
+  }
+
+  const chunkItems = await loadChunkAt(sectionId, index, position);
+  if (!chunkItems) {
+    return loadItem(sectionId, id);
+  }
+  return chunkItems.find(item => item.id === id) || null;
+};
+
+/**
+ * The writes that replace the entry with the same id, or insert it at
+ * `index`, as { set, remove } for `runAtomic`. Only the chunk it lands
+ * in is rewritten. Callers hold the section's `itemsLock` until the
+ * writes are applied.
+ */
+export const planItemPut = async (sectionId, item, index = 0) => {
+  const itemIndex = await loadItemIndex(sectionId);
+  let position = findChunkOf(itemIndex, item.id);
+  let chunkItems;
+
+  if (position !== -1) {
+    chunkItems = await loadChunkAt(sectionId, itemIndex, position);
+    if (!chunkItems) {
+      return planItemPut(sectionId, item, index);
+    }
+    chunkItems = chunkItems.map(entry => (entry.id === item.id ? item : entry));
+  } else if (itemIndex.chunks.length === 0) {
+    itemIndex.chunks = [{ id: itemIndex.nextChunk, ids: [] }];
+    itemIndex.nextChunk += 1;
+    position = 0;
+    chunkItems = [item];
+  } else {
+    // the chunk the position falls in, or the last one when it's past the end
+    let start = 0;
+    position = 0;
+    while (position < itemIndex.chunks.length - 1 && start + itemIndex.chunks[position].ids.length < index) {
+      start += itemIndex.chunks[position].ids.length;
+      position += 1;
+    }
+
+    chunkItems = await loadChunkAt(sectionId, itemIndex, position);
+    if (!chunkItems) {
+      return planItemPut(sectionId, item, index);
+    }
+    chunkItems = [...chunkItems];
+    chunkItems.splice(Math.max(0, Math.min(index - start, chunkItems.length)), 0, item);
+  }
+
+  const { set, remove } = planChunk(sectionId, itemIndex, position, chunkItems);
+  return { set, remove };
+};
+
+/**
+ * Replaces the entry with the same id, or inserts it at `index`.
+ */
+export const putItem = (sectionId, item, index = 0) => withLock([itemsLock(sectionId)], async () => {
+  await runAtomic(await planItemPut(sectionId, item, index));
+  await snapshotItems(sectionId);
+  return item;
+});
+
+/**
+ * The writes that take one entry out of its section, as { set, remove }
+ * for `runAtomic` (e.g. together with adding it to the Trash). Callers
+ * hold the section's `itemsLock` until the writes are applied.
+ */
+export const planItemRemoval = async (sectionId, id) => {
+  const index = await loadItemIndex(sectionId);
+  const position = findChunkOf(index, id);
+  if (position === -1) {
+    return { set: [], remove: [] };
+  }
+
+  const chunkItems = await loadChunkAt(sectionId, index, position);
+  if (!chunkItems) {
+    return planItemRemoval(sectionId, id);
+  }
+
+  const { set, remove } = planChunk(sectionId, index, position, chunkItems.filter(item => item.id !== id));
+  return { set, remove };
+};
+
+export const removeItem = (sectionId, id) => withLock([itemsLock(sectionId)], async () => {
+  await runAtomic(await planItemRemoval(sectionId, id));
+  await snapshotItems(sectionId);
+});
+
+export const insertSection = (section, index = 0) => withLock([SECTIONS_LOCK], async () => {
+  const sections = await loadSections();
+  if (sections.some(existing => existing.id === section.id)) {
+    return sections;
+  }
+
+  const nextSections = [...sections];
+  nextSections.splice(Math.min(index, nextSections.length), 0, section);
+  return writeSections(nextSections);
+});
+
+/**
+ * Removes a section from the list and drops its entries.
+ * Callers that want the entries kept must trash them first.
+ */
+export const removeSection = (sectionId) => withLock([SECTIONS_LOCK, itemsLock(sectionId)], async () => {
+  const sections = await loadSections();
+  const nextSections = withOrder(sections.filter(section => section.id !== sectionId));
+
+  await runAtomic({
+    set: [[STORAGE_KEYS.SECTIONS, JSON.stringify(nextSections)]],
+    remove: await listItemKeys(sectionId),
+  });
+  await createBackup(STORAGE_KEYS.BACKUP_SECTIONS, nextSections);
+
+  return nextSections;
+});
+
+/**
+ * Changes a section's name, icon or colour. Entries are keyed by id,
+ * so nothing else has to move.
+ */
+export const updateSection = (sectionId, changes) => withLock([SECTIONS_LOCK], async () => {
+  const sections = await loadSections();
+
+  if (changes.name !== undefined) {
+    const clash = findSectionByName(sections, changes.name);
+    if (clash && clash.id !== sectionId) {
+      throw new Error('Section name already exists');
+    }
+  }
+
+  return writeSections(sections.map(section =>
+    section.id === sectionId ? { ...section, ...changes, id: section.id } : section
+  ));
+});
+
+/**
+ * Puts the sections in the given order. Sections missing from
+ * `sectionIds` (e.g. added since) keep their relative order at the end.
+ */
+export const reorderSections = (sectionIds) => withLock([SECTIONS_LOCK], async () => {
+  const sections = await loadSections();
+  const position = (section) => {
+    const index = sectionIds.indexOf(section.id);
+    return index === -1 ? sectionIds.length : index;
+  };
+
+  return writeSections([...sections].sort((a, b) => position(a) - position(b)));
+});
+
+/**
+ * Moves sections into a folder, or out of any folder with `folder` null.
+ */
+export const setSectionFolder = (sectionIds, folder) => withLock([SECTIONS_LOCK], async () => {
+  const sections = await loadSections();
+  return writeSections(sections.map(section =>
+    sectionIds.includes(section.id) ? { ...section, folder } : section
+  ));
+});
+
+/**
+ * Moves an entry to another section, or copies it with `copy: true`.
+ * The entry keeps its timestamps and revisions, and lands among the
+ * target's entries by creation date. A moved entry keeps its id too; a
+ * copy gets a new one (`copyId`, e.g. the one it had before an undo),
+ * since ids are unique across the whole diary. Both sections change in
+ * one atomic write.
+ * @returns {{ before, item }} the previous values of the touched keys
+ *   (for undo) and the entry as filed in the target section
+ */
+export const transferItem = async (fromSectionId, toSectionId, itemId, { copy = false, copyId = generateId() } = {}) => {
+  if (fromSectionId === toSectionId) {
+    throw new Error('Entry is already in this section');
+  }
+
+  return withLock([itemsLock(fromSectionId), itemsLock(toSectionId)], async () => {
+    const [fromItems, toItems] = await Promise.all([loadItems(fromSectionId), loadItems(toSectionId)]);
+    const item = fromItems.find(entry => entry.id === itemId);
+    if (!item) {
+      throw new Error('Entry not found');
+    }
+    if (!copy && toItems.some(entry => entry.id === itemId)) {
+      throw new Error('Entry already exists in that section');
+    }
+
+    const filed = copy ? { ...item, id: copyId } : item;
+    const found = toItems.findIndex(entry => Date.parse(entry.createdAt) < Date.parse(item.createdAt));
+    const insertAt = found === -1 ? toItems.length : found;
+    const nextToItems = [...toItems];
+    nextToItems.splice(insertAt, 0, filed);
+
+    const toWrites = await planItemPut(toSectionId, filed, insertAt);
+    const fromWrites = copy ? { set: [], remove: [] } : await planItemRemoval(fromSectionId, itemId);
+
+    const before = await runAtomic({
+      set: [...toWrites.set, ...fromWrites.set],
+      remove: [...toWrites.remove, ...fromWrites.remove],
+    });
+    await createBackup(STORAGE_KEYS.BACKUP_ITEMS + toSectionId, nextToItems);
+    if (!copy) {
+      await createBackup(STORAGE_KEYS.BACKUP_ITEMS + fromSectionId, fromItems.filter(entry => entry.id !== itemId));
+    }
+
+    return { before, item: filed };
+  });
+};
@@ -0,0 +1,200 @@
+// app/storage/encryption.js
+
+import { scryptAsync } from '@noble/hashes/scrypt';
+import { utf8ToBytes } from '@noble/ciphers/utils';
+import { getRandomBytes } from 'expo-crypto';
+import { getStorageAdapter, setStorageAdapter, readJSON } from './index';
+import { STORAGE_KEYS } from './keys';
+import { runExclusive, recoverJournal } from './journal';
+import {
+  createEncryptedAdapter,
+  encryptValue,
+  decryptValue,
+  isEncryptedValue,
+} from './adapters/encryptedAdapter';
+import { bytesToBase64, base64ToBytes } from '../utils/base64';
+
+/**
+ * Optional encryption at rest. When it's on, every stored value (entries,
+ * sections, snapshots, trash, the search index, settings) is sealed with
+ * a key derived from the user's passphrase, and `@diary_encryption` holds
+ * what's needed to derive and check that key:
+ *   { version: 1, kdf: 'scrypt', N, r, p, salt, check }
+ * `check` is a known text sealed with the key, so a wrong passphrase is
+ * caught before anything is read. The passphrase and key are never stored.
+ */
+const INFO_VERSION = 1;
+const KEY_LENGTH = 32;
+const SALT_LENGTH = 16;
+const CHECK_TEXT = 'maomao-diaries';
+
+// scrypt's cost is stored with each key, so it can be raised later
+// without locking anyone out
+const KDF_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+
+// Readable without the key: the app needs it to ask for the passphrase
+const PLAIN_KEYS = [STORAGE_KEYS.ENCRYPTION];
+
+// The adapter underneath the encryption, if it's unlocked
+const baseAdapter = () => {
+  const adapter = getStorageAdapter();
+  return adapter.inner || adapter;
+};
+
+const deriveKey = (passphrase, info) => scryptAsync(
+  utf8ToBytes(passphrase.normalize('NFKC')),
+  base64ToBytes(info.salt),
+  { N: info.N, r: info.r, p: info.p, dkLen: KEY_LENGTH }
+);
+
+// A fresh salt and key for a new passphrase
+const createKey = async (passphrase) => {
+  const params = {
+    version: INFO_VERSION,
+    kdf: 'scrypt',
+    ...KDF_PARAMS,
+    salt: bytesToBase64(getRandomBytes(SALT_LENGTH)),
+  };
+  const key = await deriveKey(passphrase, params);
+  return { key, info: { ...params, check: encryptValue(key, CHECK_TEXT) } };
+};
+
+const checkPassphrase = async (passphrase, info) => {
+  const key = await deriveKey(passphrase, info);
+  try {
+    if (decryptValue(key, info.check) === CHECK_TEXT) {
+      return key;
+    }
+  } catch {
+    // a wrong key fails authentication
+  }
+  throw new Error('Wrong passphrase');
+};
+
+const requireInfo = async () => {
+  const info = await loadEncryptionInfo();
+  if (!info) {
+    throw new Error('Encryption is not turned on');
+  }
+  return info;
+};
+
+// Every stored value as it is on disk, apart from the encryption info
+// and any journal (which belongs to a write still in flight)
+const readRawValues = async (base) => {
+  const keys = (await base.keys())
+    .filter(key => key !== STORAGE_KEYS.ENCRYPTION && key !== STORAGE_KEYS.JOURNAL);
+  return (await base.multiGet(keys)).filter(([, value]) => value !== null);
+};
+
+const switchKey = (base, key) => {
+  setStorageAdapter(key ? createEncryptedAdapter(base, key, PLAIN_KEYS) : base);
+};
+
+/**
+ * The stored encryption info, or null when the diary isn't encrypted.
+ */
+export const loadEncryptionInfo = () => readJSON(STORAGE_KEYS.ENCRYPTION, null, baseAdapter());
+
+export const isEncryptionEnabled = async () => (await loadEncryptionInfo()) !== null;
+
+/**
+ * Derives the key from `passphrase` and switches storage over to it.
+ * Throws 'Wrong passphrase' if it doesn't match.
+ */
+export const unlockStorage = async (passphrase) => {
+  const base = baseAdapter();
+  const key = await checkPassphrase(passphrase, await requireInfo());
+  switchKey(base, key);
+};
+
+/**
+ * Encrypts everything stored under a new passphrase, in one atomic write
+ * that no other read or write can slip into.
+ */
+export const enableEncryption = async (passphrase) => {
+  try {
+    if (await isEncryptionEnabled()) {
+      throw new Error('Encryption is already turned on');
+    }
+
+    const base = baseAdapter();
+    const { key, info } = await createKey(passphrase);
+
+    await runExclusive(async (writeAtomic) => {
+      const values = await readRawValues(base);
+      await writeAtomic({
+        set: [
+          ...values.map(([storageKey, value]) => [storageKey, encryptValue(key, value)]),
+          [STORAGE_KEYS.ENCRYPTION, JSON.stringify(info)],
+        ],
+      }, base);
+      switchKey(base, key);
+    });
+  } catch (error) {
+    console.error('Error turning on encryption:', error);
+    throw error;
+  }
+};
+
+/**
+ * Re-encrypts everything under a new passphrase, in one atomic write
+ * that no other read or write can slip into.
+ */
+export const changePassphrase = async (currentPassphrase, nextPassphrase) => {
+  try {
+    const base = baseAdapter();
+    const currentKey = await checkPassphrase(currentPassphrase, await requireInfo());
+    const { key, info } = await createKey(nextPassphrase);
+
+    await runExclusive(async (writeAtomic) => {
+      const values = await readRawValues(base);
+      await writeAtomic({
+        set: [
+          ...values.map(([storageKey, value]) => [storageKey, encryptValue(key, decryptValue(currentKey, value))]),
+          [STORAGE_KEYS.ENCRYPTION, JSON.stringify(info)],
+        ],
+      }, base);
+      switchKey(base, key);
+    });
+  } catch (error) {
+    console.error('Error changing passphrase:', error);
+    throw error;
+  }
+};
+
+/**
+ * Decrypts everything and forgets the passphrase, in one atomic write
+ * that no other read or write can slip into.
+ */
+export const disableEncryption = async (passphrase) => {
+  try {
+    const base = baseAdapter();
+    const key = await checkPassphrase(passphrase, await requireInfo());
+
+    await runExclusive(async (writeAtomic) => {
+      const values = await readRawValues(base);
+      await writeAtomic({
+        set: values.map(([storageKey, value]) => [storageKey, decryptValue(key, value)]),
+        remove: [STORAGE_KEYS.ENCRYPTION],
+      }, base);
+      switchKey(base, null);
+    });
+  } catch (error) {
+    console.error('Error turning off encryption:', error);
+    throw error;
+  }
+};
+
+/**
+ * Recovers an interrupted write that was journaled in plain text: any
+ * write made while encryption is off, and the switches between keys
+ * above. Must run before `loadEncryptionInfo` on launch, since such a
+ * write may have been changing the encryption info itself. An encrypted
+ * journal is left for `recoverJournal` once the diary is unlocked.
+ */
+export const recoverPlainJournal = async () => {
+  const base = baseAdapter();
+  const raw = await base.get(STORAGE_KEYS.JOURNAL);
+  return raw === null || isEncryptedValue(raw) ? 'clean' : recoverJournal(base);
+};
@@ -0,0 +1,126 @@
+// app/storage/index.js
+
+import Constants from 'expo-constants';
+import { createAsyncStorageAdapter } from './adapters/asyncStorageAdapter';
+import { STORAGE_KEYS } from './keys';
+
+/**
+ * Storage adapter interface - every backend implements:
+ *   get(key)            -> Promise<string | null>
+ *   set(key, value)     -> Promise<void>
+ *   remove(key)         -> Promise<void>
+ *   multiGet(keys)      -> Promise<[key, string | null][]>
+ *   multiSet(pairs)     -> Promise<void>
+ *   multiRemove(keys)   -> Promise<void>
+ *   keys()              -> Promise<string[]>
+ */
+let currentAdapter = createAsyncStorageAdapter();
+
+export const setStorageAdapter = (adapter) => {
+  currentAdapter = adapter;
+};
+
+export const getStorageAdapter = () => currentAdapter;
+
+// Set while a task holds back storage access (see `holdStorage`)
+let hold = null;
+const callsInFlight = new Set();
+
+// Waits out any hold, then goes through whichever adapter is active by then
+const gated = async (run) => {
+  while (hold) {
+    await hold;
+  }
+
+  const pending = run();
+  callsInFlight.add(pending);
+  try {
+    return await pending;
+  } finally {
+    callsInFlight.delete(pending);
+  }
+};
+
+// Stable facade, so modules can import `storage` once and still follow
+// whichever adapter is active.
+export const storage = {
+  get: (key) => gated(() => currentAdapter.get(key)),
+  set: (key, value) => gated(() => currentAdapter.set(key, value)),
+  remove: (key) => gated(() => currentAdapter.remove(key)),
+  multiGet: (keys) => gated(() => currentAdapter.multiGet(keys)),
+  multiSet: (pairs) => gated(() => currentAdapter.multiSet(pairs)),
+  multiRemove: (keys) => gated(() => currentAdapter.multiRemove(keys)),
+  keys: () => gated(() => currentAdapter.keys()),
+};
+
+/**
+ * Runs `task` while reads and writes through `storage` are held back:
+ * calls already under way finish first, and new ones wait until `task`
+ * is done, then go to whichever adapter is active by then. So nothing
+ * reads values `task` has rewritten through the adapter they no longer
+ * fit. `task` itself goes through an adapter directly.
+ */
+export const holdStorage = async (task) => {
+  while (hold) {
+    await hold;
+  }
+
+  let release;
+  hold = new Promise(resolve => {
+    release = resolve;
+  });
+
+  try {
+    await Promise.all([...callsInFlight].map(pending => pending.catch(() => {})));
+    return await task();
+  } finally {
+    hold = null;
+    release();
+  }
+};
+
+export const readJSON = async (key, fallback = null, adapter = storage) => {
+  const raw = await adapter.get(key);
+  return raw === null ? fallback : JSON.parse(raw);
+};
+
+export const writeJSON = (key, value, adapter = storage) =>
+  adapter.set(key, JSON.stringify(value));
+
+/**
+ * Copies every key from one adapter to another.
+ */
+export const copyStorage = async (source, target) => {
+  const keys = await source.keys();
+  const pairs = await source.multiGet(keys);
+  await target.multiSet(pairs.filter(([, value]) => value !== null));
+  return keys.length;
+};
+
+/**
+ * Picks the backend named in app.json (`expo.extra.storageBackend`).
+ * The first time SQLite is enabled, existing AsyncStorage data is copied over.
+ * The SQLite adapter is only loaded when it is picked, so expo-sqlite
+ * isn't loaded at all on the default backend.
+ */
+export const initStorage = async () => {
+  const backend = Constants.expoConfig?.extra?.storageBackend || 'async-storage';
+
+  if (backend !== 'sqlite') {
+    setStorageAdapter(createAsyncStorageAdapter());
+    return currentAdapter;
+  }
+
+  const { createSQLiteAdapter } = await import('./adapters/sqliteAdapter');
+  const sqlite = createSQLiteAdapter();
+  const existing = await sqlite.get(STORAGE_KEYS.SCHEMA_VERSION);
+
+  if (existing === null) {
+    await copyStorage(createAsyncStorageAdapter(), sqlite);
+  }
+
+  setStorageAdapter(sqlite);
+  return currentAdapter;
+};
+
+export { STORAGE_KEYS };
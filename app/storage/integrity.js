@@ -0,0 +1,400 @@
+// app/storage/integrity.js
+
+import { storage } from './index';
+import { STORAGE_KEYS } from './keys';
+import { findValidSnapshot } from './backups';
+import { runAtomic, withLock } from './journal';
+import { isValidSectionList, isValidItemList, itemsLock, SECTIONS_LOCK } from './diaryRepository';
+import { findSectionRecord } from './recovery';
+import { readItemList, planItemList, listItemKeys } from './itemChunks';
+import { generateId } from '../utils/ids';
+import { toISOTimestamp } from '../utils/dateFormat';
+import { createRevision } from '../utils/revisions';
+import { createSection, withOrder, sortByOrder, findSectionByName } from '../utils/sections';
+
+const parse = (raw) => {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return undefined;
+  }
+};
+
+const isSectionRecord = (section) =>
+  Boolean(section) && typeof section.id === 'string' && typeof section.name === 'string';
+
+const isEntryRecord = (item) =>
+  Boolean(item) && typeof item === 'object' && typeof item.id === 'string' && typeof item.text === 'string';
+
+const normalizeName = (name) => (typeof name === 'string' ? name.trim().toLowerCase() : '');
+
+const plural = (count, one, many) => `${count} ${count === 1 ? one : many}`;
+
+// Reads the raw section list and every section's entries, without the
+// snapshot fallback `loadSections`/`loadItems` apply
+const readRaw = async () => {
+  const keys = await storage.keys();
+  const sectionIds = keys
+    .filter(key => key.startsWith(STORAGE_KEYS.ITEMS))
+    .map(key => key.slice(STORAGE_KEYS.ITEMS.length));
+  const sectionsRaw = await storage.get(STORAGE_KEYS.SECTIONS);
+
+  const items = new Map();
+  for (const sectionId of sectionIds) {
+    items.set(sectionId, await readItemList(sectionId));
+  }
+
+  return {
+    keyCount: keys.length,
+    sections: sectionsRaw === null ? [] : parse(sectionsRaw),
+    items,
+  };
+};
+
+/**
+ * Scans stored diary data for problems. Each issue looks like
+ *   { id, type, title, detail, sectionId, repairs: [{ action, label }] }
+ * and can be fixed with `repairIssue(issue, action)`.
+ * @returns {{ keyCount: number, issues: object[] }}
+ */
+export const scanIntegrity = async () => {
+  const { keyCount, sections, items } = await readRaw();
+  const issues = [];
+
+  if (!Array.isArray(sections)) {
+    const snapshot = await findValidSnapshot(STORAGE_KEYS.BACKUP_SECTIONS, isValidSectionList);
+    issues.push({
+      id: 'sections-unreadable',
+      type: 'sections-unreadable',
+      title: 'Section list is damaged',
+      detail: 'The list of sections could not be read, so nothing else could be checked.',
+      repairs: snapshot ? [{ action: 'restore-snapshot', label: 'Restore Snapshot' }] : [],
+    });
+    return { keyCount, issues };
+  }
+
+  const malformedSections = sections.filter(section => !isSectionRecord(section));
+  if (malformedSections.length > 0) {
+    issues.push({
+      id: 'malformed-sections',
+      type: 'malformed-sections',
+      title: `${plural(malformedSections.length, 'section is', 'sections are')} malformed`,
+      detail: 'Section records without an id or name. Fixing gives them one.',
+      repairs: [{ action: 'fix-sections', label: 'Fix' }],
+    });
+  }
+
+  const validSections = sortByOrder(sections.filter(isSectionRecord));
+
+  const idCounts = new Map();
+  validSections.forEach(section => idCounts.set(section.id, (idCounts.get(section.id) || 0) + 1));
+  const repeatedIds = [...idCounts.values()].filter(count => count > 1).length;
+  if (repeatedIds > 0) {
+    issues.push({
+      id: 'duplicate-section-ids',
+      type: 'duplicate-section-ids',
+      title: `${plural(repeatedIds, 'section is', 'sections are')} listed twice`,
+      detail: 'The same section appears more than once in the list. Only the first copy is kept.',
+      repairs: [{ action: 'keep-first', label: 'Remove Copies' }],
+    });
+  }
+
+  const uniqueSections = validSections.filter(
+    (section, index) => validSections.findIndex(other => other.id === section.id) === index
+  );
+
+  const byName = new Map();
+  uniqueSections.forEach(section => {
+    const name = normalizeName(section.name);
+    byName.set(name, [...(byName.get(name) || []), section]);
+  });
+  for (const group of byName.values()) {
+    if (group.length > 1) {
+      issues.push({
+        id: `duplicate-name:${group[0].id}`,
+        type: 'duplicate-name',
+        sectionId: group[0].id,
+        title: `${group.length} sections are named "${group[0].name}"`,
+        detail: 'Rename the copies, or merge their entries into the first one.',
+        repairs: [
+          { action: 'rename', label: 'Rename' },
+          { action: 'merge', label: 'Merge' },
+        ],
+      });
+    }
+  }
+
+  const seenItemIds = new Set();
+  for (const section of uniqueSections) {
+    if (!items.has(section.id)) {
+      issues.push({
+        id: `missing-items:${section.id}`,
+        type: 'missing-items',
+        sectionId: section.id,
+        title: `"${section.name}" has no entries list`,
+        detail: 'The section is listed but its entries were never stored.',
+        repairs: [{ action: 'create-empty', label: 'Create Empty List' }],
+      });
+      continue;
+    }
+
+    const sectionItems = items.get(section.id);
+    if (!Array.isArray(sectionItems)) {
+      const snapshot = await findValidSnapshot(STORAGE_KEYS.BACKUP_ITEMS + section.id, isValidItemList);
+      issues.push({
+        id: `items-unreadable:${section.id}`,
+        type: 'items-unreadable',
+        sectionId: section.id,
+        title: `Entries of "${section.name}" are damaged`,
+        detail: snapshot
+          ? 'They could not be read. A snapshot is available.'
+          : 'They could not be read and there is no snapshot to restore.',
+        repairs: [
+          ...(snapshot ? [{ action: 'restore-snapshot', label: 'Restore Snapshot' }] : []),
+          { action: 'reset', label: 'Empty It' },
+        ],
+      });
+      continue;
+    }
+
+    let malformed = 0;
+    let duplicateIds = 0;
+    sectionItems.forEach(item => {
+      if (!isEntryRecord(item)) {
+        malformed += 1;
+      } else if (seenItemIds.has(item.id)) {
+        duplicateIds += 1;
+      } else {
+        seenItemIds.add(item.id);
+      }
+    });
+
+    if (malformed + duplicateIds > 0) {
+      const problems = [
+        malformed > 0 ? `${plural(malformed, 'entry is', 'entries are')} missing an id or text` : null,
+        duplicateIds > 0 ? `${plural(duplicateIds, 'entry shares', 'entries share')} an id with another entry` : null,
+      ].filter(Boolean);
+
+      issues.push({
+        id: `malformed-entries:${section.id}`,
+        type: 'malformed-entries',
+        sectionId: section.id,
+        title: `Problems with entries in "${section.name}"`,
+        detail: `${problems.join('; ')}.`,
+        repairs: [{ action: 'fix-entries', label: 'Fix Entries' }],
+      });
+    }
+  }
+
+  const liveIds = new Set(uniqueSections.map(section => section.id));
+  for (const [sectionId, orphanItems] of items) {
+    if (liveIds.has(sectionId)) {
+      continue;
+    }
+
+    const readable = Array.isArray(orphanItems);
+    issues.push({
+      id: `orphan-items:${sectionId}`,
+      type: 'orphan-items',
+      sectionId,
+      title: readable
+        ? `${plural(orphanItems.length, 'entry belongs', 'entries belong')} to no section`
+        : 'Unreadable entries belong to no section',
+      detail: 'Left behind by an interrupted restore or delete.',
+      repairs: [
+        ...(readable ? [{ action: 'adopt', label: 'Adopt as Section' }] : []),
+        { action: 'drop', label: 'Delete' },
+      ],
+    });
+  }
+
+  return { keyCount, issues };
+};
+
+// Gives duplicate names a " (2)", " (3)"... suffix, keeping the first
+const renameDuplicates = (sections, name) => {
+  const taken = new Set(sections.map(section => normalizeName(section.name)));
+  let copy = 1;
+
+  return sections.map((section, index) => {
+    const isFirst = sections.findIndex(other => normalizeName(other.name) === name) === index;
+    if (normalizeName(section.name) !== name || isFirst) {
+      return section;
+    }
+
+    let candidate;
+    do {
+      copy += 1;
+      candidate = `${section.name.trim()} (${copy})`;
+    } while (taken.has(normalizeName(candidate)));
+    taken.add(normalizeName(candidate));
+
+    return { ...section, name: candidate };
+  });
+};
+
+// Turns whatever is stored into well-formed entries with ids unique
+// across `usedIds`, which is updated as ids are claimed
+const fixEntries = (sectionItems, usedIds) => sectionItems
+  .filter(item => item && typeof item === 'object')
+  .map(item => {
+    const text = typeof item.text === 'string' ? item.text : String(item.text ?? '');
+    const createdAt = toISOTimestamp(item.createdAt) || new Date().toISOString();
+    const lastModified = toISOTimestamp(item.lastModified) || createdAt;
+    const id = typeof item.id === 'string' && !usedIds.has(item.id) ? item.id : generateId();
+    usedIds.add(id);
+
+    return {
+      ...item,
+      id,
+      text,
+      createdAt,
+      lastModified,
+      revisions: Array.isArray(item.revisions) && item.revisions.length > 0
+        ? item.revisions
+        : [createRevision(text, lastModified)],
+    };
+  });
+
+// Non-object records are left in place (and unordered) until they are fixed
+const writeSections = (sections) => [
+  STORAGE_KEYS.SECTIONS,
+  JSON.stringify(sections.every(section => section && typeof section === 'object') ? withOrder(sections) : sections),
+];
+
+// Callers hold the locks `repairIssue` takes
+const applyRepair = async (issue, action) => {
+  const { sections, items } = await readRaw();
+  // kept in stored order, malformed records included, so nothing is lost on write
+  const sectionsList = Array.isArray(sections) ? sections : [];
+  const records = sectionsList.filter(isSectionRecord);
+
+  switch (`${issue.type}/${action}`) {
+    case 'sections-unreadable/restore-snapshot': {
+      const snapshot = await findValidSnapshot(STORAGE_KEYS.BACKUP_SECTIONS, isValidSectionList);
+      if (!snapshot) {
+        throw new Error('No valid snapshot found');
+      }
+      return runAtomic({ set: [writeSections(snapshot.data)] });
+    }
+
+    case 'malformed-sections/fix-sections':
+      return runAtomic({
+        set: [writeSections(sectionsList
+          .filter(section => section && typeof section === 'object')
+          .map(section => (isSectionRecord(section) ? section : {
+            ...createSection('Untitled section'),
+            ...section,
+            id: typeof section.id === 'string' ? section.id : generateId(),
+            name: typeof section.name === 'string' && section.name.trim() !== ''
+              ? section.name
+              : 'Untitled section',
+          })))],
+      });
+
+    case 'duplicate-section-ids/keep-first':
+      return runAtomic({
+        set: [writeSections(sectionsList.filter((section, index) =>
+          !isSectionRecord(section) || sectionsList.findIndex(other => other.id === section.id) === index
+        ))],
+      });
+
+    case 'duplicate-name/rename': {
+      const first = records.find(section => section.id === issue.sectionId);
+      if (!first) {
+        throw new Error('Section not found');
+      }
+      return runAtomic({ set: [writeSections(renameDuplicates(sectionsList, normalizeName(first.name)))] });
+    }
+
+    case 'duplicate-name/merge': {
+      const first = records.find(section => section.id === issue.sectionId);
+      if (!first) {
+        throw new Error('Section not found');
+      }
+
+      const copies = records.filter(section =>
+        section.id !== first.id && normalizeName(section.name) === normalizeName(first.name)
+      );
+      const merged = Array.isArray(items.get(first.id)) ? [...items.get(first.id)] : [];
+      const mergedIds = new Set(merged.map(item => item.id));
+      copies.forEach(copy => {
+        (Array.isArray(items.get(copy.id)) ? items.get(copy.id) : []).forEach(item => {
+          if (!mergedIds.has(item.id)) {
+            mergedIds.add(item.id);
+            merged.push(item);
+          }
+        });
+      });
+
+      const writes = await planItemList(first.id, merged);
+      const copyKeys = [];
+      for (const copy of copies) {
+        copyKeys.push(...await listItemKeys(copy.id));
+      }
+
+      return runAtomic({
+        set: [writeSections(sectionsList.filter(section => !copies.includes(section))), ...writes.set],
+        remove: [...writes.remove, ...copyKeys],
+      });
+    }
+
+    case 'missing-items/create-empty':
+    case 'items-unreadable/reset':
+      return runAtomic(await planItemList(issue.sectionId, []));
+
+    case 'items-unreadable/restore-snapshot': {
+      const snapshot = await findValidSnapshot(STORAGE_KEYS.BACKUP_ITEMS + issue.sectionId, isValidItemList);
+      if (!snapshot) {
+        throw new Error('No valid snapshot found');
+      }
+      return runAtomic(await planItemList(issue.sectionId, snapshot.data));
+    }
+
+    case 'malformed-entries/fix-entries': {
+      // ids already claimed by sections listed before this one stay theirs
+      const usedIds = new Set();
+      for (const section of sortByOrder(records)) {
+        if (section.id === issue.sectionId) {
+          break;
+        }
+        const earlier = items.get(section.id);
+        (Array.isArray(earlier) ? earlier : []).forEach(item => item && usedIds.add(item.id));
+      }
+
+      const current = items.get(issue.sectionId);
+      return runAtomic(await planItemList(issue.sectionId, fixEntries(Array.isArray(current) ? current : [], usedIds)));
+    }
+
+    case 'orphan-items/adopt': {
+      const orphanItems = items.get(issue.sectionId);
+      if (!Array.isArray(orphanItems)) {
+        throw new Error('Entries could not be read');
+      }
+
+      const known = await findSectionRecord(issue.sectionId);
+      const baseName = known ? known.name : 'Recovered entries';
+      const name = findSectionByName(records, baseName) ? `${baseName} (restored)` : baseName;
+      const section = { ...(known || createSection(baseName)), id: issue.sectionId, name };
+
+      return runAtomic({ set: [writeSections([...sectionsList, section])] });
+    }
+
+    case 'orphan-items/drop':
+      return runAtomic({ remove: await listItemKeys(issue.sectionId) });
+
+    default:
+      throw new Error(`Unknown repair "${action}" for ${issue.type}`);
+  }
+};
+
+/**
+ * Applies one of an issue's repairs. Everything is re-read first, so a
+ * stale scan can't overwrite newer data, under the locks for the section
+ * list and the issue's section.
+ * @returns the previous values of the touched keys, for undo
+ */
+export const repairIssue = (issue, action) => withLock(
+  [SECTIONS_LOCK, ...(issue.sectionId ? [itemsLock(issue.sectionId)] : [])],
+  () => applyRepair(issue, action)
+);
@@ -0,0 +1,171 @@
+// app/storage/itemChunks.js
+
+import { storage } from './index';
+import { STORAGE_KEYS } from './keys';
+
+/**
+ * A section's entries are stored in chunks of at most CHUNK_SIZE, in
+ * list order (newest first):
+ *   `@diary_items_<section id>`                 -> index (below)
+ *   `@diary_item_chunk_<section id>#<chunk id>` -> [entry, ...]
+ * The index is
+ *   { version: 2, nextChunk, chunks: [{ id, ids: [entry id, ...] }], pinned: [entry id, ...] }
+ * and knows which chunk holds which entry, so saving one entry rewrites
+ * just its chunk and the index. `pinned` lets the first page reach down
+ * to every pinned entry, since those are listed first.
+ * Sections stored before chunking hold a plain array under the index
+ * key; migration 7 converts them, and they still read correctly until then.
+ */
+export const CHUNK_SIZE = 50;
+const INDEX_VERSION = 2;
+
+export const itemsIndexKey = (sectionId) => STORAGE_KEYS.ITEMS + sectionId;
+
+export const chunkKey = (sectionId, chunkId) => `${STORAGE_KEYS.ITEM_CHUNKS}${sectionId}#${chunkId}`;
+
+export const isItemIndex = (data) => Boolean(data) && !Array.isArray(data)
+  && data.version === INDEX_VERSION
+  && Number.isInteger(data.nextChunk)
+  && Array.isArray(data.pinned)
+  && Array.isArray(data.chunks)
+  && data.chunks.every(chunk => chunk && Number.isInteger(chunk.id) && Array.isArray(chunk.ids));
+
+export const emptyItemIndex = () => ({ version: INDEX_VERSION, nextChunk: 0, chunks: [], pinned: [] });
+
+export const countItems = (index) => index.chunks.reduce((total, chunk) => total + chunk.ids.length, 0);
+
+const parse = (raw) => {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return undefined;
+  }
+};
+
+const pinnedIds = (items) => items.filter(item => item && item.pinned).map(item => item.id);
+
+// Every chunk key stored for the section, including any the index lost track of
+const storedChunkKeys = async (sectionId, adapter) => {
+  const prefix = chunkKey(sectionId, '');
+  return (await adapter.keys()).filter(key => key.startsWith(prefix));
+};
+
+/**
+ * The writes that store `items` as the section's whole entry list,
+ * replacing whatever it had, as { set, remove } for `runAtomic`.
+ */
+export const planItemList = async (sectionId, items, adapter = storage) => {
+  const index = emptyItemIndex();
+  const set = [];
+
+  for (let start = 0; start < items.length; start += CHUNK_SIZE) {
+    const chunkItems = items.slice(start, start + CHUNK_SIZE);
+    const id = index.nextChunk;
+    index.nextChunk += 1;
+    index.chunks.push({ id, ids: chunkItems.map(item => item && item.id) });
+    set.push([chunkKey(sectionId, id), JSON.stringify(chunkItems)]);
+  }
+  index.pinned = pinnedIds(items);
+  set.unshift([itemsIndexKey(sectionId), JSON.stringify(index)]);
+
+  const written = new Set(set.map(([key]) => key));
+  const remove = (await storedChunkKeys(sectionId, adapter)).filter(key => !written.has(key));
+  return { set, remove };
+};
+
+/**
+ * Every key holding the section's entries, for removing them all.
+ */
+export const listItemKeys = async (sectionId, adapter = storage) =>
+  [itemsIndexKey(sectionId), ...(await storedChunkKeys(sectionId, adapter))];
+
+/**
+ * The writes that replace one chunk's entries with `chunkItems`, given
+ * the chunk's position in `index`. An emptied chunk is dropped and one
+ * grown past CHUNK_SIZE is split in two, so no other chunk is touched.
+ * @returns {{ set, remove, index }} the writes and the index after them
+ */
+export const planChunk = (sectionId, index, position, chunkItems) => {
+  const chunks = [...index.chunks];
+  const { id } = chunks[position];
+  let nextChunk = index.nextChunk;
+  const set = [];
+  const remove = [];
+
+  if (chunkItems.length === 0) {
+    chunks.splice(position, 1);
+    remove.push(chunkKey(sectionId, id));
+  } else if (chunkItems.length > CHUNK_SIZE) {
+    const half = Math.ceil(chunkItems.length / 2);
+    const first = chunkItems.slice(0, half);
+    const second = chunkItems.slice(half);
+    const secondId = nextChunk;
+    nextChunk += 1;
+
+    chunks.splice(position, 1, { id, ids: first.map(item => item.id) }, { id: secondId, ids: second.map(item => item.id) });
+    set.push([chunkKey(sectionId, id), JSON.stringify(first)], [chunkKey(sectionId, secondId), JSON.stringify(second)]);
+  } else {
+    chunks[position] = { id, ids: chunkItems.map(item => item.id) };
+    set.push([chunkKey(sectionId, id), JSON.stringify(chunkItems)]);
+  }
+
+  const before = new Set(index.chunks[position].ids);
+  const pinned = [
+    ...index.pinned.filter(pinnedId => !before.has(pinnedId)),
+    ...pinnedIds(chunkItems),
+  ];
+
+  const nextIndex = { ...index, nextChunk, chunks, pinned };
+  set.unshift([itemsIndexKey(sectionId), JSON.stringify(nextIndex)]);
+  return { set, remove, index: nextIndex };
+};
+
+/**
+ * Reads a section's index as stored.
+ * @returns the index, an array for a section stored before chunking,
+ *   null when nothing is stored, or undefined when it is unreadable
+ */
+export const readItemIndex = async (sectionId, adapter = storage) => {
+  const raw = await adapter.get(itemsIndexKey(sectionId));
+  if (raw === null) {
+    return null;
+  }
+
+  const data = parse(raw);
+  return Array.isArray(data) || isItemIndex(data) ? data : undefined;
+};
+
+/**
+ * Reads the chunks at positions [from, to) of `index`, joined in order.
+ * @returns the entries, or undefined if any chunk is missing or unreadable
+ */
+export const readChunks = async (sectionId, index, from = 0, to = index.chunks.length, adapter = storage) => {
+  const wanted = index.chunks.slice(from, to);
+  if (wanted.length === 0) {
+    return [];
+  }
+
+  const pairs = await adapter.multiGet(wanted.map(chunk => chunkKey(sectionId, chunk.id)));
+  const items = [];
+  for (const [, raw] of pairs) {
+    const chunkItems = raw === null ? undefined : parse(raw);
+    if (!Array.isArray(chunkItems)) {
+      return undefined;
+    }
+    items.push(...chunkItems);
+  }
+  return items;
+};
+
+/**
+ * Reads a section's whole entry list as stored, without any repair.
+ * @returns the entries, null when nothing is stored, or undefined when
+ *   the index or a chunk is unreadable
+ */
+export const readItemList = async (sectionId, adapter = storage) => {
+  const index = await readItemIndex(sectionId, adapter);
+  if (!index || Array.isArray(index)) {
+    return index;
+  }
+  return readChunks(sectionId, index, 0, index.chunks.length, adapter);
+};
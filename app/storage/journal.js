@@ -0,0 +1,135 @@
+// app/storage/journal.js
+
+import { storage, holdStorage } from './index';
+import { STORAGE_KEYS } from './keys';
+import { generateId } from '../utils/ids';
+
+// Only one journal record exists at a time, so atomic writes run one by one
+let queue = Promise.resolve();
+
+const applyChanges = async (adapter, set, remove) => {
+  await adapter.multiSet(set);
+  await adapter.multiRemove(remove);
+};
+
+const enqueue = (task) => {
+  const result = queue.then(task);
+  // keep the queue going even if this write fails
+  queue = result.catch(() => {});
+  return result;
+};
+
+// Journals the changes, applies them and clears the journal
+const writeJournaled = async (adapter, { set = [], remove = [] }) => {
+  const touchedKeys = [...set.map(([key]) => key), ...remove];
+  const before = await adapter.multiGet(touchedKeys);
+
+  await adapter.set(STORAGE_KEYS.JOURNAL, JSON.stringify({
+    id: generateId(),
+    startedAt: new Date().toISOString(),
+    set,
+    remove,
+    before,
+  }));
+
+  await applyChanges(adapter, set, remove);
+  await adapter.remove(STORAGE_KEYS.JOURNAL);
+  return before;
+};
+
+/**
+ * Writes several keys as one unit. The planned changes and the current
+ * values of every touched key are journaled first; if the app dies
+ * midway, `recoverJournal` finishes or undoes the write on next launch.
+ * @param {{ set?: [string, string][], remove?: string[] }} changes
+ * @returns {[string, string | null][]} the touched keys' previous values
+ */
+export const runAtomic = (changes, adapter = storage) => enqueue(() => writeJournaled(adapter, changes));
+
+/**
+ * Runs `task` with no other write in between: atomic writes queue up
+ * behind it and every other read or write through `storage` is held
+ * back (see `holdStorage`). `task` gets a function that applies changes like
+ * `runAtomic` through the given adapter, which must not be `storage`
+ * itself. For rewriting every stored value, as switching encryption
+ * keys does, where a write slipping in would be lost or left in the
+ * wrong format.
+ */
+export const runExclusive = (task) => enqueue(() => holdStorage(() =>
+  task((changes, adapter) => writeJournaled(adapter, changes))
+));
+
+// Lock name -> promise that settles when the last task holding it is done
+const locks = new Map();
+
+/**
+ * Runs `task` once every earlier task holding any of `lockNames` has
+ * finished. `runAtomic` only serializes applying a write, so a write
+ * planned from values read beforehand holds a lock from the read on;
+ * otherwise two quick writes could plan from the same values and the
+ * second would undo the first.
+ * @param {string[]} lockNames
+ * @param {() => Promise} task
+ */
+export const withLock = (lockNames, task) => {
+  const names = [...new Set(lockNames)];
+  const result = Promise.all(names.map(name => locks.get(name))).then(() => task());
+  const done = result.then(() => {}, () => {});
+
+  names.forEach(name => locks.set(name, done));
+  done.then(() => names.forEach(name => {
+    if (locks.get(name) === done) {
+      locks.delete(name);
+    }
+  }));
+
+  return result;
+};
+
+/**
+ * Atomically puts back the values `runAtomic` returned, e.g. to undo it.
+ */
+export const revertAtomic = (before, adapter = storage) => runAtomic({
+  set: before.filter(([, value]) => value !== null),
+  remove: before.filter(([, value]) => value === null).map(([key]) => key),
+}, adapter);
+
+/**
+ * Finishes an interrupted atomic write by replaying it, or, if it can't
+ * be replayed, rolls every touched key back to its previous value.
+ * Runs on app start before anything reads diary data.
+ * @returns {'clean' | 'discarded' | 'replayed' | 'rolled-back'}
+ */
+export const recoverJournal = async (adapter = storage) => {
+  const raw = await adapter.get(STORAGE_KEYS.JOURNAL);
+  if (raw === null) {
+    return 'clean';
+  }
+
+  let journal;
+  try {
+    journal = JSON.parse(raw);
+  } catch {
+    // The journal itself was never completely written, so none of
+    // its changes were applied either
+    await adapter.remove(STORAGE_KEYS.JOURNAL);
+    return 'discarded';
+  }
+
+  try {
+    await applyChanges(adapter, journal.set || [], journal.remove || []);
+    await adapter.remove(STORAGE_KEYS.JOURNAL);
+    return 'replayed';
+  } catch (error) {
+    console.error('Replaying journal failed, rolling back:', error);
+  }
+
+  const before = journal.before || [];
+  await applyChanges(
+    adapter,
+    before.filter(([, value]) => value !== null),
+    before.filter(([, value]) => value === null).map(([key]) => key)
+  );
+  await adapter.remove(STORAGE_KEYS.JOURNAL);
+  return 'rolled-back';
+};
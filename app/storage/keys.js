@@ -0,0 +1,19 @@
+// app/storage/keys.js
+
+export const STORAGE_KEYS = {
+  SECTIONS: '@diary_sections',
+  ITEMS: '@diary_items_',
+  ITEM_CHUNKS: '@diary_item_chunk_',
+  BACKUP_SECTIONS: '@backup_diary_sections',
+  BACKUP_ITEMS: '@backup_diary_items_',
+  BACKUP_METADATA: '@backup_metadata',
+  SCHEMA_VERSION: '@diary_schema_version',
+  SETTINGS: '@diary_settings',
+  TRASH: '@diary_trash',
+  JOURNAL: '@diary_journal',
+  SEARCH_INDEX: '@diary_search_index',
+  STATISTICS: '@diary_statistics',
+  SECTION_VIEWS: '@diary_section_views',
+  ENCRYPTION: '@diary_encryption',
+  APP_LOCK: '@diary_app_lock',
+};
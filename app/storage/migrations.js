@@ -0,0 +1,393 @@
+// app/storage/migrations.js
+
+import { storage } from './index';
+import { STORAGE_KEYS } from './keys';
+import { planItemList } from './itemChunks';
+import { runAtomic } from './journal';
+import { createStagingAdapter } from './adapters/stagingAdapter';
+import { generateId } from '../utils/ids';
+import { toISOTimestamp } from '../utils/dateFormat';
+import { createRevision } from '../utils/revisions';
+import { createSection, SECTION_ICONS, SECTION_COLORS } from '../utils/sections';
+
+const readJSON = async (adapter, key, fallback) => {
+  const raw = await adapter.get(key);
+  if (raw === null) {
+    return fallback;
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch {
+    throw new Error(`Stored data under "${key}" is not valid JSON`);
+  }
+};
+
+/**
+ * Ordered list of schema migrations. Each entry upgrades the stored data
+ * from `version - 1` to `version` in place, through the adapter it is
+ * given (the live store, or a scratch copy of an imported backup).
+ * Never edit a migration once it has shipped - add a new one at the end.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Normalize section list and item arrays',
+    up: async (adapter) => {
+      const sections = await readJSON(adapter, STORAGE_KEYS.SECTIONS, []);
+      if (!Array.isArray(sections)) {
+        throw new Error('Section list is not an array');
+      }
+
+      const cleanSections = [...new Set(
+        sections.filter(section => typeof section === 'string' && section.trim() !== '')
+      )];
+
+      await adapter.set(STORAGE_KEYS.SECTIONS, JSON.stringify(cleanSections));
+
+      for (const section of cleanSections) {
+        const itemsKey = STORAGE_KEYS.ITEMS + section;
+        const items = await readJSON(adapter, itemsKey, null);
+        if (items === null) {
+          continue;
+        }
+
+        const cleanItems = Array.isArray(items)
+          ? items.filter(item => item && typeof item === 'object')
+          : [];
+
+        await adapter.set(itemsKey, JSON.stringify(cleanItems));
+      }
+    },
+  },
+  {
+    version: 2,
+    description: 'Give every entry a unique string id',
+    up: async (adapter) => {
+      const sections = await readJSON(adapter, STORAGE_KEYS.SECTIONS, []);
+      const seenIds = new Set();
+
+      for (const section of sections) {
+        const itemsKey = STORAGE_KEYS.ITEMS + section;
+        const items = await readJSON(adapter, itemsKey, null);
+        if (items === null) {
+          continue;
+        }
+
+        // Keep the first holder of an id so links to it stay valid,
+        // and re-number any later entry that collides with it.
+        const uniqueItems = items.map(item => {
+          let id = item.id === undefined || item.id === null ? '' : String(item.id);
+          if (id === '' || seenIds.has(id)) {
+            id = generateId();
+          }
+          seenIds.add(id);
+          return { ...item, id };
+        });
+
+        await adapter.set(itemsKey, JSON.stringify(uniqueItems));
+      }
+    },
+  },
+  {
+    version: 3,
+    description: 'Store entry timestamps as ISO-8601',
+    up: async (adapter) => {
+      const sections = await readJSON(adapter, STORAGE_KEYS.SECTIONS, []);
+      const migratedAt = new Date().toISOString();
+
+      for (const section of sections) {
+        const itemsKey = STORAGE_KEYS.ITEMS + section;
+        const items = await readJSON(adapter, itemsKey, null);
+        if (items === null) {
+          continue;
+        }
+
+        const convertedItems = items.map(item => {
+          // Entries created before v2 used Date.now() as their id,
+          // which is a better creation time than nothing.
+          const createdAt = toISOTimestamp(item.createdAt)
+            || toISOTimestamp(item.id)
+            || toISOTimestamp(item.lastModified)
+            || migratedAt;
+          const lastModified = toISOTimestamp(item.lastModified) || createdAt;
+
+          return { ...item, createdAt, lastModified };
+        });
+
+        await adapter.set(itemsKey, JSON.stringify(convertedItems));
+      }
+    },
+  },
+  {
+    version: 4,
+    description: 'Start a revision history for every entry',
+    up: async (adapter) => {
+      const sections = await readJSON(adapter, STORAGE_KEYS.SECTIONS, []);
+
+      for (const section of sections) {
+        const itemsKey = STORAGE_KEYS.ITEMS + section;
+        const items = await readJSON(adapter, itemsKey, null);
+        if (items === null) {
+          continue;
+        }
+
+        const itemsWithHistory = items.map(item => (
+          Array.isArray(item.revisions) && item.revisions.length > 0
+            ? item
+            : { ...item, revisions: [createRevision(item.text || '', item.lastModified)] }
+        ));
+
+        await adapter.set(itemsKey, JSON.stringify(itemsWithHistory));
+      }
+    },
+  },
+  {
+    version: 5,
+    description: 'Turn section names into section records keyed by id',
+    up: async (adapter) => {
+      const storedSections = await readJSON(adapter, STORAGE_KEYS.SECTIONS, []);
+      const idsByName = new Map();
+      const pairs = [];
+      const staleKeys = [];
+
+      const sections = [];
+      for (const [index, entry] of storedSections.entries()) {
+        // Already converted by an earlier, interrupted run
+        if (entry && typeof entry === 'object') {
+          sections.push({ ...entry, order: index });
+          idsByName.set(entry.name, entry.id);
+          staleKeys.push(STORAGE_KEYS.ITEMS + entry.name, STORAGE_KEYS.BACKUP_ITEMS + entry.name);
+          continue;
+        }
+
+        const items = await readJSON(adapter, STORAGE_KEYS.ITEMS + entry, []);
+        const oldest = items.reduce(
+          (earliest, item) => (item.createdAt && item.createdAt < earliest ? item.createdAt : earliest),
+          new Date().toISOString()
+        );
+
+        const section = createSection(entry, {
+          createdAt: oldest,
+          icon: SECTION_ICONS[0],
+          color: SECTION_COLORS[0],
+          order: index,
+        });
+        sections.push(section);
+        idsByName.set(entry, section.id);
+
+        pairs.push([STORAGE_KEYS.ITEMS + section.id, JSON.stringify(items)]);
+        staleKeys.push(STORAGE_KEYS.ITEMS + entry);
+
+        const snapshot = await adapter.get(STORAGE_KEYS.BACKUP_ITEMS + entry);
+        if (snapshot !== null) {
+          pairs.push([STORAGE_KEYS.BACKUP_ITEMS + section.id, snapshot]);
+          staleKeys.push(STORAGE_KEYS.BACKUP_ITEMS + entry);
+        }
+      }
+
+      // Trashed entries remember which section they came from; sections
+      // that were deleted outright get an id of their own here.
+      const idForName = (name) => {
+        if (!idsByName.has(name)) {
+          idsByName.set(name, generateId());
+        }
+        return idsByName.get(name);
+      };
+
+      const trash = await readJSON(adapter, STORAGE_KEYS.TRASH, []);
+      const convertedTrash = trash.map(entry => {
+        if (entry.sectionId) {
+          return entry;
+        }
+        const sectionId = idForName(entry.sectionName);
+        return entry.type === 'section'
+          ? { ...entry, sectionId, section: createSection(entry.sectionName, { id: sectionId }) }
+          : { ...entry, sectionId };
+      });
+
+      pairs.push([STORAGE_KEYS.TRASH, JSON.stringify(convertedTrash)]);
+      pairs.push([STORAGE_KEYS.SECTIONS, JSON.stringify(sections)]);
+      await adapter.multiSet(pairs);
+
+      for (const key of staleKeys) {
+        await adapter.remove(key);
+      }
+    },
+  },
+  {
+    version: 6,
+    description: 'Keep internal snapshots in rotating slots',
+    up: async (adapter) => {
+      const keys = await adapter.keys();
+      const backupKeys = keys.filter(key =>
+        (key === STORAGE_KEYS.BACKUP_SECTIONS || key.startsWith(STORAGE_KEYS.BACKUP_ITEMS))
+        && !key.includes('#')
+      );
+
+      const pairs = [];
+      const staleKeys = [];
+
+      for (const key of backupKeys) {
+        let snapshot;
+        try {
+          snapshot = JSON.parse(await adapter.get(key));
+        } catch {
+          snapshot = null;
+        }
+
+        // Already converted by an earlier, interrupted run
+        if (snapshot && Array.isArray(snapshot.slots)) {
+          continue;
+        }
+        if (!snapshot || snapshot.data === undefined) {
+          staleKeys.push(key);
+          continue;
+        }
+
+        const timestamp = snapshot.timestamp || new Date().toISOString();
+        const count = Array.isArray(snapshot.data) ? snapshot.data.length : null;
+        pairs.push([`${key}#0`, JSON.stringify({ data: snapshot.data, timestamp })]);
+        pairs.push([key, JSON.stringify({ version: 2, slots: [{ slot: 0, timestamp, count }] })]);
+      }
+
+      await adapter.multiSet(pairs);
+      await adapter.multiRemove(staleKeys);
+    },
+  },
+  {
+    version: 7,
+    description: "Store each section's entries in chunks",
+    up: async (adapter) => {
+      const keys = await adapter.keys();
+      const itemKeys = keys.filter(key => key.startsWith(STORAGE_KEYS.ITEMS));
+
+      for (const key of itemKeys) {
+        let items;
+        try {
+          items = JSON.parse(await adapter.get(key));
+        } catch {
+          items = null;
+        }
+
+        // Already converted by an earlier, interrupted run, or damaged -
+        // loading the section recovers the latter from a snapshot
+        if (!Array.isArray(items)) {
+          continue;
+        }
+
+        const sectionId = key.slice(STORAGE_KEYS.ITEMS.length);
+        const [indexPair, ...chunkPairs] = (await planItemList(sectionId, items, adapter)).set;
+        // the index goes last, so the array stays until every chunk is in
+        await adapter.multiSet(chunkPairs);
+        await adapter.set(...indexPair);
+      }
+    },
+  },
+  {
+    version: 8,
+    description: 'Record the schema version of internal snapshots',
+    up: async (adapter) => {
+      // Snapshots were written back as they were, whatever schema they
+      // were saved under; only those already in today's shape get the
+      // version and can still be restored
+      const isSectionRecord = section => section
+        && typeof section.id === 'string' && typeof section.name === 'string';
+      const isCurrentItem = item => item
+        && typeof item.id === 'string' && typeof item.text === 'string'
+        && typeof item.createdAt === 'string' && Array.isArray(item.revisions);
+
+      const keys = await adapter.keys();
+      const indexKeys = keys.filter(key =>
+        (key === STORAGE_KEYS.BACKUP_SECTIONS || key.startsWith(STORAGE_KEYS.BACKUP_ITEMS))
+        && !key.includes('#')
+      );
+
+      for (const indexKey of indexKeys) {
+        const isCurrent = indexKey === STORAGE_KEYS.BACKUP_SECTIONS ? isSectionRecord : isCurrentItem;
+        let index;
+        try {
+          index = await readJSON(adapter, indexKey, null);
+        } catch {
+          index = null;
+        }
+        if (!index || !Array.isArray(index.slots)) {
+          continue;
+        }
+
+        const pairs = [];
+        const slots = [];
+        for (const entry of index.slots) {
+          const slotKey = `${indexKey}#${entry.slot}`;
+          let snapshot;
+          try {
+            snapshot = await readJSON(adapter, slotKey, null);
+          } catch {
+            snapshot = null;
+          }
+
+          if (snapshot && Array.isArray(snapshot.data) && snapshot.data.every(isCurrent)) {
+            pairs.push([slotKey, JSON.stringify({ ...snapshot, schemaVersion: 8 })]);
+            slots.push({ ...entry, schemaVersion: 8 });
+          } else {
+            slots.push(entry);
+          }
+        }
+
+        pairs.push([indexKey, JSON.stringify({ ...index, slots })]);
+        await adapter.multiSet(pairs);
+      }
+    },
+  },
+];
+
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+export const getSchemaVersion = async (adapter = storage) => {
+  const stored = await adapter.get(STORAGE_KEYS.SCHEMA_VERSION);
+  const version = stored === null ? 0 : parseInt(stored, 10);
+  return Number.isNaN(version) ? 0 : version;
+};
+
+/**
+ * Runs every pending migration in order. Each step's writes are staged
+ * and then applied in one atomic write along with the new schema
+ * version, so a step that fails or is interrupted leaves the data as
+ * the previous step left it, and the upgrade resumes from there.
+ * Never throws - the outcome is returned so the caller can report it.
+ */
+export const runMigrations = async (adapter = storage) => {
+  let fromVersion = 0;
+
+  try {
+    fromVersion = await getSchemaVersion(adapter);
+  } catch (error) {
+    return { success: false, fromVersion, failedVersion: null, error };
+  }
+
+  if (fromVersion > CURRENT_SCHEMA_VERSION) {
+    return {
+      success: false,
+      fromVersion,
+      failedVersion: null,
+      error: new Error(
+        `Stored data uses schema version ${fromVersion}, but this app only understands up to ${CURRENT_SCHEMA_VERSION}. Please update the app.`
+      ),
+    };
+  }
+
+  const pending = MIGRATIONS.filter(migration => migration.version > fromVersion);
+
+  for (const migration of pending) {
+    try {
+      const staging = createStagingAdapter(adapter);
+      await migration.up(staging);
+      await staging.set(STORAGE_KEYS.SCHEMA_VERSION, String(migration.version));
+      await runAtomic(staging.changes(), adapter);
+    } catch (error) {
+      return { success: false, fromVersion, failedVersion: migration.version, error };
+    }
+  }
+
+  return { success: true, fromVersion, toVersion: CURRENT_SCHEMA_VERSION };
+};
@@ -0,0 +1,179 @@
+// app/storage/recovery.js
+
+import { storage } from './index';
+import { STORAGE_KEYS } from './keys';
+import { listSnapshots, loadSnapshot, restoreFromBackup, isCurrentSnapshot } from './backups';
+import { runAtomic, withLock } from './journal';
+import {
+  loadSections,
+  isValidSectionList,
+  isValidItemList,
+  itemsLock,
+  SECTIONS_LOCK,
+  withEverySectionLocked,
+} from './diaryRepository';
+import { planItemList } from './itemChunks';
+import { planSectionsToTrash, TRASH_LOCK } from './trash';
+import { createSection, withOrder, findSectionByName } from '../utils/sections';
+
+// Live sections can't be read when the list itself is damaged
+const loadLiveSections = () => loadSections().catch(() => []);
+
+// Section records by id, from the live list first and then from the
+// section list snapshots (newest first), so deleted sections keep their name
+const collectKnownSections = async (liveSections, sectionLists) => {
+  const known = new Map(liveSections.map(section => [section.id, section]));
+
+  for (const { slot } of sectionLists) {
+    const snapshot = await loadSnapshot(STORAGE_KEYS.BACKUP_SECTIONS, slot);
+    if (snapshot && isValidSectionList(snapshot.data)) {
+      snapshot.data.forEach(section => {
+        if (!known.has(section.id)) {
+          known.set(section.id, section);
+        }
+      });
+    }
+  }
+
+  return known;
+};
+
+/**
+ * The last known record of a section, looked up in the section list
+ * snapshots. Null if no snapshot ever contained it.
+ */
+export const findSectionRecord = async (sectionId) => {
+  const known = await collectKnownSections([], await listSnapshots(STORAGE_KEYS.BACKUP_SECTIONS));
+  return known.get(sectionId) || null;
+};
+
+// Snapshots saved under an older schema can't be restored, so they aren't offered
+const listRestorable = async (backupKey) => (await listSnapshots(backupKey)).filter(isCurrentSnapshot);
+
+/**
+ * Everything the Recovery Center can restore from:
+ *   { sectionLists: snapshot[], sections: [{ sectionId, name, isLive, snapshots }] }
+ * where each snapshot is { slot, timestamp, count, schemaVersion }, newest first.
+ */
+export const listRecoveryPoints = async () => {
+  const [allSectionLists, liveSections, keys] = await Promise.all([
+    listSnapshots(STORAGE_KEYS.BACKUP_SECTIONS),
+    loadLiveSections(),
+    storage.keys(),
+  ]);
+  // older section lists still name sections deleted since
+  const known = await collectKnownSections(liveSections, allSectionLists);
+  const sectionLists = allSectionLists.filter(isCurrentSnapshot);
+
+  const sectionIds = keys
+    .filter(key => key.startsWith(STORAGE_KEYS.BACKUP_ITEMS) && !key.includes('#'))
+    .map(key => key.slice(STORAGE_KEYS.BACKUP_ITEMS.length));
+
+  const sections = [];
+  for (const sectionId of sectionIds) {
+    const snapshots = await listRestorable(STORAGE_KEYS.BACKUP_ITEMS + sectionId);
+    if (snapshots.length > 0) {
+      const live = liveSections.find(section => section.id === sectionId);
+      sections.push({
+        sectionId,
+        name: known.has(sectionId) ? known.get(sectionId).name : 'Unknown section',
+        isLive: Boolean(live),
+        order: live ? live.order : Infinity,
+        snapshots,
+      });
+    }
+  }
+
+  // sections still in the diary first, in their usual order
+  sections.sort((a, b) => a.order - b.order || a.name.localeCompare(b.name));
+
+  return { sectionLists, sections };
+};
+
+/**
+ * Puts one section's entries back as they were in a snapshot. A section
+ * that has since been deleted is re-created under its old name.
+ * @returns the previous values of the touched keys, for undo
+ */
+export const restoreSectionSnapshot = async (sectionId, slot) => {
+  const items = await restoreFromBackup(STORAGE_KEYS.BACKUP_ITEMS + sectionId, {
+    slot,
+    isValid: isValidItemList,
+  });
+  if (!items) {
+    throw new Error('Snapshot could not be read, or was saved by an older version of the app');
+  }
+
+  // held from the read on, so a section or entry written meanwhile isn't overwritten
+  return withLock([SECTIONS_LOCK, itemsLock(sectionId)], async () => {
+    const sections = await loadSections();
+    const { set, remove } = await planItemList(sectionId, items);
+
+    if (!sections.some(section => section.id === sectionId)) {
+      const record = await findSectionRecord(sectionId) || createSection('Recovered section', { id: sectionId });
+      const name = findSectionByName(sections, record.name) ? `${record.name} (restored)` : record.name;
+      set.push([STORAGE_KEYS.SECTIONS, JSON.stringify(withOrder([...sections, { ...record, name }]))]);
+    }
+
+    return runAtomic({ set, remove });
+  });
+};
+
+// The entries snapshot closest to a point in time: the newest one taken
+// at or before it, or failing that the earliest one after it
+const findItemsAsOf = async (sectionId, timestamp) => {
+  const backupKey = STORAGE_KEYS.BACKUP_ITEMS + sectionId;
+  const snapshots = await listRestorable(backupKey);
+  const before = snapshots.filter(snapshot => snapshot.timestamp <= timestamp);
+  const after = snapshots.filter(snapshot => snapshot.timestamp > timestamp).reverse();
+
+  for (const { slot } of [...before, ...after]) {
+    const items = await restoreFromBackup(backupKey, { slot, isValid: isValidItemList });
+    if (items) {
+      return items;
+    }
+  }
+  return null;
+};
+
+/**
+ * Rolls the whole diary back to a section list snapshot, with each
+ * section's entries taken from the snapshot nearest to that moment.
+ * Sections that weren't in the diary then go to the Trash, entries and all.
+ * @returns the previous values of the touched keys, for undo
+ */
+export const restoreAllFromSnapshot = async (slot) => {
+  const snapshot = await loadSnapshot(STORAGE_KEYS.BACKUP_SECTIONS, slot);
+  if (!snapshot || !isCurrentSnapshot(snapshot) || !isValidSectionList(snapshot.data)) {
+    throw new Error('Snapshot could not be read, or was saved by an older version of the app');
+  }
+
+  const restoredItems = new Map();
+  for (const section of snapshot.data) {
+    // no usable snapshot - leave whatever entries the section has now
+    restoredItems.set(section.id, await findItemsAsOf(section.id, snapshot.timestamp));
+  }
+
+  return withEverySectionLocked(restoredItems.keys(), async () => {
+    const currentSections = await loadLiveSections();
+    const set = [[STORAGE_KEYS.SECTIONS, JSON.stringify(withOrder(snapshot.data))]];
+    const remove = [];
+
+    for (const [sectionId, items] of restoredItems) {
+      if (items) {
+        const writes = await planItemList(sectionId, items);
+        set.push(...writes.set);
+        remove.push(...writes.remove);
+      }
+    }
+
+    const dropped = currentSections.filter(section => !restoredItems.has(section.id));
+    if (dropped.length > 0) {
+      const trashing = await planSectionsToTrash(dropped);
+      set.push(...trashing.set);
+      remove.push(...trashing.remove);
+    }
+
+    return runAtomic({ set, remove });
+  }, [TRASH_LOCK]);
+};
@@ -0,0 +1,291 @@
+// app/storage/searchIndex.js
+
+import { readJSON, writeJSON } from './index';
+import { STORAGE_KEYS } from './keys';
+import { loadSections, loadItems } from './diaryRepository';
+import { tokenize, parseQuery, isEmptyQuery, matchesQuery, buildSnippet } from '../utils/searchText';
+import { itemTags } from '../utils/tags';
+
+const INDEX_VERSION = 4;
+
+/**
+ * The search index is one JSON value:
+ *   { version,
+ *     terms: { word: [entry key, ...] },
+ *     tags: { tag: [entry key, ...] },
+ *     entries: { entry key: { sectionId, itemId, terms, tags, favourite } } }
+ * An entry key is "<section id>/<entry id>". `entries` remembers each
+ * entry's words and tags so it can be taken out again.
+ * It only ever holds data derived from the diary, so it's never backed
+ * up and can be rebuilt at any time.
+ */
+let cached = null;
+
+// Every change rewrites the whole index, so changes run one by one
+let queue = Promise.resolve();
+
+const listeners = new Set();
+
+const emptyIndex = () => ({ version: INDEX_VERSION, terms: {}, tags: {}, entries: {} });
+
+// The stored index, or null when there is none (or an outdated one)
+const loadIndex = async () => {
+  if (!cached) {
+    try {
+      const stored = await readJSON(STORAGE_KEYS.SEARCH_INDEX);
+      cached = stored && stored.version === INDEX_VERSION ? stored : null;
+    } catch (error) {
+      console.error('Error reading search index:', error);
+      cached = null;
+    }
+  }
+  return cached;
+};
+
+const enqueue = (task) => {
+  const result = queue.then(task);
+  queue = result.catch(() => {});
+  return result;
+};
+
+const notify = () => {
+  listeners.forEach(listener => listener());
+};
+
+// `postings` is index.terms or index.tags
+const removePostings = (postings, keys, entryKey) => {
+  keys.forEach(key => {
+    const remaining = (postings[key] || []).filter(candidate => candidate !== entryKey);
+    if (remaining.length > 0) {
+      postings[key] = remaining;
+    } else {
+      delete postings[key];
+    }
+  });
+};
+
+const addPostings = (postings, keys, entryKey) => {
+  keys.forEach(key => {
+    postings[key] = [...(postings[key] || []), entryKey];
+  });
+};
+
+const entryKeyOf = (sectionId, itemId) => `${sectionId}/${itemId}`;
+
+const removeEntry = (index, entryKey) => {
+  const entry = index.entries[entryKey];
+  if (!entry) {
+    return;
+  }
+
+  removePostings(index.terms, entry.terms, entryKey);
+  removePostings(index.tags, entry.tags, entryKey);
+  delete index.entries[entryKey];
+};
+
+const addEntry = (index, sectionId, item) => {
+  const entryKey = entryKeyOf(sectionId, item.id);
+  removeEntry(index, entryKey);
+
+  const terms = tokenize(item.text);
+  const tags = itemTags(item);
+  index.entries[entryKey] = { sectionId, itemId: item.id, terms, tags, favourite: Boolean(item.favourite) };
+  addPostings(index.terms, terms, entryKey);
+  addPostings(index.tags, tags, entryKey);
+};
+
+const buildIndex = async () => {
+  const index = emptyIndex();
+
+  for (const section of await loadSections()) {
+    try {
+      (await loadItems(section.id)).forEach(item => addEntry(index, section.id, item));
+    } catch (error) {
+      // a damaged section just stays out of the results
+      console.error(`Error indexing section ${section.id}:`, error);
+    }
+  }
+
+  await writeJSON(STORAGE_KEYS.SEARCH_INDEX, index);
+  cached = index;
+  notify();
+  return index;
+};
+
+// Applies a change to the index; a missing index is rebuilt instead,
+// which already picks up the change from storage
+const updateIndex = (change) => enqueue(async () => {
+  const index = await loadIndex();
+  if (!index) {
+    await buildIndex();
+    return;
+  }
+
+  change(index);
+  await writeJSON(STORAGE_KEYS.SEARCH_INDEX, index);
+  notify();
+});
+
+/**
+ * Adds an entry to the index, or refreshes it after an edit.
+ */
+export const indexEntry = (sectionId, item) => updateIndex(index => addEntry(index, sectionId, item));
+
+export const unindexEntry = (sectionId, itemId) =>
+  updateIndex(index => removeEntry(index, entryKeyOf(sectionId, itemId)));
+
+const removeSectionEntries = (index, sectionId) => {
+  Object.keys(index.entries)
+    .filter(entryKey => index.entries[entryKey].sectionId === sectionId)
+    .forEach(entryKey => removeEntry(index, entryKey));
+};
+
+export const unindexSection = (sectionId) => updateIndex(index => removeSectionEntries(index, sectionId));
+
+/**
+ * Indexes `items` as the section's entries, in place of whatever was
+ * indexed for it before (e.g. after an undo rewrote the section).
+ */
+export const reindexSection = (sectionId, items) => updateIndex(index => {
+  removeSectionEntries(index, sectionId);
+  items.forEach(item => addEntry(index, sectionId, item));
+});
+
+/**
+ * Indexes the whole diary from scratch. Used whenever storage changed
+ * in ways the index didn't see (undo, restores, imports, repairs).
+ */
+export const rebuildSearchIndex = () => enqueue(buildIndex);
+
+/**
+ * Builds the index if there isn't one yet, e.g. on first launch after
+ * updating or after the stored index was lost.
+ */
+export const ensureSearchIndex = () => enqueue(async () => {
+  if (!(await loadIndex())) {
+    await buildIndex();
+  }
+});
+
+/**
+ * Calls `listener` after every change to the index. Screens built from
+ * the index re-read it then, since the store changes before the index
+ * has caught up.
+ * @returns a function that unsubscribes
+ */
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Keys of the entries that have every word of the query, according to the index
+const findCandidates = (index, { words, phrases }) => {
+  const allTerms = Object.keys(index.terms);
+  let candidates = null;
+
+  const narrow = (ids) => {
+    candidates = candidates === null ? ids : new Set([...candidates].filter(id => ids.has(id)));
+  };
+
+  words.forEach(prefix => {
+    const ids = new Set();
+    allTerms
+      .filter(term => term.startsWith(prefix))
+      .forEach(term => index.terms[term].forEach(id => ids.add(id)));
+    narrow(ids);
+  });
+
+  // the index knows words, not their order - phrases are checked against the text later
+  phrases.flat().forEach(word => narrow(new Set(index.terms[word] || [])));
+
+  return candidates || new Set();
+};
+
+// Loads the given entries, grouped by section, and keeps those `isMatch`
+// accepts - the text is the source of truth, in case the index is behind
+const loadEntries = async (index, entryKeys, isMatch) => {
+  const idsBySection = new Map();
+  entryKeys.forEach(entryKey => {
+    const entry = index.entries[entryKey];
+    if (entry) {
+      idsBySection.set(entry.sectionId, [...(idsBySection.get(entry.sectionId) || []), entry.itemId]);
+    }
+  });
+
+  const sections = await loadSections();
+  const found = [];
+
+  for (const [sectionId, ids] of idsBySection) {
+    const section = sections.find(candidate => candidate.id === sectionId);
+    if (!section) {
+      continue;
+    }
+
+    const wanted = new Set(ids);
+    (await loadItems(section.id))
+      .filter(item => wanted.has(item.id) && isMatch(item))
+      .forEach(item => found.push({ section, item }));
+  }
+
+  return found.sort((a, b) => new Date(b.item.lastModified) - new Date(a.item.lastModified));
+};
+
+/**
+ * Searches every section, or just `sectionId`. Bare words match any word
+ * they start; "quoted phrases" must appear word for word.
+ * @returns {{ section, item, snippet }[]} newest edits first, where
+ *   snippet is [{ text, match }] for highlighting
+ */
+export const searchEntries = async (query, { sectionId = null, limit = 100 } = {}) => {
+  const parsed = parseQuery(query);
+  if (isEmptyQuery(parsed)) {
+    return [];
+  }
+
+  await ensureSearchIndex();
+  const index = await loadIndex();
+
+  const candidates = [...findCandidates(index, parsed)]
+    .filter(entryKey => !sectionId || (index.entries[entryKey] || {}).sectionId === sectionId);
+  const found = await loadEntries(index, candidates, item => matchesQuery(item.text, parsed));
+
+  return found
+    .slice(0, limit)
+    .map(result => ({ ...result, snippet: buildSnippet(result.item.text, parsed) }));
+};
+
+/**
+ * Every tag in the diary with the number of entries using it,
+ * most used first: [{ tag, count }]
+ */
+export const listTags = async () => {
+  await ensureSearchIndex();
+  const index = await loadIndex();
+
+  return Object.entries(index.tags)
+    .map(([tag, ids]) => ({ tag, count: ids.length }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+};
+
+/**
+ * The entries tagged `tag`, from every section, newest edits first.
+ * @returns {{ section, item }[]}
+ */
+export const findTaggedEntries = async (tag) => {
+  await ensureSearchIndex();
+  const index = await loadIndex();
+
+  return loadEntries(index, index.tags[tag] || [], item => itemTags(item).includes(tag));
+};
+
+/**
+ * Every entry marked as a favourite, from every section, newest edits first.
+ * @returns {{ section, item }[]}
+ */
+export const findFavouriteEntries = async () => {
+  await ensureSearchIndex();
+  const index = await loadIndex();
+
+  const keys = Object.keys(index.entries).filter(entryKey => index.entries[entryKey].favourite);
+  return loadEntries(index, keys, item => Boolean(item.favourite));
+};
@@ -0,0 +1,33 @@
+// app/storage/sectionViews.js
+
+import { readJSON, writeJSON } from './index';
+import { STORAGE_KEYS } from './keys';
+
+// newest entries first, like the stored order
+export const DEFAULT_SECTION_VIEW = { sort: 'created', ascending: false };
+
+/**
+ * How each section lists its entries, by section id. Kept apart from the
+ * section records so changing the sort doesn't use up a snapshot.
+ */
+const loadSectionViews = async () => {
+  try {
+    return await readJSON(STORAGE_KEYS.SECTION_VIEWS, {});
+  } catch (error) {
+    console.error('Error loading section views:', error);
+    return {};
+  }
+};
+
+export const loadSectionView = async (sectionId) => {
+  const views = await loadSectionViews();
+  return { ...DEFAULT_SECTION_VIEW, ...views[sectionId] };
+};
+
+export const saveSectionView = async (sectionId, changes) => {
+  const views = await loadSectionViews();
+  const next = { ...DEFAULT_SECTION_VIEW, ...views[sectionId], ...changes };
+
+  await writeJSON(STORAGE_KEYS.SECTION_VIEWS, { ...views, [sectionId]: next });
+  return next;
+};
@@ -0,0 +1,52 @@
+// app/storage/settings.js
+
+import { readJSON, writeJSON } from './index';
+import { STORAGE_KEYS } from './keys';
+
+export const DEFAULT_SETTINGS = {
+  // how many versions of each entry to keep in its history
+  revisionLimit: 20,
+  // days a deleted entry or section stays in the Trash before it is purged
+  trashRetentionDays: 30,
+  // internal snapshots kept per section list and per section's entries
+  snapshotGenerations: 5,
+  // minutes in the background before the PIN lock closes the diary again
+  autoLockMinutes: 1,
+};
+
+export const SETTING_LIMITS = {
+  revisionLimit: { min: 1, max: 100 },
+  trashRetentionDays: { min: 1, max: 365 },
+  snapshotGenerations: { min: 1, max: 20 },
+  autoLockMinutes: { min: 0, max: 60 },
+};
+
+const clampSetting = (key, value) => {
+  const limits = SETTING_LIMITS[key];
+  if (!limits || typeof value !== 'number') {
+    return value;
+  }
+  return Math.min(limits.max, Math.max(limits.min, Math.round(value)));
+};
+
+export const loadSettings = async () => {
+  try {
+    const stored = await readJSON(STORAGE_KEYS.SETTINGS, {});
+    return { ...DEFAULT_SETTINGS, ...stored };
+  } catch (error) {
+    console.error('Error loading settings:', error);
+    return { ...DEFAULT_SETTINGS };
+  }
+};
+
+export const saveSettings = async (changes) => {
+  const current = await loadSettings();
+  const next = { ...current };
+
+  for (const [key, value] of Object.entries(changes)) {
+    next[key] = clampSetting(key, value);
+  }
+
+  await writeJSON(STORAGE_KEYS.SETTINGS, next);
+  return next;
+};
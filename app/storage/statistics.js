@@ -0,0 +1,201 @@
+// app/storage/statistics.js
+
+import { readJSON, writeJSON } from './index';
+import { STORAGE_KEYS } from './keys';
+import { loadSections, loadItems } from './diaryRepository';
+import { countWords } from '../utils/searchText';
+
+const STATS_VERSION = 1;
+
+/**
+ * Writing statistics are one JSON value:
+ *   { version, entries: { entry key: { sectionId, words, createdAt, lastModified } } }
+ * with entry keys as in the search index ("<section id>/<entry id>").
+ * Keeping a record per entry lets an edit or delete adjust the totals
+ * without reading the section again. Like the search index it only holds
+ * data derived from the diary, so it's never backed up and can be
+ * rebuilt at any time.
+ */
+let cached = null;
+
+// Every change rewrites the whole value, so changes run one by one
+let queue = Promise.resolve();
+
+const listeners = new Set();
+
+const emptyStats = () => ({ version: STATS_VERSION, entries: {} });
+
+// The stored statistics, or null when there are none (or outdated ones)
+const loadStats = async () => {
+  if (!cached) {
+    try {
+      const stored = await readJSON(STORAGE_KEYS.STATISTICS);
+      cached = stored && stored.version === STATS_VERSION ? stored : null;
+    } catch (error) {
+      console.error('Error reading statistics:', error);
+      cached = null;
+    }
+  }
+  return cached;
+};
+
+const enqueue = (task) => {
+  const result = queue.then(task);
+  queue = result.catch(() => {});
+  return result;
+};
+
+const notify = () => {
+  listeners.forEach(listener => listener());
+};
+
+const entryKeyOf = (sectionId, itemId) => `${sectionId}/${itemId}`;
+
+const addEntry = (stats, sectionId, item) => {
+  stats.entries[entryKeyOf(sectionId, item.id)] = {
+    sectionId,
+    words: countWords(item.text),
+    createdAt: item.createdAt,
+    lastModified: item.lastModified || item.createdAt,
+  };
+};
+
+const buildStats = async () => {
+  const stats = emptyStats();
+
+  for (const section of await loadSections()) {
+    try {
+      (await loadItems(section.id)).forEach(item => addEntry(stats, section.id, item));
+    } catch (error) {
+      // a damaged section just goes uncounted
+      console.error(`Error counting section ${section.id}:`, error);
+    }
+  }
+
+  await writeJSON(STORAGE_KEYS.STATISTICS, stats);
+  cached = stats;
+  notify();
+  return stats;
+};
+
+// Applies a change; missing statistics are rebuilt instead, which
+// already picks up the change from storage
+const updateStats = (change) => enqueue(async () => {
+  const stats = await loadStats();
+  if (!stats) {
+    await buildStats();
+    return;
+  }
+
+  change(stats);
+  await writeJSON(STORAGE_KEYS.STATISTICS, stats);
+  notify();
+});
+
+const later = (a, b) => (!a || (b && Date.parse(b) > Date.parse(a)) ? b : a);
+
+const monthOf = (isoString) => {
+  const date = new Date(isoString);
+  return `${date.getFullYear()}-${date.getMonth()}`;
+};
+
+/**
+ * Totals over the per-entry records:
+ *   { totalEntries, totalWords, lastActivity, activeMonths,
+ *     sections: { section id: { count, words, lastActivity } } }
+ * where lastActivity is the latest time an entry was written or edited
+ * (null with no entries) and activeMonths counts the months entries
+ * were started in.
+ */
+const summarize = (stats) => {
+  const summary = { totalEntries: 0, totalWords: 0, lastActivity: null, activeMonths: 0, sections: {} };
+  const months = new Set();
+
+  Object.values(stats.entries).forEach(entry => {
+    const section = summary.sections[entry.sectionId] || { count: 0, words: 0, lastActivity: null };
+    section.count += 1;
+    section.words += entry.words;
+    section.lastActivity = later(section.lastActivity, entry.lastModified);
+    summary.sections[entry.sectionId] = section;
+
+    summary.totalEntries += 1;
+    summary.totalWords += entry.words;
+    summary.lastActivity = later(summary.lastActivity, entry.lastModified);
+    if (entry.createdAt) {
+      months.add(monthOf(entry.createdAt));
+    }
+  });
+
+  summary.activeMonths = months.size;
+  return summary;
+};
+
+export const EMPTY_STATISTICS = summarize(emptyStats());
+
+/**
+ * Counts an entry, or recounts it after an edit.
+ */
+export const recordEntry = (sectionId, item) => updateStats(stats => addEntry(stats, sectionId, item));
+
+export const forgetEntry = (sectionId, itemId) => updateStats(stats => {
+  delete stats.entries[entryKeyOf(sectionId, itemId)];
+});
+
+const removeSectionEntries = (stats, sectionId) => {
+  Object.keys(stats.entries)
+    .filter(entryKey => stats.entries[entryKey].sectionId === sectionId)
+    .forEach(entryKey => delete stats.entries[entryKey]);
+};
+
+export const forgetSection = (sectionId) => updateStats(stats => removeSectionEntries(stats, sectionId));
+
+/**
+ * Counts `items` as the section's entries, in place of whatever was
+ * counted for it before (e.g. after an undo rewrote the section).
+ */
+export const recountSection = (sectionId, items) => updateStats(stats => {
+  removeSectionEntries(stats, sectionId);
+  items.forEach(item => addEntry(stats, sectionId, item));
+});
+
+/**
+ * Counts the whole diary from scratch. Used whenever storage changed
+ * in ways the statistics didn't see (undo, restores, imports, repairs).
+ */
+export const rebuildStatistics = () => enqueue(buildStats);
+
+/**
+ * Builds the statistics if there are none yet, e.g. on first launch
+ * after updating or after the stored value was lost.
+ */
+export const ensureStatistics = () => enqueue(async () => {
+  if (!(await loadStats())) {
+    await buildStats();
+  }
+});
+
+/**
+ * The current totals (see `summarize`), once pending changes are in.
+ */
+export const loadStatistics = () => enqueue(async () => {
+  const stats = await loadStats() || await buildStats();
+  return summarize(stats);
+});
+
+/**
+ * Every entry's record - { sectionId, words, createdAt, lastModified } -
+ * for charting the diary over time.
+ */
+export const loadEntryRecords = () => enqueue(async () => {
+  const stats = await loadStats() || await buildStats();
+  return Object.values(stats.entries);
+});
+
+/**
+ * Calls `listener` after every change to the statistics.
+ * @returns a function that unsubscribes
+ */
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
@@ -0,0 +1,266 @@
+// app/storage/trash.js
+
+import { readJSON, writeJSON } from './index';
+import { STORAGE_KEYS } from './keys';
+import { loadSettings } from './settings';
+import { runAtomic, withLock } from './journal';
+import { createBackup } from './backups';
+import {
+  loadSections,
+  loadItems,
+  planItemPut,
+  planItemRemoval,
+  snapshotItems,
+  itemsLock,
+  SECTIONS_LOCK,
+} from './diaryRepository';
+import { planItemList, listItemKeys } from './itemChunks';
+import { generateId } from '../utils/ids';
+import { createSection, withOrder, findSectionByName } from '../utils/sections';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Held while the Trash is read and rewritten (see `withLock`)
+export const TRASH_LOCK = 'trash';
+
+/**
+ * Trash entries look like
+ *   { id, type: 'item', deletedAt, sectionId, sectionName, item }
+ *   { id, type: 'section', deletedAt, sectionId, sectionName, section, items }
+ */
+export const loadTrash = async () => {
+  const entries = await readJSON(STORAGE_KEYS.TRASH, []);
+  return Array.isArray(entries) ? entries : [];
+};
+
+const saveTrash = (entries) => writeJSON(STORAGE_KEYS.TRASH, entries);
+
+const newTrashEntry = (entry) => ({ id: generateId(), deletedAt: new Date().toISOString(), ...entry });
+
+/**
+ * Takes the entry out of its section and adds it to the Trash in one
+ * atomic write, so it can never be lost or end up in both places.
+ */
+export const moveItemToTrash = (section, item) => withLock([TRASH_LOCK, itemsLock(section.id)], async () => {
+  const [entries, removal] = await Promise.all([loadTrash(), planItemRemoval(section.id, item.id)]);
+  const trashEntry = newTrashEntry({ type: 'item', sectionId: section.id, sectionName: section.name, item });
+
+  await runAtomic({
+    set: [[STORAGE_KEYS.TRASH, JSON.stringify([trashEntry, ...entries])], ...removal.set],
+    remove: removal.remove,
+  });
+  await snapshotItems(section.id);
+
+  return trashEntry;
+});
+
+/**
+ * Moves every entry of the section to the Trash, each as an entry of
+ * its own, in one atomic write. The entries are read under the lock, so
+ * one written meanwhile is trashed too.
+ * @returns the new Trash entries
+ */
+export const moveAllItemsToTrash = (section) => withLock([TRASH_LOCK, itemsLock(section.id)], async () => {
+  const [entries, items] = await Promise.all([loadTrash(), loadItems(section.id)]);
+  const trashEntries = items.map(item =>
+    newTrashEntry({ type: 'item', sectionId: section.id, sectionName: section.name, item })
+  );
+  const removal = await planItemList(section.id, []);
+
+  await runAtomic({
+    set: [[STORAGE_KEYS.TRASH, JSON.stringify([...trashEntries, ...entries])], ...removal.set],
+    remove: removal.remove,
+  });
+  await snapshotItems(section.id);
+
+  return trashEntries;
+});
+
+/**
+ * Plans adding whole sections, with their entries, to the Trash, for
+ * writes that drop sections as part of something larger. The caller
+ * holds TRASH_LOCK and the sections' items locks, and rewrites the
+ * section list itself.
+ * @returns {{ set: [string, string][], remove: string[] }}
+ */
+export const planSectionsToTrash = async (sections) => {
+  const [entries, trashEntries, itemKeys] = await Promise.all([
+    loadTrash(),
+    Promise.all(sections.map(async section => newTrashEntry({
+      type: 'section',
+      sectionId: section.id,
+      sectionName: section.name,
+      section,
+      items: await loadItems(section.id),
+    }))),
+    Promise.all(sections.map(section => listItemKeys(section.id))),
+  ]);
+
+  return {
+    set: [[STORAGE_KEYS.TRASH, JSON.stringify([...trashEntries, ...entries])]],
+    remove: itemKeys.flat(),
+  };
+};
+
+/**
+ * Removes the section and its entries and adds both to the Trash
+ * in one atomic write. The section and its entries are read under the
+ * same lock, so whatever they hold by then (e.g. entries added after an
+ * undo) goes to the Trash too instead of being lost.
+ */
+export const moveSectionToTrash = (sectionId) => withLock([TRASH_LOCK, SECTIONS_LOCK, itemsLock(sectionId)], async () => {
+  const [entries, sections, items] = await Promise.all([loadTrash(), loadSections(), loadItems(sectionId)]);
+  const section = sections.find(existing => existing.id === sectionId);
+  if (!section) {
+    throw new Error('Section not found');
+  }
+
+  const trashEntry = newTrashEntry({ type: 'section', sectionId: section.id, sectionName: section.name, section, items });
+  const remainingSections = withOrder(sections.filter(existing => existing.id !== section.id));
+
+  await runAtomic({
+    set: [
+      [STORAGE_KEYS.TRASH, JSON.stringify([trashEntry, ...entries])],
+      [STORAGE_KEYS.SECTIONS, JSON.stringify(remainingSections)],
+    ],
+    remove: await listItemKeys(section.id),
+  });
+  await createBackup(STORAGE_KEYS.BACKUP_SECTIONS, remainingSections);
+
+  return trashEntry;
+});
+
+export const getExpiryDate = (entry, retentionDays) =>
+  new Date(Date.parse(entry.deletedAt) + retentionDays * DAY);
+
+// Works out the writes that put entries back into a section, re-creating
+// the section (at `sectionIndex`) if it is gone. Entries whose id is already
+// there are skipped. A single entry can go back to a known `itemIndex`;
+// otherwise restored entries are placed by creation date.
+// @returns {{ set, remove }} for `runAtomic`
+const planRestore = async (section, itemsToRestore, { itemIndex, sectionIndex = 0 }) => {
+  const sections = await loadSections();
+  const existingItems = await loadItems(section.id);
+
+  const existingIds = new Set(existingItems.map(item => item.id));
+  const restoredItems = itemsToRestore.filter(item => !existingIds.has(item.id));
+
+  let writes;
+  if (itemIndex !== undefined && restoredItems.length === 1) {
+    writes = await planItemPut(section.id, restoredItems[0], itemIndex);
+  } else {
+    const mergedItems = [...restoredItems, ...existingItems].sort(
+      (a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt)
+    );
+    writes = await planItemList(section.id, mergedItems);
+  }
+
+  const set = [...writes.set];
+  if (!sections.some(existing => existing.id === section.id)) {
+    const name = findSectionByName(sections, section.name)
+      ? `${section.name} (restored)`
+      : section.name;
+    const nextSections = [...sections];
+    nextSections.splice(Math.min(sectionIndex, nextSections.length), 0, { ...section, name });
+    set.push([STORAGE_KEYS.SECTIONS, JSON.stringify(withOrder(nextSections))]);
+  }
+
+  return { set, remove: writes.remove };
+};
+
+/**
+ * Restores a trashed entry or section and drops it from the Trash, all in
+ * one atomic write. `index` puts it back where it was (used by undo): the
+ * entry's position in its section, or the section's position in the list.
+ */
+export const restoreTrashEntry = async (entryId, { index } = {}) => {
+  // a trash entry's section never changes, so it can be looked up before locking
+  const listed = (await loadTrash()).find(candidate => candidate.id === entryId);
+  if (!listed) {
+    throw new Error('Trash entry not found');
+  }
+
+  // restoring may put the section back in the list
+  return withLock([TRASH_LOCK, SECTIONS_LOCK, itemsLock(listed.sectionId)], async () => {
+    const entries = await loadTrash();
+    const entry = entries.find(candidate => candidate.id === entryId);
+
+    if (!entry) {
+      throw new Error('Trash entry not found');
+    }
+
+    const items = entry.type === 'section' ? entry.items : [entry.item];
+    const section = entry.section || createSection(entry.sectionName, { id: entry.sectionId });
+    const { set, remove } = await planRestore(
+      section,
+      items,
+      entry.type === 'section' ? { sectionIndex: index } : { itemIndex: index }
+    );
+
+    set.push([STORAGE_KEYS.TRASH, JSON.stringify(entries.filter(candidate => candidate.id !== entryId))]);
+    await runAtomic({ set, remove });
+
+    return entry;
+  });
+};
+
+/**
+ * Restores several trashed entries of one section in one atomic write
+ * (e.g. undoing a Clear), placed among the section's entries by
+ * creation date. Ids no longer in the Trash are skipped.
+ * @returns the restored Trash entries
+ */
+export const restoreTrashEntries = async (entryIds) => {
+  const wanted = new Set(entryIds);
+  const listed = (await loadTrash()).filter(entry => wanted.has(entry.id) && entry.type === 'item');
+  if (listed.length === 0) {
+    return [];
+  }
+
+  const { sectionId, sectionName } = listed[0];
+  if (listed.some(entry => entry.sectionId !== sectionId)) {
+    throw new Error('Trash entries belong to different sections');
+  }
+
+  return withLock([TRASH_LOCK, SECTIONS_LOCK, itemsLock(sectionId)], async () => {
+    const entries = await loadTrash();
+    const restoring = entries.filter(entry => wanted.has(entry.id) && entry.type === 'item' && entry.sectionId === sectionId);
+    if (restoring.length === 0) {
+      return [];
+    }
+
+    const restoredIds = new Set(restoring.map(entry => entry.id));
+    const { set, remove } = await planRestore(
+      createSection(sectionName, { id: sectionId }),
+      restoring.map(entry => entry.item),
+      {}
+    );
+
+    set.push([STORAGE_KEYS.TRASH, JSON.stringify(entries.filter(entry => !restoredIds.has(entry.id)))]);
+    await runAtomic({ set, remove });
+
+    return restoring;
+  });
+};
+
+export const deleteTrashEntry = (entryId) => withLock([TRASH_LOCK], async () => {
+  const entries = await loadTrash();
+  await saveTrash(entries.filter(entry => entry.id !== entryId));
+});
+
+export const emptyTrash = () => withLock([TRASH_LOCK], () => saveTrash([]));
+
+/**
+ * Permanently drops entries older than the configured retention period.
+ * @returns {number} how many entries were purged
+ */
+export const purgeExpiredTrash = (now = Date.now()) => withLock([TRASH_LOCK], async () => {
+  const [entries, { trashRetentionDays }] = await Promise.all([loadTrash(), loadSettings()]);
+  const kept = entries.filter(entry => getExpiryDate(entry, trashRetentionDays).getTime() > now);
+
+  if (kept.length !== entries.length) {
+    await saveTrash(kept);
+  }
+
+  return entries.length - kept.length;
+});
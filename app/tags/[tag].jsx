@@ -0,0 +1,227 @@
+// app/tags/[tag].jsx - Maomao Aesthetic
+import {
+  StyleSheet,
+  Text,
+  View,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+} from 'react-native';
+import React from 'react';
+import { useLocalSearchParams, useRouter } from 'expo-router';
+import Ionicons from '@expo/vector-icons/Ionicons';
+import { useTaggedEntries } from '../hooks/useTags';
+import TagChips from '../components/TagChips';
+import { itemTags } from '../utils/tags';
+import { formatRelative } from '../utils/dateFormat';
+
+const TaggedEntries = () => {
+  const { tag } = useLocalSearchParams();
+  const router = useRouter();
+  const { entries, isLoading } = useTaggedEntries(tag);
+
+  const openEntry = ({ section, item }) => {
+    router.push({
+      pathname: '/diary/[section]',
+      params: { section: section.id, entry: item.id },
+    });
+  };
+
+  const openTag = (otherTag) => {
+    if (otherTag !== tag) {
+      router.push({ pathname: '/tags/[tag]', params: { tag: otherTag } });
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => router.back()} style={styles.backButton}>
+          <Ionicons name="arrow-back" size={26} color="#7B5E7B" />
+        </TouchableOpacity>
+        <View style={styles.headerTitleContainer}>
+          <Ionicons name="pricetag" size={24} color="#6B8E4E" />
+          <Text style={styles.headerTitle} numberOfLines={1}>#{tag}</Text>
+        </View>
+        <View style={styles.headerSpacer} />
+      </View>
+
+      {isLoading ? (
+        <View style={styles.loading}>
+          <ActivityIndicator size="large" color="#6B8E4E" />
+        </View>
+      ) : (
+        <ScrollView style={styles.scrollView} contentContainerStyle={styles.scrollContent}>
+          {entries.length === 0 ? (
+            <View style={styles.emptyState}>
+              <View style={styles.emptyIconContainer}>
+                <Ionicons name="pricetag-outline" size={56} color="#D4A574" />
+              </View>
+              <Text style={styles.emptyText}>No entries</Text>
+              <Text style={styles.emptySubtext}>Nothing is tagged #{tag} anymore</Text>
+            </View>
+          ) : (
+            <>
+              <Text style={styles.resultCount}>
+                {entries.length} {entries.length === 1 ? 'entry' : 'entries'}
+              </Text>
+              {entries.map(entry => (
+                <TouchableOpacity
+                  key={`${entry.section.id}-${entry.item.id}`}
+                  style={[styles.entryCard, { borderLeftColor: entry.section.color || '#6B8E4E' }]}
+                  onPress={() => openEntry(entry)}
+                  activeOpacity={0.7}
+                >
+                  <View style={styles.entryHeader}>
+                    <Ionicons
+                      name={entry.section.icon || 'calendar'}
+                      size={16}
+                      color={entry.section.color || '#6B8E4E'}
+                    />
+                    <Text style={styles.entrySection} numberOfLines={1}>{entry.section.name}</Text>
+                    <Text style={styles.entryDate}>{formatRelative(entry.item.lastModified)}</Text>
+                  </View>
+                  <Text style={styles.entryText} numberOfLines={4}>{entry.item.text}</Text>
+                  <TagChips tags={itemTags(entry.item)} onPress={openTag} />
+                </TouchableOpacity>
+              ))}
+            </>
+          )}
+        </ScrollView>
+      )}
+    </View>
+  );
+};
+
+export default TaggedEntries;
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F5EFE6',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingTop: 30,
+    paddingBottom: 20,
+    backgroundColor: '#fff',
+    borderBottomWidth: 3,
+    borderBottomColor: '#D4A574',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 4,
+  },
+  backButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: '#EDE7F6',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  headerTitleContainer: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 10,
+    marginHorizontal: 12,
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#4A403A',
+    letterSpacing: 0.5,
+  },
+  headerSpacer: {
+    width: 44,
+  },
+  loading: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    padding: 10,
+    paddingTop: 16,
+    paddingBottom: 40,
+  },
+  resultCount: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#8B8680',
+    marginBottom: 10,
+    marginLeft: 6,
+  },
+  entryCard: {
+    backgroundColor: '#fff',
+    borderRadius: 24,
+    padding: 18,
+    paddingTop: 14,
+    marginBottom: 16,
+    shadowColor: '#6B8E4E',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.12,
+    shadowRadius: 8,
+    elevation: 4,
+    borderLeftWidth: 5,
+  },
+  entryHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginBottom: 8,
+  },
+  entrySection: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#4A403A',
+  },
+  entryDate: {
+    fontSize: 12,
+    color: '#B8A5B8',
+  },
+  entryText: {
+    fontSize: 15,
+    color: '#4A403A',
+    lineHeight: 22,
+    marginBottom: 10,
+  },
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: 60,
+    paddingHorizontal: 30,
+  },
+  emptyIconContainer: {
+    width: 110,
+    height: 110,
+    borderRadius: 55,
+    backgroundColor: '#fff',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: 20,
+    borderWidth: 3,
+    borderColor: '#D4A574',
+  },
+  emptyText: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#4A403A',
+    marginBottom: 8,
+  },
+  emptySubtext: {
+    fontSize: 14,
+    color: '#8B8680',
+    textAlign: 'center',
+    lineHeight: 20,
+  },
+});
@@ -0,0 +1,341 @@
+// app/trash.jsx - Maomao Aesthetic
+import {
+  StyleSheet,
+  Text,
+  View,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import React from 'react';
+import { useRouter } from 'expo-router';
+import Ionicons from '@expo/vector-icons/Ionicons';
+import { useTrash } from './hooks/useTrash';
+import { useSettings } from './hooks/useSettings';
+import { getExpiryDate } from './storage/trash';
+import { formatRelative } from './utils/dateFormat';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const Trash = () => {
+  const router = useRouter();
+  const { entries, restoreEntry, deleteEntry, clearTrash, isLoading } = useTrash();
+  const { settings } = useSettings();
+
+  const daysLeft = (entry) => {
+    const remaining = getExpiryDate(entry, settings.trashRetentionDays).getTime() - Date.now();
+    return Math.max(0, Math.ceil(remaining / DAY));
+  };
+
+  const handleRestore = async (entry) => {
+    try {
+      await restoreEntry(entry.id);
+      Alert.alert(
+        'Restored',
+        entry.type === 'section'
+          ? `Section "${entry.sectionName}" is back in your diary.`
+          : `The entry is back in "${entry.sectionName}".`
+      );
+    } catch {
+      Alert.alert('Error', 'Failed to restore. Please try again.');
+    }
+  };
+
+  const handleDelete = (entry) => {
+    Alert.alert(
+      'Delete Forever',
+      'This permanently deletes it. This action cannot be undone.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteEntry(entry.id);
+            } catch {
+              Alert.alert('Error', 'Failed to delete. Please try again.');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const handleEmpty = () => {
+    Alert.alert(
+      'Empty Trash',
+      `Permanently delete all ${entries.length} items in the Trash? This action cannot be undone.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Empty Trash',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await clearTrash();
+            } catch {
+              Alert.alert('Error', 'Failed to empty the Trash. Please try again.');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => router.back()} style={styles.backButton}>
+          <Ionicons name="arrow-back" size={26} color="#7B5E7B" />
+        </TouchableOpacity>
+        <View style={styles.headerTitleContainer}>
+          <Ionicons name="trash" size={24} color="#C85C5C" />
+          <Text style={styles.headerTitle}>Trash</Text>
+        </View>
+        <TouchableOpacity
+          onPress={handleEmpty}
+          style={[styles.emptyButton, entries.length === 0 && styles.disabled]}
+          disabled={entries.length === 0}
+        >
+          <Ionicons name="trash-bin-outline" size={22} color="#C85C5C" />
+        </TouchableOpacity>
+      </View>
+
+      {isLoading ? (
+        <View style={styles.loading}>
+          <ActivityIndicator size="large" color="#6B8E4E" />
+        </View>
+      ) : (
+        <ScrollView style={styles.scrollView} contentContainerStyle={styles.scrollContent}>
+          <Text style={styles.notice}>
+            Items are deleted forever after {settings.trashRetentionDays} days.
+          </Text>
+
+          {entries.length === 0 ? (
+            <View style={styles.emptyState}>
+              <Ionicons name="leaf-outline" size={64} color="#D4A574" />
+              <Text style={styles.emptyText}>The Trash is empty</Text>
+              <Text style={styles.emptySubtext}>Nothing has been thrown out... yet</Text>
+            </View>
+          ) : (
+            entries.map(entry => {
+              const isSection = entry.type === 'section';
+              const left = daysLeft(entry);
+
+              return (
+                <View key={entry.id} style={styles.entryCard}>
+                  <View style={styles.entryHeader}>
+                    <View style={[styles.entryIconCircle, isSection && styles.sectionIconCircle]}>
+                      <Ionicons
+                        name={isSection ? 'folder' : 'document-text'}
+                        size={18}
+                        color={isSection ? '#6B8E4E' : '#7B5E7B'}
+                      />
+                    </View>
+                    <View style={styles.entryTitleContainer}>
+                      <Text style={styles.entryTitle} numberOfLines={1}>
+                        {isSection ? entry.sectionName : `In "${entry.sectionName}"`}
+                      </Text>
+                      <Text style={styles.entryMeta}>
+                        Deleted {formatRelative(entry.deletedAt)} · {left} {left === 1 ? 'day' : 'days'} left
+                      </Text>
+                    </View>
+                  </View>
+
+                  <Text style={styles.entryPreview} numberOfLines={2}>
+                    {isSection
+                      ? `${entry.items.length} ${entry.items.length === 1 ? 'entry' : 'entries'}`
+                      : entry.item.text}
+                  </Text>
+
+                  <View style={styles.actionButtons}>
+                    <TouchableOpacity style={styles.actionButton} onPress={() => handleRestore(entry)}>
+                      <Ionicons name="arrow-undo-outline" size={20} color="#6B8E4E" />
+                      <Text style={[styles.actionText, { color: '#6B8E4E' }]}>Restore</Text>
+                    </TouchableOpacity>
+                    <View style={styles.buttonDivider} />
+                    <TouchableOpacity style={styles.actionButton} onPress={() => handleDelete(entry)}>
+                      <Ionicons name="close-circle-outline" size={20} color="#C85C5C" />
+                      <Text style={[styles.actionText, { color: '#C85C5C' }]}>Delete Forever</Text>
+                    </TouchableOpacity>
+                  </View>
+                </View>
+              );
+            })
+          )}
+        </ScrollView>
+      )}
+    </View>
+  );
+};
+
+export default Trash;
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F5EFE6',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingTop: 30,
+    paddingBottom: 20,
+    backgroundColor: '#fff',
+    borderBottomWidth: 3,
+    borderBottomColor: '#D4A574',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 4,
+  },
+  backButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: '#EDE7F6',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  headerTitleContainer: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 10,
+    marginHorizontal: 12,
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#4A403A',
+    letterSpacing: 0.5,
+  },
+  emptyButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: '#FFEBEE',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  disabled: {
+    opacity: 0.4,
+  },
+  loading: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    padding: 10,
+    paddingBottom: 40,
+  },
+  notice: {
+    fontSize: 13,
+    color: '#8B8680',
+    textAlign: 'center',
+    fontStyle: 'italic',
+    marginVertical: 12,
+  },
+  emptyState: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginTop: 80,
+    paddingHorizontal: 32,
+  },
+  emptyText: {
+    fontSize: 22,
+    fontWeight: '700',
+    color: '#4A403A',
+    marginTop: 16,
+  },
+  emptySubtext: {
+    fontSize: 15,
+    color: '#8B8680',
+    marginTop: 8,
+    textAlign: 'center',
+  },
+  entryCard: {
+    backgroundColor: '#fff',
+    borderRadius: 24,
+    padding: 18,
+    paddingTop: 14,
+    marginBottom: 16,
+    shadowColor: '#6B8E4E',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.12,
+    shadowRadius: 8,
+    elevation: 4,
+    borderLeftWidth: 5,
+    borderLeftColor: '#C85C5C',
+  },
+  entryHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    marginBottom: 12,
+  },
+  entryIconCircle: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: '#EDE7F6',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  sectionIconCircle: {
+    backgroundColor: '#E8F5E9',
+  },
+  entryTitleContainer: {
+    flex: 1,
+  },
+  entryTitle: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#4A403A',
+  },
+  entryMeta: {
+    fontSize: 12,
+    color: '#8B8680',
+    marginTop: 2,
+  },
+  entryPreview: {
+    fontSize: 15,
+    color: '#4A403A',
+    lineHeight: 22,
+    marginBottom: 12,
+  },
+  actionButtons: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    alignItems: 'center',
+    borderTopWidth: 2,
+    borderTopColor: '#F5EFE6',
+    paddingTop: 14,
+  },
+  actionButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    flex: 1,
+    justifyContent: 'center',
+  },
+  buttonDivider: {
+    width: 2,
+    height: 24,
+    backgroundColor: '#E0E0E0',
+  },
+  actionText: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,21 @@
+// app/utils/base64.js
+
+// String.fromCharCode takes its bytes as arguments, so long inputs go in chunks
+const CHUNK_SIZE = 0x8000;
+
+export const bytesToBase64 = (bytes) => {
+  let binary = '';
+  for (let start = 0; start < bytes.length; start += CHUNK_SIZE) {
+    binary += String.fromCharCode(...bytes.subarray(start, start + CHUNK_SIZE));
+  }
+  return btoa(binary);
+};
+
+export const base64ToBytes = (text) => {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let index = 0; index < binary.length; index++) {
+    bytes[index] = binary.charCodeAt(index);
+  }
+  return bytes;
+};
@@ -0,0 +1,101 @@
+// app/utils/commandHistory.js
+
+const MAX_HISTORY = 50;
+
+let undoStack = [];
+let redoStack = [];
+const listeners = new Set();
+
+const notify = (event) => {
+  listeners.forEach(listener => listener(event));
+};
+
+/**
+ * App-wide undo/redo history. A command looks like
+ *   { label, destructive, undo: async () => {}, redo: async () => {}, affects }
+ * where `undo` reverses the mutation that was just made and `redo`
+ * applies it again. Both work on storage directly. `affects` says what
+ * they change, so only that is re-read afterwards:
+ *   { sections: boolean, sectionIds: [id], entries: [{ sectionId, itemId }] }
+ * with `sectionIds` for sections whose entries change wholesale. Without
+ * it, the whole diary is re-read.
+ */
+export const recordCommand = (command) => {
+  undoStack = [...undoStack, command].slice(-MAX_HISTORY);
+  redoStack = [];
+  notify({ type: 'record', command });
+};
+
+// Set while an undo or redo runs, so a double tap can't run the same one twice
+let running = false;
+
+// Bumped by `clearHistory`, so a command still running then isn't put back
+let generation = 0;
+
+const stackFor = (type) => (type === 'undo' ? undoStack : redoStack);
+
+const setStack = (type, stack) => {
+  if (type === 'undo') {
+    undoStack = stack;
+  } else {
+    redoStack = stack;
+  }
+};
+
+// Takes the command off its stack before running it, and puts it on the
+// other one once it's done; a failed one goes back where it was
+const runCommand = async (type) => {
+  const other = type === 'undo' ? 'redo' : 'undo';
+  const command = stackFor(type)[stackFor(type).length - 1];
+  if (!command || running) {
+    return null;
+  }
+
+  running = true;
+  const started = generation;
+  setStack(type, stackFor(type).slice(0, -1));
+
+  try {
+    await command[type]();
+  } catch (error) {
+    if (generation === started) {
+      setStack(type, [...stackFor(type), command]);
+    }
+    throw error;
+  } finally {
+    running = false;
+  }
+
+  if (generation === started) {
+    setStack(other, [...stackFor(other), command]);
+  }
+  notify({ type, command });
+  return command;
+};
+
+export const undo = () => runCommand('undo');
+
+export const redo = () => runCommand('redo');
+
+/**
+ * Forgets every command, for when the diary has been replaced wholesale
+ * (a backup import or snapshot restore) and they would no longer match it.
+ */
+export const clearHistory = () => {
+  generation += 1;
+  undoStack = [];
+  redoStack = [];
+  notify({ type: 'clear' });
+};
+
+export const getHistoryState = () => ({
+  canUndo: undoStack.length > 0,
+  canRedo: redoStack.length > 0,
+  undoLabel: undoStack.length > 0 ? undoStack[undoStack.length - 1].label : null,
+  redoLabel: redoStack.length > 0 ? redoStack[redoStack.length - 1].label : null,
+});
+
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
@@ -0,0 +1,132 @@
+// app/utils/dateFormat.js
+
+const ISO_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/;
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+export const isISODate = (value) =>
+  typeof value === 'string' && ISO_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+
+const buildDate = (year, month, day, hours = 0, minutes = 0, seconds = 0) => {
+  if (month < 1 || month > 12 || day < 1 || day > 31) {
+    return null;
+  }
+  const date = new Date(year, month - 1, day, hours, minutes, seconds);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Best-effort parse of strings produced by `Date#toLocaleString()` on
+ * the devices we've shipped to, e.g. "1/31/2025, 3:04:05 PM" (en-US),
+ * "31/01/2025, 15:04:05" (en-GB), "31.1.2025, 15:04:05" (de) and
+ * "2025/1/31 15:04:05" (ja, zh). Always read in the device's time zone.
+ * @param {string} value
+ * @returns {Date|null}
+ */
+export const parseLegacyDate = (value) => {
+  if (typeof value !== 'string' || value.trim() === '') {
+    return null;
+  }
+
+  const text = value.trim();
+  const match = text.match(
+    /^(\d{1,4})[/.\-](\d{1,2})[/.\-](\d{1,4})\.?,?\s*(?:(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AaPp]\.?\s?[Mm]\.?)?)?/
+  );
+
+  if (match) {
+    const [, a, b, c, h, min, sec, meridiem] = match;
+    let hours = h ? parseInt(h, 10) : 0;
+    const minutes = min ? parseInt(min, 10) : 0;
+    const seconds = sec ? parseInt(sec, 10) : 0;
+
+    if (meridiem) {
+      const isPM = meridiem[0].toLowerCase() === 'p';
+      if (isPM && hours < 12) hours += 12;
+      if (!isPM && hours === 12) hours = 0;
+    }
+
+    const first = parseInt(a, 10);
+    const second = parseInt(b, 10);
+    const third = parseInt(c, 10);
+
+    if (a.length === 4) {
+      // year first: Y/M/D
+      return buildDate(first, second, third, hours, minutes, seconds);
+    }
+
+    const year = c.length === 2 ? 2000 + third : third;
+    const usesDots = text.includes('.') && !text.includes('/');
+
+    // 12-hour clocks and month-first dates travel together (en-US);
+    // everything else we've seen is day-first.
+    const monthFirst = !usesDots && Boolean(meridiem) && first <= 12;
+    if (monthFirst || second > 12) {
+      return buildDate(year, first, second, hours, minutes, seconds);
+    }
+    return buildDate(year, second, first, hours, minutes, seconds);
+  }
+
+  const parsed = Date.parse(text);
+  return Number.isNaN(parsed) ? null : new Date(parsed);
+};
+
+/**
+ * Normalizes any stored timestamp (ISO string, legacy locale string or
+ * epoch millis) to an ISO-8601 string, or null when it can't be read.
+ */
+export const toISOTimestamp = (value) => {
+  if (isISODate(value)) {
+    return new Date(value).toISOString();
+  }
+
+  if (typeof value === 'number' || (typeof value === 'string' && /^\d{12,14}$/.test(value))) {
+    const date = new Date(Number(value));
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  const legacy = parseLegacyDate(value);
+  return legacy ? legacy.toISOString() : null;
+};
+
+const plural = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'} ago`;
+
+/**
+ * "just now", "5 minutes ago", "3 hours ago", "yesterday", "2 weeks ago"...
+ * Falls back to the absolute date for anything older than a month.
+ */
+export const formatRelative = (isoString, now = Date.now()) => {
+  const time = Date.parse(isoString);
+  if (Number.isNaN(time)) {
+    return isoString || '';
+  }
+
+  const elapsed = now - time;
+
+  if (elapsed < MINUTE) return 'just now';
+  if (elapsed < HOUR) return plural(Math.floor(elapsed / MINUTE), 'minute');
+  if (elapsed < DAY) return plural(Math.floor(elapsed / HOUR), 'hour');
+  if (elapsed < 2 * DAY) return 'yesterday';
+  if (elapsed < 7 * DAY) return plural(Math.floor(elapsed / DAY), 'day');
+  if (elapsed < 30 * DAY) return plural(Math.floor(elapsed / (7 * DAY)), 'week');
+
+  return formatAbsolute(isoString, { withTime: false });
+};
+
+/**
+ * Locale-aware absolute date, using the device's language and time zone.
+ */
+export const formatAbsolute = (isoString, { withTime = true } = {}) => {
+  const date = new Date(isoString);
+  if (Number.isNaN(date.getTime())) {
+    return isoString || '';
+  }
+
+  return withTime
+    ? date.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+    : date.toLocaleDateString(undefined, { dateStyle: 'medium' });
+};
+
+export const formatTimestamp = (isoString, mode = 'relative') =>
+  mode === 'relative' ? formatRelative(isoString) : formatAbsolute(isoString);
@@ -0,0 +1,104 @@
+// app/utils/entryFilters.js
+
+import { parseQuery, isEmptyQuery, matchesQuery } from './searchText';
+
+// `ascending` is each mode's natural direction, used when switching to it
+export const SORT_MODES = [
+  { key: 'created', label: 'Created', icon: 'calendar-outline', ascending: false },
+  { key: 'modified', label: 'Modified', icon: 'time-outline', ascending: false },
+  { key: 'alphabetical', label: 'A–Z', icon: 'text-outline', ascending: true },
+  { key: 'length', label: 'Length', icon: 'reorder-four-outline', ascending: false },
+];
+
+const COMPARE = {
+  created: (a, b) => new Date(a.createdAt) - new Date(b.createdAt),
+  modified: (a, b) => new Date(a.lastModified) - new Date(b.lastModified),
+  alphabetical: (a, b) => a.text.localeCompare(b.text, undefined, { sensitivity: 'base' }),
+  length: (a, b) => a.text.length - b.text.length,
+};
+
+export const DATE_RANGES = [
+  { key: 'all', label: 'Any time' },
+  { key: 'today', label: 'Today' },
+  { key: 'week', label: 'Past week' },
+  { key: 'month', label: 'Past month' },
+  { key: 'year', label: 'This year' },
+  { key: 'custom', label: 'Custom' },
+];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Local midnight of a day typed as YYYY-MM-DD, or null if `text` isn't
+ * a real day in that form.
+ */
+export const parseDay = (text) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text.trim());
+  if (!match) {
+    return null;
+  }
+
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(year, month - 1, day);
+  // the Date constructor rolls days like 02-30 over into the next month
+  return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+};
+
+// Creation times a range lets through: from `start` up to but not
+// including `end`, either of them null for no limit. A custom range runs
+// from the start of its `from` day to the end of its `to` day.
+const rangeBounds = (range, { from = '', to = '' } = {}, now = new Date()) => {
+  const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+  switch (range) {
+    case 'today':
+      return { start: startOfToday, end: null };
+    case 'week':
+      return { start: new Date(startOfToday.getTime() - 6 * DAY), end: null };
+    case 'month':
+      return { start: new Date(startOfToday.getTime() - 29 * DAY), end: null };
+    case 'year':
+      return { start: new Date(now.getFullYear(), 0, 1), end: null };
+    case 'custom': {
+      const lastDay = parseDay(to);
+      return {
+        start: parseDay(from),
+        end: lastDay && new Date(lastDay.getFullYear(), lastDay.getMonth(), lastDay.getDate() + 1),
+      };
+    }
+    default:
+      return { start: null, end: null };
+  }
+};
+
+/**
+ * The entries a section screen shows: filtered by creation date and text,
+ * sorted, with pinned entries kept above the rest. `customRange` holds
+ * the YYYY-MM-DD days a 'custom' range runs from and to, both included;
+ * a day left empty or not yet complete sets no limit.
+ * @param {{ sort: string, ascending: boolean, range?: string,
+ *   customRange?: { from: string, to: string }, query?: string }} options
+ */
+export const arrangeItems = (items, { sort, ascending, range = 'all', customRange, query = '' }) => {
+  const { start, end } = rangeBounds(range, customRange);
+  const parsed = parseQuery(query);
+
+  const compare = COMPARE[sort] || COMPARE.created;
+  const direction = ascending ? 1 : -1;
+
+  const shown = items
+    .filter(item => {
+      const created = new Date(item.createdAt);
+      return (!start || created >= start) && (!end || created < end);
+    })
+    .filter(item => isEmptyQuery(parsed) || matchesQuery(item.text, parsed))
+    // ties keep their stored order
+    .map((item, index) => ({ item, index }))
+    .sort((a, b) => direction * compare(a.item, b.item) || a.index - b.index)
+    .map(({ item }) => item);
+
+  return [
+    ...shown.filter(item => item.pinned),
+    ...shown.filter(item => !item.pinned),
+  ];
+};
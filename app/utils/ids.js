@@ -0,0 +1,17 @@
+// app/utils/ids.js
+
+import { getRandomBytes } from 'expo-crypto';
+
+/**
+ * Generates an RFC 4122 version 4 style id,
+ * e.g. "3b241101-e2bb-4255-8caf-4136c566a962"
+ * @returns {string}
+ */
+export const generateId = () => {
+  const bytes = getRandomBytes(16);
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+  const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
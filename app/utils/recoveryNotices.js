@@ -0,0 +1,18 @@
+// app/utils/recoveryNotices.js
+
+const listeners = new Set();
+
+/**
+ * Reports that stored data was found damaged on load. A notice looks like
+ *   { kind: 'sections' | 'items', sectionId, timestamp }
+ * where `timestamp` is when the snapshot that replaced it was taken,
+ * or null if no usable snapshot was found.
+ */
+export const reportRecovery = (notice) => {
+  listeners.forEach(listener => listener(notice));
+};
+
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
@@ -0,0 +1,25 @@
+// app/utils/revisions.js
+
+import { generateId } from './ids';
+
+export const createRevision = (text, savedAt = new Date().toISOString()) => ({
+  id: generateId(),
+  text,
+  savedAt,
+});
+
+/**
+ * Returns the item's revisions with a new one appended, dropping the
+ * oldest ones beyond `limit`. Saving unchanged text adds nothing.
+ */
+export const appendRevision = (item, text, savedAt, limit) => {
+  const revisions = Array.isArray(item.revisions) ? item.revisions : [];
+  const latest = revisions[revisions.length - 1];
+
+  if (latest && latest.text === text) {
+    return revisions;
+  }
+
+  const next = [...revisions, createRevision(text, savedAt)];
+  return next.length > limit ? next.slice(next.length - limit) : next;
+};
@@ -0,0 +1,15 @@
+// app/utils/scrollPositions.js
+
+// list key -> how far down it was scrolled, for this run of the app
+const positions = new Map();
+
+/**
+ * Remembers how far a list is scrolled, so it can be put back there
+ * when its screen is opened again.
+ */
+export const rememberScroll = (key, offset) => {
+  positions.set(key, offset);
+};
+
+// The remembered offset, or 0 for a list not scrolled yet
+export const recallScroll = (key) => positions.get(key) || 0;
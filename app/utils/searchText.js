@@ -0,0 +1,120 @@
+// app/utils/searchText.js
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Splits text into lowercase words, with their positions in the text.
+ * @returns {{ word: string, start: number, end: number }[]}
+ */
+export const findWords = (text) => {
+  const words = [];
+  for (const match of (text || '').matchAll(WORD)) {
+    words.push({ word: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length });
+  }
+  return words;
+};
+
+// Distinct lowercase words, for the index
+export const tokenize = (text) => [...new Set(findWords(text).map(({ word }) => word))];
+
+// Words as the search box sees them, for word counts
+export const countWords = (text) => findWords(text).length;
+
+/**
+ * Parses a search box query. Quoted parts are phrases that must appear
+ * word for word; every other word matches any word it starts.
+ *   'herb "moon flower"' -> { words: ['herb'], phrases: [['moon', 'flower']] }
+ */
+export const parseQuery = (query) => {
+  const phrases = [];
+  const rest = (query || '').replace(/"([^"]*)"?/g, (match, phrase) => {
+    const words = tokenize(phrase);
+    if (words.length > 0) {
+      phrases.push(findWords(phrase).map(({ word }) => word));
+    }
+    return ' ';
+  });
+
+  return { words: tokenize(rest), phrases };
+};
+
+export const isEmptyQuery = ({ words, phrases }) => words.length === 0 && phrases.length === 0;
+
+// Spans [start, end) of the text matched by the query, in text order
+const findMatches = (text, { words, phrases }) => {
+  const textWords = findWords(text);
+  const spans = [];
+
+  textWords.forEach(({ word, start, end }) => {
+    if (words.some(prefix => word.startsWith(prefix))) {
+      spans.push({ start, end });
+    }
+  });
+
+  phrases.forEach(phrase => {
+    for (let i = 0; i + phrase.length <= textWords.length; i += 1) {
+      if (phrase.every((word, offset) => textWords[i + offset].word === word)) {
+        spans.push({ start: textWords[i].start, end: textWords[i + phrase.length - 1].end });
+      }
+    }
+  });
+
+  return spans.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * True when every word (as a prefix) and every phrase appears in the text.
+ */
+export const matchesQuery = (text, { words, phrases }) => {
+  const textWords = findWords(text).map(({ word }) => word);
+
+  return words.every(prefix => textWords.some(word => word.startsWith(prefix)))
+    && phrases.every(phrase => findMatches(text, { words: [], phrases: [phrase] }).length > 0);
+};
+
+/**
+ * A short excerpt around the first match, split into parts so matches
+ * can be highlighted: [{ text, match: boolean }]
+ */
+export const buildSnippet = (text, query, radius = 60) => {
+  const spans = findMatches(text, query);
+  const first = spans[0] || { start: 0, end: 0 };
+
+  let from = Math.max(0, first.start - radius);
+  let to = Math.min(text.length, first.end + radius * 2);
+  // don't cut words in half (within reason - some scripts have no spaces)
+  for (let step = 0; step < 20 && from > 0 && /\S/.test(text[from - 1]); step += 1) {
+    from -= 1;
+  }
+  for (let step = 0; step < 20 && to < text.length && /\S/.test(text[to]); step += 1) {
+    to += 1;
+  }
+
+  const parts = [];
+  if (from > 0) {
+    parts.push({ text: '…', match: false });
+  }
+
+  let cursor = from;
+  spans
+    .filter(span => span.start >= from && span.end <= to)
+    .forEach(span => {
+      if (span.start < cursor) {
+        return;
+      }
+      if (span.start > cursor) {
+        parts.push({ text: text.slice(cursor, span.start), match: false });
+      }
+      parts.push({ text: text.slice(span.start, span.end), match: true });
+      cursor = span.end;
+    });
+
+  if (cursor < to) {
+    parts.push({ text: text.slice(cursor, to), match: false });
+  }
+  if (to < text.length) {
+    parts.push({ text: '…', match: false });
+  }
+
+  return parts;
+};
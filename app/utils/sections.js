@@ -0,0 +1,99 @@
+// app/utils/sections.js
+
+import { generateId } from './ids';
+
+export const SECTION_ICONS = [
+  'calendar',
+  'leaf',
+  'flask',
+  'book',
+  'medkit',
+  'flower',
+  'heart',
+  'star',
+];
+
+export const SECTION_COLORS = [
+  '#6B8E4E',
+  '#7B5E7B',
+  '#D4A574',
+  '#C85C5C',
+  '#5C7B8E',
+  '#8B8680',
+];
+
+/**
+ * Builds a section record. Sections are stored in display order and
+ * `order` mirrors each one's position in that list.
+ */
+export const createSection = (name, overrides = {}) => ({
+  id: generateId(),
+  name: name.trim(),
+  createdAt: new Date().toISOString(),
+  icon: SECTION_ICONS[0],
+  color: SECTION_COLORS[0],
+  order: 0,
+  ...overrides,
+});
+
+export const withOrder = (sections) =>
+  sections.map((section, index) => (
+    section.order === index ? section : { ...section, order: index }
+  ));
+
+export const sortByOrder = (sections) =>
+  [...sections].sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+
+export const findSectionByName = (sections, name) => {
+  const wanted = name.trim().toLowerCase();
+  return sections.find(section => section.name.trim().toLowerCase() === wanted);
+};
+
+/**
+ * Folders aren't stored on their own: a section's `folder` names the
+ * folder it sits in, and a folder exists while any section names it.
+ * Groups the (ordered) sections into sidebar rows, each folder placed
+ * where its first section is:
+ *   [{ type: 'folder', name, sections }, { type: 'section', section }]
+ */
+export const groupSections = (sections) => {
+  const rows = [];
+  const folders = new Map();
+
+  sections.forEach(section => {
+    if (!section.folder) {
+      rows.push({ type: 'section', section });
+      return;
+    }
+
+    const folderKey = section.folder.trim().toLowerCase();
+    if (!folders.has(folderKey)) {
+      const row = { type: 'folder', name: section.folder, sections: [] };
+      folders.set(folderKey, row);
+      rows.push(row);
+    }
+    folders.get(folderKey).sections.push(section);
+  });
+
+  return rows;
+};
+
+// Back from sidebar rows to one ordered section list
+export const flattenGroups = (rows) =>
+  rows.flatMap(row => (row.type === 'folder' ? row.sections : [row.section]));
+
+export const listFolders = (sections) =>
+  groupSections(sections).filter(row => row.type === 'folder').map(row => row.name);
+
+// The existing spelling of a folder name, so "2024 " and "2024" stay one folder
+export const findFolderName = (sections, name) => {
+  const wanted = name.trim().toLowerCase();
+  return listFolders(sections).find(folder => folder.trim().toLowerCase() === wanted) || null;
+};
+
+export const moveInList = (list, fromIndex, toIndex) => {
+  const next = [...list];
+  const [moved] = next.splice(fromIndex, 1);
+  next.splice(toIndex, 0, moved);
+  return next;
+};
@@ -0,0 +1,23 @@
+// app/utils/tags.js
+
+// A # that doesn't follow a word character (so "C#" and "&#38;" aren't tags)
+const TAG = /(^|[^\p{L}\p{N}_&#])#([\p{L}\p{N}_-]+)/gu;
+
+/**
+ * The distinct #tags in an entry's text, lowercase and without the #.
+ * Tags need at least one letter, so "#1" stays plain text.
+ *   'Boiled #Mint for #headaches' -> ['mint', 'headaches']
+ */
+export const extractTags = (text) => {
+  const tags = [];
+  for (const match of (text || '').matchAll(TAG)) {
+    const tag = match[2].replace(/-+$/, '').toLowerCase();
+    if (/\p{L}/u.test(tag) && !tags.includes(tag)) {
+      tags.push(tag);
+    }
+  }
+  return tags;
+};
+
+// Entries saved before tags existed (or imported from old backups) have no `tags`
+export const itemTags = (item) => item.tags || extractTags(item.text);
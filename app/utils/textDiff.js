@@ -0,0 +1,155 @@
+// app/utils/textDiff.js
+
+// words and the whitespace between them, so joining the tokens back
+// together reproduces the original text exactly
+const tokenize = (text) => (text ? text.match(/\s+|[^\s]+/g) : []) || [];
+
+const pushPart = (parts, type, value) => {
+  const last = parts[parts.length - 1];
+  if (last && last.type === type) {
+    last.value += value;
+  } else {
+    parts.push({ type, value });
+  }
+};
+
+// How far each end of the search may get before a range counts as
+// rewritten; keeps very different long texts from blocking the screen
+const MAX_SEARCH_STEPS = 1000;
+
+// Diffs a and b (arrays of tokens) into `parts`, trimming their common
+// prefix and suffix before looking for the edits in between
+const diffTokens = (a, b, parts) => {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  if (start > 0) {
+    pushPart(parts, 'equal', a.slice(0, start).join(''));
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  if (midA.length === 0) {
+    if (midB.length > 0) {
+      pushPart(parts, 'added', midB.join(''));
+    }
+  } else if (midB.length === 0) {
+    pushPart(parts, 'removed', midA.join(''));
+  } else {
+    bisect(midA, midB, parts);
+  }
+
+  if (endA < a.length) {
+    pushPart(parts, 'equal', a.slice(endA).join(''));
+  }
+};
+
+// Myers' O(ND) search run from both ends at once (the "middle snake"):
+// where the two searches meet lies on a shortest edit path, so the texts
+// are split there and each half diffed on its own. Only two rows of
+// size n + m are kept, so long texts far apart don't need an n * m table.
+// a and b are non-empty and differ in their first and last tokens.
+const bisect = (a, b, parts) => {
+  const n = a.length;
+  const m = b.length;
+  const maxD = Math.min(Math.ceil((n + m) / 2), MAX_SEARCH_STEPS);
+  const offset = maxD;
+  const size = 2 * maxD;
+  // forward[offset + k]: furthest x reached on diagonal k from the start;
+  // backward: the same from the end, with x counted from the end
+  const forward = new Int32Array(size).fill(-1);
+  const backward = new Int32Array(size).fill(-1);
+  forward[offset + 1] = 0;
+  backward[offset + 1] = 0;
+
+  const delta = n - m;
+  // with an odd delta the paths can only meet on a forward step
+  const meetForward = delta % 2 !== 0;
+  let forwardStart = 0;
+  let forwardEnd = 0;
+  let backwardStart = 0;
+  let backwardEnd = 0;
+
+  const split = (x, y) => {
+    diffTokens(a.slice(0, x), b.slice(0, y), parts);
+    diffTokens(a.slice(x), b.slice(y), parts);
+  };
+
+  for (let d = 0; d < maxD; d++) {
+    for (let k = -d + forwardStart; k <= d - forwardEnd; k += 2) {
+      const at = offset + k;
+      let x = k === -d || (k !== d && forward[at - 1] < forward[at + 1])
+        ? forward[at + 1]
+        : forward[at - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      forward[at] = x;
+
+      if (x > n) {
+        forwardEnd += 2;
+      } else if (y > m) {
+        forwardStart += 2;
+      } else if (meetForward) {
+        const other = offset + delta - k;
+        if (other >= 0 && other < size && backward[other] !== -1 && x >= n - backward[other]) {
+          split(x, y);
+          return;
+        }
+      }
+    }
+
+    for (let k = -d + backwardStart; k <= d - backwardEnd; k += 2) {
+      const at = offset + k;
+      let x = k === -d || (k !== d && backward[at - 1] < backward[at + 1])
+        ? backward[at + 1]
+        : backward[at - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[n - x - 1] === b[m - y - 1]) {
+        x++;
+        y++;
+      }
+      backward[at] = x;
+
+      if (x > n) {
+        backwardEnd += 2;
+      } else if (y > m) {
+        backwardStart += 2;
+      } else if (!meetForward) {
+        const other = offset + delta - k;
+        if (other >= 0 && other < size && forward[other] !== -1) {
+          const forwardX = forward[other];
+          if (forwardX >= n - x) {
+            split(forwardX, offset + forwardX - other);
+            return;
+          }
+        }
+      }
+    }
+  }
+
+  // nothing in common, or too different to be worth searching further
+  pushPart(parts, 'removed', a.join(''));
+  pushPart(parts, 'added', b.join(''));
+};
+
+/**
+ * Word-level diff between two texts.
+ * @returns {{ type: 'equal' | 'added' | 'removed', value: string }[]}
+ */
+export const diffWords = (oldText, newText) => {
+  const parts = [];
+  diffTokens(tokenize(oldText), tokenize(newText), parts);
+  return parts;
+};
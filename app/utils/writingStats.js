@@ -0,0 +1,121 @@
+// app/utils/writingStats.js
+
+// Chart periods, with how many of each a chart shows
+export const PERIODS = [
+  { key: 'day', label: 'Days', count: 14 },
+  { key: 'week', label: 'Weeks', count: 12 },
+  { key: 'month', label: 'Months', count: 12 },
+];
+
+const toDate = (isoString) => {
+  const date = new Date(isoString);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Local midnight starting the day, week (from Monday) or month of `date`
+const startOf = (date, period) => {
+  const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  if (period === 'week') {
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  } else if (period === 'month') {
+    start.setDate(1);
+  }
+  return start;
+};
+
+// `amount` days, weeks or months after `date`
+const addPeriods = (date, period, amount) => {
+  const next = new Date(date);
+  if (period === 'month') {
+    next.setMonth(next.getMonth() + amount);
+  } else {
+    next.setDate(next.getDate() + amount * (period === 'week' ? 7 : 1));
+  }
+  return next;
+};
+
+const periodLabel = (start, period) => (period === 'month'
+  ? start.toLocaleDateString(undefined, { month: 'short' })
+  : start.toLocaleDateString(undefined, { day: 'numeric', month: 'numeric' }));
+
+/**
+ * Entries started and words written in each of the last `count` days,
+ * weeks or months, oldest first. An entry counts towards the period it
+ * was created in.
+ * @returns {{ start: Date, label: string, entries: number, words: number }[]}
+ */
+export const bucketRecords = (records, period, count, now = new Date()) => {
+  const first = addPeriods(startOf(now, period), period, -(count - 1));
+  const buckets = Array.from({ length: count }, (_, index) => {
+    const start = addPeriods(first, period, index);
+    return { start, label: periodLabel(start, period), entries: 0, words: 0 };
+  });
+  const byStart = new Map(buckets.map(bucket => [bucket.start.getTime(), bucket]));
+
+  records.forEach(record => {
+    const created = toDate(record.createdAt);
+    const bucket = created && byStart.get(startOf(created, period).getTime());
+    if (bucket) {
+      bucket.entries += 1;
+      bucket.words += record.words;
+    }
+  });
+
+  return buckets;
+};
+
+/**
+ * Entries and words per section, busiest first.
+ * @returns {{ sectionId: string, entries: number, words: number }[]}
+ */
+export const rankSections = (records) => {
+  const bySection = new Map();
+
+  records.forEach(record => {
+    const totals = bySection.get(record.sectionId) || { sectionId: record.sectionId, entries: 0, words: 0 };
+    totals.entries += 1;
+    totals.words += record.words;
+    bySection.set(record.sectionId, totals);
+  });
+
+  return [...bySection.values()].sort((a, b) => b.entries - a.entries || b.words - a.words);
+};
+
+/**
+ * How many entries were started in each hour of the day, 0 to 23.
+ */
+export const countByHour = (records) => {
+  const hours = Array(24).fill(0);
+  records.forEach(record => {
+    const created = toDate(record.createdAt);
+    if (created) {
+      hours[created.getHours()] += 1;
+    }
+  });
+  return hours;
+};
+
+/**
+ * Entries started per day over the last `weeks` weeks, for a calendar
+ * heatmap: one column per week, Monday to Sunday, ending this week.
+ * Days still to come are null.
+ * @returns {({ date: Date, count: number } | null)[][]}
+ */
+export const dailyGrid = (records, weeks, now = new Date()) => {
+  const counts = new Map();
+  records.forEach(record => {
+    const created = toDate(record.createdAt);
+    if (created) {
+      const day = startOf(created, 'day').getTime();
+      counts.set(day, (counts.get(day) || 0) + 1);
+    }
+  });
+
+  const today = startOf(now, 'day');
+  const firstMonday = addPeriods(startOf(now, 'week'), 'week', -(weeks - 1));
+
+  return Array.from({ length: weeks }, (_, week) => Array.from({ length: 7 }, (_, weekday) => {
+    const date = addPeriods(firstMonday, 'day', week * 7 + weekday);
+    return date > today ? null : { date, count: counts.get(date.getTime()) || 0 };
+  }));
+};